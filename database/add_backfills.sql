@@ -0,0 +1,72 @@
+-- ============================================================================
+-- Bulk re-parse (backfill) runs
+-- ============================================================================
+--
+-- A backfill selects profiles by filter (latest parse job created before a
+-- date, result missing a field, latest job failed), snapshots them as items and
+-- enqueues one new parse job per item into the regular job queue — at most
+-- `concurrency` jobs in flight and at most `rate_per_minute` new jobs per minute.
+-- All progress lives in these tables, so an interrupted run is resumed from
+-- where it stopped (npm run backfill -- --resume <id>, or the admin endpoint).
+--
+-- cv_parsing_backfills:
+--   filters:         {"createdBefore": "...", "missingField": "...", "status": "failed"}
+--   status:          running | completed | cancelled
+--   locked_by/until: lease of the process driving the run (one runner at a time)
+--   report:          final counts and failures, written when the run completes
+--
+-- cv_parsing_backfill_items (one per selected profile):
+--   status:          pending -> enqueued -> completed | failed
+--   source_job_id:   latest job of the profile when the backfill was created
+--   storage_path:    that job's CV, parsed again
+--   job_id:          the parse job enqueued for this item
+--
+-- cv_parsing_jobs.backfill_id marks jobs enqueued by a backfill.
+--
+-- Requires database/add_job_queue.sql.
+--
+-- Run this in the Supabase SQL Editor before deploying the parser.
+-- ============================================================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS cv_parsing_backfills (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  filters JSONB NOT NULL,
+  status TEXT NOT NULL DEFAULT 'running',
+  concurrency INTEGER NOT NULL,
+  rate_per_minute INTEGER NOT NULL,
+  total INTEGER NOT NULL DEFAULT 0,
+  locked_by TEXT,
+  locked_until TIMESTAMP WITH TIME ZONE,
+  report JSONB,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  completed_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE TABLE IF NOT EXISTS cv_parsing_backfill_items (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  backfill_id UUID NOT NULL REFERENCES cv_parsing_backfills(id) ON DELETE CASCADE,
+  profile_id UUID NOT NULL,
+  source_job_id UUID REFERENCES cv_parsing_jobs(id) ON DELETE SET NULL,
+  storage_path TEXT NOT NULL,
+  job_id UUID REFERENCES cv_parsing_jobs(id) ON DELETE SET NULL,
+  status TEXT NOT NULL DEFAULT 'pending',
+  error_code TEXT,
+  error_message TEXT,
+  enqueued_at TIMESTAMP WITH TIME ZONE,
+  finished_at TIMESTAMP WITH TIME ZONE,
+  UNIQUE (backfill_id, profile_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_cv_parsing_backfill_items_status
+  ON cv_parsing_backfill_items (backfill_id, status);
+
+ALTER TABLE cv_parsing_jobs
+  ADD COLUMN IF NOT EXISTS backfill_id UUID REFERENCES cv_parsing_backfills(id) ON DELETE SET NULL;
+
+-- Service role only (the parser and the backfill CLI); no client access
+ALTER TABLE cv_parsing_backfills ENABLE ROW LEVEL SECURITY;
+ALTER TABLE cv_parsing_backfill_items ENABLE ROW LEVEL SECURITY;
+
+COMMIT;
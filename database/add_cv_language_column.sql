@@ -0,0 +1,22 @@
+-- ============================================================================
+-- Detected CV language on cv_parsing_jobs
+-- ============================================================================
+--
+-- cv_language: ISO 639-1 code of the language the CV is written in (en, de,
+--              fr, it, es), detected from the CV text before the first pass
+--              (lib/languageDetection.js); NULL when it could not be told.
+--              CVs not in English keep the original wording of job titles,
+--              descriptions, bullet points, fields of study, degree and
+--              thesis titles next to the English translation (the *Original
+--              fields in extracted_data). Also stored in extracted_data
+--              (cv_language).
+--
+-- Run this in the Supabase SQL Editor before deploying the parser.
+-- ============================================================================
+
+BEGIN;
+
+ALTER TABLE cv_parsing_jobs
+  ADD COLUMN IF NOT EXISTS cv_language TEXT;
+
+COMMIT;
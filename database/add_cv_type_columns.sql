@@ -0,0 +1,23 @@
+-- ============================================================================
+-- Classified CV type on cv_parsing_jobs
+-- ============================================================================
+--
+-- cv_type:            experienced_professional, academic, career_starter or
+--                     executive — classified from the CV text before the first
+--                     pass (lib/cvClassification.js). With extraction_profile
+--                     NULL or 'auto' it selects the extraction profile.
+--                     Also stored in extracted_data (cv_type).
+-- cv_type_confidence: 0-100; low when the CV also shows strong signals of a
+--                     second type, 0 when there was no text to classify.
+--                     Also stored in extracted_data (cv_type_confidence).
+--
+-- Run this in the Supabase SQL Editor before deploying the parser.
+-- ============================================================================
+
+BEGIN;
+
+ALTER TABLE cv_parsing_jobs
+  ADD COLUMN IF NOT EXISTS cv_type TEXT,
+  ADD COLUMN IF NOT EXISTS cv_type_confidence SMALLINT;
+
+COMMIT;
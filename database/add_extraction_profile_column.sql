@@ -0,0 +1,28 @@
+-- ============================================================================
+-- Extraction profile of a parse job
+-- ============================================================================
+--
+-- extraction_profile: which fields the parser extracts — 'standard' (industry
+--                     CVs), 'academic' (adds publications, research interests,
+--                     h-index, citations, ORCID iD, Google Scholar URL, teaching,
+--                     grants, conference presentations, academic service and
+--                     peer review to extracted_data), 'career_starter' (adds
+--                     major GPAs, internships, academic projects, campus
+--                     leadership, competitions and volunteering; internships are
+--                     not counted in years_of_experience), 'executive' (adds
+--                     board positions) or 'auto' (the profile of the classified
+--                     CV type, see add_cv_type_columns.sql). NULL parses as
+--                     'auto'.
+--                     Set by POST /api/v1/parse (extractionProfile) or directly
+--                     on the row before the job is enqueued; re-parses inherit
+--                     the profile of the job they re-run.
+--
+-- Run this in the Supabase SQL Editor before deploying the parser.
+-- ============================================================================
+
+BEGIN;
+
+ALTER TABLE cv_parsing_jobs
+  ADD COLUMN IF NOT EXISTS extraction_profile TEXT;
+
+COMMIT;
@@ -0,0 +1,23 @@
+-- ============================================================================
+-- Add field_confidence column to cv_parsing_jobs
+-- ============================================================================
+--
+-- Per-field confidence scores (0-100) reported by the parsing model, updated by
+-- the focused second pass for fields below CONFIDENCE_THRESHOLD. Stored next to
+-- extracted_data so the UI can highlight uncertain fields.
+--
+-- Shape mirrors extracted_data:
+--   scalar fields / string arrays → number
+--     e.g. "email": 98, "functional_expertise": 75
+--   arrays of objects → one object per entry, aligned by index
+--     e.g. "education_history": [{ "_entry": 95, "degreeType": 62, "startDate": 90 }]
+--
+-- Run this in the Supabase SQL Editor before deploying the parser.
+-- ============================================================================
+
+BEGIN;
+
+ALTER TABLE cv_parsing_jobs
+  ADD COLUMN IF NOT EXISTS field_confidence JSONB;
+
+COMMIT;
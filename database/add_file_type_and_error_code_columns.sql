@@ -0,0 +1,23 @@
+-- ============================================================================
+-- Add file type detection and error code columns to cv_parsing_jobs
+-- ============================================================================
+--
+-- claimed_file_type:  format implied by the storage path extension
+--                     ('pdf', 'docx', ... or the raw extension, 'none' if missing)
+-- detected_file_type: format detected from the file content (magic bytes,
+--                     ZIP/OLE container contents) — this is what the parser uses
+-- error_code:         machine-readable failure reason, e.g.
+--                     UNSUPPORTED_FILE_TYPE, ENCRYPTED_DOCUMENT, EMPTY_FILE,
+--                     SCHEMA_VALIDATION_FAILED
+--
+-- Run this in the Supabase SQL Editor before deploying the parser.
+-- ============================================================================
+
+BEGIN;
+
+ALTER TABLE cv_parsing_jobs
+  ADD COLUMN IF NOT EXISTS claimed_file_type TEXT,
+  ADD COLUMN IF NOT EXISTS detected_file_type TEXT,
+  ADD COLUMN IF NOT EXISTS error_code TEXT;
+
+COMMIT;
@@ -0,0 +1,102 @@
+-- ============================================================================
+-- Durable parse job queue on cv_parsing_jobs
+-- ============================================================================
+--
+-- POST /api/v1/parse no longer runs the pipeline inside the request. It stores
+-- the storage path and marks the job 'pending'; parser workers claim jobs with
+-- claim_cv_parsing_job() and process them in the background.
+--
+-- storage_path:     CV location in the talent-pool-cvs bucket
+-- attempts:         attempts started so far (incremented on claim)
+-- max_attempts:     attempts allowed before the job fails for good
+-- next_attempt_at:  earliest time a pending job may be claimed (retry backoff)
+-- locked_by:        worker currently holding the job
+-- locked_until:     lease expiry (visibility timeout). Workers extend it while
+--                   they run; a processing job with an expired lease belongs to
+--                   a dead worker and is claimed again.
+-- started_at:       when the current attempt was claimed
+--
+-- Job lifecycle: pending -> processing -> completed | failed
+--                (retryable failure: processing -> pending with next_attempt_at)
+--
+-- Run this in the Supabase SQL Editor before deploying the parser.
+-- ============================================================================
+
+BEGIN;
+
+ALTER TABLE cv_parsing_jobs
+  ADD COLUMN IF NOT EXISTS storage_path TEXT,
+  ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS max_attempts INTEGER NOT NULL DEFAULT 3,
+  ADD COLUMN IF NOT EXISTS next_attempt_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS locked_by TEXT,
+  ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS started_at TIMESTAMP WITH TIME ZONE;
+
+-- Claim scans only runnable jobs
+CREATE INDEX IF NOT EXISTS idx_cv_parsing_jobs_queue
+  ON cv_parsing_jobs (status, next_attempt_at)
+  WHERE status IN ('pending', 'processing');
+
+-- Atomically claim the next runnable job for a worker.
+-- SKIP LOCKED lets several workers/instances poll concurrently without
+-- handing out the same job twice.
+CREATE OR REPLACE FUNCTION claim_cv_parsing_job(
+  p_worker_id TEXT,
+  p_visibility_timeout_seconds INTEGER
+)
+RETURNS SETOF cv_parsing_jobs
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RETURN QUERY
+  UPDATE cv_parsing_jobs
+  SET status = 'processing',
+      locked_by = p_worker_id,
+      locked_until = NOW() + make_interval(secs => p_visibility_timeout_seconds),
+      attempts = attempts + 1,
+      started_at = NOW(),
+      next_attempt_at = NULL
+  WHERE id = (
+    SELECT id
+    FROM cv_parsing_jobs
+    WHERE storage_path IS NOT NULL
+      AND attempts < max_attempts
+      AND (
+        (status = 'pending' AND (next_attempt_at IS NULL OR next_attempt_at <= NOW()))
+        OR (status = 'processing' AND locked_until < NOW())
+      )
+    ORDER BY COALESCE(next_attempt_at, created_at)
+    LIMIT 1
+    FOR UPDATE SKIP LOCKED
+  )
+  RETURNING *;
+END;
+$$;
+
+-- Recover jobs left in 'processing' by a dead worker (run by every worker on startup and once per
+-- visibility timeout while polling).
+-- Jobs without a lease predate the queue; jobs with an expired lease lost their worker.
+-- Jobs with attempts left go back to 'pending', the rest fail with WORKER_LOST.
+CREATE OR REPLACE FUNCTION reclaim_stale_cv_parsing_jobs()
+RETURNS TABLE (id UUID, status TEXT)
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RETURN QUERY
+  UPDATE cv_parsing_jobs AS job
+  SET status = CASE WHEN job.attempts < job.max_attempts AND job.storage_path IS NOT NULL THEN 'pending' ELSE 'failed' END,
+      error_code = CASE WHEN job.attempts < job.max_attempts AND job.storage_path IS NOT NULL THEN job.error_code ELSE 'WORKER_LOST' END,
+      error_message = CASE WHEN job.attempts < job.max_attempts AND job.storage_path IS NOT NULL
+        THEN job.error_message
+        ELSE 'Parser worker stopped while processing this job and no attempts are left.' END,
+      completed_at = CASE WHEN job.attempts < job.max_attempts AND job.storage_path IS NOT NULL THEN NULL ELSE NOW() END,
+      locked_by = NULL,
+      locked_until = NULL
+  WHERE job.status = 'processing'
+    AND (job.locked_until IS NULL OR job.locked_until < NOW())
+  RETURNING job.id, job.status;
+END;
+$$;
+
+COMMIT;
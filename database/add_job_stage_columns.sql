@@ -0,0 +1,23 @@
+-- ============================================================================
+-- Add pipeline stage tracking columns to cv_parsing_jobs
+-- ============================================================================
+--
+-- current_stage:    stage the current (or last) attempt reached — one of
+--                   downloading, picture_extraction, first_pass, second_pass,
+--                   validation, inference, bio, summary, syncing
+-- stage_timestamps: per-stage timestamps of that attempt, e.g.
+--                   {"downloading": {"startedAt": "...", "completedAt": "..."},
+--                    "first_pass":  {"startedAt": "...", "failedAt": "..."}}
+--
+-- Served by GET /api/v1/jobs/:jobId. Requires database/add_job_queue.sql.
+--
+-- Run this in the Supabase SQL Editor before deploying the parser.
+-- ============================================================================
+
+BEGIN;
+
+ALTER TABLE cv_parsing_jobs
+  ADD COLUMN IF NOT EXISTS current_stage TEXT,
+  ADD COLUMN IF NOT EXISTS stage_timestamps JSONB;
+
+COMMIT;
@@ -0,0 +1,78 @@
+-- ============================================================================
+-- Prompt version, parse path and model usage on cv_parsing_jobs
+-- ============================================================================
+--
+-- prompt_version:     short hash of the prompts that produced the result
+--                     (parsing instructions, focused/repair prompts, bio and
+--                     summary prompts) — see getPromptVersion()
+-- parse_path:         how the CV reached the model: native_pdf (PDF file input),
+--                     pdf_text_fallback (native input failed, extracted text was
+--                     sent instead), text (DOCX/DOC/RTF/ODT/TXT/Markdown, OCR),
+--                     or pdf_text_chunked / text_chunked (long CV extracted in
+--                     chunks)
+-- llm_calls:          one entry per model call, across all attempts, e.g.
+--                     {"attempt": 1, "role": "parsing", "purpose": "first_pass",
+--                      "provider": "openai", "model": "gpt-4.1",
+--                      "promptTokens": 5120, "completionTokens": 1830,
+--                      "costUsd": 0.024880, "durationMs": 21450,
+--                      "at": "2026-01-15T10:00:00.000Z"}
+--                     Azure calls add "deployment"; failed calls add "error".
+-- prompt_tokens,
+-- completion_tokens,
+-- estimated_cost_usd: totals over llm_calls. Costs are estimates from list
+--                     prices (LLM_PRICING); calls to unpriced models count 0.
+--
+-- cv_parsing_llm_usage(from, to) aggregates llm_calls per UTC day and model for
+-- GET /api/v1/admin/usage.
+--
+-- Run this in the Supabase SQL Editor before deploying the parser.
+-- ============================================================================
+
+BEGIN;
+
+ALTER TABLE cv_parsing_jobs
+  ADD COLUMN IF NOT EXISTS prompt_version TEXT,
+  ADD COLUMN IF NOT EXISTS parse_path TEXT,
+  ADD COLUMN IF NOT EXISTS llm_calls JSONB NOT NULL DEFAULT '[]'::jsonb,
+  ADD COLUMN IF NOT EXISTS prompt_tokens INTEGER,
+  ADD COLUMN IF NOT EXISTS completion_tokens INTEGER,
+  ADD COLUMN IF NOT EXISTS estimated_cost_usd NUMERIC(12, 6);
+
+CREATE INDEX IF NOT EXISTS idx_cv_parsing_jobs_created_at
+  ON cv_parsing_jobs (created_at);
+
+-- Calls, tokens and estimated cost per UTC day and model, for calls made
+-- between p_from and p_to (inclusive). Calls happen after their job was
+-- created, and retries follow within hours, so jobs created more than a week
+-- before p_from are not scanned.
+CREATE OR REPLACE FUNCTION cv_parsing_llm_usage(p_from DATE, p_to DATE)
+RETURNS TABLE (
+  day DATE,
+  model TEXT,
+  calls BIGINT,
+  failed_calls BIGINT,
+  prompt_tokens BIGINT,
+  completion_tokens BIGINT,
+  estimated_cost_usd NUMERIC
+)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT
+    ((call->>'at')::timestamptz AT TIME ZONE 'UTC')::date AS day,
+    call->>'model' AS model,
+    COUNT(*) AS calls,
+    COUNT(*) FILTER (WHERE call ? 'error') AS failed_calls,
+    COALESCE(SUM((call->>'promptTokens')::bigint), 0) AS prompt_tokens,
+    COALESCE(SUM((call->>'completionTokens')::bigint), 0) AS completion_tokens,
+    COALESCE(SUM((call->>'costUsd')::numeric), 0) AS estimated_cost_usd
+  FROM cv_parsing_jobs job
+  CROSS JOIN LATERAL jsonb_array_elements(job.llm_calls) AS call
+  WHERE job.created_at >= p_from - INTERVAL '7 days'
+    AND job.created_at < p_to + 1
+    AND ((call->>'at')::timestamptz AT TIME ZONE 'UTC')::date BETWEEN p_from AND p_to
+  GROUP BY 1, 2
+  ORDER BY 1, 2;
+$$;
+
+COMMIT;
@@ -0,0 +1,21 @@
+-- ============================================================================
+-- Add OCR tracking columns to cv_parsing_jobs
+-- ============================================================================
+--
+-- ocr_derived:    true when the PDF had no text layer and the parsed text came
+--                 from local OCR of the rendered pages (extraction quality is
+--                 usually lower — worth a manual review)
+-- ocr_confidence: mean Tesseract word confidence (0-100) across OCR'd pages
+--
+-- New error_code value: NO_TEXT_CONTENT (OCR found no readable text)
+--
+-- Run this in the Supabase SQL Editor before deploying the parser.
+-- ============================================================================
+
+BEGIN;
+
+ALTER TABLE cv_parsing_jobs
+  ADD COLUMN IF NOT EXISTS ocr_derived BOOLEAN NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS ocr_confidence INTEGER;
+
+COMMIT;
@@ -0,0 +1,26 @@
+-- ============================================================================
+-- Re-parse tracking columns on cv_parsing_jobs
+-- ============================================================================
+--
+-- POST /api/v1/profiles/:profileId/reparse re-runs the parser on a profile's
+-- stored CV and, unless it is a dry run, records the result as a new completed
+-- job for the profile.
+--
+-- reparse_of_job_id:  the completed job whose stored CV was re-parsed (and whose
+--                     result the diff was computed against)
+-- parse_overrides:    model / instructions overrides used for the re-parse, e.g.
+--                     {"model": "gpt-4.1-mini", "instructionsHash": "3f9c0a1b2d4e"}
+--                     (null when the deployed model and prompt were used)
+--
+-- Requires database/add_job_queue.sql and database/add_result_cache_columns.sql.
+--
+-- Run this in the Supabase SQL Editor before deploying the parser.
+-- ============================================================================
+
+BEGIN;
+
+ALTER TABLE cv_parsing_jobs
+  ADD COLUMN IF NOT EXISTS reparse_of_job_id UUID REFERENCES cv_parsing_jobs(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS parse_overrides JSONB;
+
+COMMIT;
@@ -0,0 +1,31 @@
+-- ============================================================================
+-- Result cache columns on cv_parsing_jobs
+-- ============================================================================
+--
+-- Re-uploads of an identical CV reuse the extracted_data of an earlier completed
+-- job instead of calling OpenAI again.
+--
+-- content_hash:        SHA-256 of the downloaded CV file
+-- cache_key:           SHA-256 of content_hash + prompt version + model names +
+--                      pipeline switches (two-pass, inference, OCR). Any prompt or
+--                      model change produces new keys, so stale results are never reused.
+-- cache_hit:           true when extracted_data was copied from an earlier job
+-- cached_from_job_id:  the job the result was copied from
+--
+-- Run this in the Supabase SQL Editor before deploying the parser.
+-- ============================================================================
+
+BEGIN;
+
+ALTER TABLE cv_parsing_jobs
+  ADD COLUMN IF NOT EXISTS content_hash TEXT,
+  ADD COLUMN IF NOT EXISTS cache_key TEXT,
+  ADD COLUMN IF NOT EXISTS cache_hit BOOLEAN NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS cached_from_job_id UUID;
+
+-- Cache lookups only consider completed jobs
+CREATE INDEX IF NOT EXISTS idx_cv_parsing_jobs_cache_key
+  ON cv_parsing_jobs (cache_key, completed_at DESC)
+  WHERE status = 'completed';
+
+COMMIT;
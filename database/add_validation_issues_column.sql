@@ -0,0 +1,18 @@
+-- ============================================================================
+-- Add validation_issues column to cv_parsing_jobs
+-- ============================================================================
+--
+-- The parser validates model output against a strict schema and asks the model
+-- to repair invalid output. When all repair attempts are exhausted the job is
+-- marked 'failed' and the final list of schema violations is stored here
+-- (array of { path, code, message }).
+--
+-- Run this in the Supabase SQL Editor before deploying the parser.
+-- ============================================================================
+
+BEGIN;
+
+ALTER TABLE cv_parsing_jobs
+  ADD COLUMN IF NOT EXISTS validation_issues JSONB;
+
+COMMIT;
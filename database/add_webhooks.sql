@@ -0,0 +1,42 @@
+-- ============================================================================
+-- Completion webhooks: per-job callback URL and delivery log
+-- ============================================================================
+--
+-- cv_parsing_jobs.callback_url: optional URL passed to POST /api/v1/parse as
+--                               callbackUrl (falls back to WEBHOOK_URL)
+--
+-- cv_parsing_webhook_deliveries: one row per delivery attempt
+--   delivery_id: stable across retries of the same event (X-SetSelect-Delivery)
+--   event:       parse.completed | parse.failed
+--   status_code: receiver's HTTP status (NULL for network errors/timeouts)
+--   error:       NULL on success, otherwise e.g. "HTTP 500" or the network error
+--
+-- Run this in the Supabase SQL Editor before deploying the parser.
+-- ============================================================================
+
+BEGIN;
+
+ALTER TABLE cv_parsing_jobs
+  ADD COLUMN IF NOT EXISTS callback_url TEXT;
+
+CREATE TABLE IF NOT EXISTS cv_parsing_webhook_deliveries (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  delivery_id UUID NOT NULL,
+  job_id UUID NOT NULL REFERENCES cv_parsing_jobs(id) ON DELETE CASCADE,
+  url TEXT NOT NULL,
+  event TEXT NOT NULL,
+  attempt INTEGER NOT NULL,
+  status_code INTEGER,
+  success BOOLEAN NOT NULL,
+  error TEXT,
+  duration_ms INTEGER,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_cv_parsing_webhook_deliveries_job_id
+  ON cv_parsing_webhook_deliveries (job_id, created_at);
+
+-- Service role only (the parser); no client access
+ALTER TABLE cv_parsing_webhook_deliveries ENABLE ROW LEVEL SECURITY;
+
+COMMIT;
@@ -1,362 +1,137 @@
 import express from 'express';
+import multer from 'multer';
+import { createHash, randomUUID } from 'node:crypto';
+import { readFileSync } from 'node:fs';
 import { createClient } from '@supabase/supabase-js';
-import OpenAI, { AzureOpenAI } from 'openai';
-import pdf from 'pdf-parse/lib/pdf-parse.js';
-import mammoth from 'mammoth';
-import { PDFDocument, PDFName } from 'pdf-lib';
-import sharp from 'sharp';
-
-// Import ALL shared options from local config file
+import { FUNCTIONAL_EXPERTISE_OPTIONS } from './formOptions.js';
+import {
+  ENABLE_TWO_PASS,
+  ENABLE_INFERENCE,
+  ENABLE_PROFILE_PICTURE_EXTRACTION,
+  ENABLE_OCR,
+  VISION_API_TIMEOUT_MS,
+  MIN_CONFIDENCE_THRESHOLD,
+  OPENAI_MODEL_PARSING,
+  OPENAI_MODEL_VISION,
+  OPENAI_MODEL_SUMMARY,
+  createCodedError,
+  identifyFileType,
+  prepareBufferForParsing,
+  findProfilePicture,
+  validateFunctionalExpertise,
+  mergeFunctionalExpertise,
+  addGeneratedSummaries,
+  countExtractedEntries,
+  parseCV,
+  getPromptVersion,
+  EXTRACTION_PROFILE_OPTIONS,
+  AUTO_EXTRACTION_PROFILE,
+} from './lib/cvParser.js';
+import { getLlmProvider, describeLlmProviders, LLM_FIXTURES_DIR, LLM_RECORD_FIXTURES } from './lib/llmProviders.js';
+import { logger, runWithLogContext, setLogContext, registerPersonalData, LOG_LEVEL } from './lib/logger.js';
+import { createJobQueue } from './lib/jobQueue.js';
+import { createReadinessCheck } from './lib/readiness.js';
 import {
-  COUNTRY_OPTIONS,
-  GENERAL_FIELD_OPTIONS,
-  DEGREE_TYPE_OPTIONS,
-  POSITION_TYPE_OPTIONS,
-  LANGUAGE_PROFICIENCY_OPTIONS,
-  SKILL_PROFICIENCY_OPTIONS,
-  DURATION_OPTIONS,
-  JOB_TYPE_OPTIONS,
-  LOCATION_OPTIONS,
-  INDUSTRY_PREFERENCE_OPTIONS,
-  FUNCTIONAL_EXPERTISE_OPTIONS,
-} from './formOptions.js';
+  recordJobOutcome,
+  setInFlightJobsSource,
+  observeStageDuration,
+  recordLlmCall,
+  recordParsePath,
+  recordProfilePicture,
+  renderMetrics,
+  METRICS_CONTENT_TYPE,
+} from './lib/metrics.js';
+import { deliverWebhook } from './lib/webhooks.js';
+import { diffExtractedData, summarizeDiff } from './lib/resultDiff.js';
+import { parseBackfillFilters, findBackfillCandidates, createBackfill, getBackfillProgress, runBackfill } from './lib/backfill.js';
 
 // ==========================================
 // INITIALIZATION
 // ==========================================
+const MAX_UPLOAD_SIZE_MB = parseInt(process.env.MAX_UPLOAD_SIZE_MB) || 10; // Preview uploads
+const JSON_BODY_LIMIT = `${Math.ceil(MAX_UPLOAD_SIZE_MB * 1.4)}mb`; // Base64 adds ~33% overhead
 const app = express();
+// Base64 uploads need the large limit; every other route keeps the default (100kb). The first parser
+// to run marks the body as parsed, so the default one skips preview requests.
+app.use('/api/v1/parse/preview', express.json({ limit: JSON_BODY_LIMIT }));
 app.use(express.json());
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_UPLOAD_SIZE_MB * 1024 * 1024 } });
 const PORT = process.env.PORT || 3002;
 const INTERNAL_API_KEY = process.env.INTERNAL_API_KEY;
-const ENABLE_TWO_PASS = process.env.ENABLE_TWO_PASS !== 'false'; // Default true
-const ENABLE_INFERENCE = process.env.ENABLE_INFERENCE !== 'false'; // Default true
-const ENABLE_PROFILE_PICTURE_EXTRACTION = process.env.ENABLE_PROFILE_PICTURE_EXTRACTION !== 'false'; // Default true
-const VISION_API_TIMEOUT_MS = parseInt(process.env.VISION_API_TIMEOUT_MS) || 10000; // 10 seconds
-const MIN_CONFIDENCE_THRESHOLD = parseInt(process.env.MIN_CONFIDENCE_THRESHOLD) || 60; // 60%
+const QUEUE_CONCURRENCY = parseInt(process.env.QUEUE_CONCURRENCY) || 2; // Jobs processed in parallel per instance
+const QUEUE_POLL_INTERVAL_MS = parseInt(process.env.QUEUE_POLL_INTERVAL_MS) || 5000; // 5 seconds
+const JOB_VISIBILITY_TIMEOUT_MS = parseInt(process.env.JOB_VISIBILITY_TIMEOUT_MS) || 300000; // 5 minutes — lease before a job counts as abandoned
+const JOB_MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS) || 3; // Attempts per job, including the first
+const JOB_RETRY_BASE_DELAY_MS = parseInt(process.env.JOB_RETRY_BASE_DELAY_MS) || 30000; // Doubles per retry
+const ENABLE_RESULT_CACHE = process.env.ENABLE_RESULT_CACHE !== 'false'; // Default true — reuse results for identical re-uploads
+const BACKFILL_CONCURRENCY = parseInt(process.env.BACKFILL_CONCURRENCY) || 4; // Backfill jobs in flight at once
+const BACKFILL_RATE_PER_MINUTE = parseInt(process.env.BACKFILL_RATE_PER_MINUTE) || 20; // Backfill jobs enqueued per minute
+const WEBHOOK_URL = process.env.WEBHOOK_URL || null; // Default callback for jobs enqueued without a callbackUrl
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || null; // HMAC key for X-SetSelect-Signature
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5; // Delivery attempts per event
+const WEBHOOK_RETRY_BASE_DELAY_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_DELAY_MS) || 2000; // Doubles per retry
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000; // Per delivery attempt
+const READY_MODEL_CHECK_INTERVAL_MS = parseInt(process.env.READY_MODEL_CHECK_INTERVAL_MS) || 300000; // 5 minutes — reuse of passing model checks on /ready
+const READY_MODEL_RETRY_INTERVAL_MS = parseInt(process.env.READY_MODEL_RETRY_INTERVAL_MS) || 30000; // Reuse of failing model checks on /ready
+
+// Name and version reported by /health, /ready and the startup log
+const { name: SERVICE_NAME, version: SERVICE_VERSION } = JSON.parse(readFileSync(new URL('./package.json', import.meta.url), 'utf8'));
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
   process.env.SUPABASE_SERVICE_ROLE_KEY
 );
-const useAzureOpenAI = !!process.env.AZURE_OPENAI_ENDPOINT;
-const openai = useAzureOpenAI
-  ? new AzureOpenAI({
-      apiKey: process.env.AZURE_OPENAI_API_KEY,
-      endpoint: process.env.AZURE_OPENAI_ENDPOINT,
-      apiVersion: process.env.AZURE_OPENAI_API_VERSION || '2024-10-21',
-      deployment: process.env.AZURE_OPENAI_DEPLOYMENT_PARSING || process.env.OPENAI_MODEL_PARSING || 'gpt-4.1',
-    })
-  : new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-
-// ==========================================
-// CONSTANTS
-// ==========================================
-
-// Image extraction and processing
-const IMAGE_MIN_SIZE = 100; // Minimum width/height in pixels to consider
-const IMAGE_MAX_DIMENSION = 800; // Maximum dimension for resized images
-const IMAGE_JPEG_QUALITY = 85; // JPEG compression quality (0-100)
-const IMAGE_MAX_CANDIDATES = 5; // Max images to analyze with Vision API
-const PDF_MAX_PAGES_TO_SCAN = 2; // Only scan first N pages for images
-
-// OpenAI API configuration
-const OPENAI_MODEL_PARSING = process.env.OPENAI_MODEL_PARSING || 'gpt-4.1'; // Model for CV text parsing
-const OPENAI_MODEL_VISION = process.env.OPENAI_MODEL_VISION || 'gpt-4.1-nano'; // Model for image analysis
-const OPENAI_MODEL_SUMMARY = process.env.OPENAI_MODEL_SUMMARY || 'gpt-4.1-nano'; // Model for short text summaries
-const OPENAI_TEMP_PARSING = 0; // Temperature for parsing (0 = fully deterministic for consistent company classification)
-const OPENAI_TEMP_VISION = 0.3; // Temperature for vision analysis
-const OPENAI_MAX_TOKENS_VISION = 200; // Max tokens for vision response
 
 // ==========================================
-// HELPER FUNCTIONS
+// STORAGE & RETRY HELPERS
 // ==========================================
 
-// Convert options array to string for prompt
-const getOptionsString = (optionsArray) => {
-  return optionsArray
-    .map(opt => opt.value)
-    .filter(Boolean)
-    .map(val => `'${val}'`)
-    .join(', ');
-};
-
-// Convert simple string array to options string
-const getOptionsStringForSimpleArray = (optionsArray) => {
-  return optionsArray
-    .filter(Boolean)
-    .map(val => `'${val}'`)
-    .join(', ');
-};
-
-// Prepare file for parsing — returns PDF buffer or cleaned HTML from DOCX
-async function prepareFileForParsing(storagePath) {
+// Download CV from the talent-pool-cvs bucket
+async function downloadCV(storagePath) {
   const { data, error } = await supabase.storage.from('talent-pool-cvs').download(storagePath);
 
   if (error) {
-    console.error(`[ERROR] Failed to download CV from storage: ${error.message}`, { storagePath });
+    logger.error('Failed to download CV from storage', { storagePath, err: error });
+    if (String(error.statusCode) === '404') {
+      throw createCodedError('CV_NOT_FOUND', `Storage download failed: ${error.message}`);
+    }
     throw new Error(`Storage download failed: ${error.message}`);
   }
 
-  const buffer = Buffer.from(await data.arrayBuffer());
+  return Buffer.from(await data.arrayBuffer());
+}
 
-  if (storagePath.toLowerCase().endsWith('.pdf')) {
-    return { type: 'pdf', buffer };
-  } else if (storagePath.toLowerCase().endsWith('.docx')) {
-    const { value } = await mammoth.convertToHtml({ buffer });
-    // Strip base64 images (can be huge) but keep all structural HTML tags
-    const cleanHtml = value.replace(/<img[^>]*src="data:[^"]*"[^>]*\/?>/g, '');
-    return { type: 'html', content: cleanHtml };
-  } else {
-    throw new Error('Unsupported file type. Please upload a PDF or DOCX file.');
+// Failures that will fail the same way on every attempt
+const NON_RETRYABLE_ERROR_CODES = new Set([
+  'CV_NOT_FOUND',
+  'EMPTY_FILE',
+  'ENCRYPTED_DOCUMENT',
+  'UNSUPPORTED_FILE_TYPE',
+  'NO_TEXT_CONTENT',
+  'SCHEMA_VALIDATION_FAILED',
+  'LLM_FIXTURE_NOT_FOUND',
+]);
+
+// Decide whether a failed parse job is worth another attempt
+function isRetryableError(error) {
+  if (NON_RETRYABLE_ERROR_CODES.has(error.code)) return false;
+  // OpenAI API errors carry the HTTP status — only rate limits, timeouts and server errors are transient
+  if (typeof error.status === 'number') {
+    return error.status === 408 || error.status === 409 || error.status === 429 || error.status >= 500;
   }
+  return true; // Network failures, storage and database hiccups
 }
 
 // ==========================================
-// PROFILE PICTURE EXTRACTION
+// PROFILE PICTURE STORAGE
 // ==========================================
 
-/**
- * Extract images from a PDF file
- * @param {Buffer} buffer - PDF file buffer
- * @returns {Promise<Array<{buffer: Buffer, width: number, height: number, page: number}>>}
- */
-async function extractImagesFromPdf(buffer) {
-  try {
-    const pdfDoc = await PDFDocument.load(buffer);
-    const pages = pdfDoc.getPages();
-    const extractedImages = [];
-
-    // Only process first pages (profile pictures are typically on page 1)
-    const pagesToProcess = Math.min(pages.length, PDF_MAX_PAGES_TO_SCAN);
-
-    for (let pageIndex = 0; pageIndex < pagesToProcess; pageIndex++) {
-      const page = pages[pageIndex];
-
-      // Get page resources
-      const resources = page.node.Resources();
-      const xObjects = resources?.lookup(PDFName.of('XObject'));
-
-      if (!xObjects) continue;
-
-      // Iterate through XObjects (which include images)
-      const xObjectKeys = xObjects.dict.keys();
-
-      for (const key of xObjectKeys) {
-        try {
-          const xObject = xObjects.lookup(key);
-
-          // Check if this is an image
-          const subtype = xObject?.dict?.get(PDFName.of('Subtype'));
-          if (subtype?.toString() !== '/Image') continue;
-
-          // Get image dimensions
-          const width = xObject?.dict?.get(PDFName.of('Width'))?.value;
-          const height = xObject?.dict?.get(PDFName.of('Height'))?.value;
-
-          // Filter out small images (likely icons/logos)
-          if (!width || !height || width < IMAGE_MIN_SIZE || height < IMAGE_MIN_SIZE) continue;
-
-          // Get image data
-          const imageData = xObject?.contents;
-          if (!imageData) continue;
-
-          // Convert to Buffer and optimize with sharp
-          const imageBuffer = Buffer.from(imageData);
-          const optimizedImage = await sharp(imageBuffer)
-            .resize(IMAGE_MAX_DIMENSION, IMAGE_MAX_DIMENSION, { fit: 'inside', withoutEnlargement: true })
-            .jpeg({ quality: IMAGE_JPEG_QUALITY })
-            .toBuffer();
-
-          const metadata = await sharp(optimizedImage).metadata();
-
-          extractedImages.push({
-            buffer: optimizedImage,
-            width: metadata.width,
-            height: metadata.height,
-            page: pageIndex + 1
-          });
-        } catch (err) {
-          // Skip individual image extraction errors silently
-          continue;
-        }
-      }
-    }
-
-    return extractedImages;
-  } catch (error) {
-    console.error('[ERROR] PDF image extraction failed:', error.message);
-    return [];
-  }
-}
-
-/**
- * Extract images from a DOCX file
- * @param {Buffer} buffer - DOCX file buffer
- * @returns {Promise<Array<{buffer: Buffer, width: number, height: number}>>}
- */
-async function extractImagesFromDocx(buffer) {
-  try {
-    const extractedImages = [];
-
-    // Configure mammoth to extract images
-    const result = await mammoth.convertToHtml({
-      buffer,
-    }, {
-      convertImage: mammoth.images.imgElement(async (image) => {
-        try {
-          const imageBuffer = await image.read();
-
-          // Get image metadata
-          const metadata = await sharp(imageBuffer).metadata();
-
-          // Filter out small images (likely icons/logos)
-          if (metadata.width < IMAGE_MIN_SIZE || metadata.height < IMAGE_MIN_SIZE) {
-            return { src: '' }; // Skip small images
-          }
-
-          // Optimize image
-          const optimizedImage = await sharp(imageBuffer)
-            .resize(IMAGE_MAX_DIMENSION, IMAGE_MAX_DIMENSION, { fit: 'inside', withoutEnlargement: true })
-            .jpeg({ quality: IMAGE_JPEG_QUALITY })
-            .toBuffer();
-
-          const optimizedMetadata = await sharp(optimizedImage).metadata();
-
-          extractedImages.push({
-            buffer: optimizedImage,
-            width: optimizedMetadata.width,
-            height: optimizedMetadata.height
-          });
-
-          return { src: '' }; // We don't need the HTML, just extracting images
-        } catch (err) {
-          // Skip individual image errors silently
-          return { src: '' };
-        }
-      })
-    });
-
-    return extractedImages;
-  } catch (error) {
-    console.error('[ERROR] DOCX image extraction failed:', error.message);
-    return [];
-  }
-}
-
-/**
- * Use OpenAI Vision API to identify the most likely profile picture from extracted images
- * @param {Array<{buffer: Buffer, width: number, height: number}>} images - Array of extracted images
- * @returns {Promise<{imageIndex: number|null, confidence: number, reason: string}>}
- */
-async function identifyProfilePicture(images) {
-  if (!images || images.length === 0) {
-    return { imageIndex: null, confidence: 0, reason: 'No images found' };
-  }
-
-  try {
-    // Convert first candidate images to base64 (to limit API cost)
-    const candidateImages = images.slice(0, IMAGE_MAX_CANDIDATES);
-    const base64Images = candidateImages.map((img) => ({
-      base64: img.buffer.toString('base64'),
-      dimensions: `${img.width}x${img.height}`
-    }));
-
-    // Create image content for Vision API (multiple images in one call)
-    const imageContent = base64Images.map((img, index) => ({
-      type: 'image_url',
-      image_url: {
-        url: `data:image/jpeg;base64,${img.base64}`,
-        detail: 'low' // Use low detail to reduce cost
-      }
-    }));
-
-    const prompt = `Analyze these ${base64Images.length} images extracted from a CV/resume. Your task is to identify which one is most likely a professional profile picture of the person who wrote the CV.
-
-Consider the following criteria:
-1. Contains a human face (headshot or upper body)
-2. Professional appearance (not casual snapshots)
-3. Appropriate composition for a profile picture
-4. Person is the main subject (not a group photo)
-5. Clear, well-lit image
-
-The images are numbered 1 to ${base64Images.length}.
-
-Respond with JSON only, in this exact format:
-{
-  "hasProfilePicture": true or false,
-  "imageIndex": <1-based index of the best candidate, or null if none>,
-  "confidence": <0-100 integer>,
-  "reason": "<brief explanation>"
-}
-
-If none of the images appear to be a professional profile picture (e.g., they're logos, charts, diagrams, group photos, or casual snapshots), set hasProfilePicture to false and imageIndex to null.`;
-
-    // Call OpenAI Vision API with timeout
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), VISION_API_TIMEOUT_MS);
-
-    try {
-      const response = await openai.chat.completions.create({
-        model: OPENAI_MODEL_VISION,
-        messages: [
-          {
-            role: 'user',
-            content: [
-              { type: 'text', text: prompt },
-              ...imageContent
-            ]
-          }
-        ],
-        max_tokens: OPENAI_MAX_TOKENS_VISION,
-        temperature: OPENAI_TEMP_VISION,
-      }, {
-        signal: controller.signal
-      });
-
-      clearTimeout(timeoutId);
-
-      // Parse response
-      const content = response.choices[0]?.message?.content?.trim();
-      if (!content) {
-        return { imageIndex: null, confidence: 0, reason: 'Empty response from Vision API' };
-      }
-
-      // Extract JSON from response (handle markdown code blocks)
-      let jsonMatch = content.match(/\{[\s\S]*\}/);
-      if (!jsonMatch) {
-        return { imageIndex: null, confidence: 0, reason: 'Failed to parse Vision API response' };
-      }
-
-      const result = JSON.parse(jsonMatch[0]);
-
-      // Convert 1-based index to 0-based, validate
-      const imageIndex = result.hasProfilePicture && result.imageIndex
-        ? result.imageIndex - 1
-        : null;
-
-      // Validate index is within bounds
-      if (imageIndex !== null && (imageIndex < 0 || imageIndex >= images.length)) {
-        return { imageIndex: null, confidence: 0, reason: 'Invalid image index from API' };
-      }
-
-      return {
-        imageIndex,
-        confidence: result.confidence || 0,
-        reason: result.reason || 'No reason provided'
-      };
-
-    } catch (apiError) {
-      clearTimeout(timeoutId);
-      if (apiError.name === 'AbortError') {
-        return { imageIndex: null, confidence: 0, reason: 'Vision API timeout' };
-      }
-      throw apiError;
-    }
-
-  } catch (error) {
-    console.error('[ERROR] Vision API error:', error.message);
-    return { imageIndex: null, confidence: 0, reason: `Error: ${error.message}` };
-  }
+// Unique path for a new picture in the profile-pictures bucket
+function createProfilePicturePath(userId, isQuickCV = false) {
+  const timestamp = Date.now();
+  const randomSuffix = Math.random().toString(36).substring(7);
+  const folder = isQuickCV ? 'quick-temp' : userId;
+  return `${folder}/${timestamp}-${randomSuffix}.jpg`;
 }
 
 /**
@@ -368,14 +143,7 @@ If none of the images appear to be a professional profile picture (e.g., they're
  */
 async function uploadProfilePictureToStorage(imageBuffer, userId, isQuickCV = false) {
   try {
-    // Generate unique filename
-    const timestamp = Date.now();
-    const randomSuffix = Math.random().toString(36).substring(7);
-    const filename = `${timestamp}-${randomSuffix}.jpg`;
-
-    // Determine storage path
-    const folder = isQuickCV ? 'quick-temp' : userId;
-    const storagePath = `${folder}/${filename}`;
+    const storagePath = createProfilePicturePath(userId, isQuickCV);
 
     // Upload to profile-pictures bucket
     const { data, error } = await supabase.storage
@@ -386,1563 +154,1242 @@ async function uploadProfilePictureToStorage(imageBuffer, userId, isQuickCV = fa
       });
 
     if (error) {
-      console.error('[ERROR] Profile picture upload failed:', error.message);
+      logger.error('Profile picture upload failed', { err: error });
       return null;
     }
 
     return storagePath;
 
   } catch (error) {
-    console.error('[ERROR] Profile picture upload error:', error.message);
+    logger.error('Profile picture upload error', { err: error });
     return null;
   }
 }
 
+/**
+ * Copy a previously extracted profile picture to a new file for another profile (result cache hits)
+ * @param {string} sourcePath - Existing path in the profile-pictures bucket
+ * @param {string} userId - User/profile ID
+ * @param {boolean} isQuickCV - Whether this is a Quick CV
+ * @returns {Promise<string|null>} - New storage path, or null if the copy failed
+ */
+async function copyProfilePictureInStorage(sourcePath, userId, isQuickCV = false) {
+  const storagePath = createProfilePicturePath(userId, isQuickCV);
+  const { error } = await supabase.storage.from('profile-pictures').copy(sourcePath, storagePath);
+
+  if (error) {
+    logger.error('Profile picture copy failed', { err: error });
+    return null;
+  }
+
+  return storagePath;
+}
+
 /**
  * Main orchestrator function to extract profile picture from CV
- * @param {string} storagePath - Path to CV in raw-cvs bucket
+ * @param {Buffer} buffer - CV file buffer (already downloaded from talent-pool-cvs)
+ * @param {string} format - Detected CV format (see identifyFileType)
  * @param {string} userId - User ID (clerkUserId or sessionId)
  * @param {boolean} isQuickCV - Whether this is for Quick CV
+ * @param {(call: object) => void} [onLlmCall] - Receives the vision call record
  * @returns {Promise<string|null>} - Storage path of extracted profile picture, or null
  */
-async function extractProfilePicture(storagePath, userId, isQuickCV = false) {
+async function extractProfilePicture(buffer, format, userId, isQuickCV = false, onLlmCall) {
   if (!ENABLE_PROFILE_PICTURE_EXTRACTION) {
     return null;
   }
 
-  const startTime = Date.now();
-
   try {
-    // Download file from storage
-    const { data, error } = await supabase.storage.from('talent-pool-cvs').download(storagePath);
-
-    if (error) {
-      console.error('[extractProfilePicture] Download error:', error);
-      return null;
-    }
-
-    const buffer = Buffer.from(await data.arrayBuffer());
-    const isPdf = storagePath.toLowerCase().endsWith('.pdf');
-    const isDocx = storagePath.toLowerCase().endsWith('.docx');
+    const selectedImage = await findProfilePicture(buffer, format, onLlmCall);
 
-    // Extract images based on file type
-    let extractedImages = [];
-
-    if (isPdf) {
-      extractedImages = await extractImagesFromPdf(buffer);
-    } else if (isDocx) {
-      extractedImages = await extractImagesFromDocx(buffer);
-    } else {
-      return null;
-    }
-
-    if (extractedImages.length === 0) {
+    if (!selectedImage) {
+      recordProfilePicture('not_found');
       return null;
     }
 
-    // Use AI to identify the best profile picture
-    const identification = await identifyProfilePicture(extractedImages);
-
-    // Check if confidence meets threshold
-    if (identification.imageIndex === null || identification.confidence < MIN_CONFIDENCE_THRESHOLD) {
-      return null;
-    }
-
-    // Get the identified image
-    const selectedImage = extractedImages[identification.imageIndex];
-
     // Upload to storage
     const uploadedPath = await uploadProfilePictureToStorage(selectedImage.buffer, userId, isQuickCV);
 
+    recordProfilePicture(uploadedPath ? 'found' : 'failed');
     return uploadedPath;
 
   } catch (error) {
-    console.error('[ERROR] Profile picture extraction failed:', error.message);
+    recordProfilePicture('failed');
+    logger.error('Profile picture extraction failed', { err: error });
     return null; // Graceful degradation - don't fail the entire parsing job
   }
 }
 
 // ==========================================
-// VALIDATION & AUTO-CORRECTION
+// RESULT CACHE
 // ==========================================
 
-// Validate and auto-correct URL (ensure https:// prefix)
-function validateAndCorrectUrl(url) {
-  if (!url || typeof url !== 'string') return null;
-  const trimmed = url.trim();
-  if (!trimmed) return null;
-  if (!trimmed.startsWith('http://') && !trimmed.startsWith('https://')) {
-    return 'https://' + trimmed;
-  }
-  return trimmed;
+// Cache key for a CV: identical file + extraction profile + prompts + models + pipeline switches produce the same result
+function getResultCacheKey(contentHash, extractionProfile) {
+  return createHash('sha256').update(JSON.stringify({
+    contentHash,
+    extractionProfile,
+    promptVersion: getPromptVersion(),
+    models: [OPENAI_MODEL_PARSING, OPENAI_MODEL_VISION, OPENAI_MODEL_SUMMARY],
+    providers: describeLlmProviders(),
+    twoPass: ENABLE_TWO_PASS,
+    inference: ENABLE_INFERENCE,
+    ocr: ENABLE_OCR,
+  })).digest('hex');
 }
 
-// Validate and correct phone country code (ensure + prefix)
-function validateAndCorrectCountryCode(code) {
-  if (!code || typeof code !== 'string') return null;
-  const trimmed = code.trim();
-  if (!trimmed) return null;
-  if (!trimmed.startsWith('+')) {
-    return '+' + trimmed;
-  }
-  return trimmed;
-}
-
-// Validate and standardize date format to YYYY-MM
-function validateAndCorrectDate(dateString) {
-  if (!dateString || typeof dateString !== 'string') return null;
-  const trimmed = dateString.trim().toLowerCase();
-  if (!trimmed) return null;
-  if (trimmed === 'present') return 'present'; // Normalize to lowercase
-
-  // Handle various date formats
-  // Format: MM/YYYY or MM-YYYY -> YYYY-MM
-  const monthYearMatch = trimmed.match(/^(\d{1,2})[\/\-](\d{4})$/);
-  if (monthYearMatch) {
-    const month = monthYearMatch[1].padStart(2, '0');
-    const year = monthYearMatch[2];
-    return `${year}-${month}`;
-  }
+// Most recent completed job with the same cache key (null on a miss or lookup error)
+async function findCachedResult(cacheKey, jobId) {
+  const { data, error } = await supabase
+    .from('cv_parsing_jobs')
+    .select('id, extracted_data, field_confidence, ocr_derived, ocr_confidence, parse_path')
+    .eq('cache_key', cacheKey)
+    .eq('status', 'completed')
+    .neq('id', jobId)
+    .not('extracted_data', 'is', null)
+    .order('completed_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
 
-  // Format: YYYY-MM (already correct)
-  if (/^\d{4}-\d{2}$/.test(trimmed)) {
-    return trimmed;
-  }
-
-  // Format: YYYY only -> YYYY-01
-  if (/^\d{4}$/.test(trimmed)) {
-    return `${trimmed}-01`;
+  if (error) {
+    logger.error('Result cache lookup failed', { jobId, err: error });
+    return null;
   }
-
-  return trimmed; // Return as-is if can't parse
-}
-
-// Validate email format
-function validateEmail(email) {
-  if (!email || typeof email !== 'string') return null;
-  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-  return emailRegex.test(email.trim()) ? email.trim() : null;
+  return data;
 }
 
-// Fuzzy match string to closest option from array
-function fuzzyMatchToOptions(value, optionsArray, threshold = 0.7) {
-  if (!value || typeof value !== 'string') return null;
-
-  const valueLower = value.toLowerCase().trim();
-  const options = optionsArray.map(opt =>
-    typeof opt === 'string' ? opt : opt.value
-  ).filter(Boolean);
-
-  // Exact match (case-insensitive)
-  const exactMatch = options.find(opt => opt.toLowerCase() === valueLower);
-  if (exactMatch) return exactMatch;
+// ==========================================
+// LLM USAGE
+// ==========================================
 
-  // Partial match - find if value is contained in option or vice versa
-  const partialMatch = options.find(opt => {
-    const optLower = opt.toLowerCase();
-    return optLower.includes(valueLower) || valueLower.includes(optLower);
-  });
-  if (partialMatch) return partialMatch;
-
-  // Label-based partial match - check if value matches any option's label
-  const labelMatch = optionsArray
-    .filter(opt => typeof opt === 'object' && opt.value && opt.label)
-    .find(opt => {
-      const labelLower = opt.label.toLowerCase();
-      return labelLower.includes(valueLower) || valueLower.includes(labelLower);
-    });
-  if (labelMatch) return labelMatch.value;
-
-  // Common mappings for countries, proficiency synonyms, degrees
-  const commonMappings = {
-    // Countries
-    'usa': 'United States',
-    'uk': 'United Kingdom',
-    'uae': 'United Arab Emirates',
-    // Language proficiency synonyms not in any label
-    'mother tongue': 'Native',
-    'native': 'Native',
-    'native speaker': 'Native',
-    'langue maternelle': 'Native',
-    'muttersprache': 'Native',
-    'full professional proficiency': 'Fluent',
-    'courant': 'Fluent',
-    'fließend': 'Fluent',
-    'professional': 'Advanced',
-    'proficient': 'Advanced',
-    'professional working proficiency': 'Intermediate',
-    'limited working proficiency': 'Intermediate',
-    'conversational': 'Intermediate',
-    'working proficiency': 'Intermediate',
-    'professional working': 'Intermediate',
-    'elementary': 'Beginner',
-    'basic': 'Beginner',
-    'grundkenntnisse': 'Beginner',
-    'notions': 'Beginner',
-    // Degree type mappings
-    'master of science': 'MSc',
-    'master of arts': 'MA',
-    'master of engineering': 'MSc',
-    'master of law': 'MA',
-    'master of laws': 'MA',
-    'master of business administration': 'MBA',
-    'master of advanced studies': 'MAS',
-    'master of public administration': 'MA',
-    'master of finance': 'MSc',
-    'master of public health': 'MSc',
-    'master of education': 'MA',
-    'bachelor of science': 'BSc',
-    'bachelor of arts': 'BA',
-    'bachelor of engineering': 'BSc',
-    'bachelor of commerce': 'BSc',
-    'bachelor of technology': 'BSc',
-    'bachelor of laws': 'BA',
-    'bachelor of law': 'BA',
-    'llm': 'MA',
-    'llb': 'BA',
-    'mba': 'MBA',
-    'mas': 'MAS',
-    'btech': 'BSc',
-    'mtech': 'MSc',
-    'bcom': 'BSc',
-    'diplom': 'MSc',
-    'diplom-ingenieur': 'MSc',
-    'diplom-kaufmann': 'MSc',
-    'licence': 'BA',
-    'maîtrise': 'MSc',
-    'maitrise': 'MSc',
-    'postgraduate diploma': 'Certificate',
-    'graduate certificate': 'Certificate',
-    'postgraduate certificate': 'Certificate',
-    'doctor of philosophy': 'PhD',
-    'doctor of business administration': 'PhD',
-    'juris doctor': 'MA',
+/**
+ * Collect the model calls of a job for cv_parsing_jobs.llm_calls and the token and cost totals
+ * (and count them in the /metrics model call and token counters)
+ * @param {Array<object>} [previousCalls] - Calls already stored on the job (earlier attempts)
+ * @param {number|null} [attempt] - Attempt number added to each new call
+ */
+function createLlmUsageRecorder(previousCalls = [], attempt = null) {
+  const calls = [...previousCalls];
+  const sum = (key) => calls.reduce((total, call) => total + (call[key] || 0), 0);
+  return {
+    record: (call) => {
+      recordLlmCall(call);
+      calls.push(attempt === null ? call : { attempt, ...call });
+    },
+    columns: () => ({
+      llm_calls: calls,
+      prompt_tokens: sum('promptTokens'),
+      completion_tokens: sum('completionTokens'),
+      estimated_cost_usd: Math.round(sum('costUsd') * 1e6) / 1e6,
+    }),
   };
-  if (commonMappings[valueLower]) {
-    return commonMappings[valueLower];
-  }
-
-  return null; // No confident match
 }
 
-// Validate and correct a single field value based on its type and options
-function validateFieldValue(fieldName, value, optionsArray = null) {
-  if (value === null || value === undefined) return null;
-
-  // URL fields
-  if (['linkedinUrl', 'githubUrl', 'portfolioUrl', 'url'].includes(fieldName)) {
-    return validateAndCorrectUrl(value);
-  }
-
-  // Email field
-  if (fieldName === 'email') {
-    return validateEmail(value);
-  }
+// ==========================================
+// PARSE JOB PROCESSING
+// ==========================================
 
-  // Country code
-  if (fieldName === 'country_code') {
-    return validateAndCorrectCountryCode(value);
-  }
+// Pipeline stages recorded on the job row, in pipeline order (see GET /api/v1/jobs/:jobId)
+const JOB_STAGES = [
+  'downloading',
+  'picture_extraction',
+  'first_pass',
+  'second_pass',
+  'validation',
+  'inference',
+  'bio',
+  'summary',
+  'syncing',
+];
 
-  // Date fields
-  if (fieldName.toLowerCase().includes('date') || ['startDate', 'endDate'].includes(fieldName)) {
-    return validateAndCorrectDate(value);
+/**
+ * Track the stages of a job attempt in cv_parsing_jobs.current_stage / stage_timestamps
+ * enter() moves the main pipeline to a new stage and completes the previous one (and sets the
+ * stage of the log context); start() and finish() track work running alongside it (picture
+ * extraction). Writes are serialized and only applied while the worker holds the lease.
+ * Completed stages are observed in the /metrics stage duration histogram.
+ * Tracking failures are logged, never thrown.
+ * @param {string} jobId - Job ID
+ * @param {string} workerId - Worker holding the lease
+ */
+function createStageRecorder(jobId, workerId) {
+  const timestamps = {}; // stage -> { startedAt, completedAt?, failedAt? }
+  let currentStage = null;
+  let pendingWrite = Promise.resolve();
+  const now = () => new Date().toISOString();
+
+  function complete(stage) {
+    timestamps[stage].completedAt = now();
+    observeStageDuration(stage, Date.parse(timestamps[stage].completedAt) - Date.parse(timestamps[stage].startedAt));
   }
 
-  // Dropdown fields with options
-  if (optionsArray && optionsArray.length > 0) {
-    return fuzzyMatchToOptions(value, optionsArray);
+  function persist() {
+    const update = { current_stage: currentStage, stage_timestamps: structuredClone(timestamps) };
+    pendingWrite = pendingWrite
+      .then(() => supabase.from('cv_parsing_jobs').update(update).eq('id', jobId).eq('locked_by', workerId))
+      .then(({ error }) => {
+        if (error) throw error;
+      })
+      .catch(error => logger.error(`Failed to record stage ${update.current_stage}`, { jobId, err: error }));
   }
 
-  return value;
-}
-
-// Apply validation and correction to all extracted data
-function validateAndCorrectData(extractedData) {
-  const corrected = { ...extractedData };
-  const corrections = [];
-
-  // Validate URLs
-  ['linkedinUrl', 'githubUrl', 'portfolioUrl'].forEach(field => {
-    if (corrected[field]) {
-      const original = corrected[field];
-      corrected[field] = validateAndCorrectUrl(original);
-      if (corrected[field] !== original) {
-        corrections.push(`Added https:// to ${field}`);
+  return {
+    enter(stage) {
+      if (currentStage && !timestamps[currentStage].completedAt) {
+        complete(currentStage);
       }
-    }
-  });
-
-  // Validate email
-  if (corrected.email) {
-    const original = corrected.email;
-    corrected.email = validateEmail(original);
-    if (!corrected.email) {
-      corrections.push(`Removed invalid email: ${original}`);
-    }
-  }
+      currentStage = stage;
+      timestamps[stage] = { startedAt: now() };
+      setLogContext({ stage });
+      persist();
+    },
+    start(stage) {
+      timestamps[stage] = { startedAt: now() };
+      persist();
+    },
+    finish(stage) {
+      if (!timestamps[stage] || timestamps[stage].completedAt) return;
+      complete(stage);
+      persist();
+    },
+    // Mark every unfinished stage as failed (the attempt threw)
+    fail() {
+      for (const entry of Object.values(timestamps)) {
+        if (!entry.completedAt) entry.failedAt = now();
+      }
+      persist();
+    },
+    flush: () => pendingWrite,
+  };
+}
 
-  // Validate country code
-  if (corrected.country_code) {
-    const original = corrected.country_code;
-    corrected.country_code = validateAndCorrectCountryCode(original);
-    if (corrected.country_code !== original) {
-      corrections.push(`Added + to country code`);
-    }
+/**
+ * Process a parse job claimed from the queue, recording its stages on the job row
+ * Failures are thrown to the queue, which retries or fails the job.
+ * @param {object} job - Claimed cv_parsing_jobs row
+ * @param {string} workerId - Worker holding the lease
+ * @returns {Promise<boolean>} - false if the lease was lost before the result was stored
+ */
+async function processParsingJob(job, workerId) {
+  const stages = createStageRecorder(job.id, workerId);
+  const usage = createLlmUsageRecorder(job.llm_calls || [], job.attempts ?? null);
+  try {
+    return await runParsingPipeline(job, workerId, stages, usage);
+  } catch (error) {
+    stages.fail();
+    error.llmUsage = usage.columns(); // Stored with the failure — failed attempts cost tokens too
+    throw error;
+  } finally {
+    // Stage writes must land before the queue records the outcome and releases the lease
+    await stages.flush();
   }
+}
 
-  // Note: years_of_experience is calculated from work history, not validated from AI extraction
-
-  // Validate education history
-  if (Array.isArray(corrected.education_history)) {
-    corrected.education_history = corrected.education_history.map(edu => {
-      const resolvedDegreeType = validateFieldValue('degreeType', edu.degreeType, DEGREE_TYPE_OPTIONS);
-
-      // Guard: prevent Master-level degrees from being misclassified as Associate
-      // The fuzzy matcher's partial match can match "Master of Accounting" to "AS" because "mASter" contains "AS"
-      let finalDegreeType = resolvedDegreeType;
-      if (typeof edu.degreeType === 'string' && ['AA', 'AS', 'AAS'].includes(resolvedDegreeType)) {
-        const rawLower = edu.degreeType.toLowerCase();
-        const masterKeywords = ['master', 'msc', 'mba', 'llm', 'maîtrise', 'maitrise', 'diplom', 'mas'];
-        if (masterKeywords.some(kw => rawLower.includes(kw))) {
-          // Force MSc as safe default — the partial match in fuzzyMatchToOptions matched "AS"
-          // because "mASter" contains the substring "as". MSc is the correct default for
-          // any master-level degree that doesn't have a more specific commonMapping.
-          finalDegreeType = 'MSc';
-          corrections.push(`Corrected degreeType from ${resolvedDegreeType} to MSc (master-level degree)`);
+// Download, parse, store the result and sync profiles for a claimed job; false if the lease was lost
+async function runParsingPipeline(job, workerId, stages, usage) {
+  const { id: jobId, storage_path: storagePath, profile_id: profileId } = job;
+  const extractionProfile = job.extraction_profile || AUTO_EXTRACTION_PROFILE;
+
+  // For SetSelect: Extract userId from storagePath for profile picture
+  // Path format: {profileId}/cv.{ext}
+  const match = storagePath.match(/^([^\/]+)\//);
+  const userId = match ? match[1] : 'unknown';
+  const isQuickCV = false; // SetSelect doesn't use quick CV mode
+
+  // Download once, detect the real file type and look for a completed job with identical input
+  stages.enter('downloading');
+  const buffer = await downloadCV(storagePath);
+  const fileType = await identifyFileType(buffer, storagePath);
+  const contentHash = createHash('sha256').update(buffer).digest('hex');
+  const cacheKey = getResultCacheKey(contentHash, extractionProfile);
+  const cachedJob = ENABLE_RESULT_CACHE ? await findCachedResult(cacheKey, jobId) : null;
+  const cvInput = cachedJob ? null : await prepareBufferForParsing(buffer, fileType.detected); // OCRs scanned PDFs
+
+  await supabase.from('cv_parsing_jobs').update({
+    claimed_file_type: fileType.claimed,
+    detected_file_type: fileType.detected,
+    ocr_derived: cachedJob ? !!cachedJob.ocr_derived : !!cvInput.ocr,
+    ocr_confidence: cachedJob ? cachedJob.ocr_confidence ?? null : cvInput.ocr?.meanConfidence ?? null,
+    content_hash: contentHash,
+    cache_key: cacheKey,
+    cache_hit: !!cachedJob,
+    cached_from_job_id: cachedJob?.id ?? null
+  }).eq('id', jobId);
+
+  let extractedData;
+  let fieldConfidence;
+  let parsePath;
+  let profilePicturePath;
+
+  if (cachedJob) {
+    // Same file, prompts and models as an earlier job — skip OpenAI, but give this profile its own picture copy
+    logger.info(`Result cache hit — reusing extracted data from job ${cachedJob.id}`);
+    const { profile_picture_storage_path: cachedPicturePath, ...cachedData } = cachedJob.extracted_data;
+    extractedData = cachedData;
+    registerPersonalData(extractedData);
+    fieldConfidence = cachedJob.field_confidence;
+    parsePath = cachedJob.parse_path ?? null;
+
+    stages.start('picture_extraction');
+    profilePicturePath = cachedPicturePath ? await copyProfilePictureInStorage(cachedPicturePath, userId, isQuickCV) : null;
+    stages.finish('picture_extraction');
+  } else {
+    // Extract profile picture while the CV is parsed
+    [profilePicturePath, { extractedData, fieldConfidence, parsePath }] = await Promise.all([
+      runWithLogContext({ stage: 'picture_extraction' }, async () => {
+        stages.start('picture_extraction');
+        try {
+          return await extractProfilePicture(buffer, fileType.detected, userId, isQuickCV, usage.record);
+        } catch (pictureError) {
+          // Graceful degradation - don't fail parsing if picture extraction fails
+          logger.error('Profile picture extraction failed', { err: pictureError });
+          return null;
+        } finally {
+          stages.finish('picture_extraction');
         }
-      }
+      }),
+      parseCV(cvInput, jobId, { onStage: stages.enter, extractionProfile, onLlmCall: usage.record })
+    ]);
+    recordParsePath(parsePath);
 
-      return {
-        ...edu,
-        degreeType: finalDegreeType,
-        generalField: validateFieldValue('generalField', edu.generalField, GENERAL_FIELD_OPTIONS),
-        specificField: typeof edu.specificField === 'string' ? edu.specificField.trim() : null,
-        country: validateFieldValue('country', edu.country, COUNTRY_OPTIONS),
-        startDate: validateAndCorrectDate(edu.startDate),
-        endDate: validateAndCorrectDate(edu.endDate),
-      };
-    });
+    // Generate professional profile bio and short summary for card display
+    await addGeneratedSummaries(extractedData, jobId, stages.enter, usage.record);
   }
 
-  // Validate professional experience
-  if (Array.isArray(corrected.professional_experience)) {
-    corrected.professional_experience = corrected.professional_experience.map(exp => ({
-      ...exp,
-      positionType: validateFieldValue('positionType', exp.positionType, POSITION_TYPE_OPTIONS),
-      country: validateFieldValue('country', exp.country, COUNTRY_OPTIONS),
-      startDate: validateAndCorrectDate(exp.startDate),
-      endDate: validateAndCorrectDate(exp.endDate),
-    }));
+  // Add profile picture path to extracted data
+  if (profilePicturePath) {
+    extractedData.profile_picture_storage_path = profilePicturePath;
   }
 
-  // Validate skills
-  if (Array.isArray(corrected.technical_skills)) {
-    corrected.technical_skills = corrected.technical_skills.map(skill => ({
-      ...skill,
-      level: validateFieldValue('level', skill.level, SKILL_PROFICIENCY_OPTIONS),
-    }));
+  // Update job status to completed with extracted data — only while this worker still holds the lease.
+  // locked_by stays set (it records which worker produced the result) so the final stage write still applies.
+  stages.enter('syncing');
+  await stages.flush();
+  const llmUsage = usage.columns();
+  logger.info(`Model usage: ${llmUsage.llm_calls.length} call(s)`, {
+    promptTokens: llmUsage.prompt_tokens,
+    completionTokens: llmUsage.completion_tokens,
+    estimatedCostUsd: llmUsage.estimated_cost_usd,
+  });
+  const { data: completedJobs, error: updateError } = await supabase.from('cv_parsing_jobs').update({
+    status: 'completed',
+    extracted_data: extractedData,
+    field_confidence: fieldConfidence,
+    prompt_version: getPromptVersion(),
+    parse_path: parsePath,
+    cv_type: extractedData.cv_type ?? null, // Results cached before CV classification have none
+    cv_type_confidence: extractedData.cv_type_confidence ?? null,
+    cv_language: extractedData.cv_language ?? null,
+    ...llmUsage,
+    locked_until: null,
+    completed_at: new Date().toISOString()
+  }).eq('id', jobId).eq('locked_by', workerId).select('id');
+
+  if (updateError) {
+    logger.error('Failed to update job status', { err: updateError });
+    throw new Error(`Database update failed: ${updateError.message}`);
   }
-
-  if (Array.isArray(corrected.soft_skills)) {
-    // Filter out hard/domain skills that are never soft skills
-    const notSoftSkills = [
-      'project management', 'sales', 'budgeting', 'market analysis',
-      'business management', 'compliance', 'accounting', 'financial analysis',
-      'business development', 'marketing', 'operations management',
-      'supply chain', 'risk management', 'data analysis', 'quality management',
-    ];
-    corrected.soft_skills = corrected.soft_skills
-      .filter(skill => {
-        const nameLower = (skill.name || '').toLowerCase().trim();
-        const isBlocked = notSoftSkills.some(blocked => nameLower === blocked);
-        if (isBlocked) corrections.push(`Removed "${skill.name}" from soft_skills (domain/business skill)`);
-        return !isBlocked;
-      })
-      .map(skill => ({
-        ...skill,
-        level: validateFieldValue('level', skill.level, SKILL_PROFICIENCY_OPTIONS),
-      }));
+  if (completedJobs.length === 0) {
+    // Lease expired and another worker took over — its result wins, don't touch the profile
+    logger.warn('Lease lost before completion — discarding result');
+    return false;
   }
 
-  // Validate languages
-  if (Array.isArray(corrected.base_languages)) {
-    corrected.base_languages = corrected.base_languages.map(lang => {
-      const validatedProficiency = validateFieldValue('proficiency', lang.proficiency, LANGUAGE_PROFICIENCY_OPTIONS);
-      const result = { ...lang };
-      if (validatedProficiency && validatedProficiency !== 'None') {
-        result.proficiency = validatedProficiency;
-      } else {
-        delete result.proficiency;
-      }
-      return result;
-    });
-  }
+  await syncProfileTables(jobId, profileId, extractedData);
 
-  // Validate certifications dates
-  if (Array.isArray(corrected.certifications)) {
-    corrected.certifications = corrected.certifications.map(cert => ({
-      ...cert,
-      dateObtained: validateAndCorrectDate(cert.dateObtained),
-      expiryDate: validateAndCorrectDate(cert.expiryDate),
-      url: validateAndCorrectUrl(cert.url),
-    }));
-  }
+  stages.finish('syncing');
+  sendJobWebhook(jobId, { status: 'completed', extractedData }); // Not awaited — delivery retries in the background
+  logger.info('CV parsing completed successfully');
+  return true;
+}
 
-  // Validate job preferences
-  if (corrected.desired_duration_months) {
-    corrected.desired_duration_months = fuzzyMatchToOptions(
-      corrected.desired_duration_months,
-      DURATION_OPTIONS
-    );
-  }
+/**
+ * Copy parsed sections to user_profiles and the PII-free talent_profiles display row
+ * Failures are logged, not thrown — the parse result is already stored on the job.
+ * @param {string} jobId - Job ID for logging
+ * @param {string} profileId - Profile to update
+ * @param {object} extractedData - Final extracted data (with bio and summary)
+ */
+async function syncProfileTables(jobId, profileId, extractedData) {
+  // Update user_profiles with parsed data
+  const profileUpdateData = {};
 
-  if (Array.isArray(corrected.desired_locations)) {
-    corrected.desired_locations = corrected.desired_locations
-      .map(loc => fuzzyMatchToOptions(loc, LOCATION_OPTIONS))
-      .filter(Boolean);
+  if (extractedData.profile_bio) {
+    profileUpdateData.profile_bio = extractedData.profile_bio;
   }
-
-  if (Array.isArray(corrected.desired_industries)) {
-    corrected.desired_industries = corrected.desired_industries
-      .map(ind => fuzzyMatchToOptions(ind, INDUSTRY_PREFERENCE_OPTIONS))
-      .filter(Boolean);
+  if (extractedData.short_summary) {
+    profileUpdateData.short_summary = extractedData.short_summary;
   }
 
-  return { corrected, corrections };
-}
-
-// ==========================================
-// FIELD INFERENCE LOGIC
-// ==========================================
+  // For functional_expertise: merge user selections with parser-extracted expertise
+  // User selections are the source of truth
+  if (extractedData.functional_expertise && extractedData.functional_expertise.length > 0) {
+    // Fetch user's existing expertise selections from profile
+    const { data: existingProfile, error: fetchError } = await supabase
+      .from('user_profiles')
+      .select('functional_expertise')
+      .eq('id', profileId)
+      .single();
 
-// Calculate total work experience in months from experience array
-// Handles overlapping employment periods correctly (e.g., freelance + full-time)
-function calculateTotalWorkMonths(experiences) {
-  if (!Array.isArray(experiences) || experiences.length === 0) return 0;
+    if (!fetchError && existingProfile) {
+      const userExpertise = existingProfile.functional_expertise || [];
+      const parserExpertise = extractedData.functional_expertise;
 
-  // Step 1: Parse all valid date ranges
-  const ranges = [];
+      // Merge: user selections first (source of truth), parser supplements
+      const mergedExpertise = mergeFunctionalExpertise(userExpertise, parserExpertise);
 
-  for (const exp of experiences) {
-    if (!exp.startDate) {
-      // Log skipped entries for debugging
-      if (exp.positionName) {
-        console.log(`[calculateTotalWorkMonths] Skipping entry: missing startDate for "${exp.positionName}"`);
-      }
-      continue;
-    }
-
-    try {
-      const start = new Date(exp.startDate + '-01');
-
-      // Use current date if position is current, otherwise use endDate
-      let end;
-      if (exp.isCurrent === true) {
-        end = new Date(); // Still working here
-      } else if (exp.endDate && exp.endDate.toLowerCase() !== 'present') {
-        end = new Date(exp.endDate + '-01');
-      } else {
-        end = new Date(); // Default to current date
-      }
+      logger.debug('Functional expertise merged', {
+        jobId,
+        userSelected: userExpertise,
+        parserFound: parserExpertise,
+        merged: mergedExpertise,
+      });
 
-      // Validate date range
-      if (start <= end) {
-        ranges.push({ start, end });
-      } else {
-        console.log(`[calculateTotalWorkMonths] Skipping entry: invalid date range (start > end) for "${exp.positionName || 'unknown'}"`);
+      if (mergedExpertise.length > 0) {
+        profileUpdateData.functional_expertise = mergedExpertise;
       }
-    } catch (e) {
-      // Skip if dates are invalid
-      console.log(`[calculateTotalWorkMonths] Skipping entry: date parse error for "${exp.positionName || 'unknown'}"`);
-      continue;
-    }
-  }
-
-  if (ranges.length === 0) return 0;
-
-  // Step 2: Sort ranges by start date
-  ranges.sort((a, b) => a.start - b.start);
-
-  // Step 3: Merge overlapping ranges
-  const merged = [ranges[0]];
-
-  for (let i = 1; i < ranges.length; i++) {
-    const current = ranges[i];
-    const last = merged[merged.length - 1];
-
-    if (current.start <= last.end) {
-      // Overlapping period - extend the end date if needed
-      last.end = new Date(Math.max(last.end.getTime(), current.end.getTime()));
     } else {
-      // Non-overlapping period - add as new range
-      merged.push(current);
+      // No existing profile or error - just use parser expertise
+      const validParserExpertise = validateFunctionalExpertise(extractedData.functional_expertise);
+      if (validParserExpertise.length > 0) {
+        profileUpdateData.functional_expertise = validParserExpertise;
+      }
     }
   }
 
-  // Step 4: Calculate total months from merged ranges
-  let totalMonths = 0;
-
-  for (const range of merged) {
-    const months = (range.end.getFullYear() - range.start.getFullYear()) * 12
-                  + (range.end.getMonth() - range.start.getMonth());
-    totalMonths += Math.max(0, months);
+  if (extractedData.education_history) {
+    profileUpdateData.education_history = extractedData.education_history;
   }
-
-  return totalMonths;
-}
-
-// Convert months to years (integer)
-function calculateYearsFromMonths(months) {
-  if (typeof months !== 'number' || months < 0) return 0;
-  return Math.floor(months / 12); // Simple: 0, 1, 2, 3, 4, 5...
-}
-
-// Infer years of experience if missing or uncertain
-function inferYearsOfExperience(extractedData) {
-  // ALWAYS calculate from work history for accuracy (don't trust OpenAI extraction)
-  if (!extractedData.professional_experience || extractedData.professional_experience.length === 0) {
-    console.log('[inferYearsOfExperience] No professional experience found, returning 0');
-    return 0;
+  if (extractedData.professional_experience) {
+    profileUpdateData.professional_experience = extractedData.professional_experience;
   }
-
-  const totalMonths = calculateTotalWorkMonths(extractedData.professional_experience);
-  const years = calculateYearsFromMonths(totalMonths);
-  console.log(`[inferYearsOfExperience] Calculated ${totalMonths} months → ${years} years`);
-  return years;
-}
-
-// Extract unique countries from experience/education
-function extractUniqueCountries(items) {
-  if (!Array.isArray(items) || items.length === 0) return [];
-  const countries = items
-    .map(item => item?.country)
-    .filter(Boolean)
-    .filter((country, index, self) => self.indexOf(country) === index);
-  return countries;
-}
-
-// Infer desired locations from work history if missing
-function inferDesiredLocations(extractedData) {
-  if (extractedData.desired_locations && extractedData.desired_locations.length > 0) {
-    return extractedData.desired_locations; // Already has values
-  }
-
-  // Get countries from professional experience
-  const workCountries = extractUniqueCountries(extractedData.professional_experience || []);
-
-  // If only one country, likely wants to stay there
-  if (workCountries.length === 1) {
-    return workCountries;
+  if (extractedData.technical_skills) {
+    profileUpdateData.technical_skills = extractedData.technical_skills;
   }
 
-  return [];
-}
+  if (Object.keys(profileUpdateData).length > 0) {
+    const { error: profileUpdateError } = await supabase
+      .from('user_profiles')
+      .update(profileUpdateData)
+      .eq('id', profileId);
 
-// Infer position type from position name keywords
-function inferPositionType(positionName) {
-  if (!positionName) return null;
+    if (profileUpdateError) {
+      logger.error('Failed to update user profile', { jobId, err: profileUpdateError });
+      // Non-fatal - parsing still succeeded, just profile update failed
+    } else {
+      logger.info(`User profile updated with ${Object.keys(profileUpdateData).length} parsed fields`, { jobId });
+    }
 
-  const nameLower = positionName.toLowerCase();
+    // Also update talent_profiles (display-only, PII-free)
+    const displayData = { ...profileUpdateData };
 
-  if (/intern/i.test(nameLower)) return 'Internship';
-  if (/freelance|contractor|consultant/i.test(nameLower)) return 'Freelance / Contractor';
-  if (/part[- ]?time/i.test(nameLower)) return 'Part-time';
-  if (/volunteer/i.test(nameLower)) return 'Volunteer';
+    // Strip companyName from professional_experience entries
+    if (displayData.professional_experience && Array.isArray(displayData.professional_experience)) {
+      displayData.professional_experience = displayData.professional_experience.map(entry => {
+        const { companyName, ...rest } = entry;
+        return rest;
+      });
+    }
 
-  return 'Full-time'; // Default assumption
-}
+    const { error: displayUpdateError } = await supabase
+      .from('talent_profiles')
+      .update(displayData)
+      .eq('profile_id', profileId);
 
-// Apply inference logic to fill missing fields
-function applyInferenceLogic(extractedData) {
-  const inferred = { ...extractedData };
-  const inferences = [];
-
-  // Always recalculate years of experience from work history for accuracy
-  if (ENABLE_INFERENCE) {
-    const originalValue = inferred.years_of_experience;
-    inferred.years_of_experience = inferYearsOfExperience(inferred);
-    if (originalValue !== inferred.years_of_experience) {
-      inferences.push(`Calculated years_of_experience: ${inferred.years_of_experience} (was: ${originalValue || 'null'})`);
+    if (displayUpdateError) {
+      logger.error('Failed to update talent_profiles', { jobId, err: displayUpdateError });
+      // Non-fatal
     } else {
-      inferences.push(`Verified years_of_experience: ${inferred.years_of_experience}`);
+      logger.info(`talent_profiles updated with ${Object.keys(displayData).length} display fields`, { jobId });
     }
   }
-
-  // Infer desired locations
-  if (ENABLE_INFERENCE && (!inferred.desired_locations || inferred.desired_locations.length === 0)) {
-    const inferredLocations = inferDesiredLocations(inferred);
-    if (inferredLocations.length > 0) {
-      inferred.desired_locations = inferredLocations;
-      inferences.push(`Inferred desired_locations from work history`);
-    }
-  }
-
-  // Infer position types if missing
-  if (ENABLE_INFERENCE && Array.isArray(inferred.professional_experience)) {
-    inferred.professional_experience = inferred.professional_experience.map(exp => {
-      if (!exp.positionType) {
-        const inferred_type = inferPositionType(exp.positionName);
-        if (inferred_type) {
-          inferences.push(`Inferred positionType for ${exp.positionName}: ${inferred_type}`);
-        }
-        return { ...exp, positionType: inferred_type };
-      }
-      return exp;
-    });
-  }
-
-  return { inferred, inferences };
 }
 
-// ==========================================
-// FUNCTIONAL EXPERTISE MERGE LOGIC
-// ==========================================
-
 /**
- * Validates and filters functional expertise to only valid categories
- * @param {Array} expertise - Array of expertise strings from parser or user
- * @returns {Array} - Filtered array of valid expertise categories
+ * Record a re-parse result as a new completed job for the profile
+ * The row is inserted as processing (under a lease, so queue workers leave it alone) and then
+ * completed, so the sync trigger runs exactly as for queued jobs.
+ * @returns {Promise<string>} - ID of the new job
  */
-function validateFunctionalExpertise(expertise) {
-  if (!Array.isArray(expertise)) return [];
+async function storeReparsedResult({ profileId, sourceJob, buffer, fileType, cvInput, extractedData, fieldConfidence, parsePath, usage, model, instructions, extractionProfile }) {
+  const leaseOwner = `reparse-${randomUUID().slice(0, 8)}`;
+  const contentHash = createHash('sha256').update(buffer).digest('hex');
+  const overridden = !!(model || instructions);
+
+  const { data: job, error: insertError } = await supabase.from('cv_parsing_jobs').insert({
+    profile_id: profileId,
+    status: 'processing',
+    storage_path: sourceJob.storage_path,
+    attempts: 1,
+    max_attempts: 1,
+    locked_by: leaseOwner,
+    locked_until: new Date(Date.now() + JOB_VISIBILITY_TIMEOUT_MS).toISOString(),
+    started_at: new Date().toISOString(),
+    claimed_file_type: fileType.claimed,
+    detected_file_type: fileType.detected,
+    ocr_derived: !!cvInput.ocr,
+    ocr_confidence: cvInput.ocr?.meanConfidence ?? null,
+    content_hash: contentHash,
+    cache_key: overridden ? null : getResultCacheKey(contentHash, extractionProfile), // Overridden results must never be served from the cache
+    extraction_profile: extractionProfile,
+    reparse_of_job_id: sourceJob.id,
+    parse_overrides: overridden
+      ? { model: model || null, instructionsHash: instructions ? createHash('sha256').update(instructions).digest('hex').slice(0, 12) : null }
+      : null
+  }).select('id').single();
+
+  if (insertError) {
+    throw new Error(`Failed to create re-parse job: ${insertError.message}`);
+  }
 
-  return expertise.filter(item =>
-    typeof item === 'string' &&
-    FUNCTIONAL_EXPERTISE_OPTIONS.includes(item)
-  );
+  const { error: updateError } = await supabase.from('cv_parsing_jobs').update({
+    status: 'completed',
+    extracted_data: extractedData,
+    field_confidence: fieldConfidence,
+    prompt_version: instructions ? null : getPromptVersion(), // Custom instructions are identified by parse_overrides
+    parse_path: parsePath,
+    cv_type: extractedData.cv_type,
+    cv_type_confidence: extractedData.cv_type_confidence,
+    cv_language: extractedData.cv_language,
+    ...usage.columns(),
+    locked_until: null,
+    completed_at: new Date().toISOString()
+  }).eq('id', job.id).eq('locked_by', leaseOwner);
+
+  if (updateError) {
+    throw new Error(`Failed to store re-parse result: ${updateError.message}`);
+  }
+  return job.id;
 }
 
 /**
- * Merges user-selected expertise with parser-extracted expertise
- * User selections are the source of truth; parser supplements up to max of 8 total
- *
- * @param {Array} userExpertise - User-selected expertise from form (source of truth)
- * @param {Array} parserExpertise - Parser-extracted expertise from CV
- * @returns {Array} - Merged expertise array (max 8 items)
+ * Notify the job's callback URL (or WEBHOOK_URL) that a job completed or failed for good
+ * Runs in the background: delivery retries with backoff and every attempt is written to
+ * cv_parsing_webhook_deliveries. Never throws.
+ * @param {string} jobId - Job ID
+ * @param {object} outcome
+ * @param {'completed'|'failed'} outcome.status
+ * @param {string|null} [outcome.errorCode]
+ * @param {object|null} [outcome.extractedData] - Completed jobs only
  */
-function mergeFunctionalExpertise(userExpertise, parserExpertise) {
-  const MAX_EXPERTISE = 8;
-
-  // Validate both inputs
-  const validUserExpertise = validateFunctionalExpertise(userExpertise);
-  const validParserExpertise = validateFunctionalExpertise(parserExpertise);
+async function sendJobWebhook(jobId, { status, errorCode = null, extractedData = null }) {
+  try {
+    const { data: job, error } = await supabase
+      .from('cv_parsing_jobs')
+      .select('profile_id, callback_url')
+      .eq('id', jobId)
+      .maybeSingle();
+    if (error) throw error;
+
+    const url = job?.callback_url || WEBHOOK_URL;
+    if (!url) return;
+    if (!WEBHOOK_SECRET) {
+      logger.warn('Webhook not sent — WEBHOOK_SECRET is not configured', { jobId });
+      return;
+    }
 
-  // Start with user selections (source of truth)
-  const merged = [...validUserExpertise];
+    const event = `parse.${status}`;
+    const result = await deliverWebhook({
+      url,
+      event,
+      data: {
+        jobId,
+        profileId: job?.profile_id || null,
+        status,
+        errorCode,
+        counts: extractedData ? countExtractedEntries(extractedData) : null,
+      },
+      secret: WEBHOOK_SECRET,
+      maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+      retryBaseDelayMs: WEBHOOK_RETRY_BASE_DELAY_MS,
+      timeoutMs: WEBHOOK_TIMEOUT_MS,
+      onAttempt: async ({ deliveryId, attempt, statusCode, success, error: deliveryError, durationMs }) => {
+        const { error: logError } = await supabase.from('cv_parsing_webhook_deliveries').insert({
+          delivery_id: deliveryId,
+          job_id: jobId,
+          url,
+          event,
+          attempt,
+          status_code: statusCode,
+          success,
+          error: deliveryError,
+          duration_ms: durationMs
+        });
+        if (logError) {
+          logger.error('Failed to log webhook delivery', { jobId, err: logError });
+        }
+      },
+    });
 
-  // Add parser expertise that isn't already in user selections (up to max)
-  for (const expertise of validParserExpertise) {
-    if (merged.length >= MAX_EXPERTISE) break;
-    if (!merged.includes(expertise)) {
-      merged.push(expertise);
+    if (result.delivered) {
+      logger.info(`Webhook ${event} delivered (attempt ${result.attempts})`, { jobId });
+    } else {
+      logger.error(`Webhook ${event} delivery failed after ${result.attempts} attempt(s)`, { jobId });
     }
+  } catch (error) {
+    logger.error('Webhook failed', { jobId, err: error });
   }
-
-  return merged;
 }
 
-// ==========================================
-// OPENAI PARSING PROMPTS
-// ==========================================
-
-// Get parsing instructions (rules + JSON schema) — shared between PDF and DOCX paths
-function getParsingInstructions() {
-  // Dynamically generate all possible option strings
-  const countries = getOptionsString(COUNTRY_OPTIONS);
-  const generalFields = getOptionsString(GENERAL_FIELD_OPTIONS);
-  const degreeTypes = getOptionsString(DEGREE_TYPE_OPTIONS);
-  const positionTypes = getOptionsString(POSITION_TYPE_OPTIONS);
-  const languageProficiencies = getOptionsString(LANGUAGE_PROFICIENCY_OPTIONS);
-  const skillLevels = getOptionsString(SKILL_PROFICIENCY_OPTIONS);
-  const durations = getOptionsString(DURATION_OPTIONS);
-  const jobTypes = getOptionsStringForSimpleArray(JOB_TYPE_OPTIONS);
-  const locations = getOptionsString(LOCATION_OPTIONS);
-  const industries = getOptionsString(INDUSTRY_PREFERENCE_OPTIONS);
-
-  const jsonStructure = `
-  {
-    "contact_first_name": "string | null",
-    "contact_last_name": "string | null",
-    "email": "string | null",
-    "country_code": "string (e.g., '+41', '+1') | null",
-    "phoneNumber": "string (local part only, without country code) | null",
-    "contact_address": {
-      "street": "string | null",
-      "city": "string | null",
-      "state": "string | null",
-      "country": "string (${countries}) | null",
-      "zip": "string | null"
-    } | null,
-    "linkedinUrl": "string (full URL) | null",
-    "githubUrl": "string (full URL) | null",
-    "portfolioUrl": "string (full URL) | null",
-    "years_of_experience": "number (integer, e.g., 0, 1, 2, 3, 5, 10) | null",
-    "education_history": [{
-      "universityName": "string",
-      "degreeType": "string (${degreeTypes}) | null",
-      "generalField": "string (${generalFields}) | null",
-      "specificField": "string (exact field of study from CV, e.g. 'Computer Science', 'Commodities Trading', 'International Hospitality Management') | null",
-      "overallGrade": "string (e.g., 'First Class Honours', 'Magna Cum Laude', 'GPA 3.8/4.0') | null",
-      "overallGradeValue": "string (numeric value, e.g., '3.8') | null",
-      "overallGradeMax": "string (max value, e.g., '4.0') | null",
-      "startDate": "YYYY-MM | null",
-      "endDate": "YYYY-MM | null",
-      "city": "string | null",
-      "country": "string (${countries}) | null",
-      "isCurrent": "boolean | null",
-      "thesisProjectName": "string | null",
-      "thesisProjectDescription": "string | null",
-      "relevantCoursework": ["string"] | null
-    }],
-    "professional_experience": [{
-      "positionName": "string",
-      "position_short": "string (normalized job title for display, max 30 chars - see POSITION NORMALIZATION below)",
-      "companyName": "string",
-      "company_type": "string (concise industry classification, 2-4 words max - see COMPANY TYPE CLASSIFICATION below)",
-      "positionType": "string (${positionTypes}) | null",
-      "experienceType": "'industrial' | 'academic' | null",
-      "description": "string (brief job description if available) | null",
-      "raw_bullet_points": ["string (each bullet point/achievement as-is from CV)"] | null,
-      "startDate": "YYYY-MM | null",
-      "endDate": "YYYY-MM or 'Present' | null",
-      "city": "string | null",
-      "country": "string (${countries}) | null",
-      "isCurrent": "boolean | null"
-    }],
-    "technical_skills": [{ "name": "string", "level": "${skillLevels}" }],
-    "soft_skills": [{ "name": "string", "level": "${skillLevels}" }], // Infer from experience descriptions — see Rule 11. Empty arrays are almost never correct for experienced professionals.
-    "industry_specific_skills": [{ "industry": "string (industry/sector context, e.g. 'Investment Banking', 'Energy Trading', 'Pharmaceuticals', 'Management Consulting')", "name": "string", "level": "${skillLevels}" }], // Domain expertise, methodologies, business knowledge — see Rule 11. Empty arrays are almost never correct for experienced professionals.
-    "base_languages": [{ "language": "string", "proficiency": "${languageProficiencies}" }],
-    "certifications": [{
-      "name": "string",
-      "issuer": "string | null",
-      "dateObtained": "YYYY-MM | null",
-      "expiryDate": "YYYY-MM | null",
-      "credentialId": "string | null",
-      "url": "string (verification URL) | null"
-    }],
-    "professional_interests": ["string"],
-    "extracurricular_activities": [{ "organization": "string", "role": "string | null", "achievement": "string | null" }],
-    "base_projects": [{
-      "projectName": "string",
-      "description": "string | null",
-      "technologies": ["string"] | null,
-      "link": "string (project URL) | null"
-    }],
-    "working_capacity_percent": "number (0-100) | null",
-    "available_from_date": "YYYY-MM-DD | null",
-    "desired_duration_months": "string (${durations}) | null",
-    "desired_job_types": ["string e.g., (${jobTypes})"],
-    "desired_locations": ["string e.g., (${locations})"],
-    "desired_industries": ["string e.g., (${industries})"],
-    "functional_expertise": ["string - extract from CV, see rule 15"]
-  }
-  `;
-
-  return `
-You are an expert CV data extraction assistant. Your goal is to extract as much structured information as possible from CVs to save users time filling out their profiles. You MUST output ALL extracted text in English. If the CV is in any other language, translate all text fields to English while preserving the exact meaning, structure, and level of detail. Proper nouns (company names, university names, person names, specific certification titles) remain unchanged.
-
-CRITICAL EXTRACTION RULES:
-
-1. **RETURN VALID JSON ONLY** - Your response must be ONLY a valid JSON object matching the structure below.
-
-2. **NO INVENTED DATA** - Only extract information that exists in the CV. Use null for missing data.
-
-3. **EXTRACT RAW BULLET POINTS** - For each job in professional_experience, extract ALL bullet points, achievements, and responsibilities EXACTLY as they appear in the CV. Put each bullet point as a separate string in the "raw_bullet_points" array. Do NOT convert to any specific format - keep them as-is.
-
-3b. **STANDALONE ACHIEVEMENTS** - If the CV has a separate "Achievements" or "Key Achievements" section not tied to a specific job, include these achievements in the raw_bullet_points of the MOST RELEVANT job (typically the most recent/current position), prefixed with "[Achievement] " to distinguish them from regular responsibilities.
-
-4. **URL FORMATTING** - All URLs (linkedinUrl, githubUrl, portfolioUrl, certification URLs, project links) MUST include the full https:// prefix.
-
-5. **PHONE NUMBER SPLITTING** - Split phone numbers into two parts:
-   - country_code: International prefix with + (e.g., '+41', '+1', '+49')
-   - phoneNumber: Local number only (e.g., '79 123 45 67')
-
-6. **DATE STANDARDIZATION** - All dates must be in YYYY-MM format (e.g., '2020-01', '2023-06'). Use 'Present' for current positions.
+// Extra columns stored when a job attempt fails
+function getJobFailureDetails(error) {
+  return {
+    validation_issues: error.validationIssues || null,
+    ...error.llmUsage,
+    ...(error.fileType && {
+      claimed_file_type: error.fileType.claimed,
+      detected_file_type: error.fileType.detected
+    })
+  };
+}
 
-7. **DROPDOWN VALUE MAPPING** - For fields with predefined options (country, degreeType, positionType, skill levels, etc.), you MUST map the CV text to the CLOSEST matching option from the provided list. If no confident match exists, use null.
+const jobQueue = createJobQueue({
+  supabase,
+  handler: processParsingJob,
+  isRetryable: isRetryableError,
+  getFailureDetails: getJobFailureDetails,
+  onFailed: (job, error) => sendJobWebhook(job.id, { status: 'failed', errorCode: error.code || null }),
+  onOutcome: (outcome, error) => recordJobOutcome(outcome, error?.code),
+  concurrency: QUEUE_CONCURRENCY,
+  pollIntervalMs: QUEUE_POLL_INTERVAL_MS,
+  visibilityTimeoutMs: JOB_VISIBILITY_TIMEOUT_MS,
+  retryBaseDelayMs: JOB_RETRY_BASE_DELAY_MS,
+});
+setInFlightJobsSource(jobQueue.inFlightCount);
 
-8. **ADDRESS EXTRACTION** - Extract full address details into the contact_address object (street, city, state, country, zip).
+const readiness = createReadinessCheck({
+  supabase,
+  models: { parsing: OPENAI_MODEL_PARSING, vision: OPENAI_MODEL_VISION, summary: OPENAI_MODEL_SUMMARY },
+  modelCheckIntervalMs: READY_MODEL_CHECK_INTERVAL_MS,
+  modelRetryIntervalMs: READY_MODEL_RETRY_INTERVAL_MS,
+});
 
-9. **CERTIFICATIONS** - Extract all professional certifications, licenses, and credentials with as much detail as available.
+// ==========================================
+// API ENDPOINTS
+// ==========================================
 
-10. **PROJECTS** - Extract personal projects, portfolio projects, or significant academic projects with technologies used.
+// Health check endpoint — the process is up; /ready checks its dependencies
+app.get('/health', (req, res) => {
+  res.json({
+    status: 'ok',
+    timestamp: new Date().toISOString(),
+    uptime: process.uptime(),
+    service: SERVICE_NAME,
+    version: SERVICE_VERSION,
+  });
+});
 
-11. **SKILLS CLASSIFICATION** - Use the "Tool vs. Trait vs. Domain" test for EVERY skill:
-    - **technical_skills** = TOOLS: Software, programming languages, frameworks, platforms, and technical tools the person uses to do their work.
-      Examples: Python, Excel, Bloomberg, SQL, Tableau, SAP, AutoCAD, MATLAB.
-      NOT technical: Financial Modeling, Project Management, Trade Surveillance, Risk Analysis, Market Research, Supply Chain Management — these are domain expertise, not tools.
-    - **soft_skills** = TRAITS: Interpersonal and behavioral competencies — how someone works, not what they work on.
-      Examples: Leadership, Communication, Teamwork, Problem Solving, Negotiation, Mentoring, Adaptability, Relationship Management, Collaboration, Analytical Thinking, Attention to Detail, Time Management, Conflict Resolution.
-      NOT soft skills: Project Management, Sales, Budgeting, Market Analysis, Business Development, Compliance, Accounting, Financial Analysis, Operations Management, Data Analysis — these are domain/business skills.
-    - **industry_specific_skills** = DOMAIN: Business knowledge, methodologies, sector-specific expertise, and professional competencies that define what the person knows about their industry.
-      For the "industry" field, write the specific industry/sector context (e.g., 'Energy Trading', 'Wealth Management', 'Biotech R&D'). Be specific — don't use generic terms like 'Finance' when 'Commodity Derivatives' is more accurate.
-      Examples: Financial Modeling, Derivatives & Hedging, Risk Management, Portfolio Optimization, Regulatory Compliance, Trade Surveillance, Supply Chain Management, Market Analysis, Business Strategy, M&A, Audit, Tax Advisory, Clinical Research, Drug Development.
+// Shared API key check for internal endpoints
+function requireInternalApiKey(req, res, next) {
+  const providedKey = req.headers['x-internal-api-key'];
+  if (!INTERNAL_API_KEY || providedKey !== INTERNAL_API_KEY) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  next();
+}
 
-    **Inference principles for soft_skills** — Do NOT rely only on explicit "Skills" sections. Actively scan experience descriptions for behavioral evidence:
-    - Evidence of leading people or teams → Leadership
-    - Evidence of managing stakeholders, clients, or relationships → Relationship Management, Communication
-    - Evidence of cross-functional work or collaboration → Collaboration, Teamwork
-    - Evidence of mentoring, coaching, or training others → Mentoring
-    - Evidence of negotiating deals, contracts, or agreements → Negotiation
-    - Evidence of solving complex problems or analytical work → Problem Solving, Analytical Thinking
-    - Evidence of presenting to boards, committees, or conferences → Communication, Presentation Skills
-    - **Seniority heuristic (management roles only):** If the candidate manages people or stakeholders in a Director, VP, Head, C-level, or Partner role, infer Leadership, Communication, and Relationship Management unless contradicted by the CV. This does NOT apply to senior individual contributors (researchers, traders, engineers) without people management evidence.
+// Prometheus metrics of this instance (see lib/metrics.js). Prometheus sends the internal API key as
+// a bearer token (authorization.credentials in the scrape config); X-Internal-API-Key works too.
+app.get('/metrics', (req, res) => {
+  const bearerToken = req.headers.authorization?.match(/^Bearer (.+)$/)?.[1];
+  const providedKey = req.headers['x-internal-api-key'] || bearerToken;
+  if (!INTERNAL_API_KEY || providedKey !== INTERNAL_API_KEY) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+  res.set('Content-Type', METRICS_CONTENT_TYPE).send(renderMetrics());
+});
 
-    **Inference principles for industry_specific_skills** — Scan job titles, responsibilities, and achievements for domain expertise:
-    - A trader's strategies and instruments → their trading domain skills
-    - A risk analyst's frameworks and methodologies → risk management skills
-    - An accountant's specializations → audit, tax, financial reporting skills
-    - A consultant's practice areas → their advisory domain skills
+// Readiness endpoint — environment, database columns, storage buckets and models (see lib/readiness.js).
+// 200 when ready, 503 otherwise; the full report only with the internal API key, as provider errors
+// can echo parts of credentials.
+app.get('/ready', async (req, res) => {
+  const report = await readiness.run();
+  const authorized = INTERNAL_API_KEY && req.headers['x-internal-api-key'] === INTERNAL_API_KEY;
+  res.status(report.status === 'ready' ? 200 : 503).json(authorized
+    ? { service: SERVICE_NAME, version: SERVICE_VERSION, ...report }
+    : { status: report.status, failed: report.failed });
+});
 
-    **Quantity expectations:** Aim for 3-8 soft skills and 3-10 industry-specific skills for experienced professionals (5+ years). However, ONLY include skills with clear evidence in the CV — do not invent skills to fill a quota. For junior profiles or very brief CVs, fewer skills are acceptable.
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
-11b. **DEGREE TYPE CLASSIFICATION** - Use this two-step decision tree to classify degreeType:
+// Check that a value is an absolute http(s) URL (webhook callbacks)
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
 
-    **Step 1 — Determine the LEVEL of the degree:**
-    - Doctoral (PhD, DPhil, Dr., Doctorate, EdD, DBA) → 'PhD'
-    - Master-level → Go to Step 2
-    - Bachelor-level (Bachelor, BTech, BCom, Licence [French 3-year]) → 'BSc' for STEM/Business, 'BA' for Arts/Humanities/Social Sciences
-    - Secondary school (Matura, Abitur, A-Levels, High School Diploma, Baccalauréat) → match the specific type from the options
-    - Sub-bachelor vocational / 2-year programs → match the specific type from the options
+// Run a route handler in its own log context, so setLogContext() in the handler only labels this request's lines
+function withRequestLogContext(handler) {
+  // Express 4 ignores rejected promises — pass them on to the error handler instead of crashing the process
+  return (req, res, next) => runWithLogContext({ jobId: null }, () => Promise.resolve(handler(req, res, next)).catch(next));
+}
 
-    **Step 2 — For master-level degrees, map by specialization:**
-    - MBA (Master of Business Administration, Executive MBA) → 'MBA'
-    - MAS (Master of Advanced Studies — a Swiss/European continuing education degree) → 'MAS'
-    - MSc (Master of Science, Master of Engineering, MTech, technical/quantitative fields) → 'MSc'
-    - MA (Master of Arts, humanities, social sciences, education) → 'MA'
-    - If unclear whether MSc or MA, default to 'MSc' for STEM/Business fields and 'MA' for Arts/Humanities.
-
-    **International equivalences (CRITICAL):**
-    - French: Master 1, Master 2, Maîtrise → 'MSc' or 'MA' by field. Grande École diploma → 'MSc'. French Licence = 3-year bachelor → 'BA' or 'BSc'. Do NOT confuse Licence with professional licenses (CPA, CFA) which are certifications.
-    - German: Diplom, Diplom-Ingenieur, Diplom-Kaufmann → 'MSc' (master-equivalent). Vordiplom → 'BSc'.
-    - Indian: BTech → 'BSc', MTech → 'MSc', BCom → 'BSc'.
-    - Law: LLB → 'BA', LLM → 'MA', JD → 'MA'.
-    - Engineering diplomas: 'BSc' minimum, 'MSc' if 5-year integrated program.
-    - Postgraduate Diploma / Graduate Certificate → 'Certificate'.
-
-    **specificField** — For ALL education entries, write the exact field of study or program name from the CV as free text (e.g., "Computer Science", "Commodities Trading", "International Hospitality Management"). Do not map to a dropdown. For **generalField**, categorize into one of the provided broad categories.
-
-    **For certificate-type degrees** (Certificate, CAS, DAS, Federal Diploma): set generalField to null. Also add the certificate to the certifications array with its full name.
-
-    **WARNING: AS (Associate of Science) and AA (Associate of Arts) are ONLY for US-style 2-year community college degrees. Do NOT assign Associate degrees to European, Asian, or other international qualifications.**
-
-12. **EDUCATION DETAILS** - Extract grades, GPA, class rank, thesis information, and relevant coursework when available.
-
-13. **JOB PREFERENCES** - If the CV mentions career goals, desired roles, preferred locations, or availability, extract this into the desired_* fields.
-
-14. **BOOLEAN FIELDS** - Set isCurrent to true for ongoing education or current positions.
-
-15. **FUNCTIONAL EXPERTISE EXTRACTION** - Use a two-step approach for functional expertise (for commodities/energy/finance talent):
-
-    **Step 1 - Check for explicit mentions:** First, look for explicitly stated expertise in sections like:
-    - "Core Competencies:", "Expertise:", "Areas of Expertise:", "Key Skills:", "Functional Skills:"
-    - Skills summaries or executive summaries that explicitly list expertise areas
-
-    **Step 2 - Intelligent inference (if not explicit):** If expertise is NOT specifically stated, intelligently determine it from context:
-    - Analyze job titles (e.g., "Risk Analyst" → Risk Management, "Trading Desk Lead" → Trading + Leadership)
-    - Analyze responsibilities and achievements
-    - Consider education background for technical expertise
-    - Example: "Managed VaR models and credit exposure analysis" → Risk Management
-    - Example: "Built real-time pricing engine in Python" → Technology + Engineering
-    - Example: "Led team of 15 traders" → Leadership + Trading
-    - Example: "Structured commodity derivatives" → Trading + Quantitative Analysis
-
-    **Valid categories (select ONLY from this list):**
-    Trading, Risk Management, Quantitative Analysis, Technology, Operations, Finance, Leadership, Legal, Compliance, Research, Analytics, Engineering
-
-    Return 1-8 categories maximum. Prioritize most relevant based on career focus and seniority.
-
-16. **COMPANY TYPE CLASSIFICATION** - For each job in professional_experience, classify the company into a concise industry category (2-4 words max).
-
-    **Classification Guidelines:**
-    - Use the most commonly recognized industry term for the company type
-    - Be specific but not overly granular (e.g., "Trading House" not "Commodity Trading Company")
-    - For well-known companies, use standard industry classifications
-    - For less-known companies, classify based on the company's primary business activity and industry sector
-
-    **Common Classifications (examples, not exhaustive):**
-    - "Investment Bank" (Goldman Sachs, Morgan Stanley, JP Morgan)
-    - "Major Bank" (UBS, Credit Suisse, Deutsche Bank, HSBC)
-    - "Trading House" (Trafigura, Vitol, Glencore, Gunvor, Mercuria)
-    - "Oil & Gas Major" (Shell, BP, TotalEnergies, ExxonMobil)
-    - "Utility" (Axpo, Alpiq, E.ON, RWE, Engie)
-    - "Mining Company" (BHP, Rio Tinto, Vale)
-    - "Asset Manager" (BlackRock, Vanguard, PIMCO)
-    - "Hedge Fund" (Citadel, Bridgewater, Two Sigma)
-    - "Private Equity" (KKR, Blackstone, Carlyle)
-    - "Big 4 / Accounting" (Deloitte, PwC, KPMG, EY)
-    - "Tech Company" (Google, Microsoft, Meta)
-    - "Renewable Energy" (Ørsted, Vestas, First Solar)
-
-    **Consultancy - BE SPECIFIC (avoid generic "Consulting"):**
-    - "Management Consultancy" (Accenture, McKinsey, BCG, Bain, Roland Berger, Oliver Wyman)
-    - "Strategy Consultancy" (McKinsey, BCG, Bain - for pure strategy roles)
-    - "Tech Consultancy" (Accenture, Capgemini, Infosys, Wipro, TCS - for tech-focused roles)
-
-    **Academic/Research - BE SPECIFIC (avoid generic "Academic"):**
-    - "University" (ETH Zurich, MIT, Stanford, Oxford, any university)
-    - "Research Institute" (Max Planck, Fraunhofer, CERN)
-    - "Think Tank" (Brookings, RAND)
-
-    **Important:** You are NOT limited to these categories - classify dynamically based on your knowledge of the company. But AVOID generic terms like "Consulting" or "Academic" - always use more specific classifications.
-
-17. **POSITION NORMALIZATION** - For each job, create a normalized short title for display (max 30 characters).
-
-    **Normalization Rules:**
-    1. Remove company-specific levels (III, L5, Grade 2, Band 7)
-    2. Use standard abbreviations: Senior → Sr., Junior → Jr., Vice President → VP, Managing Director → MD
-    3. Remove redundant words: "of", "for", "the", "and", "in" where possible
-    4. Keep the core role identity clear
-    5. Max 30 characters - truncate intelligently if needed
-
-    **Examples:**
-    - "Senior Vice President of Global Risk Management" → "SVP Risk Management"
-    - "Software Engineer III" → "Sr. Software Engineer"
-    - "Junior Python Backend Developer" → "Jr. Backend Developer"
-    - "Associate Director, Trading Operations" → "Assoc. Director Trading"
-    - "Head of Quantitative Research and Development" → "Head of Quant Research"
-    - "L5 Software Development Engineer" → "Sr. Software Engineer"
-    - "Managing Director - Commodities Trading" → "MD Commodities Trading"
-
-    **Keep these unchanged** (already short/standard):
-    - Analyst, Associate, Trader, Developer, Engineer, Manager, Director, VP, SVP, MD, Partner
-
-    **Student/Extracurricular roles - simplify:**
-    - "Co-organizer Online Contest" → "Event Organizer"
-    - "President of Student Association" → "Student President"
-    - "Vice President of Finance Club" → "VP Finance Club"
-    - "Teaching Assistant" → "Teaching Assistant" (keep as-is)
-    - "Research Assistant" → "Research Assistant" (keep as-is)
-
-18. **LANGUAGE PROFICIENCY MAPPING** - Map language proficiency levels from CVs to these exact values:
-    - Native / Mother tongue / Muttersprache / Langue maternelle → 'Native'
-    - Fluent / C2 / Proficient / Courant / Fließend / Full professional proficiency → 'Fluent'
-    - Advanced / Professional working proficiency / Avancé / Fortgeschritten / C1 → 'Advanced'
-    - Intermediate / Conversational / Working proficiency / Limited working proficiency / Intermédiaire / Grundkenntnisse / B1-B2 → 'Intermediate'
-    - Beginner / Elementary / Basic / Notions / Anfänger / A1-A2 → 'Beginner'
-    Always use the exact value string (e.g., 'Native', 'Fluent', not 'C2').
-
-    **Default behavior when proficiency is not stated:**
-    - Candidate's home country language (inferred from nationality/address) → 'Native'
-    - Language of education (university degree taught in that language) → 'Advanced'
-    - Other mentioned languages with no level → 'Intermediate'
-    If you truly cannot determine proficiency from any context, use 'Intermediate' rather than null.
-
-    **Language inference:** If no explicit Languages section exists, still extract languages where there is clear evidence: the candidate's apparent native language (from name/country), and any language in which they demonstrably worked or studied (e.g., English-language education, work in English-speaking countries).
-
-EXPECTED JSON OUTPUT STRUCTURE:
-${jsonStructure}`;
+// Accept a single CV upload in memory (multipart field "file")
+function acceptCvUpload(req, res, next) {
+  upload.single('file')(req, res, (err) => {
+    if (err) {
+      const status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      return res.status(status).json({ error: `Invalid upload: ${err.message}` });
+    }
+    next();
+  });
 }
 
-// Create text-based parsing prompt for DOCX HTML or plain text content
-function createTextParsingPrompt(content, format = 'html') {
-  if (!content || typeof content !== 'string') {
-    throw new Error('Invalid content provided for parsing');
+// Preview endpoint — parses an uploaded file synchronously without touching the database or storage
+// Accepts multipart/form-data (field "file") or JSON { fileName, fileBase64 }
+app.post('/api/v1/parse/preview', requireInternalApiKey, acceptCvUpload, withRequestLogContext(async (req, res) => {
+  let buffer;
+  let fileName;
+
+  if (req.file) {
+    buffer = req.file.buffer;
+    fileName = req.file.originalname;
+  } else if (req.body?.fileBase64) {
+    const { fileBase64, fileName: givenName } = req.body;
+    if (typeof fileBase64 !== 'string' || (givenName != null && typeof givenName !== 'string')) {
+      return res.status(400).json({ error: 'fileBase64 and fileName must be strings.' });
+    }
+    buffer = Buffer.from(fileBase64.replace(/^data:[^;]+;base64,/, ''), 'base64');
+    fileName = givenName || 'upload';
+  } else {
+    return res.status(400).json({ error: 'Upload a file (multipart field "file") or provide fileBase64 (and optionally fileName).' });
   }
 
-  const instructions = getParsingInstructions();
-
-  const preamble = format === 'html'
-    ? `The CV content below is in HTML format extracted from a DOCX file. The HTML tags (headings, lists,
-bold, links) provide structural context. IMPORTANT: If the CV uses a multi-column layout, sections
-may appear in a non-standard order (e.g., sidebar content before main content). Use section headings
-and contextual clues to correctly group information regardless of ordering.
-
-CV CONTENT (HTML):`
-    : `The CV content below is plain text extracted from a PDF file.
-
-CV CONTENT:`;
-
-  return `${instructions}
+  let fileType;
+  try {
+    fileType = await identifyFileType(buffer, fileName);
+  } catch (error) {
+    const status = error.code === 'EMPTY_FILE' ? 400 : 415;
+    return res.status(status).json({ success: false, error: error.message, code: error.code });
+  }
 
-${preamble}
----
-${content}
----
+  const requestedProfile = req.body?.extractionProfile || AUTO_EXTRACTION_PROFILE;
+  if (!EXTRACTION_PROFILE_OPTIONS.includes(requestedProfile)) {
+    return res.status(400).json({ error: `extractionProfile must be one of: ${EXTRACTION_PROFILE_OPTIONS.join(', ')}.` });
+  }
 
-Remember: ALL text in the output MUST be in English. Translate any non-English text while keeping the exact meaning and detail intact.
+  const previewId = `preview-${randomUUID()}`;
+  const startTime = Date.now();
+  setLogContext({ jobId: previewId });
+  // File names often contain the candidate's name — only the type is logged
+  logger.info(`Preview parse requested (${fileType.claimed ?? 'unknown'} file, detected ${fileType.detected}, ${requestedProfile} profile)`, { bytes: buffer.length });
 
-Extract the data now and return ONLY the JSON object.
-  `;
-}
+  try {
+    const [cvInput, profilePicture] = await Promise.all([
+      prepareBufferForParsing(buffer, fileType.detected),
+      (async () => {
+        if (!ENABLE_PROFILE_PICTURE_EXTRACTION) return null;
+        try {
+          return await findProfilePicture(buffer, fileType.detected, recordLlmCall);
+        } catch (pictureError) {
+          logger.error('Profile picture extraction failed', { err: pictureError });
+          return null;
+        }
+      })()
+    ]);
 
-// Create focused second-pass prompt for ambiguous fields
-function createFocusedPrompt(fieldName, cvText, options) {
-  if (!fieldName || !cvText || !Array.isArray(options)) {
-    return null;
+    const { extractedData, fieldConfidence, corrections, inferences, parsePath, extractionProfile, cvType, cvLanguage } = await parseCV(cvInput, previewId, { extractionProfile: requestedProfile, onLlmCall: recordLlmCall });
+    recordParsePath(parsePath);
+    await addGeneratedSummaries(extractedData, previewId, undefined, recordLlmCall);
+
+    logger.info(`Preview parse completed in ${Date.now() - startTime}ms`);
+
+    res.json({
+      success: true,
+      fileName,
+      fileType,
+      ocr: cvInput.ocr || null,
+      cvType,
+      cvLanguage,
+      extractionProfile,
+      extractedData,
+      fieldConfidence,
+      corrections,
+      inferences,
+      profileBio: extractedData.profile_bio || null,
+      shortSummary: extractedData.short_summary || null,
+      profilePicture: profilePicture
+        ? { dataUrl: `data:image/jpeg;base64,${profilePicture.buffer.toString('base64')}`, confidence: profilePicture.confidence }
+        : null,
+    });
+  } catch (error) {
+    logger.error('Preview parse failed', { err: error });
+    const status = error.validationIssues || error.code === 'NO_TEXT_CONTENT' ? 422 : 500;
+    res.status(status).json({
+      success: false,
+      error: error.message,
+      code: error.code || null,
+      validationIssues: error.validationIssues || undefined,
+    });
   }
+}));
 
-  const prompts = {
-    years_of_experience: `
-Analyze this CV and determine the total years of professional work experience (exclude education, internships unless specified as full-time).
-
-Return ONLY a JSON object: {"years_of_experience": "value"}
+// Main parsing endpoint — enqueues the job; a queue worker processes it in the background
+app.post('/api/v1/parse', requireInternalApiKey, async (req, res) => {
+  const { jobId, storagePath, callbackUrl, extractionProfile } = req.body;
 
-Where value must be EXACTLY one of: ${options.join(', ')}
+  if (!jobId || !storagePath) {
+    return res.status(400).json({ error: 'jobId and storagePath are required.' });
+  }
+  if (extractionProfile !== undefined && extractionProfile !== null && !EXTRACTION_PROFILE_OPTIONS.includes(extractionProfile)) {
+    return res.status(400).json({ error: `extractionProfile must be one of: ${EXTRACTION_PROFILE_OPTIONS.join(', ')}.` });
+  }
+  if (callbackUrl !== undefined && callbackUrl !== null) {
+    if (!isHttpUrl(callbackUrl)) {
+      return res.status(400).json({ error: 'callbackUrl must be an http(s) URL.' });
+    }
+    if (!WEBHOOK_SECRET) {
+      return res.status(400).json({ error: 'Webhooks are not configured (WEBHOOK_SECRET is missing).' });
+    }
+  }
 
-CV Text:
----
-${cvText}
----
-    `,
-    degreeType: `
-Identify the HIGHEST degree mentioned in this CV.
+  // Persist the job in the queue before acknowledging it, so a restart can't lose it
+  const { data: queuedJobs, error: enqueueError } = await supabase
+    .from('cv_parsing_jobs')
+    .update({
+      status: 'pending',
+      storage_path: storagePath,
+      callback_url: callbackUrl || null,
+      ...(extractionProfile && { extraction_profile: extractionProfile }), // Otherwise kept as set on the row
+      attempts: 0,
+      max_attempts: JOB_MAX_ATTEMPTS,
+      next_attempt_at: null,
+      locked_by: null,
+      locked_until: null,
+      error_message: null,
+      error_code: null,
+      validation_issues: null,
+      current_stage: null,
+      stage_timestamps: null,
+      completed_at: null
+    })
+    .eq('id', jobId)
+    .neq('status', 'processing')
+    .select('id');
 
-Return ONLY a JSON object: {"degreeType": "value"}
+  if (enqueueError) {
+    logger.error('Failed to enqueue job', { jobId, err: enqueueError });
+    return res.status(500).json({ error: 'Failed to enqueue parsing job.' });
+  }
+  if (queuedJobs.length === 0) {
+    const { data: existingJob } = await supabase.from('cv_parsing_jobs').select('status').eq('id', jobId).maybeSingle();
+    return existingJob
+      ? res.status(409).json({ error: 'Parsing job is already being processed.' })
+      : res.status(404).json({ error: 'Parsing job not found.' });
+  }
 
-Where value must be EXACTLY one of: ${options.join(', ')}
+  res.status(202).json({ message: 'Parsing job accepted.' });
+  jobQueue.notify();
+});
 
-CV Text:
----
-${cvText}
----
-    `,
-  };
+// Job status endpoint — current stage, per-stage timestamps, model usage and failure details of a parse job
+app.get('/api/v1/jobs/:jobId', requireInternalApiKey, async (req, res) => {
+  const { jobId } = req.params;
 
-  return prompts[fieldName] || null;
-}
+  if (!UUID_PATTERN.test(jobId)) {
+    return res.status(400).json({ error: 'jobId must be a UUID.' });
+  }
 
-// ==========================================
-// PROFILE BIO GENERATION
-// ==========================================
+  const { data: job, error } = await supabase
+    .from('cv_parsing_jobs')
+    .select('id, profile_id, status, current_stage, stage_timestamps, attempts, max_attempts, next_attempt_at, cache_hit, cached_from_job_id, extraction_profile, cv_type, cv_type_confidence, cv_language, prompt_version, parse_path, llm_calls, prompt_tokens, completion_tokens, estimated_cost_usd, error_code, error_message, created_at, started_at, completed_at')
+    .eq('id', jobId)
+    .maybeSingle();
 
-/**
- * Removes known company names from generated text.
- * Safety net in case GPT includes company names despite instructions.
- * @param {string} text - The generated bio text
- * @param {Array} professionalExperience - Array of experience objects with companyName
- * @returns {string} - Sanitized text with company names replaced
- */
-function sanitizeCompanyNames(text, professionalExperience) {
-  if (!text || !Array.isArray(professionalExperience)) {
-    return text;
+  if (error) {
+    logger.error('Failed to fetch job status', { jobId, err: error });
+    return res.status(500).json({ error: 'Failed to fetch job status.' });
+  }
+  if (!job) {
+    return res.status(404).json({ error: 'Parsing job not found.' });
   }
 
-  let sanitized = text;
+  const stageTimestamps = job.stage_timestamps || {};
+  res.json({
+    jobId: job.id,
+    profileId: job.profile_id,
+    status: job.status,
+    stage: job.current_stage || null,
+    stages: JOB_STAGES
+      .filter(stage => stageTimestamps[stage])
+      .map(stage => ({
+        stage,
+        startedAt: stageTimestamps[stage].startedAt || null,
+        completedAt: stageTimestamps[stage].completedAt || null,
+        failedAt: stageTimestamps[stage].failedAt || null,
+      })),
+    attempts: job.attempts ?? null,
+    maxAttempts: job.max_attempts ?? null,
+    nextAttemptAt: job.next_attempt_at || null,
+    cacheHit: !!job.cache_hit,
+    cachedFromJobId: job.cached_from_job_id || null,
+    extractionProfile: job.extraction_profile || AUTO_EXTRACTION_PROFILE,
+    cvType: job.cv_type || null,
+    cvTypeConfidence: job.cv_type_confidence ?? null,
+    cvLanguage: job.cv_language || null,
+    promptVersion: job.prompt_version || null,
+    parsePath: job.parse_path || null,
+    usage: {
+      promptTokens: job.prompt_tokens ?? null,
+      completionTokens: job.completion_tokens ?? null,
+      estimatedCostUsd: job.estimated_cost_usd === null || job.estimated_cost_usd === undefined ? null : Number(job.estimated_cost_usd),
+      calls: job.llm_calls || [],
+    },
+    errorCode: job.status === 'failed' ? job.error_code || null : null,
+    errorMessage: job.status === 'failed' ? job.error_message || null : null,
+    createdAt: job.created_at || null,
+    startedAt: job.started_at || null,
+    completedAt: job.completed_at || null,
+  });
+});
 
-  const companyNames = professionalExperience
-    .map(exp => exp.companyName)
-    .filter(name => name && name.trim().length > 2)
-    .filter((name, index, arr) =>
-      arr.findIndex(n => n.toLowerCase() === name.toLowerCase()) === index
-    );
+// Re-parse endpoint — runs the current (or an overridden) model and prompt on the profile's stored CV
+// and returns a diff against the previous result. Writes a new completed job and syncs the profile
+// unless dryRun is set.
+app.post('/api/v1/profiles/:profileId/reparse', requireInternalApiKey, withRequestLogContext(async (req, res) => {
+  const { profileId } = req.params;
+  const { model, instructions, extractionProfile: requestedProfile, dryRun = false } = req.body || {};
 
-  // Longest first to avoid partial replacements
-  companyNames.sort((a, b) => b.length - a.length);
+  if (!UUID_PATTERN.test(profileId)) {
+    return res.status(400).json({ error: 'profileId must be a UUID.' });
+  }
+  if (model !== undefined && (typeof model !== 'string' || !/^[\w.:\/-]{1,100}$/.test(model))) {
+    return res.status(400).json({ error: 'model must be a model name.' });
+  }
+  if (model !== undefined && getLlmProvider('parsing').name === 'azure') {
+    return res.status(400).json({ error: 'Model overrides are not supported with Azure OpenAI (requests go to AZURE_OPENAI_DEPLOYMENT_PARSING).' });
+  }
+  if (instructions !== undefined && (typeof instructions !== 'string' || !instructions.trim())) {
+    return res.status(400).json({ error: 'instructions must be a non-empty string.' });
+  }
+  if (requestedProfile !== undefined && !EXTRACTION_PROFILE_OPTIONS.includes(requestedProfile)) {
+    return res.status(400).json({ error: `extractionProfile must be one of: ${EXTRACTION_PROFILE_OPTIONS.join(', ')}.` });
+  }
+  if (typeof dryRun !== 'boolean') {
+    return res.status(400).json({ error: 'dryRun must be a boolean.' });
+  }
 
-  for (const company of companyNames) {
-    const escaped = company.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    const regex = new RegExp(`\\b${escaped}\\b`, 'gi');
-    sanitized = sanitized.replace(regex, 'a previous employer');
+  // The most recent completed job holds both the stored CV and the result to diff against
+  const { data: sourceJob, error: sourceError } = await supabase
+    .from('cv_parsing_jobs')
+    .select('id, storage_path, extracted_data, extraction_profile')
+    .eq('profile_id', profileId)
+    .eq('status', 'completed')
+    .not('storage_path', 'is', null)
+    .order('completed_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (sourceError) {
+    logger.error('Failed to look up previous parse job', { profileId, err: sourceError });
+    return res.status(500).json({ error: 'Failed to look up previous parse job.' });
+  }
+  if (!sourceJob) {
+    return res.status(404).json({ error: 'No completed parse job with a stored CV found for this profile.' });
   }
 
-  return sanitized;
-}
+  if (!dryRun) {
+    // A queued job would overwrite the re-parsed profile (or be overwritten by it)
+    const { data: activeJobs, error: activeError } = await supabase
+      .from('cv_parsing_jobs')
+      .select('id')
+      .eq('profile_id', profileId)
+      .in('status', ['pending', 'processing'])
+      .limit(1);
+    if (activeError) {
+      logger.error('Failed to check for active parse jobs', { profileId, err: activeError });
+      return res.status(500).json({ error: 'Failed to check for active parse jobs.' });
+    }
+    if (activeJobs.length > 0) {
+      return res.status(409).json({ error: 'A parse job for this profile is pending or processing.', jobId: activeJobs[0].id });
+    }
+  }
 
-/**
- * Generates a professional profile summary for a candidate using GPT.
- * @param {object} extractedData - The parsed candidate data
- * @returns {Promise<string|null>} - Generated bio or null on failure
- */
-async function generateProfileBio(extractedData) {
-  const systemPrompt = `
-    You are a Senior Executive Search Consultant at "SetSelect," a prestigious boutique recruitment firm in Zurich, Switzerland.
-
-    Your Task:
-    Write a concise, high-impact professional profile summary (3-4 sentences max) for a candidate based on the provided JSON data.
-
-    Tone & Style:
-    - Professional, objective, and impressive.
-    - Third-person perspective (e.g., "An experienced...", "This professional...").
-    - ANONYMOUS: Do not use names, gendered pronouns (he/she), or specific company names. Use "they," "the candidate," or "this professional." Refer to employers generically (e.g., "a major firm," "a leading industry player," "a global company").
-    - SECTOR-NEUTRAL: Write the bio based on the candidate's actual background. Do NOT default to commodities, energy, or trading language unless the candidate's experience is clearly in those sectors. Match the industry framing to the candidate's domain.
-    - Swiss Context: Be precise about work permits and locations.
-
-    Structure:
-    1. Opening: Seniority + Role.
-    2. The "Hook": Integrate any highlight/achievement seamlessly.
-    3. Skills: Mention top 3 functional expertise or technical skills.
-    4. Closing: Availability and key strengths.
-  `;
-
-  const userPrompt = `
-    Please generate the profile summary for this candidate:
-
-    ${JSON.stringify(extractedData, null, 2)}
-
-    Note:
-    - The candidate's HOME location is in contact_address (city, country). Do NOT use the professional_experience city/country as the candidate's location — those are EMPLOYER locations, not where the candidate lives.
-    - Expand Canton codes (e.g., 'ZG' -> 'Zug', 'ZH' -> 'Zurich', 'TI' -> 'Ticino').
-    - If there is a 'highlight' field with a quote, paraphrase it into a professional achievement statement.
-    - Salary should NOT be mentioned in the bio.
-    - Do not mention years of experience (already displayed separately).
-    - Do not mention languages the candidate speaks (already displayed separately).
-    - Keep it to 3-4 sentences maximum.
-  `;
+  const reparseId = `reparse-${randomUUID()}`;
+  const parsingModel = model || OPENAI_MODEL_PARSING;
+  const extractionProfile = requestedProfile || sourceJob.extraction_profile || AUTO_EXTRACTION_PROFILE;
+  const startTime = Date.now();
+  setLogContext({ jobId: reparseId, profileId });
+  logger.info(`Re-parse requested (source job ${sourceJob.id}, model ${parsingModel}, ${extractionProfile} profile${instructions ? ', custom instructions' : ''}${dryRun ? ', dry run' : ''})`);
 
   try {
-    const response = await openai.chat.completions.create({
-      model: OPENAI_MODEL_SUMMARY,
-      messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: userPrompt },
-      ],
-      temperature: 0.7,
-      max_tokens: 200,
-    });
+    const buffer = await downloadCV(sourceJob.storage_path);
+    const fileType = await identifyFileType(buffer, sourceJob.storage_path);
+    const cvInput = await prepareBufferForParsing(buffer, fileType.detected);
+    // Calls are recorded on the new job; dry runs store nothing
+    const usage = createLlmUsageRecorder([], 1);
+    const { extractedData, fieldConfidence, parsePath, extractionProfile: usedProfile, cvType, cvLanguage } = await parseCV(cvInput, reparseId, { model, extractionProfile, instructions, onLlmCall: usage.record });
+    recordParsePath(parsePath);
+
+    const diff = diffExtractedData(sourceJob.extracted_data, extractedData);
+    const summary = summarizeDiff(diff);
+    logger.info(`Diff: ${Object.entries(summary).map(([section, c]) => `${section} +${c.added} -${c.removed} ~${c.changed}`).join(', ')}`);
+
+    let jobId = null;
+    if (!dryRun) {
+      // Keep the existing picture — only the parsed text is re-run
+      await addGeneratedSummaries(extractedData, reparseId, undefined, usage.record);
+      if (sourceJob.extracted_data?.profile_picture_storage_path) {
+        extractedData.profile_picture_storage_path = sourceJob.extracted_data.profile_picture_storage_path;
+      }
+      jobId = await storeReparsedResult({ profileId, sourceJob, buffer, fileType, cvInput, extractedData, fieldConfidence, parsePath, usage, model, instructions, extractionProfile });
+      await syncProfileTables(jobId, profileId, extractedData);
+    }
 
-    const rawBio = response.choices[0]?.message?.content?.trim() || null;
-    return rawBio ? sanitizeCompanyNames(rawBio, extractedData.professional_experience) : null;
+    logger.info(`Re-parse completed in ${Date.now() - startTime}ms`);
+
+    res.json({
+      success: true,
+      profileId,
+      dryRun,
+      sourceJobId: sourceJob.id,
+      jobId,
+      model: parsingModel,
+      extractionProfile: usedProfile,
+      cvType,
+      cvLanguage,
+      customInstructions: !!instructions,
+      summary,
+      diff,
+      extractedData,
+      fieldConfidence,
+    });
   } catch (error) {
-    console.error('[generateProfileBio] Error:', error.message);
-    return null; // Graceful degradation
+    logger.error('Re-parse failed', { err: error });
+    const status = error.code === 'CV_NOT_FOUND' ? 404
+      : error.validationIssues || ['NO_TEXT_CONTENT', 'EMPTY_FILE', 'ENCRYPTED_DOCUMENT', 'UNSUPPORTED_FILE_TYPE'].includes(error.code) ? 422
+      : 500;
+    res.status(status).json({
+      success: false,
+      error: error.message,
+      code: error.code || null,
+      validationIssues: error.validationIssues || undefined,
+    });
   }
-}
+}));
 
 // ==========================================
-// SHORT SUMMARY GENERATION (2 sentences)
+// BACKFILL (BULK RE-PARSE) ENDPOINTS
 // ==========================================
 
-/**
- * Generates a 2-sentence short summary for candidate cards.
- * @param {object} extractedData - The parsed candidate data
- * @returns {Promise<string|null>} - Generated summary or null on failure
- */
-async function generateShortSummary(extractedData) {
-  const systemPrompt = `
-You are an executive recruiter writing ultra-short candidate summaries for card displays.
-
-Rules:
-- EXACTLY 3 sentences
-- Each sentence MUST be under 12 words
-- No names, no company names, no pronouns
-- No years of experience (already shown elsewhere)
-- No languages (already shown elsewhere)
-- No technical skills or tools (already shown in skills section)
-- Punchy, impressive, third-person
-- Output plain text only (no quotes, no dashes, no bullet points)
-
-Examples:
-
-Senior software engineer building scalable distributed systems. Track record shipping products to millions of users. Strong technical leadership.
-
-Management consultant advising Fortune 500 on digital transformation. Proven results in cost optimization. Skilled at executive stakeholder management.
-
-Operations director streamlining manufacturing processes across multiple sites. Reduced costs by driving efficiency initiatives. Strong team leadership.
-
-Investment analyst evaluating opportunities in emerging markets. Published research cited by industry leaders. Deep financial modeling expertise.
-
-Product manager launching customer-facing features for fintech platforms. Data-driven decision maker with strong user empathy. Cross-functional collaborator.
-
-Sales executive expanding enterprise accounts in competitive markets. Consistent quota overachievement track record. Skilled relationship builder.
-
-HR business partner driving talent strategy for high-growth organizations. Experience scaling teams through hypergrowth. Strong employer branding background.
-
-Strategy lead developing market entry plans for new geographies. Background in competitive intelligence and pricing. Strong analytical and communication skills.
-
-Supply chain specialist optimizing global logistics and procurement. Track record reducing lead times and costs. Deep vendor management expertise.
+const backfillAbort = new AbortController(); // Stops in-process runners on shutdown
+const backfillRunners = new Map(); // backfillId -> runner promise
+
+// Drive a backfill in this process (not awaited by callers); the run stays resumable if it stops
+function startBackfillRunner(backfillId) {
+  const runner = runBackfill(supabase, backfillId, {
+    maxAttempts: JOB_MAX_ATTEMPTS,
+    pollIntervalMs: QUEUE_POLL_INTERVAL_MS,
+    signal: backfillAbort.signal,
+    onEnqueued: () => jobQueue.notify(),
+    onProgress: (progress) => {
+      logger.info(`Backfill ${progress.completed + progress.failed}/${progress.total} done (${progress.failed} failed, ${progress.enqueued} in flight)`, { backfillId });
+    },
+  })
+    .then(report => {
+      if (report) logger.info(`Backfill completed: ${report.succeeded} succeeded, ${report.failed} failed`, { backfillId });
+    })
+    .catch(error => logger.error('Backfill runner stopped', { backfillId, err: error }))
+    .finally(() => backfillRunners.delete(backfillId));
+  backfillRunners.set(backfillId, runner);
+}
 
-Risk professional implementing governance frameworks for regulated industries. Strong compliance and audit background. Experienced in regulatory engagement.
-  `;
+// Positive integer option with a default (concurrency, rate)
+function parsePositiveInt(value, fallback) {
+  if (value === undefined || value === null) return fallback;
+  return Number.isInteger(value) && value > 0 ? value : NaN;
+}
 
-  const userPrompt = `
-Generate a 3-sentence summary (each under 12 words) for:
-${JSON.stringify(extractedData, null, 2)}
-  `;
+// Start a backfill — selects profiles by filter and re-parses them through the job queue.
+// dryRun only returns the matching profiles.
+app.post('/api/v1/admin/backfills', requireInternalApiKey, async (req, res) => {
+  const { filters: filterInput, concurrency: concurrencyInput, ratePerMinute: rateInput, dryRun = false } = req.body || {};
 
+  let filters;
   try {
-    const response = await openai.chat.completions.create({
-      model: OPENAI_MODEL_SUMMARY,
-      messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: userPrompt },
-      ],
-      temperature: 0.6,
-      max_tokens: 80,
-    });
-    return response.choices[0]?.message?.content?.trim() || null;
+    filters = parseBackfillFilters(filterInput);
   } catch (error) {
-    console.error('[generateShortSummary] Error:', error.message);
-    return null;
+    return res.status(400).json({ error: error.message });
   }
-}
-
-// ==========================================
-// MAIN PARSING LOGIC WITH TWO-STAGE APPROACH
-// ==========================================
-
-async function parseCV(input, jobId) {
-  if (!input || !input.type) {
-    throw new Error('Invalid input provided — expected { type, buffer } or { type, content }');
-  }
-  if (!jobId) {
-    throw new Error('Job ID is required');
+  const concurrency = parsePositiveInt(concurrencyInput, BACKFILL_CONCURRENCY);
+  const ratePerMinute = parsePositiveInt(rateInput, BACKFILL_RATE_PER_MINUTE);
+  if (Number.isNaN(concurrency) || Number.isNaN(ratePerMinute)) {
+    return res.status(400).json({ error: 'concurrency and ratePerMinute must be positive integers.' });
   }
 
-  console.log(`[Job ${jobId}] Starting first-pass comprehensive extraction (${input.type} input)...`);
-
-  // FIRST PASS: Comprehensive extraction
-  const instructions = getParsingInstructions();
-  let messages;
-  let cvTextForSecondPass; // plain text fallback for two-pass focused prompts
-
-  if (input.type === 'pdf') {
-    // Native PDF file input — model sees both extracted text and rendered page images
-    const base64 = input.buffer.toString('base64');
-    messages = [{
-      role: 'user',
-      content: [
-        {
-          type: 'file',
-          file: {
-            filename: 'cv.pdf',
-            file_data: `data:application/pdf;base64,${base64}`
-          }
-        },
-        {
-          type: 'text',
-          text: instructions + '\n\nExtract all data from the attached PDF document and return ONLY the JSON object.'
-        }
-      ]
-    }];
-  } else {
-    // DOCX HTML path
-    messages = [{
-      role: 'user',
-      content: createTextParsingPrompt(input.content)
-    }];
-    cvTextForSecondPass = input.content;
-  }
-
-  let firstPassCompletion;
-
-  if (input.type === 'pdf') {
-    try {
-      // Try native PDF file input first (best quality — model sees visual layout)
-      firstPassCompletion = await openai.chat.completions.create({
-        model: OPENAI_MODEL_PARSING,
-        response_format: { type: "json_object" },
-        messages,
-        temperature: OPENAI_TEMP_PARSING,
-      });
-    } catch (pdfInputError) {
-      // Fallback to text extraction if native PDF input fails
-      console.warn(`[Job ${jobId}] Native PDF input failed, falling back to text extraction:`, pdfInputError.message);
-      const pdfData = await pdf(input.buffer);
-      cvTextForSecondPass = pdfData.text;
-      messages = [{
-        role: 'user',
-        content: createTextParsingPrompt(pdfData.text, 'text')
-      }];
-      firstPassCompletion = await openai.chat.completions.create({
-        model: OPENAI_MODEL_PARSING,
-        response_format: { type: "json_object" },
-        messages,
-        temperature: OPENAI_TEMP_PARSING,
+  try {
+    if (dryRun) {
+      const candidates = await findBackfillCandidates(supabase, filters);
+      return res.json({
+        dryRun: true,
+        filters,
+        total: candidates.length,
+        profiles: candidates.map(job => ({ profileId: job.profile_id, jobId: job.id, status: job.status, createdAt: job.created_at })),
       });
     }
-  } else {
-    firstPassCompletion = await openai.chat.completions.create({
-      model: OPENAI_MODEL_PARSING,
-      response_format: { type: "json_object" },
-      messages,
-      temperature: OPENAI_TEMP_PARSING,
-    });
-  }
-
-  let extractedData = JSON.parse(firstPassCompletion.choices[0].message.content);
-  console.log(`[Job ${jobId}] First pass completed. Fields extracted: ${Object.keys(extractedData).length}`);
-  console.log(`[Job ${jobId}] OpenAI returned years_of_experience: "${extractedData.years_of_experience}" (type: ${typeof extractedData.years_of_experience})`);
-
-  // VALIDATION & AUTO-CORRECTION
-  console.log(`[Job ${jobId}] Applying validation and auto-correction...`);
-  const { corrected, corrections } = validateAndCorrectData(extractedData);
-  extractedData = corrected;
 
-  if (corrections.length > 0) {
-    console.log(`[Job ${jobId}] Auto-corrections applied: ${corrections.join(', ')}`);
+    const { id, total } = await createBackfill(supabase, { filters, concurrency, ratePerMinute });
+    logger.info(`Backfill created for ${total} profile(s) (concurrency ${concurrency}, ${ratePerMinute}/min)`, { backfillId: id, filters });
+    if (total > 0) startBackfillRunner(id);
+    res.status(202).json({ backfillId: id, total, filters, concurrency, ratePerMinute });
+  } catch (error) {
+    logger.error('Failed to start backfill', { err: error });
+    res.status(500).json({ error: 'Failed to start backfill.' });
   }
+});
 
-  // FIELD INFERENCE
-  console.log(`[Job ${jobId}] Applying field inference logic...`);
-  const { inferred, inferences } = applyInferenceLogic(extractedData);
-  extractedData = inferred;
-
-  if (inferences.length > 0) {
-    console.log(`[Job ${jobId}] Inferences made: ${inferences.join(', ')}`);
+// Backfill progress, and the final report once it has completed
+app.get('/api/v1/admin/backfills/:backfillId', requireInternalApiKey, async (req, res) => {
+  const { backfillId } = req.params;
+  if (!UUID_PATTERN.test(backfillId)) {
+    return res.status(400).json({ error: 'backfillId must be a UUID.' });
   }
 
-  // TWO-STAGE PARSING for critical ambiguous fields (if enabled)
-  // Note: years_of_experience is handled by inference logic, not two-pass parsing
-  // Two-pass is skipped for native PDF success path (cvTextForSecondPass is only set on
-  // fallback or DOCX), since native PDF first-pass has higher quality from visual layout.
-  if (ENABLE_TWO_PASS && cvTextForSecondPass) {
-    const uncertainFields = [];
-
-    // Reserved for future critical fields that need focused extraction
-    // (years_of_experience is calculated from work history, not extracted)
-
-    if (uncertainFields.length > 0) {
-      console.log(`[Job ${jobId}] Second-pass parsing for uncertain fields: ${uncertainFields.map(f => f.field).join(', ')}`);
-
-      for (const { field, options } of uncertainFields) {
-        const focusedPrompt = createFocusedPrompt(field, cvTextForSecondPass, options);
-        if (focusedPrompt) {
-          try {
-            const refinedCompletion = await openai.chat.completions.create({
-              model: OPENAI_MODEL_PARSING,
-              response_format: { type: "json_object" },
-              messages: [{ role: "user", content: focusedPrompt }],
-              temperature: OPENAI_TEMP_PARSING,
-            });
-
-            const refinedData = JSON.parse(refinedCompletion.choices[0].message.content);
-            if (refinedData[field]) {
-              extractedData[field] = refinedData[field];
-              console.log(`[Job ${jobId}] Second-pass refined ${field}: ${refinedData[field]}`);
-            }
-          } catch (error) {
-            console.error(`[Job ${jobId}] Second-pass failed for ${field}:`, error.message);
-          }
-        }
-      }
+  try {
+    const progress = await getBackfillProgress(supabase, backfillId);
+    if (!progress) {
+      return res.status(404).json({ error: 'Backfill not found.' });
     }
+    res.json(progress);
+  } catch (error) {
+    logger.error('Failed to fetch backfill progress', { backfillId, err: error });
+    res.status(500).json({ error: 'Failed to fetch backfill progress.' });
   }
-
-  // Log final extraction summary
-  const educationCount = extractedData.education_history?.length || 0;
-  const experienceCount = extractedData.professional_experience?.length || 0;
-  const skillsCount = (extractedData.technical_skills?.length || 0) + (extractedData.soft_skills?.length || 0);
-  const certsCount = extractedData.certifications?.length || 0;
-  const expertiseCount = extractedData.functional_expertise?.length || 0;
-
-  console.log(`[Job ${jobId}] Extraction complete: ${educationCount} education, ${experienceCount} experience, ${skillsCount} skills, ${certsCount} certifications, ${expertiseCount} expertise areas`);
-  if (expertiseCount > 0) {
-    console.log(`[Job ${jobId}] Functional expertise: ${JSON.stringify(extractedData.functional_expertise)}`);
-  }
-
-  return extractedData;
-}
-
-// ==========================================
-// API ENDPOINTS
-// ==========================================
-
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({ status: 'ok', service: 'cv-parser-service', version: '3.0.0' });
 });
 
-// Main parsing endpoint
-app.post('/api/v1/parse', (req, res, next) => {
-  const providedKey = req.headers['x-internal-api-key'];
-  if (!INTERNAL_API_KEY || providedKey !== INTERNAL_API_KEY) {
-    return res.status(401).json({ error: 'Unauthorized' });
-  }
-  next();
-}, async (req, res) => {
-  const { jobId, storagePath } = req.body;
-
-  if (!jobId || !storagePath) {
-    return res.status(400).json({ error: 'jobId and storagePath are required.' });
+// Resume an interrupted backfill (its runner stopped with a restart or crashed)
+app.post('/api/v1/admin/backfills/:backfillId/resume', requireInternalApiKey, async (req, res) => {
+  const { backfillId } = req.params;
+  if (!UUID_PATTERN.test(backfillId)) {
+    return res.status(400).json({ error: 'backfillId must be a UUID.' });
   }
 
-  // Immediately respond with 202 Accepted
-  res.status(202).json({ message: 'Parsing job accepted.' });
-
-  // Process asynchronously
   try {
-    await supabase.from('cv_parsing_jobs').update({ status: 'processing' }).eq('id', jobId);
-
-    // Fetch profile_id from cv_parsing_jobs record
-    const { data: jobRecord, error: jobFetchError } = await supabase
-      .from('cv_parsing_jobs')
-      .select('profile_id')
-      .eq('id', jobId)
-      .single();
-
-    if (jobFetchError || !jobRecord) {
-      throw new Error(`Failed to fetch job record: ${jobFetchError?.message || 'Job not found'}`);
+    const progress = await getBackfillProgress(supabase, backfillId);
+    if (!progress) {
+      return res.status(404).json({ error: 'Backfill not found.' });
     }
-
-    // For SetSelect: Extract userId from storagePath for profile picture
-    // Path format: {profileId}/cv.{ext}
-    const match = storagePath.match(/^([^\/]+)\//);
-    const userId = match ? match[1] : 'unknown';
-    const isQuickCV = false; // SetSelect doesn't use quick CV mode
-
-    // Prepare file input and extract profile picture in parallel
-    const [cvInput, profilePicturePath] = await Promise.all([
-      prepareFileForParsing(storagePath),
-      (async () => {
-        try {
-          return await extractProfilePicture(storagePath, userId, isQuickCV);
-        } catch (pictureError) {
-          // Graceful degradation - don't fail parsing if picture extraction fails
-          console.error(`[Job ${jobId}] Profile picture extraction failed:`, pictureError.message);
-          return null;
-        }
-      })()
-    ]);
-
-    const extractedData = await parseCV(cvInput, jobId);
-
-    // Add profile picture path to extracted data
-    if (profilePicturePath) {
-      extractedData.profile_picture_storage_path = profilePicturePath;
+    if (progress.status !== 'running') {
+      return res.status(409).json({ error: `Backfill is ${progress.status}.` });
     }
-
-    // Generate professional profile bio
-    console.log(`[Job ${jobId}] Generating professional bio...`);
-    const profileBio = await generateProfileBio(extractedData);
-    if (profileBio) {
-      extractedData.profile_bio = profileBio;
-      console.log(`[Job ${jobId}] Bio generated: ${profileBio.substring(0, 50)}...`);
-    } else {
-      console.log(`[Job ${jobId}] Bio generation skipped or failed`);
+    if (progress.runnerActive || backfillRunners.has(backfillId)) {
+      return res.status(409).json({ error: 'Backfill is already running.' });
     }
 
-    // Generate short summary for card display
-    console.log(`[Job ${jobId}] Generating short summary...`);
-    const shortSummary = await generateShortSummary(extractedData);
-    if (shortSummary) {
-      extractedData.short_summary = shortSummary;
-      console.log(`[Job ${jobId}] Short summary generated: ${shortSummary.substring(0, 50)}...`);
-    } else {
-      console.log(`[Job ${jobId}] Short summary generation skipped or failed`);
-    }
+    startBackfillRunner(backfillId);
+    res.status(202).json({ message: 'Backfill resumed.', ...progress });
+  } catch (error) {
+    logger.error('Failed to resume backfill', { backfillId, err: error });
+    res.status(500).json({ error: 'Failed to resume backfill.' });
+  }
+});
 
-    // Update job status to completed with extracted data
-    const { error: updateError } = await supabase.from('cv_parsing_jobs').update({
-      status: 'completed',
-      extracted_data: extractedData,
-      completed_at: new Date().toISOString()
-    }).eq('id', jobId);
+// ==========================================
+// USAGE ENDPOINT
+// ==========================================
 
-    if (updateError) {
-      console.error(`[Job ${jobId}] Failed to update job status:`, updateError.message);
-      throw new Error(`Database update failed: ${updateError.message}`);
-    }
+const USAGE_DEFAULT_DAYS = 30;
+const USAGE_MAX_DAYS = 366;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
 
-    // Update user_profiles with parsed data
-    const profileUpdateData = {};
+const roundUsd = (value) => Math.round(value * 1e6) / 1e6;
 
-    if (extractedData.profile_bio) {
-      profileUpdateData.profile_bio = extractedData.profile_bio;
-    }
-    if (extractedData.short_summary) {
-      profileUpdateData.short_summary = extractedData.short_summary;
-    }
+// Estimated model spend per UTC day and per model (?from=YYYY-MM-DD&to=YYYY-MM-DD, default the last 30 days)
+app.get('/api/v1/admin/usage', requireInternalApiKey, async (req, res) => {
+  const today = new Date().toISOString().slice(0, 10);
+  const to = req.query.to ?? today;
+  const from = req.query.from ?? new Date(Date.parse(to) - (USAGE_DEFAULT_DAYS - 1) * 86400000).toISOString().slice(0, 10);
 
-    // For functional_expertise: merge user selections with parser-extracted expertise
-    // User selections are the source of truth
-    if (extractedData.functional_expertise && extractedData.functional_expertise.length > 0) {
-      // Fetch user's existing expertise selections from profile
-      const { data: existingProfile, error: fetchError } = await supabase
-        .from('user_profiles')
-        .select('functional_expertise')
-        .eq('id', jobRecord.profile_id)
-        .single();
-
-      if (!fetchError && existingProfile) {
-        const userExpertise = existingProfile.functional_expertise || [];
-        const parserExpertise = extractedData.functional_expertise;
-
-        // Merge: user selections first (source of truth), parser supplements
-        const mergedExpertise = mergeFunctionalExpertise(userExpertise, parserExpertise);
-
-        console.log(`[Job ${jobId}] Functional expertise merge:`);
-        console.log(`  - User selected: ${JSON.stringify(userExpertise)}`);
-        console.log(`  - Parser found: ${JSON.stringify(parserExpertise)}`);
-        console.log(`  - Merged result: ${JSON.stringify(mergedExpertise)}`);
-
-        if (mergedExpertise.length > 0) {
-          profileUpdateData.functional_expertise = mergedExpertise;
-        }
-      } else {
-        // No existing profile or error - just use parser expertise
-        const validParserExpertise = validateFunctionalExpertise(extractedData.functional_expertise);
-        if (validParserExpertise.length > 0) {
-          profileUpdateData.functional_expertise = validParserExpertise;
-        }
-      }
-    }
+  if (![from, to].every(date => typeof date === 'string' && DATE_PATTERN.test(date) && !Number.isNaN(Date.parse(date)))) {
+    return res.status(400).json({ error: 'from and to must be dates (YYYY-MM-DD).' });
+  }
+  const days = (Date.parse(to) - Date.parse(from)) / 86400000 + 1;
+  if (days < 1 || days > USAGE_MAX_DAYS) {
+    return res.status(400).json({ error: `from must not be after to, and the range must not exceed ${USAGE_MAX_DAYS} days.` });
+  }
 
-    if (extractedData.education_history) {
-      profileUpdateData.education_history = extractedData.education_history;
-    }
-    if (extractedData.professional_experience) {
-      profileUpdateData.professional_experience = extractedData.professional_experience;
-    }
-    if (extractedData.technical_skills) {
-      profileUpdateData.technical_skills = extractedData.technical_skills;
-    }
+  const { data: rows, error } = await supabase.rpc('cv_parsing_llm_usage', { p_from: from, p_to: to });
+  if (error) {
+    logger.error('Failed to aggregate model usage', { err: error });
+    return res.status(500).json({ error: 'Failed to aggregate model usage.' });
+  }
 
-    if (Object.keys(profileUpdateData).length > 0) {
-      const { error: profileUpdateError } = await supabase
-        .from('user_profiles')
-        .update(profileUpdateData)
-        .eq('id', jobRecord.profile_id);
-
-      if (profileUpdateError) {
-        console.error(`[Job ${jobId}] Failed to update user profile:`, profileUpdateError.message);
-        // Non-fatal - parsing still succeeded, just profile update failed
-      } else {
-        console.log(`[Job ${jobId}] User profile updated with ${Object.keys(profileUpdateData).length} parsed fields`);
-      }
+  // Rows are per day and model; totals per day and per model are summed here
+  const addUsage = (totals, row) => {
+    totals.calls += Number(row.calls);
+    totals.failedCalls += Number(row.failed_calls);
+    totals.promptTokens += Number(row.prompt_tokens);
+    totals.completionTokens += Number(row.completion_tokens);
+    totals.estimatedCostUsd = roundUsd(totals.estimatedCostUsd + Number(row.estimated_cost_usd));
+    return totals;
+  };
+  const emptyUsage = () => ({ calls: 0, failedCalls: 0, promptTokens: 0, completionTokens: 0, estimatedCostUsd: 0 });
 
-      // Also update talent_profiles (display-only, PII-free)
-      const displayData = { ...profileUpdateData };
+  const byDay = new Map(); // date -> totals with per-model rows
+  const byModel = new Map(); // model -> totals over the range
+  for (const row of rows || []) {
+    if (!byDay.has(row.day)) byDay.set(row.day, { date: row.day, ...emptyUsage(), models: [] });
+    const day = addUsage(byDay.get(row.day), row);
+    day.models.push(addUsage({ model: row.model, ...emptyUsage() }, row));
 
-      // Strip companyName from professional_experience entries
-      if (displayData.professional_experience && Array.isArray(displayData.professional_experience)) {
-        displayData.professional_experience = displayData.professional_experience.map(entry => {
-          const { companyName, ...rest } = entry;
-          return rest;
-        });
-      }
+    if (!byModel.has(row.model)) byModel.set(row.model, { model: row.model, ...emptyUsage() });
+    addUsage(byModel.get(row.model), row);
+  }
 
-      const { error: displayUpdateError } = await supabase
-        .from('talent_profiles')
-        .update(displayData)
-        .eq('profile_id', jobRecord.profile_id);
+  res.json({
+    from,
+    to,
+    ...(rows || []).reduce(addUsage, emptyUsage()),
+    days: [...byDay.values()],
+    models: [...byModel.values()].sort((a, b) => b.estimatedCostUsd - a.estimatedCostUsd),
+  });
+});
 
-      if (displayUpdateError) {
-        console.error(`[Job ${jobId}] Failed to update talent_profiles:`, displayUpdateError.message);
-        // Non-fatal
-      } else {
-        console.log(`[Job ${jobId}] talent_profiles updated with ${Object.keys(displayData).length} display fields`);
-      }
-    }
+// Start server
+const server = app.listen(PORT, '0.0.0.0', () => {
+  const llmProviders = describeLlmProviders();
+  logger.info(`CV Parser Service (${SERVICE_NAME}) v${SERVICE_VERSION} listening on port ${PORT}`, {
+    promptVersion: getPromptVersion(),
+    llm: Object.fromEntries(Object.entries({ parsing: OPENAI_MODEL_PARSING, vision: OPENAI_MODEL_VISION, summary: OPENAI_MODEL_SUMMARY })
+      .map(([role, model]) => [role, { provider: llmProviders[role], model }])),
+    ...((LLM_RECORD_FIXTURES || Object.values(llmProviders).includes('fixture')) && {
+      fixtures: { dir: LLM_FIXTURES_DIR, recording: LLM_RECORD_FIXTURES },
+    }),
+    twoPass: ENABLE_TWO_PASS,
+    inference: ENABLE_INFERENCE,
+    profilePictureExtraction: ENABLE_PROFILE_PICTURE_EXTRACTION
+      ? { visionTimeoutMs: VISION_API_TIMEOUT_MS, minConfidence: MIN_CONFIDENCE_THRESHOLD }
+      : false,
+    functionalExpertise: { categories: FUNCTIONAL_EXPERTISE_OPTIONS.length, maxMerged: 8 },
+    resultCache: ENABLE_RESULT_CACHE,
+    jobQueue: { concurrency: QUEUE_CONCURRENCY, maxAttempts: JOB_MAX_ATTEMPTS, visibilityTimeoutMs: JOB_VISIBILITY_TIMEOUT_MS },
+    logLevel: LOG_LEVEL,
+  });
 
-    console.log(`[Job ${jobId}] CV parsing completed successfully`);
+  jobQueue.start().catch(error => logger.error('Queue failed to start', { err: error }));
 
-  } catch (error) {
-    console.error(`[Job ${jobId}] CV parsing failed:`, error.message);
-    await supabase.from('cv_parsing_jobs').update({
-      status: 'failed',
-      error_message: error.message,
-      completed_at: new Date().toISOString()
-    }).eq('id', jobId);
-  }
+  // Startup self-check — logged only: jobs are still processed, and /ready reports 503 until it passes
+  readiness.run().then((report) => {
+    if (report.status === 'ready') {
+      logger.info(`Startup self-check passed (${report.checks.length} checks in ${report.durationMs}ms)`);
+    } else {
+      logger.error(`Startup self-check failed: ${report.failed.join(', ')}`, {
+        checks: report.checks.filter(check => !check.ok),
+      });
+    }
+  });
 });
 
-// Start server
-app.listen(PORT, '0.0.0.0', () => {
-  console.log(`======================================`);
-  console.log(`CV Parser Service v3.0.0`);
-  console.log(`Listening on port ${PORT}`);
-  console.log(`Two-pass parsing: ${ENABLE_TWO_PASS ? 'ENABLED' : 'DISABLED'}`);
-  console.log(`Field inference: ${ENABLE_INFERENCE ? 'ENABLED' : 'DISABLED'}`);
-  console.log(`Profile picture extraction: ${ENABLE_PROFILE_PICTURE_EXTRACTION ? 'ENABLED' : 'DISABLED'}`);
-  if (ENABLE_PROFILE_PICTURE_EXTRACTION) {
-    console.log(`  - Vision API timeout: ${VISION_API_TIMEOUT_MS}ms`);
-    console.log(`  - Min confidence: ${MIN_CONFIDENCE_THRESHOLD}%`);
-  }
-  console.log(`Functional expertise extraction: ENABLED`);
-  console.log(`  - Categories: ${FUNCTIONAL_EXPERTISE_OPTIONS.length}`);
-  console.log(`  - Max merged: 8`);
-  console.log(`======================================`);
-});
+// Graceful shutdown (Railway sends SIGTERM on every deploy) — release in-flight jobs back to the queue
+async function shutdown(signal) {
+  logger.info(`${signal} received — shutting down`);
+  server.close();
+  backfillAbort.abort();
+  await Promise.all([jobQueue.stop(), ...backfillRunners.values()]);
+  process.exit(0);
+}
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
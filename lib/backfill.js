@@ -0,0 +1,444 @@
+// Bulk re-parse (backfill) runs.
+// A backfill selects profiles by filter, snapshots them as items (cv_parsing_backfill_items) and
+// feeds one new parse job per item into the regular job queue, keeping at most `concurrency`
+// backfill jobs in flight and enqueueing at most `ratePerMinute` jobs per minute so OpenAI rate
+// limits and regular uploads aren't swamped. All state is in the database (see
+// database/add_backfills.sql): an interrupted run is resumed by running it again.
+// Used by the admin endpoints in index.js and by scripts/backfill.js.
+
+import { hostname } from 'node:os';
+import { randomUUID } from 'node:crypto';
+
+const PAGE_SIZE = 500; // Rows per select/insert batch
+const RESULT_PAGE_SIZE = 50; // Rows per select of extracted_data, the largest column
+const ACTIVE_JOB_STATUSES = new Set(['pending', 'processing']);
+const BACKFILL_STATUS_FILTERS = ['completed', 'failed'];
+
+const sleep = (ms, signal) => new Promise(resolve => {
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => { clearTimeout(timer); resolve(); }, { once: true });
+});
+
+/**
+ * Validate backfill filters; at least one is required so a typo can't re-parse every profile
+ * @param {object} input
+ * @param {string} [input.createdBefore] - ISO date; the profile's latest parse job was created before it
+ * @param {string} [input.missingField] - Field that appears nowhere in the latest result (top level or in entries)
+ * @param {string} [input.status] - Status of the latest parse job (completed or failed)
+ * @returns {{createdBefore?: string, missingField?: string, status?: string}} - Normalized filters
+ * @throws {Error} - Message describes the invalid filter
+ */
+export function parseBackfillFilters({ createdBefore, missingField, status } = {}) {
+  const filters = {};
+
+  if (createdBefore !== undefined && createdBefore !== null) {
+    const date = new Date(createdBefore);
+    if (typeof createdBefore !== 'string' || Number.isNaN(date.getTime())) {
+      throw new Error('createdBefore must be an ISO date, e.g. 2025-06-01.');
+    }
+    filters.createdBefore = date.toISOString();
+  }
+  if (missingField !== undefined && missingField !== null) {
+    if (typeof missingField !== 'string' || !/^[A-Za-z_]\w*$/.test(missingField)) {
+      throw new Error('missingField must be a field name, e.g. position_short.');
+    }
+    filters.missingField = missingField;
+  }
+  if (status !== undefined && status !== null) {
+    if (!BACKFILL_STATUS_FILTERS.includes(status)) {
+      throw new Error(`status must be one of: ${BACKFILL_STATUS_FILTERS.join(', ')}.`);
+    }
+    filters.status = status;
+  }
+
+  if (Object.keys(filters).length === 0) {
+    throw new Error('At least one filter is required (createdBefore, missingField or status).');
+  }
+  return filters;
+}
+
+// A field is missing when it appears neither at the top level nor in any entry of an object array
+// (e.g. position_short in professional_experience). Results of failed jobs have no fields at all.
+function isFieldMissing(extractedData, field) {
+  if (!extractedData || typeof extractedData !== 'object') return true;
+  if (field in extractedData) return false;
+  return !Object.values(extractedData).some(value =>
+    Array.isArray(value) && value.some(entry => entry && typeof entry === 'object' && field in entry)
+  );
+}
+
+function matchesFilters(job, filters) {
+  if (!job.storage_path || ACTIVE_JOB_STATUSES.has(job.status)) return false; // Nothing to re-parse, or already queued
+  if (filters.createdBefore && !(job.created_at < filters.createdBefore)) return false;
+  if (filters.status && job.status !== filters.status) return false;
+  return true;
+}
+
+/**
+ * Find the latest parse job of every profile matching the filters
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {object} filters - From parseBackfillFilters()
+ * @returns {Promise<Array<{id: string, profile_id: string, status: string, storage_path: string, created_at: string}>>}
+ */
+export async function findBackfillCandidates(supabase, filters) {
+  const latestByProfile = new Map();
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('cv_parsing_jobs')
+      .select('id, profile_id, status, storage_path, created_at')
+      .order('created_at', { ascending: false })
+      .order('id', { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+    if (error) {
+      throw new Error(`Failed to load parse jobs: ${error.message}`);
+    }
+    for (const job of data) {
+      if (!latestByProfile.has(job.profile_id)) latestByProfile.set(job.profile_id, job);
+    }
+    if (data.length < PAGE_SIZE) break;
+  }
+
+  const candidates = [...latestByProfile.values()].filter(job => matchesFilters(job, filters));
+  if (!filters.missingField) return candidates;
+
+  // Results only of the remaining candidates, a few at a time
+  const missing = new Set();
+  for (let i = 0; i < candidates.length; i += RESULT_PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('cv_parsing_jobs')
+      .select('id, extracted_data')
+      .in('id', candidates.slice(i, i + RESULT_PAGE_SIZE).map(job => job.id));
+    if (error) {
+      throw new Error(`Failed to load parse results: ${error.message}`);
+    }
+    for (const job of data) {
+      if (isFieldMissing(job.extracted_data, filters.missingField)) missing.add(job.id);
+    }
+  }
+  return candidates.filter(job => missing.has(job.id));
+}
+
+/**
+ * Create a backfill run and snapshot the matching profiles as pending items
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {object} options
+ * @param {object} options.filters - From parseBackfillFilters()
+ * @param {number} options.concurrency - Backfill jobs in flight at once
+ * @param {number} options.ratePerMinute - New jobs enqueued per minute
+ * @returns {Promise<{id: string, total: number}>}
+ */
+export async function createBackfill(supabase, { filters, concurrency, ratePerMinute }) {
+  const candidates = await findBackfillCandidates(supabase, filters);
+
+  const { data: backfill, error } = await supabase
+    .from('cv_parsing_backfills')
+    .insert({
+      filters,
+      status: candidates.length > 0 ? 'running' : 'completed',
+      concurrency,
+      rate_per_minute: ratePerMinute,
+      total: candidates.length,
+      completed_at: candidates.length > 0 ? null : new Date().toISOString(),
+    })
+    .select('id')
+    .single();
+  if (error) {
+    throw new Error(`Failed to create backfill: ${error.message}`);
+  }
+
+  for (let i = 0; i < candidates.length; i += PAGE_SIZE) {
+    const { error: itemsError } = await supabase.from('cv_parsing_backfill_items').insert(
+      candidates.slice(i, i + PAGE_SIZE).map(job => ({
+        backfill_id: backfill.id,
+        profile_id: job.profile_id,
+        source_job_id: job.id,
+        storage_path: job.storage_path,
+        status: 'pending',
+      }))
+    );
+    if (itemsError) {
+      await supabase.from('cv_parsing_backfills').update({ status: 'cancelled' }).eq('id', backfill.id);
+      throw new Error(`Failed to create backfill items: ${itemsError.message}`);
+    }
+  }
+
+  return { id: backfill.id, total: candidates.length };
+}
+
+async function countItems(supabase, backfillId, apply = query => query) {
+  const { count, error } = await apply(
+    supabase.from('cv_parsing_backfill_items').select('id', { count: 'exact', head: true }).eq('backfill_id', backfillId)
+  );
+  if (error) {
+    throw new Error(`Failed to count backfill items: ${error.message}`);
+  }
+  return count || 0;
+}
+
+/**
+ * Current state of a backfill run
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {string} backfillId
+ * @returns {Promise<object|null>} - null if the backfill doesn't exist
+ */
+export async function getBackfillProgress(supabase, backfillId) {
+  const { data: backfill, error } = await supabase
+    .from('cv_parsing_backfills')
+    .select('id, filters, status, concurrency, rate_per_minute, total, locked_until, report, created_at, completed_at')
+    .eq('id', backfillId)
+    .maybeSingle();
+  if (error) {
+    throw new Error(`Failed to load backfill: ${error.message}`);
+  }
+  if (!backfill) return null;
+
+  const counts = {};
+  for (const status of ['pending', 'enqueued', 'completed', 'failed']) {
+    counts[status] = await countItems(supabase, backfillId, query => query.eq('status', status));
+  }
+
+  return {
+    backfillId: backfill.id,
+    status: backfill.status,
+    filters: backfill.filters,
+    concurrency: backfill.concurrency,
+    ratePerMinute: backfill.rate_per_minute,
+    total: backfill.total,
+    ...counts,
+    runnerActive: backfill.status === 'running' && !!backfill.locked_until && new Date(backfill.locked_until) > new Date(),
+    report: backfill.report || null,
+    createdAt: backfill.created_at,
+    completedAt: backfill.completed_at || null,
+  };
+}
+
+// Move enqueued items whose job finished to completed/failed
+async function collectFinishedJobs(supabase, backfillId) {
+  const { data: items, error } = await supabase
+    .from('cv_parsing_backfill_items')
+    .select('id, job_id')
+    .eq('backfill_id', backfillId)
+    .eq('status', 'enqueued');
+  if (error) {
+    throw new Error(`Failed to load enqueued backfill items: ${error.message}`);
+  }
+  if (items.length === 0) return;
+
+  const { data: jobs, error: jobsError } = await supabase
+    .from('cv_parsing_jobs')
+    .select('id, status, error_code, error_message')
+    .in('id', items.map(item => item.job_id));
+  if (jobsError) {
+    throw new Error(`Failed to load backfill jobs: ${jobsError.message}`);
+  }
+  const jobsById = new Map(jobs.map(job => [job.id, job]));
+
+  for (const item of items) {
+    const job = jobsById.get(item.job_id);
+    if (job && !['completed', 'failed'].includes(job.status)) continue;
+
+    const update = job?.status === 'completed'
+      ? { status: 'completed' }
+      : {
+          status: 'failed',
+          error_code: job ? job.error_code : 'JOB_MISSING',
+          error_message: job ? job.error_message : 'The parse job was deleted.',
+        };
+    const { error: updateError } = await supabase
+      .from('cv_parsing_backfill_items')
+      .update({ ...update, finished_at: new Date().toISOString() })
+      .eq('id', item.id);
+    if (updateError) {
+      throw new Error(`Failed to update backfill item: ${updateError.message}`);
+    }
+  }
+}
+
+// Enqueue up to `limit` pending items as new parse jobs; returns how many were enqueued.
+// An item whose job was inserted before a crash kept it from being marked enqueued gets that job
+// instead of a second one.
+async function enqueueItems(supabase, backfillId, limit, maxAttempts) {
+  if (limit <= 0) return 0;
+
+  const { data: items, error } = await supabase
+    .from('cv_parsing_backfill_items')
+    .select('id, profile_id, storage_path')
+    .eq('backfill_id', backfillId)
+    .eq('status', 'pending')
+    .order('id', { ascending: true })
+    .limit(limit);
+  if (error) {
+    throw new Error(`Failed to load pending backfill items: ${error.message}`);
+  }
+  if (items.length === 0) return 0;
+
+  const { data: existingJobs, error: existingError } = await supabase
+    .from('cv_parsing_jobs')
+    .select('id, profile_id')
+    .eq('backfill_id', backfillId)
+    .in('profile_id', items.map(item => item.profile_id));
+  if (existingError) {
+    throw new Error(`Failed to load backfill jobs: ${existingError.message}`);
+  }
+  const existingJobIds = new Map(existingJobs.map(job => [job.profile_id, job.id]));
+
+  for (const item of items) {
+    const jobId = existingJobIds.get(item.profile_id) || await insertJob(supabase, backfillId, item, maxAttempts);
+    const { error: updateError } = await supabase
+      .from('cv_parsing_backfill_items')
+      .update({ status: 'enqueued', job_id: jobId, enqueued_at: new Date().toISOString() })
+      .eq('id', item.id);
+    if (updateError) {
+      throw new Error(`Failed to update backfill item: ${updateError.message}`);
+    }
+  }
+  return items.length;
+}
+
+async function insertJob(supabase, backfillId, item, maxAttempts) {
+  const { data: job, error } = await supabase
+    .from('cv_parsing_jobs')
+    .insert({
+      profile_id: item.profile_id,
+      status: 'pending',
+      storage_path: item.storage_path,
+      attempts: 0,
+      max_attempts: maxAttempts,
+      backfill_id: backfillId,
+    })
+    .select('id')
+    .single();
+  if (error) {
+    throw new Error(`Failed to enqueue parse job for profile ${item.profile_id}: ${error.message}`);
+  }
+  return job.id;
+}
+
+async function buildReport(supabase, backfillId, total) {
+  const { data: failures, error } = await supabase
+    .from('cv_parsing_backfill_items')
+    .select('profile_id, job_id, error_code, error_message')
+    .eq('backfill_id', backfillId)
+    .eq('status', 'failed');
+  if (error) {
+    throw new Error(`Failed to load failed backfill items: ${error.message}`);
+  }
+
+  return {
+    total,
+    succeeded: await countItems(supabase, backfillId, query => query.eq('status', 'completed')),
+    failed: failures.length,
+    failures: failures.map(item => ({
+      profileId: item.profile_id,
+      jobId: item.job_id,
+      errorCode: item.error_code,
+      errorMessage: item.error_message,
+    })),
+  };
+}
+
+/**
+ * Drive a backfill run until every item has finished, or until the signal aborts.
+ * Only one process drives a run at a time (lease on the backfill row); an aborted or crashed
+ * runner can be resumed by calling this again.
+ * @param {import('@supabase/supabase-js').SupabaseClient} supabase
+ * @param {string} backfillId
+ * @param {object} [options]
+ * @param {number} [options.maxAttempts] - max_attempts of the enqueued jobs
+ * @param {number} [options.pollIntervalMs] - Delay between progress checks
+ * @param {number} [options.leaseMs] - Runner lease; a run whose runner stopped renewing it can be resumed after this
+ * @param {AbortSignal} [options.signal] - Stops the runner (the run stays resumable)
+ * @param {(progress: object) => void} [options.onProgress] - Called after every check with getBackfillProgress() output
+ * @param {() => void} [options.onEnqueued] - Called after new jobs were enqueued (wake the local queue)
+ * @returns {Promise<object|null>} - Final report, or null if the runner was stopped first
+ * @throws {Error} - error.code BACKFILL_NOT_FOUND, BACKFILL_LOCKED (another runner is active) or BACKFILL_CANCELLED
+ */
+export async function runBackfill(supabase, backfillId, {
+  maxAttempts = 3,
+  pollIntervalMs = 5000,
+  leaseMs = 60 * 1000,
+  signal,
+  onProgress,
+  onEnqueued,
+} = {}) {
+  const runnerId = `${hostname()}-${process.pid}-${randomUUID().slice(0, 8)}`;
+  const leaseUntil = () => new Date(Date.now() + leaseMs).toISOString();
+
+  const { data: claimed, error: claimError } = await supabase
+    .from('cv_parsing_backfills')
+    .update({ locked_by: runnerId, locked_until: leaseUntil() })
+    .eq('id', backfillId)
+    .eq('status', 'running')
+    .or(`locked_until.is.null,locked_until.lt.${new Date().toISOString()}`)
+    .select('id, concurrency, rate_per_minute, total');
+  if (claimError) {
+    throw new Error(`Failed to claim backfill: ${claimError.message}`);
+  }
+
+  if (claimed.length === 0) {
+    const progress = await getBackfillProgress(supabase, backfillId);
+    if (progress?.status === 'completed') return progress.report;
+    const error = new Error(
+      !progress ? 'Backfill not found.'
+        : progress.status === 'cancelled' ? 'Backfill was cancelled.'
+        : 'Backfill is being run by another process.'
+    );
+    error.code = !progress ? 'BACKFILL_NOT_FOUND' : progress.status === 'cancelled' ? 'BACKFILL_CANCELLED' : 'BACKFILL_LOCKED';
+    throw error;
+  }
+
+  const { concurrency, rate_per_minute: ratePerMinute, total } = claimed[0];
+  const owned = query => query.eq('id', backfillId).eq('locked_by', runnerId);
+
+  try {
+    while (!signal?.aborted) {
+      const { data: renewed, error: leaseError } = await owned(
+        supabase.from('cv_parsing_backfills').update({ locked_until: leaseUntil() })
+      ).eq('status', 'running').select('id');
+      if (leaseError) {
+        throw new Error(`Failed to extend backfill lease: ${leaseError.message}`);
+      }
+      if (renewed.length === 0) {
+        return null; // Cancelled, or the lease expired and another runner took over
+      }
+
+      await collectFinishedJobs(supabase, backfillId);
+
+      const inFlight = await countItems(supabase, backfillId, query => query.eq('status', 'enqueued'));
+      const enqueuedLastMinute = await countItems(supabase, backfillId, query =>
+        query.gt('enqueued_at', new Date(Date.now() - 60 * 1000).toISOString())
+      );
+      const enqueued = await enqueueItems(
+        supabase,
+        backfillId,
+        Math.min(concurrency - inFlight, ratePerMinute - enqueuedLastMinute),
+        maxAttempts
+      );
+      if (enqueued > 0) onEnqueued?.();
+
+      const progress = await getBackfillProgress(supabase, backfillId);
+      onProgress?.(progress);
+
+      if (progress.pending === 0 && progress.enqueued === 0) {
+        const report = await buildReport(supabase, backfillId, total);
+        const { error: completeError } = await owned(supabase.from('cv_parsing_backfills').update({
+          status: 'completed',
+          report,
+          locked_by: null,
+          locked_until: null,
+          completed_at: new Date().toISOString(),
+        }));
+        if (completeError) {
+          throw new Error(`Failed to complete backfill: ${completeError.message}`);
+        }
+        return report;
+      }
+
+      await sleep(pollIntervalMs, signal);
+    }
+    return null;
+  } finally {
+    // Release the lease so the run can be resumed right away (no-op once completed)
+    await owned(supabase.from('cv_parsing_backfills').update({ locked_by: null, locked_until: null }));
+  }
+}
@@ -0,0 +1,253 @@
+// Chunked extraction for long CVs (academic CVs with publication lists, 10+ page executive CVs).
+// A CV whose estimated size exceeds the token budget is split into chunks at section headings —
+// experience, education, publications, ... — each extracted on its own, so no single response
+// runs into the model's output limit. The chunk results are merged in document order:
+//   - scalars (names, contact details, years_of_experience) come from the first chunk that has them
+//   - string lists (interests, desired_*, functional_expertise) are united without duplicates
+//   - entry lists (experience, education, skills, ...) are concatenated; entries describing the same
+//     thing (same position, company and start date, same skill name, ...) are kept once, with empty
+//     fields filled in from the duplicate
+// Field confidence is merged alongside: entries keep their own scores, scalars take the score of the
+// chunk they came from and string lists the lowest score of the chunks that contributed.
+
+// ==========================================
+// TOKEN ESTIMATE
+// ==========================================
+
+/**
+ * Estimate the tokens of a text without a tokenizer: ~4 characters per token for Latin-script text
+ * (HTML tags included), one token per character for CJK scripts. Errs on the high side for markup.
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+  if (!text) return 0;
+  const wideChars = text.match(/[\u2E80-\u9FFF\uAC00-\uD7AF\uF900-\uFAFF]/g)?.length || 0;
+  return Math.ceil((text.length - wideChars) / 4) + wideChars;
+}
+
+// ==========================================
+// SECTION-AWARE SPLITTING
+// ==========================================
+
+// Common CV section headings (English, German, French, Italian), optionally followed by a colon
+const SECTION_HEADING = new RegExp(`^(?:${[
+  '(?:professional |work |research |teaching |relevant )?experience', 'employment(?: history)?', 'career(?: history)?', 'work history',
+  'education', 'academic background', 'qualifications', '(?:selected |peer-reviewed )?publications', 'papers', 'presentations',
+  '(?:invited )?talks', 'conferences', '(?:technical |core )?skills', 'competencies', 'languages', 'certifications?', 'certificates',
+  'awards', 'honou?rs(?: and awards)?', 'grants', 'funding', 'projects', 'teaching', 'research(?: interests)?', 'service',
+  'volunteering', 'interests', 'references', 'summary', 'profile',
+  'berufserfahrung', 'ausbildung', 'bildung', 'kenntnisse', 'sprachen', 'publikationen', 'projekte',
+  'expériences? professionnelles?', 'formation', 'compétences', 'langues',
+  'esperienz[ae](?: lavorative| professionali)?', 'istruzione', 'formazione', 'competenze', 'lingue', 'pubblicazioni',
+].join('|')})\\s*:?$`, 'iu');
+
+const HTML_BLOCK_END = /(?<=<\/(?:p|h[1-6]|li|tr|table|ul|ol|div)>)/i;
+
+const stripTags = (html) => html.replace(/<[^>]*>/g, '').replace(/&nbsp;/g, ' ').trim();
+
+function isHeadingText(text, nextLine = '') {
+  const line = text.trim();
+  if (line.length < 3 || line.length > 60 || /^[-•*·–]\s/.test(line)) return false;
+  if (/^#{1,6}\s/.test(line) || SECTION_HEADING.test(line.replace(/^#{1,6}\s*/, ''))) return true;
+  if (/^[-=]{3,}$/.test(nextLine.trim())) return true; // Underlined heading
+  const letters = line.replace(/[^\p{L}]/gu, '');
+  return letters.length >= 3 && letters === letters.toUpperCase() && letters !== letters.toLowerCase(); // ALL CAPS
+}
+
+// Split content into blocks — lines of text, or block elements of HTML — flagging section headings
+function splitIntoBlocks(content, isHtml) {
+  if (isHtml) {
+    return content.split(HTML_BLOCK_END).filter(block => block.trim()).map(block => {
+      const text = stripTags(block);
+      const heading = /^\s*<h[1-6][\s>]/i.test(block)
+        || (/^\s*<p[\s>]/i.test(block) && (/^\s*<p[^>]*>\s*<(?:strong|b)>[^<]*<\/(?:strong|b)>\s*<\/p>\s*$/i.test(block) || SECTION_HEADING.test(text)) && isHeadingText(text));
+      return { text: block, heading };
+    });
+  }
+  const lines = content.split('\n');
+  return lines.map((line, index) => ({ text: line, heading: isHeadingText(line, lines[index + 1]) }));
+}
+
+// Cut a single block that is larger than the budget at whitespace
+function splitOversizedBlock(text, tokenBudget) {
+  const maxChars = tokenBudget * 4;
+  const parts = [];
+  let rest = text;
+  while (estimateTokens(rest) > tokenBudget) {
+    const cut = rest.lastIndexOf(' ', maxChars);
+    const at = cut > maxChars / 2 ? cut : maxChars;
+    parts.push(rest.slice(0, at));
+    rest = rest.slice(at);
+  }
+  return [...parts, rest];
+}
+
+/**
+ * Split a long CV into chunks of at most tokenBudget estimated tokens. Chunks end at section
+ * headings where possible; a section larger than the budget is split between its lines or
+ * paragraphs, and every piece after the first starts with the section heading again.
+ * @param {string} content - CV text or HTML
+ * @param {string} format - Input format (html and odt are split by HTML block elements, the rest by lines)
+ * @param {number} tokenBudget - Estimated tokens per chunk
+ * @returns {Array<string>} - Chunks in document order (a single chunk when the content fits)
+ */
+export function createChunks(content, format, tokenBudget) {
+  if (estimateTokens(content) <= tokenBudget) return [content];
+  const isHtml = format === 'html' || format === 'odt';
+  const separator = isHtml ? '' : '\n';
+
+  // Sections: the header before the first heading, then one per heading
+  const sections = [];
+  for (const block of splitIntoBlocks(content, isHtml)) {
+    if (block.heading || sections.length === 0) sections.push({ heading: block.heading ? block.text : null, blocks: [] });
+    if (!block.heading) sections.at(-1).blocks.push(block.text);
+  }
+
+  // Pieces of at most tokenBudget: whole sections, or runs of blocks of an oversized section
+  const pieces = [];
+  for (const { heading, blocks } of sections) {
+    const whole = [heading, ...blocks].filter(text => text !== null).join(separator);
+    if (estimateTokens(whole) <= tokenBudget) {
+      pieces.push(whole);
+      continue;
+    }
+    const headingTokens = estimateTokens(heading || '');
+    let current = heading !== null ? [heading] : [];
+    for (const block of blocks.flatMap(text => splitOversizedBlock(text, Math.max(tokenBudget - headingTokens, 1)))) {
+      if (current.length > (heading !== null ? 1 : 0) && estimateTokens([...current, block].join(separator)) > tokenBudget) {
+        pieces.push(current.join(separator));
+        current = heading !== null ? [heading] : [];
+      }
+      current.push(block);
+    }
+    pieces.push(current.join(separator));
+  }
+
+  // Chunks: consecutive pieces packed up to the budget
+  const chunks = [];
+  for (const piece of pieces) {
+    if (chunks.length > 0 && estimateTokens(`${chunks.at(-1)}${separator}${piece}`) <= tokenBudget) {
+      chunks[chunks.length - 1] = `${chunks.at(-1)}${separator}${piece}`;
+    } else {
+      chunks.push(piece);
+    }
+  }
+  return chunks.filter(chunk => chunk.trim());
+}
+
+// ==========================================
+// MERGING CHUNK RESULTS
+// ==========================================
+
+// Fields identifying the same entry in different chunks; other entry lists dedupe identical entries
+const ENTRY_IDENTITY_FIELDS = {
+  professional_experience: ['positionName', 'companyName', 'startDate'],
+  education_history: ['universityName', 'specificField', 'startDate', 'endDate'],
+  technical_skills: ['name'],
+  soft_skills: ['name'],
+  industry_specific_skills: ['name'],
+  base_languages: ['language'],
+  certifications: ['name'],
+  extracurricular_activities: ['organization', 'role'],
+  base_projects: ['projectName'],
+  publications: ['title', 'year'],
+  teaching_experience: ['courseName', 'institution'],
+  research_grants: ['title', 'fundingBody'],
+  conference_presentations: ['title', 'event'],
+  academic_service: ['role', 'organization'],
+  peer_review: ['venue'],
+  internships: ['positionName', 'companyName', 'startDate'],
+  academic_projects: ['projectName'],
+  campus_leadership: ['role', 'organization'],
+  competitions: ['name'],
+  volunteer_experience: ['role', 'organization'],
+  board_positions: ['organization', 'role'],
+};
+
+const normalizeKeyPart = (value) => String(value ?? '')
+  .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+
+function getEntryKey(section, entry) {
+  const fields = ENTRY_IDENTITY_FIELDS[section];
+  return fields ? fields.map(field => normalizeKeyPart(entry[field])).join('|') : JSON.stringify(entry);
+}
+
+const isEmpty = (value) => value === null || value === undefined || value === ''
+  || (Array.isArray(value) && value.length === 0);
+const isObjectArray = (value) => Array.isArray(value) && value.some(item => item && typeof item === 'object');
+
+/**
+ * Merge the extractions of the chunks of one CV
+ * @param {Array<{data: object, confidence: object}>} results - Schema-valid data and normalized
+ *   field confidence per chunk, in document order
+ * @returns {{data: object, confidence: object, duplicates: number}} - duplicates: entries dropped as duplicates
+ */
+export function mergeChunkExtractions(results) {
+  const data = {};
+  const confidence = {};
+  let duplicates = 0;
+  const fields = [...new Set(results.flatMap(({ data: chunkData }) => Object.keys(chunkData)))];
+
+  for (const field of fields) {
+    const values = results.map(({ data: chunkData, confidence: chunkConfidence }) => ({
+      value: chunkData[field],
+      score: chunkConfidence[field],
+    }));
+
+    if (values.some(({ value }) => isObjectArray(value))) {
+      // Entry lists: concatenate, keeping the first of each identity and filling its empty fields
+      const entries = [];
+      const scores = [];
+      const indexByKey = new Map();
+      for (const { value, score } of values) {
+        (value || []).forEach((entry, index) => {
+          const key = getEntryKey(field, entry);
+          const entryScores = Array.isArray(score) ? score[index] || {} : {};
+          if (!indexByKey.has(key)) {
+            indexByKey.set(key, entries.length);
+            entries.push({ ...entry });
+            scores.push({ ...entryScores });
+            return;
+          }
+          duplicates++;
+          const target = indexByKey.get(key);
+          for (const [name, fieldValue] of Object.entries(entry)) {
+            if (isEmpty(entries[target][name]) && !isEmpty(fieldValue)) {
+              entries[target][name] = fieldValue;
+              if (typeof entryScores[name] === 'number') scores[target][name] = entryScores[name];
+            }
+          }
+        });
+      }
+      data[field] = entries;
+      if (values.some(({ score }) => Array.isArray(score))) confidence[field] = scores;
+    } else if (values.some(({ value }) => Array.isArray(value))) {
+      // String lists: union in order of appearance, case-insensitive
+      const seen = new Set();
+      data[field] = values.flatMap(({ value }) => value || []).filter(item => {
+        const key = normalizeKeyPart(item);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+      const contributing = values.filter(({ value, score }) => !isEmpty(value) && typeof score === 'number');
+      if (contributing.length > 0) confidence[field] = Math.min(...contributing.map(({ score }) => score));
+    } else if (values.some(({ value }) => value && typeof value === 'object')) {
+      // Objects (contact_address): first non-empty value per key
+      const objects = values.map(({ value }) => value).filter(value => value && typeof value === 'object');
+      data[field] = Object.fromEntries([...new Set(objects.flatMap(Object.keys))]
+        .map(key => [key, objects.map(object => object[key]).find(item => !isEmpty(item)) ?? null]));
+      const scored = values.find(({ value, score }) => value && typeof score === 'number');
+      if (scored) confidence[field] = scored.score;
+    } else {
+      // Scalars: first chunk that has a value
+      const first = values.find(({ value }) => !isEmpty(value));
+      data[field] = first ? first.value : values.find(({ value }) => value !== undefined)?.value ?? null;
+      if (typeof first?.score === 'number') confidence[field] = first.score;
+    }
+  }
+
+  return { data, confidence, duplicates };
+}
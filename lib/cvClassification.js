@@ -0,0 +1,136 @@
+// CV type classification, run before the first pass to choose the extraction profile.
+// Each CV is scored against four types from signals in its text — no model call, so the result is
+// free, deterministic and the same for every retry of a job:
+//   academic                  publications section, DOIs, ORCID / Google Scholar / h-index, academic
+//                             titles (professor, postdoc, lecturer, PhD candidate), teaching, grants and talks
+//   career_starter            graduation in the last two years (or still studying), internships, GPAs,
+//                             a short career
+//   executive                 C-level, managing director, SVP / EVP, managing partner and board titles,
+//                             board memberships, a long career
+//   experienced_professional  the baseline every CV starts with
+// The highest score wins, ties go to experienced_professional. The confidence (0-100) is the winner's
+// share of the two highest scores, so a CV with strong signals of a second type gets a low confidence.
+
+// ==========================================
+// CONFIGURATION
+// ==========================================
+
+export const CV_TYPES = ['experienced_professional', 'academic', 'career_starter', 'executive'];
+
+// Extraction profile per CV type (see EXTRACTION_PROFILES in lib/cvParser.js)
+export const CV_TYPE_PROFILES = {
+  experienced_professional: 'standard',
+  academic: 'academic',
+  career_starter: 'career_starter',
+  executive: 'executive',
+};
+
+const BASELINE_SCORE = 2; // experienced_professional, before any signal
+const RECENT_GRADUATION_YEARS = 2; // Graduated this year or in the last two
+const SHORT_CAREER_YEARS = 7; // Earliest year in the CV at most this long ago
+const LONG_CAREER_YEARS = 20;
+const EARLIEST_YEAR = 1960; // Older years are not career dates
+
+const PUBLICATIONS_HEADING = /^\W*(?:selected |peer[- ]reviewed |recent )?(?:publications|papers|publikationen|pubblicazioni)\b.{0,30}$/im;
+const ACADEMIC_SECTION_HEADINGS = [
+  /^\W*(?:teaching(?: experience)?|lehre|lehrt\u00e4tigkeit)\W*$/im,
+  /^\W*(?:grants|funding|research grants|grants (?:and|&) (?:awards|fellowships)|drittmittel)\b.{0,30}$/im,
+  /^\W*(?:(?:invited |conference )?(?:talks|presentations)|conference presentations|vortr\u00e4ge)\b.{0,30}$/im,
+  /^\W*(?:research interests|forschungsschwerpunkte)\W*$/im,
+];
+const DOI = /\b10\.\d{4,9}\/\S+/g;
+const RESEARCH_PROFILE = /\borcid\b|scholar\.google\.|\bh-index\b|\bh index\b/i;
+const ACADEMIC_TITLE = /\b(?:(?:assistant|associate|full|adjunct|visiting|tenure[- ]track) )?professor\b|\bpost-?doc(?:toral)?\b|\blecturer\b|\bresearch (?:fellow|scientist|associate)\b|\b(?:phd|doctoral) (?:candidate|student|researcher)\b|\bprivatdozent\b/i;
+
+const INTERNSHIP = /\b(?:intern|internship|trainee|traineeship|summer (?:analyst|associate)|working student|werkstudent(?:in)?|praktikum|praktikant(?:in)?|stagiaire)\b/i;
+const GPA = /\bgpa\b|\bgrade point average\b/i;
+const EDUCATION_LINE = /\b(?:bachelor|master|b\.?sc|m\.?sc|b\.?eng|m\.?eng|mba|ph\.?d|diplom\w*|degree|graduat(?:ed|ion)|matura|abitur|universit\w*|college|hochschule|fachhochschule|eth|epfl)\b/i;
+const ONGOING = /\b(?:present|current|ongoing|expected|anticipated|heute|laufend)\b/i;
+
+const EXECUTIVE_TITLE = /\b(?:ceo|cfo|coo|cto|cio|cro|chief [a-z]+ officer|managing director|(?:senior|executive) vice president|svp|evp|general manager|managing partner|senior partner|equity partner|chairman|chairwoman|chair of the board|non-executive director|member of the (?:executive|management) board|gesch\u00e4ftsf\u00fchrer(?:in)?)\b/i;
+const BOARD_MEMBERSHIP = /\b(?:board of directors|supervisory board|advisory board|board member|verwaltungsrat|aufsichtsrat|conseil d'administration)\b/i;
+
+// ==========================================
+// CLASSIFICATION
+// ==========================================
+
+// Plain-text lines of the CV; HTML block elements become lines
+function toLines(content, format) {
+  const text = format === 'html' || format === 'odt'
+    ? content.replace(/<\/(?:p|h[1-6]|li|tr|div)>|<br\s*\/?>/gi, '\n').replace(/<[^>]*>/g, ' ').replace(/&nbsp;/g, ' ').replace(/&amp;/g, '&')
+    : content;
+  return text.split('\n').map(line => line.trim()).filter(Boolean);
+}
+
+const yearsIn = (line, currentYear) => (line.match(/\b(?:19|20)\d{2}\b/g) || [])
+  .map(Number)
+  .filter(year => year >= EARLIEST_YEAR && year <= currentYear + 6);
+
+/**
+ * Classify a CV from its text
+ * @param {string|null} content - CV text, or HTML for the html and odt formats
+ * @param {string} [format] - Input format ('html', 'odt', 'text', ...)
+ * @returns {{type: string, confidence: number, signals: Array<string>}} - type: one of CV_TYPES;
+ *   confidence: 0-100 (0 without text); signals: what was found, for logs
+ */
+export function classifyCv(content, format = 'text') {
+  if (!content || typeof content !== 'string' || !content.trim()) {
+    return { type: 'experienced_professional', confidence: 0, signals: ['no text to classify'] };
+  }
+
+  const lines = toLines(content, format);
+  const text = lines.join('\n');
+  const currentYear = new Date().getFullYear();
+  const countLines = (pattern) => lines.filter(line => pattern.test(line)).length;
+  const scores = { experienced_professional: BASELINE_SCORE, academic: 0, career_starter: 0, executive: 0 };
+  const signals = [];
+  const add = (type, points, signal) => {
+    scores[type] += points;
+    signals.push(`${signal} (${type} +${points})`);
+  };
+
+  // Career length: years since the earliest date in the CV
+  const allYears = lines.flatMap(line => yearsIn(line, currentYear)).filter(year => year <= currentYear);
+  const careerYears = allYears.length > 0 ? currentYear - Math.min(...allYears) : null;
+
+  // Academic
+  if (PUBLICATIONS_HEADING.test(text)) add('academic', 3, 'publications section');
+  const doiCount = text.match(DOI)?.length || 0;
+  if (doiCount > 0) add('academic', doiCount >= 5 ? 2 : 1, `${doiCount} DOI(s)`);
+  if (RESEARCH_PROFILE.test(text)) add('academic', 2, 'ORCID, Google Scholar or h-index');
+  const academicTitles = countLines(ACADEMIC_TITLE);
+  if (academicTitles > 0) add('academic', Math.min(academicTitles * 2, 6), `${academicTitles} academic title(s)`);
+  const academicSections = ACADEMIC_SECTION_HEADINGS.filter(heading => heading.test(text)).length;
+  if (academicSections > 0) add('academic', academicSections, `${academicSections} teaching, grants, talks or research interests section(s)`);
+
+  // Career starter — a recent degree only counts for a short career (not an executive MBA); lines
+  // with academic titles are university appointments, not degrees
+  const educationLines = lines.filter(line => EDUCATION_LINE.test(line) && !ACADEMIC_TITLE.test(line));
+  const lastGraduation = Math.max(0, ...educationLines.flatMap(line => yearsIn(line, currentYear)));
+  const studying = educationLines.some(line => ONGOING.test(line) && yearsIn(line, currentYear).length > 0);
+  if ((studying || lastGraduation >= currentYear - RECENT_GRADUATION_YEARS) && (careerYears === null || careerYears <= 10)) {
+    add('career_starter', 3, studying ? 'studies ongoing' : `graduated ${lastGraduation}`);
+  }
+  const internships = countLines(INTERNSHIP);
+  if (internships > 0) add('career_starter', Math.min(internships, 3), `${internships} internship(s)`);
+  if (GPA.test(text)) add('career_starter', 1, 'GPA');
+  if (careerYears !== null && careerYears <= SHORT_CAREER_YEARS) add('career_starter', 2, `earliest date ${careerYears} year(s) ago`);
+
+  // Executive
+  const executiveTitles = countLines(EXECUTIVE_TITLE);
+  if (executiveTitles > 0) add('executive', Math.min(2 + executiveTitles * 2, 8), `${executiveTitles} executive title(s)`);
+  if (BOARD_MEMBERSHIP.test(text)) add('executive', 2, 'board membership');
+  if (careerYears !== null && careerYears >= LONG_CAREER_YEARS && executiveTitles > 0) add('executive', 2, `earliest date ${careerYears} year(s) ago`);
+
+  // Experienced professional — several years of work beyond a degree
+  if (careerYears !== null && careerYears > SHORT_CAREER_YEARS) add('experienced_professional', 1, `earliest date ${careerYears} year(s) ago`);
+
+  const [top, second] = CV_TYPES
+    .map(type => ({ type, score: scores[type] }))
+    .sort((a, b) => b.score - a.score); // Stable: ties keep CV_TYPES order
+  return {
+    type: top.type,
+    confidence: Math.round((100 * top.score) / (top.score + second.score)),
+    signals,
+  };
+}
@@ -0,0 +1,2917 @@
+// CV parsing pipeline: file type detection and loading, profile picture detection, LLM
+// extraction (first pass, schema repair, focused second pass), validation, inference, and bio and
+// summary generation. Free of Express and Supabase, so the same pipeline runs in the service
+// (index.js) and in local tools such as scripts/parse-cv.js. Configured through the service's
+// environment variables; model calls go through the providers in ./llmProviders.js.
+
+import { createHash } from 'node:crypto';
+import pdf from 'pdf-parse/lib/pdf-parse.js';
+import mammoth from 'mammoth';
+import { PDFDocument, PDFName } from 'pdf-lib';
+import sharp from 'sharp';
+
+// Import ALL shared options from local config file
+import {
+  COUNTRY_OPTIONS,
+  GENERAL_FIELD_OPTIONS,
+  DEGREE_TYPE_OPTIONS,
+  POSITION_TYPE_OPTIONS,
+  LANGUAGE_PROFICIENCY_OPTIONS,
+  SKILL_PROFICIENCY_OPTIONS,
+  DURATION_OPTIONS,
+  JOB_TYPE_OPTIONS,
+  LOCATION_OPTIONS,
+  INDUSTRY_PREFERENCE_OPTIONS,
+  FUNCTIONAL_EXPERTISE_OPTIONS,
+} from '../formOptions.js';
+import { validateExtractedData, recoverTruncatedExtraction, focusedRefinementSchema } from './extractionSchema.js';
+import {
+  convertDocToText,
+  convertRtfToText,
+  convertOdtToHtml,
+  decodeTextFile,
+  findEmbeddedImages,
+  extractImagesFromRtfContent,
+  extractImagesFromOdtContent,
+} from './documentFormats.js';
+import { detectFileType } from './fileTypeDetection.js';
+import { inspectPdfTextLayer, extractPdfText, ocrPdf } from './ocr.js';
+import { estimateTokens, createChunks, mergeChunkExtractions } from './chunking.js';
+import { classifyCv, CV_TYPE_PROFILES } from './cvClassification.js';
+import { detectLanguage, LANGUAGE_NAMES } from './languageDetection.js';
+import { completeChat } from './llmProviders.js';
+import { logger, createLogger, registerPersonalData } from './logger.js';
+
+// ==========================================
+// CONFIGURATION
+// ==========================================
+export const ENABLE_TWO_PASS = process.env.ENABLE_TWO_PASS !== 'false'; // Default true
+export const ENABLE_INFERENCE = process.env.ENABLE_INFERENCE !== 'false'; // Default true
+export const ENABLE_PROFILE_PICTURE_EXTRACTION = process.env.ENABLE_PROFILE_PICTURE_EXTRACTION !== 'false'; // Default true
+export const VISION_API_TIMEOUT_MS = parseInt(process.env.VISION_API_TIMEOUT_MS) || 10000; // 10 seconds
+export const MIN_CONFIDENCE_THRESHOLD = parseInt(process.env.MIN_CONFIDENCE_THRESHOLD) || 60; // 60%
+const CONFIDENCE_THRESHOLD = parseInt(process.env.CONFIDENCE_THRESHOLD) || 70; // Fields below this get a focused second pass
+const MAX_SCHEMA_REPAIR_ATTEMPTS = parseInt(process.env.MAX_SCHEMA_REPAIR_ATTEMPTS) >= 0
+  ? parseInt(process.env.MAX_SCHEMA_REPAIR_ATTEMPTS)
+  : 2; // Repair round-trips when the model output fails schema validation
+export const ENABLE_OCR = process.env.ENABLE_OCR !== 'false'; // Default true — local OCR for scanned PDFs
+const OCR_LANGUAGES = (process.env.OCR_LANGUAGES || 'eng,deu,fra,ita').split(',').map(code => code.trim()).filter(Boolean);
+const OCR_MAX_PAGES = parseInt(process.env.OCR_MAX_PAGES) || 5; // Pages recognized per scanned CV
+const PARSING_TOKEN_BUDGET = parseInt(process.env.PARSING_TOKEN_BUDGET) || 12000; // Estimated CV tokens per first-pass request; longer CVs are extracted in chunks
+
+// ==========================================
+// CONSTANTS
+// ==========================================
+
+// Image extraction and processing
+const IMAGE_MIN_SIZE = 100; // Minimum width/height in pixels to consider
+const IMAGE_MAX_DIMENSION = 800; // Maximum dimension for resized images
+const IMAGE_JPEG_QUALITY = 85; // JPEG compression quality (0-100)
+const IMAGE_MAX_CANDIDATES = 5; // Max images to analyze with Vision API
+const PDF_MAX_PAGES_TO_SCAN = 2; // Only scan first N pages for images
+
+// Supported CV formats (profile pictures are extracted from pdf, docx, doc, rtf and odt)
+const CV_FORMATS_BY_EXTENSION = {
+  '.pdf': 'pdf',
+  '.docx': 'docx',
+  '.doc': 'doc',
+  '.rtf': 'rtf',
+  '.odt': 'odt',
+  '.txt': 'txt',
+  '.md': 'markdown',
+  '.markdown': 'markdown',
+};
+const SUPPORTED_CV_FORMATS = new Set(Object.values(CV_FORMATS_BY_EXTENSION));
+const SUPPORTED_CV_FORMATS_LABEL = 'PDF, DOCX, DOC, RTF, ODT, TXT or Markdown';
+
+// Academic extraction profile options
+const PUBLICATION_TYPES = ['Journal Article', 'Conference Paper', 'Book', 'Book Chapter', 'Preprint', 'Thesis', 'Patent', 'Other'];
+const PRESENTATION_TYPES = ['Keynote', 'Invited Talk', 'Contributed Talk', 'Poster', 'Panel', 'Seminar'];
+const TEACHING_LEVELS = ['Undergraduate', 'Graduate', 'Executive'];
+
+// Executive extraction profile options
+const BOARD_TYPES = ['Board of Directors', 'Supervisory Board', 'Advisory Board', 'Non-Profit Board'];
+
+// OpenAI API configuration
+export const OPENAI_MODEL_PARSING = process.env.OPENAI_MODEL_PARSING || 'gpt-4.1'; // Model for CV text parsing
+export const OPENAI_MODEL_VISION = process.env.OPENAI_MODEL_VISION || 'gpt-4.1-nano'; // Model for image analysis
+export const OPENAI_MODEL_SUMMARY = process.env.OPENAI_MODEL_SUMMARY || 'gpt-4.1-nano'; // Model for short text summaries
+const OPENAI_TEMP_PARSING = 0; // Temperature for parsing (0 = fully deterministic for consistent company classification)
+const OPENAI_TEMP_VISION = 0.3; // Temperature for vision analysis
+const OPENAI_MAX_TOKENS_VISION = 200; // Max tokens for vision response
+
+// ==========================================
+// HELPER FUNCTIONS
+// ==========================================
+
+// Convert options array to string for prompt
+const getOptionsString = (optionsArray) => {
+  return optionsArray
+    .map(opt => opt.value)
+    .filter(Boolean)
+    .map(val => `'${val}'`)
+    .join(', ');
+};
+
+// Convert simple string array to options string
+const getOptionsStringForSimpleArray = (optionsArray) => {
+  return optionsArray
+    .filter(Boolean)
+    .map(val => `'${val}'`)
+    .join(', ');
+};
+
+// Create an Error carrying a machine-readable code (stored as cv_parsing_jobs.error_code)
+export function createCodedError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Determine the CV format claimed by a file name or storage path (null if unsupported)
+function getCvFormat(fileName) {
+  const extension = fileName.toLowerCase().match(/\.[a-z]+$/)?.[0];
+  return CV_FORMATS_BY_EXTENSION[extension] || null;
+}
+
+/**
+ * Determine the real CV format from the file content and compare it with the name's extension
+ * Throws a coded error (EMPTY_FILE, ENCRYPTED_DOCUMENT, UNSUPPORTED_FILE_TYPE) for files that can't be parsed.
+ * @param {Buffer} buffer - File contents
+ * @param {string} fileName - Upload name or storage path
+ * @returns {Promise<{claimed: string, detected: string}>}
+ */
+export async function identifyFileType(buffer, fileName) {
+  const claimedFormat = getCvFormat(fileName);
+  const claimed = claimedFormat || fileName.toLowerCase().match(/\.([a-z0-9]+)$/)?.[1] || 'none';
+  const detected = await detectFileType(buffer, { claimedFormat });
+
+  if (detected === 'empty') {
+    throw createCodedError('EMPTY_FILE', 'The uploaded file is empty.');
+  }
+  if (detected === 'encrypted-office') {
+    throw createCodedError('ENCRYPTED_DOCUMENT', 'The document is password-protected. Please upload an unprotected copy.');
+  }
+  if (!SUPPORTED_CV_FORMATS.has(detected)) {
+    const error = createCodedError(
+      'UNSUPPORTED_FILE_TYPE',
+      `Unsupported file type (detected: ${detected}, file name suggests: ${claimed}). Please upload a ${SUPPORTED_CV_FORMATS_LABEL} file.`
+    );
+    error.fileType = { claimed, detected };
+    throw error;
+  }
+
+  if (claimedFormat !== detected) {
+    logger.warn(`File name suggests "${claimed}" but content is "${detected}" — using detected type`);
+  }
+
+  return { claimed, detected };
+}
+
+/**
+ * OCR a PDF that has no text layer (scanned or exported as images)
+ * Returns null for PDFs with a text layer, which go to the model natively.
+ * @param {Buffer} buffer - PDF file buffer
+ * @returns {Promise<{type: 'text', format: 'ocr', content: string, ocr: {pages: number, meanConfidence: number|null}}|null>}
+ */
+async function prepareScannedPdf(buffer) {
+  const textLayer = await inspectPdfTextLayer(buffer);
+  if (textLayer.hasText) return null;
+
+  logger.info(`PDF has no usable text layer (${textLayer.charCount} chars on ${textLayer.pageCount} page(s)) — running local OCR`);
+  const startTime = Date.now();
+  const { text, pages, meanConfidence } = await ocrPdf(buffer, { languages: OCR_LANGUAGES, maxPages: OCR_MAX_PAGES });
+  logger.info(`OCR recognized ${text.length} chars from ${pages} page(s) (mean confidence: ${meanConfidence ?? 'n/a'})`, { ocrMs: Date.now() - startTime });
+
+  if (!text.trim()) {
+    throw createCodedError('NO_TEXT_CONTENT', 'No readable text found in the PDF, even after OCR. Please upload a clearer scan or a text-based PDF.');
+  }
+
+  return { type: 'text', format: 'ocr', content: text, ocr: { pages, meanConfidence } };
+}
+
+// Convert a CV buffer into parser input — returns PDF buffer, HTML (DOCX/ODT) or plain text (DOC/RTF/TXT/Markdown/OCR)
+export async function prepareBufferForParsing(buffer, format) {
+  switch (format) {
+    case 'pdf':
+      return (ENABLE_OCR && await prepareScannedPdf(buffer)) || { type: 'pdf', buffer };
+    case 'docx': {
+      const { value } = await mammoth.convertToHtml({ buffer });
+      // Strip base64 images (can be huge) but keep all structural HTML tags
+      const cleanHtml = value.replace(/<img[^>]*src="data:[^"]*"[^>]*\/?>/g, '');
+      return { type: 'html', format: 'html', content: cleanHtml };
+    }
+    case 'odt':
+      return { type: 'html', format: 'odt', content: await convertOdtToHtml(buffer) };
+    case 'doc':
+      return { type: 'text', format: 'doc', content: await convertDocToText(buffer) };
+    case 'rtf':
+      return { type: 'text', format: 'rtf', content: convertRtfToText(buffer) };
+    case 'txt':
+    case 'markdown':
+      return { type: 'text', format, content: decodeTextFile(buffer) };
+    default:
+      throw new Error(`Unsupported file type. Please upload a ${SUPPORTED_CV_FORMATS_LABEL} file.`);
+  }
+}
+
+// ==========================================
+// PROFILE PICTURE EXTRACTION
+// ==========================================
+
+/**
+ * Extract images from a PDF file
+ * @param {Buffer} buffer - PDF file buffer
+ * @returns {Promise<Array<{buffer: Buffer, width: number, height: number, page: number}>>}
+ */
+async function extractImagesFromPdf(buffer) {
+  try {
+    const pdfDoc = await PDFDocument.load(buffer);
+    const pages = pdfDoc.getPages();
+    const extractedImages = [];
+
+    // Only process first pages (profile pictures are typically on page 1)
+    const pagesToProcess = Math.min(pages.length, PDF_MAX_PAGES_TO_SCAN);
+
+    for (let pageIndex = 0; pageIndex < pagesToProcess; pageIndex++) {
+      const page = pages[pageIndex];
+
+      // Get page resources
+      const resources = page.node.Resources();
+      const xObjects = resources?.lookup(PDFName.of('XObject'));
+
+      if (!xObjects) continue;
+
+      // Iterate through XObjects (which include images)
+      const xObjectKeys = xObjects.dict.keys();
+
+      for (const key of xObjectKeys) {
+        try {
+          const xObject = xObjects.lookup(key);
+
+          // Check if this is an image
+          const subtype = xObject?.dict?.get(PDFName.of('Subtype'));
+          if (subtype?.toString() !== '/Image') continue;
+
+          // Get image dimensions
+          const width = xObject?.dict?.get(PDFName.of('Width'))?.value;
+          const height = xObject?.dict?.get(PDFName.of('Height'))?.value;
+
+          // Filter out small images (likely icons/logos)
+          if (!width || !height || width < IMAGE_MIN_SIZE || height < IMAGE_MIN_SIZE) continue;
+
+          // Get image data
+          const imageData = xObject?.contents;
+          if (!imageData) continue;
+
+          // Convert to Buffer and optimize with sharp
+          const imageBuffer = Buffer.from(imageData);
+          const optimizedImage = await sharp(imageBuffer)
+            .resize(IMAGE_MAX_DIMENSION, IMAGE_MAX_DIMENSION, { fit: 'inside', withoutEnlargement: true })
+            .jpeg({ quality: IMAGE_JPEG_QUALITY })
+            .toBuffer();
+
+          const metadata = await sharp(optimizedImage).metadata();
+
+          extractedImages.push({
+            buffer: optimizedImage,
+            width: metadata.width,
+            height: metadata.height,
+            page: pageIndex + 1
+          });
+        } catch (err) {
+          // Skip individual image extraction errors silently
+          continue;
+        }
+      }
+    }
+
+    return extractedImages;
+  } catch (error) {
+    logger.error('PDF image extraction failed', { err: error });
+    return [];
+  }
+}
+
+/**
+ * Extract images from a DOCX file
+ * @param {Buffer} buffer - DOCX file buffer
+ * @returns {Promise<Array<{buffer: Buffer, width: number, height: number}>>}
+ */
+async function extractImagesFromDocx(buffer) {
+  try {
+    const extractedImages = [];
+
+    // Configure mammoth to extract images
+    const result = await mammoth.convertToHtml({
+      buffer,
+    }, {
+      convertImage: mammoth.images.imgElement(async (image) => {
+        try {
+          const imageBuffer = await image.read();
+
+          // Get image metadata
+          const metadata = await sharp(imageBuffer).metadata();
+
+          // Filter out small images (likely icons/logos)
+          if (metadata.width < IMAGE_MIN_SIZE || metadata.height < IMAGE_MIN_SIZE) {
+            return { src: '' }; // Skip small images
+          }
+
+          // Optimize image
+          const optimizedImage = await sharp(imageBuffer)
+            .resize(IMAGE_MAX_DIMENSION, IMAGE_MAX_DIMENSION, { fit: 'inside', withoutEnlargement: true })
+            .jpeg({ quality: IMAGE_JPEG_QUALITY })
+            .toBuffer();
+
+          const optimizedMetadata = await sharp(optimizedImage).metadata();
+
+          extractedImages.push({
+            buffer: optimizedImage,
+            width: optimizedMetadata.width,
+            height: optimizedMetadata.height
+          });
+
+          return { src: '' }; // We don't need the HTML, just extracting images
+        } catch (err) {
+          // Skip individual image errors silently
+          return { src: '' };
+        }
+      })
+    });
+
+    return extractedImages;
+  } catch (error) {
+    logger.error('DOCX image extraction failed', { err: error });
+    return [];
+  }
+}
+
+/**
+ * Filter and optimize raw images extracted from DOC, RTF or ODT files
+ * @param {Array<Buffer>} rawImages - Raw image buffers in any format sharp can decode
+ * @returns {Promise<Array<{buffer: Buffer, width: number, height: number}>>}
+ */
+async function optimizeExtractedImages(rawImages) {
+  const extractedImages = [];
+
+  for (const imageBuffer of rawImages) {
+    try {
+      const metadata = await sharp(imageBuffer).metadata();
+
+      // Filter out small images (likely icons/logos)
+      if (!metadata.width || !metadata.height || metadata.width < IMAGE_MIN_SIZE || metadata.height < IMAGE_MIN_SIZE) {
+        continue;
+      }
+
+      const optimizedImage = await sharp(imageBuffer)
+        .resize(IMAGE_MAX_DIMENSION, IMAGE_MAX_DIMENSION, { fit: 'inside', withoutEnlargement: true })
+        .jpeg({ quality: IMAGE_JPEG_QUALITY })
+        .toBuffer();
+
+      const optimizedMetadata = await sharp(optimizedImage).metadata();
+
+      extractedImages.push({
+        buffer: optimizedImage,
+        width: optimizedMetadata.width,
+        height: optimizedMetadata.height
+      });
+    } catch (err) {
+      // Skip images sharp can't decode (truncated streams, WMF previews)
+      continue;
+    }
+  }
+
+  return extractedImages;
+}
+
+/**
+ * Use OpenAI Vision API to identify the most likely profile picture from extracted images
+ * @param {Array<{buffer: Buffer, width: number, height: number}>} images - Array of extracted images
+ * @param {(call: object) => void} [onLlmCall] - Receives the model call record (see completeChat)
+ * @returns {Promise<{imageIndex: number|null, confidence: number, reason: string}>}
+ */
+async function identifyProfilePicture(images, onLlmCall) {
+  if (!images || images.length === 0) {
+    return { imageIndex: null, confidence: 0, reason: 'No images found' };
+  }
+
+  try {
+    // Convert first candidate images to base64 (to limit API cost)
+    const candidateImages = images.slice(0, IMAGE_MAX_CANDIDATES);
+    const base64Images = candidateImages.map((img) => ({
+      base64: img.buffer.toString('base64'),
+      dimensions: `${img.width}x${img.height}`
+    }));
+
+    // Create image content for Vision API (multiple images in one call)
+    const imageContent = base64Images.map((img, index) => ({
+      type: 'image_url',
+      image_url: {
+        url: `data:image/jpeg;base64,${img.base64}`,
+        detail: 'low' // Use low detail to reduce cost
+      }
+    }));
+
+    const prompt = `Analyze these ${base64Images.length} images extracted from a CV/resume. Your task is to identify which one is most likely a professional profile picture of the person who wrote the CV.
+
+Consider the following criteria:
+1. Contains a human face (headshot or upper body)
+2. Professional appearance (not casual snapshots)
+3. Appropriate composition for a profile picture
+4. Person is the main subject (not a group photo)
+5. Clear, well-lit image
+
+The images are numbered 1 to ${base64Images.length}.
+
+Respond with JSON only, in this exact format:
+{
+  "hasProfilePicture": true or false,
+  "imageIndex": <1-based index of the best candidate, or null if none>,
+  "confidence": <0-100 integer>,
+  "reason": "<brief explanation>"
+}
+
+If none of the images appear to be a professional profile picture (e.g., they're logos, charts, diagrams, group photos, or casual snapshots), set hasProfilePicture to false and imageIndex to null.`;
+
+    // Call OpenAI Vision API with timeout
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), VISION_API_TIMEOUT_MS);
+
+    try {
+      const response = await completeChat('vision', {
+        model: OPENAI_MODEL_VISION,
+        messages: [
+          {
+            role: 'user',
+            content: [
+              { type: 'text', text: prompt },
+              ...imageContent
+            ]
+          }
+        ],
+        max_tokens: OPENAI_MAX_TOKENS_VISION,
+        temperature: OPENAI_TEMP_VISION,
+      }, {
+        purpose: 'vision',
+        onCall: onLlmCall,
+        signal: controller.signal
+      });
+
+      clearTimeout(timeoutId);
+
+      // Parse response
+      const content = response.choices[0]?.message?.content?.trim();
+      if (!content) {
+        return { imageIndex: null, confidence: 0, reason: 'Empty response from Vision API' };
+      }
+
+      // Extract JSON from response (handle markdown code blocks)
+      let jsonMatch = content.match(/\{[\s\S]*\}/);
+      if (!jsonMatch) {
+        return { imageIndex: null, confidence: 0, reason: 'Failed to parse Vision API response' };
+      }
+
+      const result = JSON.parse(jsonMatch[0]);
+
+      // Convert 1-based index to 0-based, validate
+      const imageIndex = result.hasProfilePicture && result.imageIndex
+        ? result.imageIndex - 1
+        : null;
+
+      // Validate index is within bounds
+      if (imageIndex !== null && (imageIndex < 0 || imageIndex >= images.length)) {
+        return { imageIndex: null, confidence: 0, reason: 'Invalid image index from API' };
+      }
+
+      return {
+        imageIndex,
+        confidence: result.confidence || 0,
+        reason: result.reason || 'No reason provided'
+      };
+
+    } catch (apiError) {
+      clearTimeout(timeoutId);
+      if (apiError.name === 'AbortError') {
+        return { imageIndex: null, confidence: 0, reason: 'Vision API timeout' };
+      }
+      throw apiError;
+    }
+
+  } catch (error) {
+    logger.error('Vision API error', { err: error });
+    return { imageIndex: null, confidence: 0, reason: `Error: ${error.message}` };
+  }
+}
+
+/**
+ * Find the profile picture in a CV buffer without touching storage
+ * @param {Buffer} buffer - CV file buffer
+ * @param {string} format - Detected CV format (see identifyFileType)
+ * @param {(call: object) => void} [onLlmCall] - Receives the vision call record (see completeChat)
+ * @returns {Promise<{buffer: Buffer, confidence: number}|null>} - Selected image, or null
+ */
+export async function findProfilePicture(buffer, format, onLlmCall) {
+  // Extract images based on file type
+  let extractedImages = [];
+
+  switch (format) {
+    case 'pdf':
+      extractedImages = await extractImagesFromPdf(buffer);
+      break;
+    case 'docx':
+      extractedImages = await extractImagesFromDocx(buffer);
+      break;
+    case 'doc':
+      extractedImages = await optimizeExtractedImages(findEmbeddedImages(buffer));
+      break;
+    case 'rtf':
+      extractedImages = await optimizeExtractedImages(extractImagesFromRtfContent(buffer));
+      break;
+    case 'odt':
+      extractedImages = await optimizeExtractedImages(await extractImagesFromOdtContent(buffer));
+      break;
+    default:
+      return null; // Plain text and Markdown can't hold images
+  }
+
+  if (extractedImages.length === 0) {
+    return null;
+  }
+
+  // Use AI to identify the best profile picture
+  const identification = await identifyProfilePicture(extractedImages, onLlmCall);
+
+  // Check if confidence meets threshold
+  if (identification.imageIndex === null || identification.confidence < MIN_CONFIDENCE_THRESHOLD) {
+    return null;
+  }
+
+  return {
+    buffer: extractedImages[identification.imageIndex].buffer,
+    confidence: identification.confidence
+  };
+}
+
+// ==========================================
+// VALIDATION & AUTO-CORRECTION
+// ==========================================
+
+// Validate and auto-correct URL (ensure https:// prefix)
+function validateAndCorrectUrl(url) {
+  if (!url || typeof url !== 'string') return null;
+  const trimmed = url.trim();
+  if (!trimmed) return null;
+  if (!trimmed.startsWith('http://') && !trimmed.startsWith('https://')) {
+    return 'https://' + trimmed;
+  }
+  return trimmed;
+}
+
+// Validate an ORCID iD: 16 characters in groups of four, the last an ISO 7064 MOD 11-2 check digit (0-9 or X)
+// Accepts orcid.org URLs; returns the bare iD (0000-0002-1825-0097) or null
+export function validateOrcidId(value) {
+  if (!value || typeof value !== 'string') return null;
+  const compact = value.trim()
+    .replace(/^(?:https?:\/\/)?(?:www\.)?orcid\.org\//i, '')
+    .replace(/[\s-]/g, '')
+    .toUpperCase();
+  if (!/^\d{15}[\dX]$/.test(compact)) return null;
+
+  let total = 0;
+  for (const digit of compact.slice(0, 15)) {
+    total = (total + Number(digit)) * 2;
+  }
+  const checkDigit = (12 - (total % 11)) % 11;
+  if (compact[15] !== (checkDigit === 10 ? 'X' : String(checkDigit))) return null;
+  return compact.match(/.{4}/g).join('-');
+}
+
+// Validate a Google Scholar profile URL (scholar.google.<tld>/citations?user=<12-character id>)
+// Returns it normalized to https://scholar.google.com/citations?user=<id>, or null
+export function validateGoogleScholarUrl(value) {
+  if (!value || typeof value !== 'string') return null;
+  let url;
+  try {
+    url = new URL(validateAndCorrectUrl(value));
+  } catch {
+    return null;
+  }
+  if (!/^scholar\.google\.(?:com|[a-z]{2}|com?\.[a-z]{2})$/i.test(url.hostname) || url.pathname !== '/citations') return null;
+  const user = url.searchParams.get('user');
+  return user && /^[\w-]{12}$/.test(user) ? `https://scholar.google.com/citations?user=${user}` : null;
+}
+
+// Validate a DOI (10.<registrant>/<suffix>), stripping doi.org and "doi:" prefixes
+export function validateDoi(value) {
+  if (!value || typeof value !== 'string') return null;
+  const doi = value.trim()
+    .replace(/^(?:https?:\/\/)?(?:dx\.)?doi\.org\//i, '')
+    .replace(/^doi:\s*/i, '')
+    .replace(/[.,;]+$/, '');
+  return /^10\.\d{4,9}\/\S+$/.test(doi) ? doi : null;
+}
+
+// Non-negative whole number (h-index, citation counts), or null
+function validateCount(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0 ? Math.round(value) : null;
+}
+
+// Publication year between 1900 and next year (accepted, in press), or null
+function validatePublicationYear(year) {
+  const value = typeof year === 'string' ? parseInt(year) : year;
+  return Number.isInteger(value) && value >= 1900 && value <= new Date().getFullYear() + 1 ? value : null;
+}
+
+// Numeric grade as a string ('3.8', '5.4'; decimal commas accepted), or null
+function validateGradeNumber(value) {
+  if (value === null || value === undefined) return null;
+  const grade = String(value).trim().replace(',', '.');
+  return /^\d{1,3}(?:\.\d{1,2})?$/.test(grade) ? grade : null;
+}
+
+// Validate a grade and its scale (GPA 3.8 of 4.0); when both are missing they are read from the grade
+// as written ('GPA 3.7/4.0', '5.4 out of 6'). A grade above its scale is dropped as misread.
+export function validateGradePair(value, max, gradeText = null) {
+  let gradeValue = validateGradeNumber(value);
+  let gradeMax = validateGradeNumber(max);
+  if (!gradeValue && !gradeMax && typeof gradeText === 'string') {
+    const match = gradeText.match(/(\d{1,3}(?:[.,]\d{1,2})?)\s*(?:\/|out of|of)\s*(\d{1,3}(?:[.,]\d{1,2})?)/i);
+    if (match) {
+      gradeValue = validateGradeNumber(match[1]);
+      gradeMax = validateGradeNumber(match[2]);
+    }
+  }
+  if (gradeValue && gradeMax && parseFloat(gradeValue) > parseFloat(gradeMax)) {
+    return { value: null, max: null, dropped: true };
+  }
+  return { value: gradeValue, max: gradeMax, dropped: false };
+}
+
+// Original-wording fields of CVs not in English, with the English field each one translates
+const ORIGINAL_TEXT_FIELDS = {
+  education: { degreeNameOriginal: null, specificFieldOriginal: 'specificField', thesisProjectNameOriginal: 'thesisProjectName' },
+  experience: { positionNameOriginal: 'positionName', descriptionOriginal: 'description', raw_bullet_points_original: 'raw_bullet_points' },
+};
+
+// Trim the original-wording fields of an entry; null when empty or the same as the English value
+// (the CV already said it in English). Only the fields the entry has are returned.
+function validateOriginalText(entry, fields) {
+  const normalized = {};
+  for (const [field, englishField] of Object.entries(fields)) {
+    if (!(field in entry)) continue;
+    const english = englishField ? entry[englishField] : null;
+    if (Array.isArray(entry[field])) {
+      const bullets = entry[field].filter(bullet => typeof bullet === 'string' && bullet.trim()).map(bullet => bullet.trim());
+      const untranslated = Array.isArray(english) && bullets.length === english.length
+        && bullets.every((bullet, index) => bullet === english[index]?.trim());
+      normalized[field] = bullets.length > 0 && !untranslated ? bullets : null;
+    } else {
+      const original = typeof entry[field] === 'string' ? entry[field].trim() : '';
+      normalized[field] = original && original !== (typeof english === 'string' ? english.trim() : null) ? original : null;
+    }
+  }
+  return normalized;
+}
+
+// Validate and correct phone country code (ensure + prefix)
+function validateAndCorrectCountryCode(code) {
+  if (!code || typeof code !== 'string') return null;
+  const trimmed = code.trim();
+  if (!trimmed) return null;
+  if (!trimmed.startsWith('+')) {
+    return '+' + trimmed;
+  }
+  return trimmed;
+}
+
+// Validate and standardize date format to YYYY-MM
+function validateAndCorrectDate(dateString) {
+  if (!dateString || typeof dateString !== 'string') return null;
+  const trimmed = dateString.trim().toLowerCase();
+  if (!trimmed) return null;
+  if (trimmed === 'present') return 'present'; // Normalize to lowercase
+
+  // Handle various date formats
+  // Format: MM/YYYY or MM-YYYY -> YYYY-MM
+  const monthYearMatch = trimmed.match(/^(\d{1,2})[\/\-](\d{4})$/);
+  if (monthYearMatch) {
+    const month = monthYearMatch[1].padStart(2, '0');
+    const year = monthYearMatch[2];
+    return `${year}-${month}`;
+  }
+
+  // Format: YYYY-MM (already correct)
+  if (/^\d{4}-\d{2}$/.test(trimmed)) {
+    return trimmed;
+  }
+
+  // Format: YYYY only -> YYYY-01
+  if (/^\d{4}$/.test(trimmed)) {
+    return `${trimmed}-01`;
+  }
+
+  return trimmed; // Return as-is if can't parse
+}
+
+// Validate email format
+function validateEmail(email) {
+  if (!email || typeof email !== 'string') return null;
+  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  return emailRegex.test(email.trim()) ? email.trim() : null;
+}
+
+// Fuzzy match string to closest option from array
+function fuzzyMatchToOptions(value, optionsArray, threshold = 0.7) {
+  if (!value || typeof value !== 'string') return null;
+
+  const valueLower = value.toLowerCase().trim();
+  const options = optionsArray.map(opt =>
+    typeof opt === 'string' ? opt : opt.value
+  ).filter(Boolean);
+
+  // Exact match (case-insensitive)
+  const exactMatch = options.find(opt => opt.toLowerCase() === valueLower);
+  if (exactMatch) return exactMatch;
+
+  // Partial match - find if value is contained in option or vice versa
+  const partialMatch = options.find(opt => {
+    const optLower = opt.toLowerCase();
+    return optLower.includes(valueLower) || valueLower.includes(optLower);
+  });
+  if (partialMatch) return partialMatch;
+
+  // Label-based partial match - check if value matches any option's label
+  const labelMatch = optionsArray
+    .filter(opt => typeof opt === 'object' && opt.value && opt.label)
+    .find(opt => {
+      const labelLower = opt.label.toLowerCase();
+      return labelLower.includes(valueLower) || valueLower.includes(labelLower);
+    });
+  if (labelMatch) return labelMatch.value;
+
+  // Common mappings for countries, proficiency synonyms, degrees
+  const commonMappings = {
+    // Countries
+    'usa': 'United States',
+    'uk': 'United Kingdom',
+    'uae': 'United Arab Emirates',
+    // Language proficiency synonyms not in any label
+    'mother tongue': 'Native',
+    'native': 'Native',
+    'native speaker': 'Native',
+    'langue maternelle': 'Native',
+    'muttersprache': 'Native',
+    'full professional proficiency': 'Fluent',
+    'courant': 'Fluent',
+    'fließend': 'Fluent',
+    'professional': 'Advanced',
+    'proficient': 'Advanced',
+    'professional working proficiency': 'Intermediate',
+    'limited working proficiency': 'Intermediate',
+    'conversational': 'Intermediate',
+    'working proficiency': 'Intermediate',
+    'professional working': 'Intermediate',
+    'elementary': 'Beginner',
+    'basic': 'Beginner',
+    'grundkenntnisse': 'Beginner',
+    'notions': 'Beginner',
+    // Degree type mappings
+    'master of science': 'MSc',
+    'master of arts': 'MA',
+    'master of engineering': 'MSc',
+    'master of law': 'MA',
+    'master of laws': 'MA',
+    'master of business administration': 'MBA',
+    'master of advanced studies': 'MAS',
+    'master of public administration': 'MA',
+    'master of finance': 'MSc',
+    'master of public health': 'MSc',
+    'master of education': 'MA',
+    'bachelor of science': 'BSc',
+    'bachelor of arts': 'BA',
+    'bachelor of engineering': 'BSc',
+    'bachelor of commerce': 'BSc',
+    'bachelor of technology': 'BSc',
+    'bachelor of laws': 'BA',
+    'bachelor of law': 'BA',
+    'llm': 'MA',
+    'llb': 'BA',
+    'mba': 'MBA',
+    'mas': 'MAS',
+    'btech': 'BSc',
+    'mtech': 'MSc',
+    'bcom': 'BSc',
+    'diplom': 'MSc',
+    'diplom-ingenieur': 'MSc',
+    'diplom-kaufmann': 'MSc',
+    'licence': 'BA',
+    'maîtrise': 'MSc',
+    'maitrise': 'MSc',
+    'postgraduate diploma': 'Certificate',
+    'graduate certificate': 'Certificate',
+    'postgraduate certificate': 'Certificate',
+    'doctor of philosophy': 'PhD',
+    'doctor of business administration': 'PhD',
+    'juris doctor': 'MA',
+  };
+  if (commonMappings[valueLower]) {
+    return commonMappings[valueLower];
+  }
+
+  return null; // No confident match
+}
+
+// Validate and correct a single field value based on its type and options
+function validateFieldValue(fieldName, value, optionsArray = null) {
+  if (value === null || value === undefined) return null;
+
+  // URL fields
+  if (['linkedinUrl', 'githubUrl', 'portfolioUrl', 'url'].includes(fieldName)) {
+    return validateAndCorrectUrl(value);
+  }
+
+  // Email field
+  if (fieldName === 'email') {
+    return validateEmail(value);
+  }
+
+  // Country code
+  if (fieldName === 'country_code') {
+    return validateAndCorrectCountryCode(value);
+  }
+
+  // Date fields
+  if (fieldName.toLowerCase().includes('date') || ['startDate', 'endDate'].includes(fieldName)) {
+    return validateAndCorrectDate(value);
+  }
+
+  // Dropdown fields with options
+  if (optionsArray && optionsArray.length > 0) {
+    return fuzzyMatchToOptions(value, optionsArray);
+  }
+
+  return value;
+}
+
+// Apply validation and correction to all extracted data
+function validateAndCorrectData(extractedData) {
+  const corrected = { ...extractedData };
+  const corrections = [];
+
+  // Validate URLs
+  ['linkedinUrl', 'githubUrl', 'portfolioUrl'].forEach(field => {
+    if (corrected[field]) {
+      const original = corrected[field];
+      corrected[field] = validateAndCorrectUrl(original);
+      if (corrected[field] !== original) {
+        corrections.push(`Added https:// to ${field}`);
+      }
+    }
+  });
+
+  // Validate email
+  if (corrected.email) {
+    const original = corrected.email;
+    corrected.email = validateEmail(original);
+    if (!corrected.email) {
+      corrections.push(`Removed invalid email: ${original}`);
+    }
+  }
+
+  // Validate country code
+  if (corrected.country_code) {
+    const original = corrected.country_code;
+    corrected.country_code = validateAndCorrectCountryCode(original);
+    if (corrected.country_code !== original) {
+      corrections.push(`Added + to country code`);
+    }
+  }
+
+  // Note: years_of_experience is calculated from work history, not validated from AI extraction
+
+  // Validate education history
+  if (Array.isArray(corrected.education_history)) {
+    corrected.education_history = corrected.education_history.map(edu => {
+      const resolvedDegreeType = validateFieldValue('degreeType', edu.degreeType, DEGREE_TYPE_OPTIONS);
+
+      // Guard: prevent Master-level degrees from being misclassified as Associate
+      // The fuzzy matcher's partial match can match "Master of Accounting" to "AS" because "mASter" contains "AS"
+      let finalDegreeType = resolvedDegreeType;
+      if (typeof edu.degreeType === 'string' && ['AA', 'AS', 'AAS'].includes(resolvedDegreeType)) {
+        const rawLower = edu.degreeType.toLowerCase();
+        const masterKeywords = ['master', 'msc', 'mba', 'llm', 'maîtrise', 'maitrise', 'diplom', 'mas'];
+        if (masterKeywords.some(kw => rawLower.includes(kw))) {
+          // Force MSc as safe default — the partial match in fuzzyMatchToOptions matched "AS"
+          // because "mASter" contains the substring "as". MSc is the correct default for
+          // any master-level degree that doesn't have a more specific commonMapping.
+          finalDegreeType = 'MSc';
+          corrections.push(`Corrected degreeType from ${resolvedDegreeType} to MSc (master-level degree)`);
+        }
+      }
+
+      const overall = validateGradePair(edu.overallGradeValue, edu.overallGradeMax, edu.overallGrade);
+      if (overall.dropped) {
+        corrections.push(`Removed overall grade ${edu.overallGradeValue} above its scale ${edu.overallGradeMax}`);
+      }
+      const major = validateGradePair(edu.majorGradeValue, edu.majorGradeMax);
+      if (major.dropped) {
+        corrections.push(`Removed major grade ${edu.majorGradeValue} above its scale ${edu.majorGradeMax}`);
+      }
+
+      return {
+        ...edu,
+        overallGradeValue: overall.value,
+        overallGradeMax: overall.max,
+        ...(('majorGradeValue' in edu || 'majorGradeMax' in edu) && { majorGradeValue: major.value, majorGradeMax: major.max }),
+        degreeType: finalDegreeType,
+        generalField: validateFieldValue('generalField', edu.generalField, GENERAL_FIELD_OPTIONS),
+        specificField: typeof edu.specificField === 'string' ? edu.specificField.trim() : null,
+        country: validateFieldValue('country', edu.country, COUNTRY_OPTIONS),
+        startDate: validateAndCorrectDate(edu.startDate),
+        endDate: validateAndCorrectDate(edu.endDate),
+        ...validateOriginalText(edu, ORIGINAL_TEXT_FIELDS.education),
+      };
+    });
+  }
+
+  // Validate professional experience
+  if (Array.isArray(corrected.professional_experience)) {
+    corrected.professional_experience = corrected.professional_experience.map(exp => ({
+      ...exp,
+      positionType: validateFieldValue('positionType', exp.positionType, POSITION_TYPE_OPTIONS),
+      country: validateFieldValue('country', exp.country, COUNTRY_OPTIONS),
+      startDate: validateAndCorrectDate(exp.startDate),
+      endDate: validateAndCorrectDate(exp.endDate),
+      ...validateOriginalText(exp, ORIGINAL_TEXT_FIELDS.experience),
+    }));
+  }
+
+  // Validate skills
+  if (Array.isArray(corrected.technical_skills)) {
+    corrected.technical_skills = corrected.technical_skills.map(skill => ({
+      ...skill,
+      level: validateFieldValue('level', skill.level, SKILL_PROFICIENCY_OPTIONS),
+    }));
+  }
+
+  if (Array.isArray(corrected.soft_skills)) {
+    // Filter out hard/domain skills that are never soft skills
+    const notSoftSkills = [
+      'project management', 'sales', 'budgeting', 'market analysis',
+      'business management', 'compliance', 'accounting', 'financial analysis',
+      'business development', 'marketing', 'operations management',
+      'supply chain', 'risk management', 'data analysis', 'quality management',
+    ];
+    corrected.soft_skills = corrected.soft_skills
+      .filter(skill => {
+        const nameLower = (skill.name || '').toLowerCase().trim();
+        const isBlocked = notSoftSkills.some(blocked => nameLower === blocked);
+        if (isBlocked) corrections.push(`Removed "${skill.name}" from soft_skills (domain/business skill)`);
+        return !isBlocked;
+      })
+      .map(skill => ({
+        ...skill,
+        level: validateFieldValue('level', skill.level, SKILL_PROFICIENCY_OPTIONS),
+      }));
+  }
+
+  // Validate languages
+  if (Array.isArray(corrected.base_languages)) {
+    corrected.base_languages = corrected.base_languages.map(lang => {
+      const validatedProficiency = validateFieldValue('proficiency', lang.proficiency, LANGUAGE_PROFICIENCY_OPTIONS);
+      const result = { ...lang };
+      if (validatedProficiency && validatedProficiency !== 'None') {
+        result.proficiency = validatedProficiency;
+      } else {
+        delete result.proficiency;
+      }
+      return result;
+    });
+  }
+
+  // Validate certifications dates
+  if (Array.isArray(corrected.certifications)) {
+    corrected.certifications = corrected.certifications.map(cert => ({
+      ...cert,
+      dateObtained: validateAndCorrectDate(cert.dateObtained),
+      expiryDate: validateAndCorrectDate(cert.expiryDate),
+      url: validateAndCorrectUrl(cert.url),
+    }));
+  }
+
+  // Validate academic fields (academic extraction profile only)
+  if (corrected.orcidId) {
+    const original = corrected.orcidId;
+    corrected.orcidId = validateOrcidId(original);
+    if (!corrected.orcidId) {
+      corrections.push(`Removed invalid ORCID iD: ${original}`);
+    } else if (corrected.orcidId !== original) {
+      corrections.push('Normalized ORCID iD');
+    }
+  }
+
+  if (corrected.googleScholarUrl) {
+    const original = corrected.googleScholarUrl;
+    corrected.googleScholarUrl = validateGoogleScholarUrl(original);
+    if (!corrected.googleScholarUrl) {
+      corrections.push(`Removed invalid Google Scholar URL: ${original}`);
+    } else if (corrected.googleScholarUrl !== original) {
+      corrections.push('Normalized googleScholarUrl');
+    }
+  }
+
+  ['h_index', 'total_citations'].forEach(field => {
+    if (corrected[field] !== undefined && corrected[field] !== null) {
+      corrected[field] = validateCount(corrected[field]);
+    }
+  });
+
+  if (Array.isArray(corrected.publications)) {
+    corrected.publications = corrected.publications.map(publication => {
+      const doi = validateDoi(publication.doi);
+      if (publication.doi && !doi) {
+        corrections.push(`Removed invalid DOI: ${publication.doi}`);
+      }
+      return {
+        ...publication,
+        authors: Array.isArray(publication.authors) ? publication.authors.map(author => author.trim()).filter(Boolean) : null,
+        year: validatePublicationYear(publication.year),
+        doi,
+        url: validateAndCorrectUrl(publication.url),
+        publicationType: fuzzyMatchToOptions(publication.publicationType, PUBLICATION_TYPES),
+      };
+    });
+  }
+
+  if (Array.isArray(corrected.teaching_experience)) {
+    corrected.teaching_experience = corrected.teaching_experience.map(course => ({
+      ...course,
+      level: fuzzyMatchToOptions(course.level, TEACHING_LEVELS),
+      startDate: validateAndCorrectDate(course.startDate),
+      endDate: validateAndCorrectDate(course.endDate),
+    }));
+  }
+
+  if (Array.isArray(corrected.research_grants)) {
+    corrected.research_grants = corrected.research_grants.map(grant => ({
+      ...grant,
+      amount: validateCount(grant.amount),
+      currency: typeof grant.currency === 'string' && /^[a-z]{3}$/i.test(grant.currency.trim()) ? grant.currency.trim().toUpperCase() : null,
+      startDate: validateAndCorrectDate(grant.startDate),
+      endDate: validateAndCorrectDate(grant.endDate),
+    }));
+  }
+
+  if (Array.isArray(corrected.conference_presentations)) {
+    corrected.conference_presentations = corrected.conference_presentations.map(talk => ({
+      ...talk,
+      date: validateAndCorrectDate(talk.date),
+      presentationType: fuzzyMatchToOptions(talk.presentationType, PRESENTATION_TYPES),
+    }));
+  }
+
+  ['academic_service', 'peer_review'].forEach(field => {
+    if (Array.isArray(corrected[field])) {
+      corrected[field] = corrected[field].map(entry => ({
+        ...entry,
+        startDate: validateAndCorrectDate(entry.startDate),
+        endDate: validateAndCorrectDate(entry.endDate),
+      }));
+    }
+  });
+
+  // Validate career-starter fields (career-starter extraction profile only)
+  if (Array.isArray(corrected.internships)) {
+    corrected.internships = corrected.internships.map(internship => ({
+      ...internship,
+      country: validateFieldValue('country', internship.country, COUNTRY_OPTIONS),
+      startDate: validateAndCorrectDate(internship.startDate),
+      endDate: validateAndCorrectDate(internship.endDate),
+      ...validateOriginalText(internship, ORIGINAL_TEXT_FIELDS.experience),
+    }));
+  }
+
+  if (Array.isArray(corrected.academic_projects)) {
+    corrected.academic_projects = corrected.academic_projects.map(project => ({
+      ...project,
+      startDate: validateAndCorrectDate(project.startDate),
+      endDate: validateAndCorrectDate(project.endDate),
+      link: validateAndCorrectUrl(project.link),
+    }));
+  }
+
+  ['campus_leadership', 'volunteer_experience'].forEach(field => {
+    if (Array.isArray(corrected[field])) {
+      corrected[field] = corrected[field].map(entry => ({
+        ...entry,
+        startDate: validateAndCorrectDate(entry.startDate),
+        endDate: validateAndCorrectDate(entry.endDate),
+      }));
+    }
+  });
+
+  if (Array.isArray(corrected.competitions)) {
+    corrected.competitions = corrected.competitions.map(competition => ({
+      ...competition,
+      date: validateAndCorrectDate(competition.date),
+    }));
+  }
+
+  // Validate executive fields (executive extraction profile only)
+  if (Array.isArray(corrected.board_positions)) {
+    corrected.board_positions = corrected.board_positions.map(position => ({
+      ...position,
+      boardType: fuzzyMatchToOptions(position.boardType, BOARD_TYPES),
+      startDate: validateAndCorrectDate(position.startDate),
+      endDate: validateAndCorrectDate(position.endDate),
+    }));
+  }
+
+  // Validate job preferences
+  if (corrected.desired_duration_months) {
+    corrected.desired_duration_months = fuzzyMatchToOptions(
+      corrected.desired_duration_months,
+      DURATION_OPTIONS
+    );
+  }
+
+  if (Array.isArray(corrected.desired_locations)) {
+    corrected.desired_locations = corrected.desired_locations
+      .map(loc => fuzzyMatchToOptions(loc, LOCATION_OPTIONS))
+      .filter(Boolean);
+  }
+
+  if (Array.isArray(corrected.desired_industries)) {
+    corrected.desired_industries = corrected.desired_industries
+      .map(ind => fuzzyMatchToOptions(ind, INDUSTRY_PREFERENCE_OPTIONS))
+      .filter(Boolean);
+  }
+
+  return { corrected, corrections };
+}
+
+/**
+ * Move internships the model still listed under professional_experience (positionType 'Internship')
+ * to internships, with their confidence scores, so they don't count towards years_of_experience.
+ * Career-starter profile only — the other profiles have no internships section.
+ * @param {object} extractedData - Extracted data (mutated)
+ * @param {object} fieldConfidence - Confidence map (mutated)
+ * @returns {Array<string>} - Position names of the moved entries
+ */
+function separateInternships(extractedData, fieldConfidence) {
+  const experience = extractedData.professional_experience || [];
+  const isInternship = (exp) => validateFieldValue('positionType', exp.positionType, POSITION_TYPE_OPTIONS) === 'Internship';
+  if (!experience.some(isInternship)) return [];
+
+  const scores = fieldConfidence.professional_experience;
+  const kept = { entries: [], scores: [] };
+  const moved = { entries: [], scores: [] };
+  experience.forEach((exp, index) => {
+    const target = isInternship(exp) ? moved : kept;
+    target.entries.push(exp);
+    target.scores.push(Array.isArray(scores) ? scores[index] || {} : {});
+  });
+
+  extractedData.professional_experience = kept.entries;
+  extractedData.internships = [
+    ...(extractedData.internships || []),
+    // Internship entries have no positionType, position_short or experienceType
+    ...moved.entries.map(({ positionType, position_short, experienceType, ...internship }) => internship),
+  ];
+  if (Array.isArray(scores)) {
+    fieldConfidence.professional_experience = kept.scores;
+    fieldConfidence.internships = [
+      ...(Array.isArray(fieldConfidence.internships) ? fieldConfidence.internships : []),
+      ...moved.scores.map(({ positionType, position_short, experienceType, ...entryScores }) => entryScores),
+    ];
+  }
+  return moved.entries.map(exp => exp.positionName);
+}
+
+// ==========================================
+// FIELD INFERENCE LOGIC
+// ==========================================
+
+// Calculate total work experience in months from experience array
+// Handles overlapping employment periods correctly (e.g., freelance + full-time)
+function calculateTotalWorkMonths(experiences) {
+  if (!Array.isArray(experiences) || experiences.length === 0) return 0;
+
+  // Step 1: Parse all valid date ranges
+  const ranges = [];
+
+  for (const [index, exp] of experiences.entries()) {
+    if (!exp.startDate) {
+      // Log skipped entries for debugging
+      if (exp.positionName) {
+        logger.debug(`Years of experience: skipping experience entry ${index} (missing startDate)`);
+      }
+      continue;
+    }
+
+    try {
+      const start = new Date(exp.startDate + '-01');
+
+      // Use current date if position is current, otherwise use endDate
+      let end;
+      if (exp.isCurrent === true) {
+        end = new Date(); // Still working here
+      } else if (exp.endDate && exp.endDate.toLowerCase() !== 'present') {
+        end = new Date(exp.endDate + '-01');
+      } else {
+        end = new Date(); // Default to current date
+      }
+
+      // Validate date range
+      if (start <= end) {
+        ranges.push({ start, end });
+      } else {
+        logger.debug(`Years of experience: skipping experience entry ${index} (start > end)`);
+      }
+    } catch (e) {
+      // Skip if dates are invalid
+      logger.debug(`Years of experience: skipping experience entry ${index} (date parse error)`);
+      continue;
+    }
+  }
+
+  if (ranges.length === 0) return 0;
+
+  // Step 2: Sort ranges by start date
+  ranges.sort((a, b) => a.start - b.start);
+
+  // Step 3: Merge overlapping ranges
+  const merged = [ranges[0]];
+
+  for (let i = 1; i < ranges.length; i++) {
+    const current = ranges[i];
+    const last = merged[merged.length - 1];
+
+    if (current.start <= last.end) {
+      // Overlapping period - extend the end date if needed
+      last.end = new Date(Math.max(last.end.getTime(), current.end.getTime()));
+    } else {
+      // Non-overlapping period - add as new range
+      merged.push(current);
+    }
+  }
+
+  // Step 4: Calculate total months from merged ranges
+  let totalMonths = 0;
+
+  for (const range of merged) {
+    const months = (range.end.getFullYear() - range.start.getFullYear()) * 12
+                  + (range.end.getMonth() - range.start.getMonth());
+    totalMonths += Math.max(0, months);
+  }
+
+  return totalMonths;
+}
+
+// Convert months to years (integer)
+function calculateYearsFromMonths(months) {
+  if (typeof months !== 'number' || months < 0) return 0;
+  return Math.floor(months / 12); // Simple: 0, 1, 2, 3, 4, 5...
+}
+
+// Infer years of experience if missing or uncertain
+// Counts professional_experience only: internships (career-starter profile) are not work experience
+function inferYearsOfExperience(extractedData) {
+  // ALWAYS calculate from work history for accuracy (don't trust OpenAI extraction)
+  if (!extractedData.professional_experience || extractedData.professional_experience.length === 0) {
+    logger.debug('Years of experience: no professional experience found, returning 0');
+    return 0;
+  }
+
+  const totalMonths = calculateTotalWorkMonths(extractedData.professional_experience);
+  const years = calculateYearsFromMonths(totalMonths);
+  logger.debug(`Years of experience: ${totalMonths} months → ${years} years`);
+  return years;
+}
+
+// Extract unique countries from experience/education
+function extractUniqueCountries(items) {
+  if (!Array.isArray(items) || items.length === 0) return [];
+  const countries = items
+    .map(item => item?.country)
+    .filter(Boolean)
+    .filter((country, index, self) => self.indexOf(country) === index);
+  return countries;
+}
+
+// Infer desired locations from work history if missing
+function inferDesiredLocations(extractedData) {
+  if (extractedData.desired_locations && extractedData.desired_locations.length > 0) {
+    return extractedData.desired_locations; // Already has values
+  }
+
+  // Get countries from professional experience
+  const workCountries = extractUniqueCountries(extractedData.professional_experience || []);
+
+  // If only one country, likely wants to stay there
+  if (workCountries.length === 1) {
+    return workCountries;
+  }
+
+  return [];
+}
+
+// Infer position type from position name keywords
+function inferPositionType(positionName) {
+  if (!positionName) return null;
+
+  const nameLower = positionName.toLowerCase();
+
+  if (/intern/i.test(nameLower)) return 'Internship';
+  if (/freelance|contractor|consultant/i.test(nameLower)) return 'Freelance / Contractor';
+  if (/part[- ]?time/i.test(nameLower)) return 'Part-time';
+  if (/volunteer/i.test(nameLower)) return 'Volunteer';
+
+  return 'Full-time'; // Default assumption
+}
+
+// Apply inference logic to fill missing fields
+function applyInferenceLogic(extractedData) {
+  const inferred = { ...extractedData };
+  const inferences = [];
+
+  // Always recalculate years of experience from work history for accuracy
+  if (ENABLE_INFERENCE) {
+    const originalValue = inferred.years_of_experience;
+    inferred.years_of_experience = inferYearsOfExperience(inferred);
+    if (originalValue !== inferred.years_of_experience) {
+      inferences.push(`Calculated years_of_experience: ${inferred.years_of_experience} (was: ${originalValue || 'null'})`);
+    } else {
+      inferences.push(`Verified years_of_experience: ${inferred.years_of_experience}`);
+    }
+  }
+
+  // Infer desired locations
+  if (ENABLE_INFERENCE && (!inferred.desired_locations || inferred.desired_locations.length === 0)) {
+    const inferredLocations = inferDesiredLocations(inferred);
+    if (inferredLocations.length > 0) {
+      inferred.desired_locations = inferredLocations;
+      inferences.push(`Inferred desired_locations from work history`);
+    }
+  }
+
+  // Infer position types if missing
+  if (ENABLE_INFERENCE && Array.isArray(inferred.professional_experience)) {
+    inferred.professional_experience = inferred.professional_experience.map(exp => {
+      if (!exp.positionType) {
+        const inferred_type = inferPositionType(exp.positionName);
+        if (inferred_type) {
+          inferences.push(`Inferred positionType for ${exp.positionName}: ${inferred_type}`);
+        }
+        return { ...exp, positionType: inferred_type };
+      }
+      return exp;
+    });
+  }
+
+  return { inferred, inferences };
+}
+
+// ==========================================
+// FUNCTIONAL EXPERTISE MERGE LOGIC
+// ==========================================
+
+/**
+ * Validates and filters functional expertise to only valid categories
+ * @param {Array} expertise - Array of expertise strings from parser or user
+ * @returns {Array} - Filtered array of valid expertise categories
+ */
+export function validateFunctionalExpertise(expertise) {
+  if (!Array.isArray(expertise)) return [];
+
+  return expertise.filter(item =>
+    typeof item === 'string' &&
+    FUNCTIONAL_EXPERTISE_OPTIONS.includes(item)
+  );
+}
+
+/**
+ * Merges user-selected expertise with parser-extracted expertise
+ * User selections are the source of truth; parser supplements up to max of 8 total
+ *
+ * @param {Array} userExpertise - User-selected expertise from form (source of truth)
+ * @param {Array} parserExpertise - Parser-extracted expertise from CV
+ * @returns {Array} - Merged expertise array (max 8 items)
+ */
+export function mergeFunctionalExpertise(userExpertise, parserExpertise) {
+  const MAX_EXPERTISE = 8;
+
+  // Validate both inputs
+  const validUserExpertise = validateFunctionalExpertise(userExpertise);
+  const validParserExpertise = validateFunctionalExpertise(parserExpertise);
+
+  // Start with user selections (source of truth)
+  const merged = [...validUserExpertise];
+
+  // Add parser expertise that isn't already in user selections (up to max)
+  for (const expertise of validParserExpertise) {
+    if (merged.length >= MAX_EXPERTISE) break;
+    if (!merged.includes(expertise)) {
+      merged.push(expertise);
+    }
+  }
+
+  return merged;
+}
+
+// ==========================================
+// FIELD CONFIDENCE
+// ==========================================
+
+// Identity used to re-align per-entry confidence after entries are filtered out during validation
+function getEntryIdentity(entry) {
+  if (!entry || typeof entry !== 'object') return null;
+  return entry.name ?? entry.language ?? entry.positionName ?? entry.universityName
+    ?? entry.projectName ?? entry.organization ?? entry.title ?? entry.courseName ?? entry.venue ?? entry.role ?? null;
+}
+
+/**
+ * Normalize the model's field_confidence map against the extracted data.
+ * Object arrays get one confidence object per entry (aligned by index); everything else a single number.
+ * Fields the model did not score are omitted.
+ * @param {object|undefined} rawConfidence - field_confidence as returned by the model
+ * @param {object} extractedData - Schema-valid extracted data (without field_confidence)
+ * @returns {object} - Normalized confidence map
+ */
+function normalizeFieldConfidence(rawConfidence, extractedData) {
+  const normalized = {};
+  if (!rawConfidence || typeof rawConfidence !== 'object') return normalized;
+
+  for (const [field, value] of Object.entries(extractedData)) {
+    const score = rawConfidence[field];
+    if (score === null || score === undefined) continue;
+
+    const isObjectArray = Array.isArray(value) && value.some(item => item && typeof item === 'object');
+    if (isObjectArray) {
+      normalized[field] = value.map((_, index) => {
+        if (typeof score === 'number') return { _entry: score }; // One score for the whole section
+        const entryScores = Array.isArray(score) ? score[index] : null;
+        return Object.fromEntries(
+          Object.entries(entryScores || {}).filter(([, entryScore]) => typeof entryScore === 'number')
+        );
+      });
+    } else if (typeof score === 'number') {
+      normalized[field] = score;
+    }
+  }
+
+  return normalized;
+}
+
+// Re-align per-entry confidence when validation removed entries from an object array (e.g. soft_skills)
+function realignFieldConfidence(fieldConfidence, before, after) {
+  for (const [field, scores] of Object.entries(fieldConfidence)) {
+    if (!Array.isArray(scores) || !Array.isArray(before[field]) || !Array.isArray(after[field])) continue;
+    if (before[field].length === after[field].length) continue;
+
+    const used = new Set();
+    fieldConfidence[field] = after[field].map(entry => {
+      const identity = getEntryIdentity(entry);
+      const index = before[field].findIndex((candidate, i) => !used.has(i) && getEntryIdentity(candidate) === identity);
+      if (index === -1) return {};
+      used.add(index);
+      return scores[index] || {};
+    });
+  }
+}
+
+// Find low-confidence fields that have a focused second-pass prompt
+// Returns [{ field, options, targets: [{ section, index, label }] }]
+function findUncertainFields(extractedData, fieldConfidence, threshold = CONFIDENCE_THRESHOLD) {
+  const isUncertain = (score) => typeof score === 'number' && score < threshold;
+  const entryScore = (section, index, key) => fieldConfidence[section]?.[index]?.[key];
+  const collectTargets = (section, keys, describe) => (extractedData[section] || [])
+    .map((entry, index) => ({ entry, index }))
+    .filter(({ index }) => keys.some(key => isUncertain(entryScore(section, index, key))))
+    .map(({ entry, index }) => ({ section, index, label: describe(entry) }));
+
+  const describeEducation = edu => `${edu.degreeType || 'unknown degree'} ${edu.specificField || ''} at ${edu.universityName}`.replace(/\s+/g, ' ');
+  const describeExperience = exp => `${exp.positionName} at ${exp.companyName}`;
+
+  const uncertainFields = [
+    {
+      field: 'degreeType',
+      options: DEGREE_TYPE_OPTIONS,
+      targets: collectTargets('education_history', ['degreeType'], describeEducation),
+    },
+    {
+      field: 'positionType',
+      options: POSITION_TYPE_OPTIONS,
+      targets: collectTargets('professional_experience', ['positionType'], describeExperience),
+    },
+    {
+      field: 'dates',
+      options: [],
+      targets: [
+        ...collectTargets('education_history', ['startDate', 'endDate'], describeEducation),
+        ...collectTargets('professional_experience', ['startDate', 'endDate'], describeExperience),
+      ],
+    },
+    {
+      field: 'proficiency',
+      options: LANGUAGE_PROFICIENCY_OPTIONS.filter(opt => opt.value !== 'None'),
+      targets: collectTargets('base_languages', ['proficiency'], lang => `${lang.language} (currently: ${lang.proficiency || 'not set'})`),
+    },
+  ].filter(({ targets }) => targets.length > 0);
+
+  if (isUncertain(fieldConfidence.functional_expertise)) {
+    uncertainFields.push({ field: 'functional_expertise', options: FUNCTIONAL_EXPERTISE_OPTIONS, targets: [] });
+  }
+
+  return uncertainFields;
+}
+
+/**
+ * Merge a focused second-pass response into the extracted data.
+ * A refined value only replaces the original when its confidence is not lower.
+ * @param {string} field - Focused field name (degreeType, positionType, dates, proficiency, functional_expertise)
+ * @param {object} refined - Response validated against focusedRefinementSchema
+ * @param {Array} targets - Entries that were asked about
+ * @param {object} extractedData - Extracted data (mutated)
+ * @param {object} fieldConfidence - Confidence map (mutated)
+ * @returns {Array<string>} - Paths of the values that were replaced
+ */
+function applyFocusedRefinement(field, refined, targets, extractedData, fieldConfidence) {
+  const applied = [];
+  const isNotWorse = (score, previous) =>
+    typeof score !== 'number' || typeof previous !== 'number' || score >= previous;
+
+  if (field === 'functional_expertise') {
+    const refinedExpertise = validateFunctionalExpertise(refined.functional_expertise);
+    if (refinedExpertise.length > 0 && isNotWorse(refined.confidence, fieldConfidence.functional_expertise)) {
+      extractedData.functional_expertise = refinedExpertise;
+      if (typeof refined.confidence === 'number') fieldConfidence.functional_expertise = refined.confidence;
+      applied.push('functional_expertise');
+    }
+    return applied;
+  }
+
+  const keys = field === 'dates' ? ['startDate', 'endDate'] : [field];
+
+  for (const item of refined.items || []) {
+    const isTarget = targets.some(t => t.section === item.section && t.index === item.index);
+    const entry = extractedData[item.section]?.[item.index];
+    if (!isTarget || !entry) continue;
+
+    const entryConfidence = fieldConfidence[item.section]?.[item.index];
+    for (const key of keys) {
+      if (typeof item[key] !== 'string' || !item[key].trim()) continue;
+      if (!isNotWorse(item.confidence, entryConfidence?.[key])) continue;
+
+      entry[key] = item[key];
+      if (entryConfidence && typeof item.confidence === 'number') {
+        entryConfidence[key] = item.confidence;
+      }
+      applied.push(`${item.section}[${item.index}].${key}`);
+    }
+  }
+
+  return applied;
+}
+
+// Count scored values below the threshold (for logging)
+function countLowConfidenceFields(fieldConfidence, threshold = CONFIDENCE_THRESHOLD) {
+  return Object.values(fieldConfidence).reduce((count, score) => {
+    if (typeof score === 'number') return count + (score < threshold ? 1 : 0);
+    return count + score.reduce((entryCount, entryScores) =>
+      entryCount + Object.values(entryScores).filter(s => s < threshold).length, 0);
+  }, 0);
+}
+
+// ==========================================
+// OPENAI PARSING PROMPTS
+// ==========================================
+
+// Extraction profiles select the fields the model is asked for: "standard" for industry CVs,
+// "academic" adds publications, research metrics and identifiers, teaching, grants, talks and service,
+// "career_starter" adds GPAs, internships, academic projects, leadership, competitions and volunteering,
+// "executive" adds board positions. "auto" picks one from the CV type (see lib/cvClassification.js).
+export const EXTRACTION_PROFILES = ['standard', 'academic', 'career_starter', 'executive'];
+export const AUTO_EXTRACTION_PROFILE = 'auto';
+export const EXTRACTION_PROFILE_OPTIONS = [AUTO_EXTRACTION_PROFILE, ...EXTRACTION_PROFILES];
+
+
+// Academic profile: added to the JSON structure after functional_expertise
+const ACADEMIC_JSON_FIELDS = `
+    "research_interests": ["string"],
+    "h_index": "number (integer) | null",
+    "total_citations": "number (integer) | null",
+    "orcidId": "string (16-digit ORCID iD, e.g. '0000-0002-1825-0097') | null",
+    "googleScholarUrl": "string (Google Scholar profile URL, e.g. 'https://scholar.google.com/citations?user=AbCdEfGhIjKL') | null",
+    "publications": [{
+      "title": "string",
+      "authors": ["string (as written, in the order listed)"] | null,
+      "venue": "string (journal, conference or publisher) | null",
+      "year": "number (YYYY) | null",
+      "doi": "string (e.g. '10.1038/s41586-020-2649-2', without the https://doi.org/ prefix) | null",
+      "url": "string (full URL) | null",
+      "publicationType": "string (${PUBLICATION_TYPES.map(type => `'${type}'`).join(', ')}) | null"
+    }],
+    "teaching_experience": [{
+      "courseName": "string",
+      "institution": "string | null",
+      "role": "string (e.g. 'Lecturer', 'Teaching Assistant', 'Course Coordinator') | null",
+      "level": "string (${TEACHING_LEVELS.map(level => `'${level}'`).join(', ')}) | null",
+      "startDate": "YYYY-MM | null",
+      "endDate": "YYYY-MM or 'Present' | null",
+      "description": "string | null"
+    }],
+    "research_grants": [{
+      "title": "string",
+      "fundingBody": "string (e.g. 'Swiss National Science Foundation', 'ERC') | null",
+      "role": "string (e.g. 'Principal Investigator', 'Co-Investigator') | null",
+      "amount": "number (without currency or separators) | null",
+      "currency": "string (ISO code, e.g. 'CHF', 'EUR', 'USD') | null",
+      "startDate": "YYYY-MM | null",
+      "endDate": "YYYY-MM | null"
+    }],
+    "conference_presentations": [{
+      "title": "string",
+      "event": "string (conference, workshop or seminar series) | null",
+      "location": "string | null",
+      "date": "YYYY-MM | null",
+      "presentationType": "string (${PRESENTATION_TYPES.map(type => `'${type}'`).join(', ')}) | null"
+    }],
+    "academic_service": [{
+      "role": "string (e.g. 'Program Committee Member', 'Associate Editor', 'Faculty Senate')",
+      "organization": "string | null",
+      "startDate": "YYYY-MM | null",
+      "endDate": "YYYY-MM or 'Present' | null",
+      "description": "string | null"
+    }],
+    "peer_review": [{
+      "venue": "string (journal or conference reviewed for)",
+      "role": "string (e.g. 'Reviewer', 'Senior Reviewer') | null",
+      "startDate": "YYYY-MM | null",
+      "endDate": "YYYY-MM or 'Present' | null"
+    }],`;
+
+// Academic profile: rules appended after the confidence rule
+const ACADEMIC_RULES = `
+20. **ACADEMIC CV FIELDS** - This is an academic CV. Extract the academic record completely instead of flattening it into work history:
+    - **publications**: EVERY publication listed, one entry each, in the order of the CV. Keep author names as written (including the candidate). Take the DOI from the citation or its link when present; never invent one. Preprints, working papers and theses are publications with the matching publicationType.
+    - **research_interests**: The stated research interests or areas, as short phrases.
+    - **h_index**, **total_citations**: Only when stated in the CV (e.g. "h-index: 24", "2,300 citations (Google Scholar)"). Do not estimate.
+    - **orcidId**: The 16-digit iD only (e.g. from "https://orcid.org/0000-0002-1825-0097" → '0000-0002-1825-0097').
+    - **googleScholarUrl**: The candidate's Google Scholar profile link, exactly as given.
+    - **teaching_experience**: Courses taught, with the role. Teaching is NOT a separate professional_experience entry unless the CV lists it as an appointment (e.g. "Lecturer, University of Zurich").
+    - **research_grants**: Grants, fellowships and funding won, with the funder, the candidate's role and the amount when stated.
+    - **conference_presentations**: Talks, keynotes, posters and seminars given — not conferences merely attended.
+    - **academic_service**: Committees, editorial boards, program committees, organizing conferences, departmental roles.
+    - **peer_review**: One entry per journal or conference the candidate reviews for.
+    - Academic appointments (PhD candidate, postdoc, lecturer, professor, research scientist) belong in professional_experience with experienceType 'academic'.
+    Use [] for sections the CV does not have.
+`;
+
+// Career-starter profile: added to each education_history entry after overallGradeMax
+const CAREER_STARTER_EDUCATION_FIELDS = `
+      "majorGradeValue": "string (GPA in the major, numeric value, e.g., '3.9') | null",
+      "majorGradeMax": "string (max value of the major GPA, e.g., '4.0') | null",`;
+
+// Career-starter profile: added to the JSON structure after functional_expertise
+const CAREER_STARTER_JSON_FIELDS = `
+    "internships": [{
+      "positionName": "string",
+      "companyName": "string",
+      "company_type": "string (concise industry classification, 2-4 words max - see rule 16) | null",
+      "description": "string | null",
+      "raw_bullet_points": ["string (each bullet point/achievement as-is from CV)"] | null,
+      "startDate": "YYYY-MM | null",
+      "endDate": "YYYY-MM or 'Present' | null",
+      "city": "string | null",
+      "country": "string (same options as contact_address country) | null",
+      "isCurrent": "boolean | null"
+    }],
+    "academic_projects": [{
+      "projectName": "string",
+      "course": "string (course or program the project was part of, e.g. 'Capstone Project', 'CS 229 Machine Learning') | null",
+      "institution": "string | null",
+      "role": "string (e.g. 'Team Lead', 'Developer') | null",
+      "description": "string | null",
+      "technologies": ["string"] | null,
+      "startDate": "YYYY-MM | null",
+      "endDate": "YYYY-MM | null",
+      "link": "string (project URL) | null"
+    }],
+    "campus_leadership": [{
+      "role": "string (e.g. 'President', 'Treasurer', 'Class Representative')",
+      "organization": "string (student association, club, council) | null",
+      "startDate": "YYYY-MM | null",
+      "endDate": "YYYY-MM or 'Present' | null",
+      "description": "string | null"
+    }],
+    "competitions": [{
+      "name": "string (competition, hackathon or case challenge)",
+      "organizer": "string | null",
+      "date": "YYYY-MM | null",
+      "result": "string (placement or award as written, e.g. '1st place', 'Finalist', 'Best Pitch') | null",
+      "description": "string | null"
+    }],
+    "volunteer_experience": [{
+      "role": "string",
+      "organization": "string | null",
+      "startDate": "YYYY-MM | null",
+      "endDate": "YYYY-MM or 'Present' | null",
+      "description": "string | null"
+    }],`;
+
+// Career-starter profile: rules appended after the confidence rule
+const CAREER_STARTER_RULES = `
+20. **CAREER STARTER CV FIELDS** - This is the CV of a student or recent graduate. Extract the early-career record completely instead of folding it into work history:
+    - **GPA**: The cumulative GPA goes into overallGrade (as written), overallGradeValue and overallGradeMax (e.g. "GPA 3.7/4.0" → '3.7' and '4.0'); a major or in-program GPA into majorGradeValue and majorGradeMax. Use the scale stated in the CV; only assume '4.0' for a US-style GPA of at most 4.0 without a stated scale. Local grades (e.g. '5.4' of '6.0', '1.7' of German grades) are mapped the same way.
+    - **internships**: EVERY internship, traineeship, co-op and summer analyst program. Internships are NOT professional_experience entries — professional_experience holds only regular employment (full-time, part-time, working student, freelance, apprenticeship), so internships do not count as years of experience.
+    - **academic_projects**: Course projects, capstones, semester projects and research projects done as part of a degree. Personal and side projects stay in base_projects; the thesis stays in education_history.
+    - **campus_leadership**: Leadership roles in student associations, clubs, councils and student-run initiatives.
+    - **competitions**: Competitions, hackathons, case challenges and olympiads, with the placement or award when stated.
+    - **volunteer_experience**: Volunteering and community work.
+    - extracurricular_activities keeps only memberships and activities that fit none of the above (e.g. sports, music).
+    Use [] for sections the CV does not have.
+`;
+
+// Executive profile: added to the JSON structure after functional_expertise
+const EXECUTIVE_JSON_FIELDS = `
+    "board_positions": [{
+      "organization": "string",
+      "role": "string (e.g. 'Chair', 'Vice Chair', 'Non-Executive Director', 'Member') | null",
+      "boardType": "string (${BOARD_TYPES.map(type => `'${type}'`).join(', ')}) | null",
+      "startDate": "YYYY-MM | null",
+      "endDate": "YYYY-MM or 'Present' | null",
+      "description": "string | null"
+    }],`;
+
+// Executive profile: rules appended after the confidence rule
+const EXECUTIVE_RULES = `
+20. **EXECUTIVE CV FIELDS** - This is the CV of a senior executive. Extract the full leadership record:
+    - **board_positions**: Every board of directors, supervisory board, advisory board and non-profit board seat, with the candidate's role on the board. A board seat is NOT a professional_experience entry unless it is a full-time executive appointment (e.g. 'Executive Chairman').
+    - Keep quantified results (revenue, P&L, budget, headcount, deal sizes) verbatim in raw_bullet_points; do not summarize them away.
+    - Extract EVERY position, including early-career roles the CV only lists briefly (e.g. "Previous positions: ...").
+    Use [] when the CV lists no board positions.
+`;
+
+// CVs not in English: original wording of the free-text fields, added after thesisProjectDescription
+// and raw_bullet_points (the English fields stay as they are)
+const ORIGINAL_TEXT_EDUCATION_FIELDS = `
+      "degreeNameOriginal": "string (degree title exactly as written in the CV, e.g. 'Lic. oec. HSG', 'Eidg. dipl. Wirtschaftsprüfer') | null",
+      "specificFieldOriginal": "string (specificField exactly as written in the CV) | null",
+      "thesisProjectNameOriginal": "string (thesisProjectName exactly as written in the CV) | null",`;
+
+const ORIGINAL_TEXT_EXPERIENCE_FIELDS = `
+      "positionNameOriginal": "string (positionName exactly as written in the CV) | null",
+      "descriptionOriginal": "string (description exactly as written in the CV) | null",
+      "raw_bullet_points_original": ["string (each bullet point exactly as written in the CV, in the order of raw_bullet_points)"] | null,`;
+
+const getOriginalTextRules = (ruleNumber, language, profile) => `
+${ruleNumber}. **ORIGINAL-LANGUAGE TEXT** - This CV is written in ${LANGUAGE_NAMES[language]}. Translate to English as described above, and ALSO keep the original wording in the "...Original" fields (and raw_bullet_points_original) — the only fields exempt from translation:
+    - Copy the text exactly as it appears in the CV — do not translate, correct, abbreviate or expand it. Keep official titles such as "Eidg. dipl.", "Lic. oec." or "Dipl.-Ing." verbatim.
+    - Use null (or [] for raw_bullet_points_original) when the CV states that text in English or does not have it.
+    - raw_bullet_points_original has one entry per raw_bullet_points entry, in the same order.${profile === 'career_starter' ? `
+    - internships entries take the same positionNameOriginal, descriptionOriginal and raw_bullet_points_original fields.` : ''}
+`;
+
+const PROFILE_EDUCATION_FIELDS = { career_starter: CAREER_STARTER_EDUCATION_FIELDS };
+const PROFILE_JSON_FIELDS = { academic: ACADEMIC_JSON_FIELDS, career_starter: CAREER_STARTER_JSON_FIELDS, executive: EXECUTIVE_JSON_FIELDS };
+const PROFILE_RULES = { academic: ACADEMIC_RULES, career_starter: CAREER_STARTER_RULES, executive: EXECUTIVE_RULES };
+
+// Get parsing instructions (rules + JSON schema) for an extraction profile — shared between PDF and DOCX paths
+// language: detected source language (see lib/languageDetection.js); CVs not in English also keep their original wording
+function getParsingInstructions(profile = 'standard', language = null) {
+  const keepOriginal = Boolean(language) && language !== 'en';
+  // Dynamically generate all possible option strings
+  const countries = getOptionsString(COUNTRY_OPTIONS);
+  const generalFields = getOptionsString(GENERAL_FIELD_OPTIONS);
+  const degreeTypes = getOptionsString(DEGREE_TYPE_OPTIONS);
+  const positionTypes = getOptionsString(POSITION_TYPE_OPTIONS);
+  const languageProficiencies = getOptionsString(LANGUAGE_PROFICIENCY_OPTIONS);
+  const skillLevels = getOptionsString(SKILL_PROFICIENCY_OPTIONS);
+  const durations = getOptionsString(DURATION_OPTIONS);
+  const jobTypes = getOptionsStringForSimpleArray(JOB_TYPE_OPTIONS);
+  const locations = getOptionsString(LOCATION_OPTIONS);
+  const industries = getOptionsString(INDUSTRY_PREFERENCE_OPTIONS);
+
+  const jsonStructure = `
+  {
+    "contact_first_name": "string | null",
+    "contact_last_name": "string | null",
+    "email": "string | null",
+    "country_code": "string (e.g., '+41', '+1') | null",
+    "phoneNumber": "string (local part only, without country code) | null",
+    "contact_address": {
+      "street": "string | null",
+      "city": "string | null",
+      "state": "string | null",
+      "country": "string (${countries}) | null",
+      "zip": "string | null"
+    } | null,
+    "linkedinUrl": "string (full URL) | null",
+    "githubUrl": "string (full URL) | null",
+    "portfolioUrl": "string (full URL) | null",
+    "years_of_experience": "number (integer, e.g., 0, 1, 2, 3, 5, 10) | null",
+    "education_history": [{
+      "universityName": "string",
+      "degreeType": "string (${degreeTypes}) | null",
+      "generalField": "string (${generalFields}) | null",
+      "specificField": "string (exact field of study from CV, e.g. 'Computer Science', 'Commodities Trading', 'International Hospitality Management') | null",
+      "overallGrade": "string (e.g., 'First Class Honours', 'Magna Cum Laude', 'GPA 3.8/4.0') | null",
+      "overallGradeValue": "string (numeric value, e.g., '3.8') | null",
+      "overallGradeMax": "string (max value, e.g., '4.0') | null",${PROFILE_EDUCATION_FIELDS[profile] || ''}
+      "startDate": "YYYY-MM | null",
+      "endDate": "YYYY-MM | null",
+      "city": "string | null",
+      "country": "string (${countries}) | null",
+      "isCurrent": "boolean | null",
+      "thesisProjectName": "string | null",
+      "thesisProjectDescription": "string | null",${keepOriginal ? ORIGINAL_TEXT_EDUCATION_FIELDS : ''}
+      "relevantCoursework": ["string"] | null
+    }],
+    "professional_experience": [{
+      "positionName": "string",
+      "position_short": "string (normalized job title for display, max 30 chars - see POSITION NORMALIZATION below)",
+      "companyName": "string",
+      "company_type": "string (concise industry classification, 2-4 words max - see COMPANY TYPE CLASSIFICATION below)",
+      "positionType": "string (${positionTypes}) | null",
+      "experienceType": "'industrial' | 'academic' | null",
+      "description": "string (brief job description if available) | null",
+      "raw_bullet_points": ["string (each bullet point/achievement as-is from CV)"] | null,${keepOriginal ? ORIGINAL_TEXT_EXPERIENCE_FIELDS : ''}
+      "startDate": "YYYY-MM | null",
+      "endDate": "YYYY-MM or 'Present' | null",
+      "city": "string | null",
+      "country": "string (${countries}) | null",
+      "isCurrent": "boolean | null"
+    }],
+    "technical_skills": [{ "name": "string", "level": "${skillLevels}" }],
+    "soft_skills": [{ "name": "string", "level": "${skillLevels}" }], // Infer from experience descriptions — see Rule 11. Empty arrays are almost never correct for experienced professionals.
+    "industry_specific_skills": [{ "industry": "string (industry/sector context, e.g. 'Investment Banking', 'Energy Trading', 'Pharmaceuticals', 'Management Consulting')", "name": "string", "level": "${skillLevels}" }], // Domain expertise, methodologies, business knowledge — see Rule 11. Empty arrays are almost never correct for experienced professionals.
+    "base_languages": [{ "language": "string", "proficiency": "${languageProficiencies}" }],
+    "certifications": [{
+      "name": "string",
+      "issuer": "string | null",
+      "dateObtained": "YYYY-MM | null",
+      "expiryDate": "YYYY-MM | null",
+      "credentialId": "string | null",
+      "url": "string (verification URL) | null"
+    }],
+    "professional_interests": ["string"],
+    "extracurricular_activities": [{ "organization": "string", "role": "string | null", "achievement": "string | null" }],
+    "base_projects": [{
+      "projectName": "string",
+      "description": "string | null",
+      "technologies": ["string"] | null,
+      "link": "string (project URL) | null"
+    }],
+    "working_capacity_percent": "number (0-100) | null",
+    "available_from_date": "YYYY-MM-DD | null",
+    "desired_duration_months": "string (${durations}) | null",
+    "desired_job_types": ["string e.g., (${jobTypes})"],
+    "desired_locations": ["string e.g., (${locations})"],
+    "desired_industries": ["string e.g., (${industries})"],
+    "functional_expertise": ["string - extract from CV, see rule 15"],${PROFILE_JSON_FIELDS[profile] || ''}
+    "field_confidence": {
+      "<scalar field, contact_address or string array name>": "number (0-100)",
+      "<object array name, e.g. education_history>": [{ "_entry": "number (0-100)", "<entry field name>": "number (0-100)" }]
+    } // See rule 19
+  }
+  `;
+
+  return `
+You are an expert CV data extraction assistant. Your goal is to extract as much structured information as possible from CVs to save users time filling out their profiles. You MUST output ALL extracted text in English. If the CV is in any other language, translate all text fields to English while preserving the exact meaning, structure, and level of detail. Proper nouns (company names, university names, person names, specific certification titles) remain unchanged.
+
+CRITICAL EXTRACTION RULES:
+
+1. **RETURN VALID JSON ONLY** - Your response must be ONLY a valid JSON object matching the structure below.
+
+2. **NO INVENTED DATA** - Only extract information that exists in the CV. Use null for missing data.
+
+3. **EXTRACT RAW BULLET POINTS** - For each job in professional_experience, extract ALL bullet points, achievements, and responsibilities EXACTLY as they appear in the CV. Put each bullet point as a separate string in the "raw_bullet_points" array. Do NOT convert to any specific format - keep them as-is.
+
+3b. **STANDALONE ACHIEVEMENTS** - If the CV has a separate "Achievements" or "Key Achievements" section not tied to a specific job, include these achievements in the raw_bullet_points of the MOST RELEVANT job (typically the most recent/current position), prefixed with "[Achievement] " to distinguish them from regular responsibilities.
+
+4. **URL FORMATTING** - All URLs (linkedinUrl, githubUrl, portfolioUrl, certification URLs, project links) MUST include the full https:// prefix.
+
+5. **PHONE NUMBER SPLITTING** - Split phone numbers into two parts:
+   - country_code: International prefix with + (e.g., '+41', '+1', '+49')
+   - phoneNumber: Local number only (e.g., '79 123 45 67')
+
+6. **DATE STANDARDIZATION** - All dates must be in YYYY-MM format (e.g., '2020-01', '2023-06'). Use 'Present' for current positions.
+
+7. **DROPDOWN VALUE MAPPING** - For fields with predefined options (country, degreeType, positionType, skill levels, etc.), you MUST map the CV text to the CLOSEST matching option from the provided list. If no confident match exists, use null.
+
+8. **ADDRESS EXTRACTION** - Extract full address details into the contact_address object (street, city, state, country, zip).
+
+9. **CERTIFICATIONS** - Extract all professional certifications, licenses, and credentials with as much detail as available.
+
+10. **PROJECTS** - Extract personal projects, portfolio projects, or significant academic projects with technologies used.
+
+11. **SKILLS CLASSIFICATION** - Use the "Tool vs. Trait vs. Domain" test for EVERY skill:
+    - **technical_skills** = TOOLS: Software, programming languages, frameworks, platforms, and technical tools the person uses to do their work.
+      Examples: Python, Excel, Bloomberg, SQL, Tableau, SAP, AutoCAD, MATLAB.
+      NOT technical: Financial Modeling, Project Management, Trade Surveillance, Risk Analysis, Market Research, Supply Chain Management — these are domain expertise, not tools.
+    - **soft_skills** = TRAITS: Interpersonal and behavioral competencies — how someone works, not what they work on.
+      Examples: Leadership, Communication, Teamwork, Problem Solving, Negotiation, Mentoring, Adaptability, Relationship Management, Collaboration, Analytical Thinking, Attention to Detail, Time Management, Conflict Resolution.
+      NOT soft skills: Project Management, Sales, Budgeting, Market Analysis, Business Development, Compliance, Accounting, Financial Analysis, Operations Management, Data Analysis — these are domain/business skills.
+    - **industry_specific_skills** = DOMAIN: Business knowledge, methodologies, sector-specific expertise, and professional competencies that define what the person knows about their industry.
+      For the "industry" field, write the specific industry/sector context (e.g., 'Energy Trading', 'Wealth Management', 'Biotech R&D'). Be specific — don't use generic terms like 'Finance' when 'Commodity Derivatives' is more accurate.
+      Examples: Financial Modeling, Derivatives & Hedging, Risk Management, Portfolio Optimization, Regulatory Compliance, Trade Surveillance, Supply Chain Management, Market Analysis, Business Strategy, M&A, Audit, Tax Advisory, Clinical Research, Drug Development.
+
+    **Inference principles for soft_skills** — Do NOT rely only on explicit "Skills" sections. Actively scan experience descriptions for behavioral evidence:
+    - Evidence of leading people or teams → Leadership
+    - Evidence of managing stakeholders, clients, or relationships → Relationship Management, Communication
+    - Evidence of cross-functional work or collaboration → Collaboration, Teamwork
+    - Evidence of mentoring, coaching, or training others → Mentoring
+    - Evidence of negotiating deals, contracts, or agreements → Negotiation
+    - Evidence of solving complex problems or analytical work → Problem Solving, Analytical Thinking
+    - Evidence of presenting to boards, committees, or conferences → Communication, Presentation Skills
+    - **Seniority heuristic (management roles only):** If the candidate manages people or stakeholders in a Director, VP, Head, C-level, or Partner role, infer Leadership, Communication, and Relationship Management unless contradicted by the CV. This does NOT apply to senior individual contributors (researchers, traders, engineers) without people management evidence.
+
+    **Inference principles for industry_specific_skills** — Scan job titles, responsibilities, and achievements for domain expertise:
+    - A trader's strategies and instruments → their trading domain skills
+    - A risk analyst's frameworks and methodologies → risk management skills
+    - An accountant's specializations → audit, tax, financial reporting skills
+    - A consultant's practice areas → their advisory domain skills
+
+    **Quantity expectations:** Aim for 3-8 soft skills and 3-10 industry-specific skills for experienced professionals (5+ years). However, ONLY include skills with clear evidence in the CV — do not invent skills to fill a quota. For junior profiles or very brief CVs, fewer skills are acceptable.
+
+11b. **DEGREE TYPE CLASSIFICATION** - Use this two-step decision tree to classify degreeType:
+
+    **Step 1 — Determine the LEVEL of the degree:**
+    - Doctoral (PhD, DPhil, Dr., Doctorate, EdD, DBA) → 'PhD'
+    - Master-level → Go to Step 2
+    - Bachelor-level (Bachelor, BTech, BCom, Licence [French 3-year]) → 'BSc' for STEM/Business, 'BA' for Arts/Humanities/Social Sciences
+    - Secondary school (Matura, Abitur, A-Levels, High School Diploma, Baccalauréat) → match the specific type from the options
+    - Sub-bachelor vocational / 2-year programs → match the specific type from the options
+
+    **Step 2 — For master-level degrees, map by specialization:**
+    - MBA (Master of Business Administration, Executive MBA) → 'MBA'
+    - MAS (Master of Advanced Studies — a Swiss/European continuing education degree) → 'MAS'
+    - MSc (Master of Science, Master of Engineering, MTech, technical/quantitative fields) → 'MSc'
+    - MA (Master of Arts, humanities, social sciences, education) → 'MA'
+    - If unclear whether MSc or MA, default to 'MSc' for STEM/Business fields and 'MA' for Arts/Humanities.
+
+    **International equivalences (CRITICAL):**
+    - French: Master 1, Master 2, Maîtrise → 'MSc' or 'MA' by field. Grande École diploma → 'MSc'. French Licence = 3-year bachelor → 'BA' or 'BSc'. Do NOT confuse Licence with professional licenses (CPA, CFA) which are certifications.
+    - German: Diplom, Diplom-Ingenieur, Diplom-Kaufmann → 'MSc' (master-equivalent). Vordiplom → 'BSc'.
+    - Indian: BTech → 'BSc', MTech → 'MSc', BCom → 'BSc'.
+    - Law: LLB → 'BA', LLM → 'MA', JD → 'MA'.
+    - Engineering diplomas: 'BSc' minimum, 'MSc' if 5-year integrated program.
+    - Postgraduate Diploma / Graduate Certificate → 'Certificate'.
+
+    **specificField** — For ALL education entries, write the exact field of study or program name from the CV as free text (e.g., "Computer Science", "Commodities Trading", "International Hospitality Management"). Do not map to a dropdown. For **generalField**, categorize into one of the provided broad categories.
+
+    **For certificate-type degrees** (Certificate, CAS, DAS, Federal Diploma): set generalField to null. Also add the certificate to the certifications array with its full name.
+
+    **WARNING: AS (Associate of Science) and AA (Associate of Arts) are ONLY for US-style 2-year community college degrees. Do NOT assign Associate degrees to European, Asian, or other international qualifications.**
+
+12. **EDUCATION DETAILS** - Extract grades, GPA, class rank, thesis information, and relevant coursework when available.
+
+13. **JOB PREFERENCES** - If the CV mentions career goals, desired roles, preferred locations, or availability, extract this into the desired_* fields.
+
+14. **BOOLEAN FIELDS** - Set isCurrent to true for ongoing education or current positions.
+
+15. **FUNCTIONAL EXPERTISE EXTRACTION** - Use a two-step approach for functional expertise (for commodities/energy/finance talent):
+
+    **Step 1 - Check for explicit mentions:** First, look for explicitly stated expertise in sections like:
+    - "Core Competencies:", "Expertise:", "Areas of Expertise:", "Key Skills:", "Functional Skills:"
+    - Skills summaries or executive summaries that explicitly list expertise areas
+
+    **Step 2 - Intelligent inference (if not explicit):** If expertise is NOT specifically stated, intelligently determine it from context:
+    - Analyze job titles (e.g., "Risk Analyst" → Risk Management, "Trading Desk Lead" → Trading + Leadership)
+    - Analyze responsibilities and achievements
+    - Consider education background for technical expertise
+    - Example: "Managed VaR models and credit exposure analysis" → Risk Management
+    - Example: "Built real-time pricing engine in Python" → Technology + Engineering
+    - Example: "Led team of 15 traders" → Leadership + Trading
+    - Example: "Structured commodity derivatives" → Trading + Quantitative Analysis
+
+    **Valid categories (select ONLY from this list):**
+    Trading, Risk Management, Quantitative Analysis, Technology, Operations, Finance, Leadership, Legal, Compliance, Research, Analytics, Engineering
+
+    Return 1-8 categories maximum. Prioritize most relevant based on career focus and seniority.
+
+16. **COMPANY TYPE CLASSIFICATION** - For each job in professional_experience, classify the company into a concise industry category (2-4 words max).
+
+    **Classification Guidelines:**
+    - Use the most commonly recognized industry term for the company type
+    - Be specific but not overly granular (e.g., "Trading House" not "Commodity Trading Company")
+    - For well-known companies, use standard industry classifications
+    - For less-known companies, classify based on the company's primary business activity and industry sector
+
+    **Common Classifications (examples, not exhaustive):**
+    - "Investment Bank" (Goldman Sachs, Morgan Stanley, JP Morgan)
+    - "Major Bank" (UBS, Credit Suisse, Deutsche Bank, HSBC)
+    - "Trading House" (Trafigura, Vitol, Glencore, Gunvor, Mercuria)
+    - "Oil & Gas Major" (Shell, BP, TotalEnergies, ExxonMobil)
+    - "Utility" (Axpo, Alpiq, E.ON, RWE, Engie)
+    - "Mining Company" (BHP, Rio Tinto, Vale)
+    - "Asset Manager" (BlackRock, Vanguard, PIMCO)
+    - "Hedge Fund" (Citadel, Bridgewater, Two Sigma)
+    - "Private Equity" (KKR, Blackstone, Carlyle)
+    - "Big 4 / Accounting" (Deloitte, PwC, KPMG, EY)
+    - "Tech Company" (Google, Microsoft, Meta)
+    - "Renewable Energy" (Ørsted, Vestas, First Solar)
+
+    **Consultancy - BE SPECIFIC (avoid generic "Consulting"):**
+    - "Management Consultancy" (Accenture, McKinsey, BCG, Bain, Roland Berger, Oliver Wyman)
+    - "Strategy Consultancy" (McKinsey, BCG, Bain - for pure strategy roles)
+    - "Tech Consultancy" (Accenture, Capgemini, Infosys, Wipro, TCS - for tech-focused roles)
+
+    **Academic/Research - BE SPECIFIC (avoid generic "Academic"):**
+    - "University" (ETH Zurich, MIT, Stanford, Oxford, any university)
+    - "Research Institute" (Max Planck, Fraunhofer, CERN)
+    - "Think Tank" (Brookings, RAND)
+
+    **Important:** You are NOT limited to these categories - classify dynamically based on your knowledge of the company. But AVOID generic terms like "Consulting" or "Academic" - always use more specific classifications.
+
+17. **POSITION NORMALIZATION** - For each job, create a normalized short title for display (max 30 characters).
+
+    **Normalization Rules:**
+    1. Remove company-specific levels (III, L5, Grade 2, Band 7)
+    2. Use standard abbreviations: Senior → Sr., Junior → Jr., Vice President → VP, Managing Director → MD
+    3. Remove redundant words: "of", "for", "the", "and", "in" where possible
+    4. Keep the core role identity clear
+    5. Max 30 characters - truncate intelligently if needed
+
+    **Examples:**
+    - "Senior Vice President of Global Risk Management" → "SVP Risk Management"
+    - "Software Engineer III" → "Sr. Software Engineer"
+    - "Junior Python Backend Developer" → "Jr. Backend Developer"
+    - "Associate Director, Trading Operations" → "Assoc. Director Trading"
+    - "Head of Quantitative Research and Development" → "Head of Quant Research"
+    - "L5 Software Development Engineer" → "Sr. Software Engineer"
+    - "Managing Director - Commodities Trading" → "MD Commodities Trading"
+
+    **Keep these unchanged** (already short/standard):
+    - Analyst, Associate, Trader, Developer, Engineer, Manager, Director, VP, SVP, MD, Partner
+
+    **Student/Extracurricular roles - simplify:**
+    - "Co-organizer Online Contest" → "Event Organizer"
+    - "President of Student Association" → "Student President"
+    - "Vice President of Finance Club" → "VP Finance Club"
+    - "Teaching Assistant" → "Teaching Assistant" (keep as-is)
+    - "Research Assistant" → "Research Assistant" (keep as-is)
+
+18. **LANGUAGE PROFICIENCY MAPPING** - Map language proficiency levels from CVs to these exact values:
+    - Native / Mother tongue / Muttersprache / Langue maternelle → 'Native'
+    - Fluent / C2 / Proficient / Courant / Fließend / Full professional proficiency → 'Fluent'
+    - Advanced / Professional working proficiency / Avancé / Fortgeschritten / C1 → 'Advanced'
+    - Intermediate / Conversational / Working proficiency / Limited working proficiency / Intermédiaire / Grundkenntnisse / B1-B2 → 'Intermediate'
+    - Beginner / Elementary / Basic / Notions / Anfänger / A1-A2 → 'Beginner'
+    Always use the exact value string (e.g., 'Native', 'Fluent', not 'C2').
+
+    **Default behavior when proficiency is not stated:**
+    - Candidate's home country language (inferred from nationality/address) → 'Native'
+    - Language of education (university degree taught in that language) → 'Advanced'
+    - Other mentioned languages with no level → 'Intermediate'
+    If you truly cannot determine proficiency from any context, use 'Intermediate' rather than null.
+
+    **Language inference:** If no explicit Languages section exists, still extract languages where there is clear evidence: the candidate's apparent native language (from name/country), and any language in which they demonstrably worked or studied (e.g., English-language education, work in English-speaking countries).
+
+19. **CONFIDENCE SCORES** - In "field_confidence", rate how confident you are in every non-null value you extracted (0-100):
+    - 90-100: stated explicitly and unambiguously in the CV
+    - 70-89: stated, but required mapping to an option or light interpretation
+    - 40-69: inferred from indirect evidence (e.g. degree type from program length, dates from context)
+    - 0-39: guessed with little evidence
+    For scalar fields, contact_address and string arrays (functional_expertise, professional_interests, desired_*), give one number per field.
+    For arrays of objects, give one object per entry IN THE SAME ORDER, with "_entry" (confidence the entry is real and correctly delimited) and one number per non-null field of that entry.
+    Do not inflate scores — low scores trigger a focused re-check, which improves accuracy.
+${PROFILE_RULES[profile] || ''}${keepOriginal ? getOriginalTextRules(PROFILE_RULES[profile] ? 21 : 20, language, profile) : ''}
+EXPECTED JSON OUTPUT STRUCTURE:
+${jsonStructure}`;
+}
+
+// Appended to the instructions when the CV is attached as a PDF file
+const PDF_PROMPT_SUFFIX = '\n\nExtract all data from the attached PDF document and return ONLY the JSON object.';
+
+// Context for the model on how the CV content of each input format was produced
+const TEXT_PROMPT_PREAMBLES = {
+  html: `The CV content below is in HTML format extracted from a DOCX file. The HTML tags (headings, lists,
+bold, links) provide structural context. IMPORTANT: If the CV uses a multi-column layout, sections
+may appear in a non-standard order (e.g., sidebar content before main content). Use section headings
+and contextual clues to correctly group information regardless of ordering.
+
+CV CONTENT (HTML):`,
+  odt: `The CV content below is in simplified HTML format extracted from an OpenDocument (ODT) file. The HTML
+tags (headings, lists, tables, links) provide structural context. Tables are often used for layout, so
+a row may combine a date range with the job or degree it belongs to.
+
+CV CONTENT (HTML):`,
+  text: `The CV content below is plain text extracted from a PDF file.
+
+CV CONTENT:`,
+  doc: `The CV content below is plain text extracted from a legacy Word (.doc) file. Formatting is lost:
+table cells are separated by tabs or line breaks, and header/footer text (often contact details) appears
+at the start or end. Use section headings and contextual clues to group information.
+
+CV CONTENT:`,
+  rtf: `The CV content below is plain text extracted from an RTF file. Formatting is lost: table cells are
+separated by tabs, and header text (often contact details) may appear first. Use section headings and
+contextual clues to group information.
+
+CV CONTENT:`,
+  txt: `The CV content below is a plain text file as submitted by the candidate (often exported from an older
+applicant tracking system). Section headings may be in capitals or underlined with dashes.
+
+CV CONTENT:`,
+  markdown: `The CV content below is in Markdown format. Headings (#), lists (-, *) and emphasis provide
+structural context.
+
+CV CONTENT (Markdown):`,
+  ocr: `The CV content below was recognized by OCR from a scanned PDF. Expect recognition errors: confused
+characters (0/O, 1/l/I, rn/m), broken words, missing accents and garbled email addresses or phone numbers.
+Multi-column layouts may be interleaved line by line. Correct obvious OCR mistakes from context, but use
+null rather than guessing when a value is unreadable.
+
+CV CONTENT (OCR):`,
+};
+
+// Create text-based parsing prompt for DOCX HTML or plain text content
+// instructions can be overridden (re-parse endpoint); defaults to getParsingInstructions()
+// part ({ number, total }) marks one chunk of a long CV (see lib/chunking.js)
+function createTextParsingPrompt(content, format = 'html', instructions = getParsingInstructions(), part = null) {
+  if (!content || typeof content !== 'string') {
+    throw new Error('Invalid content provided for parsing');
+  }
+
+  const preamble = TEXT_PROMPT_PREAMBLES[format] || TEXT_PROMPT_PREAMBLES.text;
+  const partNote = part
+    ? `\n\nThis is part ${part.number} of ${part.total} of a long CV that was split at section boundaries. Extract ONLY what appears in this part and use null or [] for everything else — contact details are usually in part 1. Do not add entries from other parts or guess their content.`
+    : '';
+
+  return `${instructions}${partNote}
+
+${preamble}
+---
+${content}
+---
+
+Remember: ALL text in the output MUST be in English. Translate any non-English text while keeping the exact meaning and detail intact.
+
+Extract the data now and return ONLY the JSON object.
+  `;
+}
+
+// Focused second-pass prompt per field, before the CV text is appended
+function getFocusedPromptTemplates(optionList, targetList) {
+  const itemsFormat = (fields) => `{"items": [{"section": "<section>", "index": <index>, ${fields}, "confidence": <0-100 integer>}]}`;
+
+  return {
+    degreeType: `
+Determine the exact degree type for each education entry listed below.
+
+Entries:
+${targetList}
+
+Use the DEGREE TYPE rules: doctoral → 'PhD'; master-level → 'MBA', 'MAS', 'MSc' or 'MA' by specialization; bachelor-level → 'BSc' or 'BA'; AS/AA/AAS ONLY for US 2-year community college degrees. German Diplom → 'MSc', French Licence → 'BA' or 'BSc'.
+
+Return ONLY a JSON object: ${itemsFormat('"degreeType": "value"')}
+
+Where value must be EXACTLY one of: ${optionList}, or null if the CV does not say.
+    `,
+    positionType: `
+Determine the employment type for each position listed below, based on the CV wording (e.g. "Intern", "Werkstudent", "Freelance", "Teilzeit", "50%").
+
+Entries:
+${targetList}
+
+Return ONLY a JSON object: ${itemsFormat('"positionType": "value"')}
+
+Where value must be EXACTLY one of: ${optionList}, or null if the CV does not say.
+    `,
+    dates: `
+Determine the start and end dates for each entry listed below. Read the dates directly from the CV; do not guess from neighbouring entries.
+
+Entries:
+${targetList}
+
+Return ONLY a JSON object: ${itemsFormat('"startDate": "YYYY-MM" | null, "endDate": "YYYY-MM" | "Present" | null')}
+    `,
+    proficiency: `
+Determine the proficiency level for each language listed below. Map CEFR levels and wording in any language (e.g. "Muttersprache", "courant", "C1") to the closest option. If no level is stated, use 'Native' for the candidate's home-country language, 'Advanced' for a language of their university education, otherwise 'Intermediate'.
+
+Entries:
+${targetList}
+
+Return ONLY a JSON object: ${itemsFormat('"proficiency": "value"')}
+
+Where value must be EXACTLY one of: ${optionList}
+    `,
+    functional_expertise: `
+Identify the candidate's functional expertise areas (1-8, most relevant first). Prefer explicitly stated expertise ("Core Competencies", "Areas of Expertise"); otherwise infer from job titles, responsibilities and achievements.
+
+Return ONLY a JSON object: {"functional_expertise": ["value"], "confidence": <0-100 integer>}
+
+Where each value must be EXACTLY one of: ${optionList}
+    `,
+  };
+}
+
+// Create focused second-pass prompt for low-confidence fields
+// targets: [{ section, index, label }] identifying the entries to re-extract.
+// When cvText is null the CV is attached as a PDF file alongside the prompt.
+function createFocusedPrompt(fieldName, cvText, options, targets = []) {
+  if (!fieldName || !Array.isArray(options)) {
+    return null;
+  }
+
+  const optionList = options
+    .map(opt => (typeof opt === 'string' ? opt : opt.value))
+    .filter(Boolean)
+    .map(val => `'${val}'`)
+    .join(', ');
+  const targetList = targets
+    .map(t => `- section "${t.section}", index ${t.index}: ${t.label}`)
+    .join('\n');
+  const prompt = getFocusedPromptTemplates(optionList, targetList)[fieldName];
+  if (!prompt) return null;
+
+  return cvText
+    ? `${prompt}
+CV Text:
+---
+${cvText}
+---
+`
+    : `${prompt}
+The CV is attached as a PDF document.
+`;
+}
+
+// Create repair prompt listing schema violations so the model can correct its previous answer
+function createRepairPrompt(issues) {
+  const issueList = issues
+    .map(issue => `- ${issue.path}: ${issue.message}`)
+    .join('\n');
+
+  return `
+Your previous JSON response does not match the required structure. Fix ONLY the problems listed below and return the complete corrected JSON object.
+
+Validation errors:
+${issueList}
+
+Rules:
+- Keep all correctly extracted data unchanged.
+- Every array field must be present (use [] when the CV has no entries).
+- Do not add keys that are not part of the EXPECTED JSON OUTPUT STRUCTURE.
+- Use null for missing scalar values, never empty objects or placeholder strings.
+
+Return ONLY the corrected JSON object.
+  `;
+}
+
+// ==========================================
+// PROFILE BIO GENERATION
+// ==========================================
+
+/**
+ * Removes known company names from generated text.
+ * Safety net in case GPT includes company names despite instructions.
+ * @param {string} text - The generated bio text
+ * @param {Array} professionalExperience - Array of experience objects with companyName
+ * @returns {string} - Sanitized text with company names replaced
+ */
+function sanitizeCompanyNames(text, professionalExperience) {
+  if (!text || !Array.isArray(professionalExperience)) {
+    return text;
+  }
+
+  let sanitized = text;
+
+  const companyNames = professionalExperience
+    .map(exp => exp.companyName)
+    .filter(name => name && name.trim().length > 2)
+    .filter((name, index, arr) =>
+      arr.findIndex(n => n.toLowerCase() === name.toLowerCase()) === index
+    );
+
+  // Longest first to avoid partial replacements
+  companyNames.sort((a, b) => b.length - a.length);
+
+  for (const company of companyNames) {
+    const escaped = company.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const regex = new RegExp(`\\b${escaped}\\b`, 'gi');
+    sanitized = sanitized.replace(regex, 'a previous employer');
+  }
+
+  return sanitized;
+}
+
+// Messages asking for the profile bio of a candidate
+function createProfileBioMessages(extractedData) {
+  const systemPrompt = `
+    You are a Senior Executive Search Consultant at "SetSelect," a prestigious boutique recruitment firm in Zurich, Switzerland.
+
+    Your Task:
+    Write a concise, high-impact professional profile summary (3-4 sentences max) for a candidate based on the provided JSON data.
+
+    Tone & Style:
+    - Professional, objective, and impressive.
+    - Third-person perspective (e.g., "An experienced...", "This professional...").
+    - ANONYMOUS: Do not use names, gendered pronouns (he/she), or specific company names. Use "they," "the candidate," or "this professional." Refer to employers generically (e.g., "a major firm," "a leading industry player," "a global company").
+    - SECTOR-NEUTRAL: Write the bio based on the candidate's actual background. Do NOT default to commodities, energy, or trading language unless the candidate's experience is clearly in those sectors. Match the industry framing to the candidate's domain.
+    - Swiss Context: Be precise about work permits and locations.
+
+    Structure:
+    1. Opening: Seniority + Role.
+    2. The "Hook": Integrate any highlight/achievement seamlessly.
+    3. Skills: Mention top 3 functional expertise or technical skills.
+    4. Closing: Availability and key strengths.
+  `;
+
+  const userPrompt = `
+    Please generate the profile summary for this candidate:
+
+    ${JSON.stringify(extractedData, null, 2)}
+
+    Note:
+    - The candidate's HOME location is in contact_address (city, country). Do NOT use the professional_experience city/country as the candidate's location — those are EMPLOYER locations, not where the candidate lives.
+    - Expand Canton codes (e.g., 'ZG' -> 'Zug', 'ZH' -> 'Zurich', 'TI' -> 'Ticino').
+    - If there is a 'highlight' field with a quote, paraphrase it into a professional achievement statement.
+    - Salary should NOT be mentioned in the bio.
+    - Do not mention years of experience (already displayed separately).
+    - Do not mention languages the candidate speaks (already displayed separately).
+    - Keep it to 3-4 sentences maximum.
+  `;
+
+  return [
+    { role: 'system', content: systemPrompt },
+    { role: 'user', content: userPrompt },
+  ];
+}
+
+/**
+ * Generates a professional profile summary for a candidate using GPT.
+ * @param {object} extractedData - The parsed candidate data
+ * @param {(call: object) => void} [onLlmCall] - Receives the model call record (see completeChat)
+ * @returns {Promise<string|null>} - Generated bio or null on failure
+ */
+async function generateProfileBio(extractedData, onLlmCall) {
+  const messages = createProfileBioMessages(extractedData);
+
+  try {
+    const response = await completeChat('summary', {
+      model: OPENAI_MODEL_SUMMARY,
+      messages,
+      temperature: 0.7,
+      max_tokens: 200,
+    }, { purpose: 'bio', onCall: onLlmCall });
+
+    const rawBio = response.choices[0]?.message?.content?.trim() || null;
+    return rawBio ? sanitizeCompanyNames(rawBio, extractedData.professional_experience) : null;
+  } catch (error) {
+    logger.error('Profile bio generation failed', { err: error });
+    return null; // Graceful degradation
+  }
+}
+
+// ==========================================
+// SHORT SUMMARY GENERATION (2 sentences)
+// ==========================================
+
+// Messages asking for the short summary of a candidate
+function createShortSummaryMessages(extractedData) {
+  const systemPrompt = `
+You are an executive recruiter writing ultra-short candidate summaries for card displays.
+
+Rules:
+- EXACTLY 3 sentences
+- Each sentence MUST be under 12 words
+- No names, no company names, no pronouns
+- No years of experience (already shown elsewhere)
+- No languages (already shown elsewhere)
+- No technical skills or tools (already shown in skills section)
+- Punchy, impressive, third-person
+- Output plain text only (no quotes, no dashes, no bullet points)
+
+Examples:
+
+Senior software engineer building scalable distributed systems. Track record shipping products to millions of users. Strong technical leadership.
+
+Management consultant advising Fortune 500 on digital transformation. Proven results in cost optimization. Skilled at executive stakeholder management.
+
+Operations director streamlining manufacturing processes across multiple sites. Reduced costs by driving efficiency initiatives. Strong team leadership.
+
+Investment analyst evaluating opportunities in emerging markets. Published research cited by industry leaders. Deep financial modeling expertise.
+
+Product manager launching customer-facing features for fintech platforms. Data-driven decision maker with strong user empathy. Cross-functional collaborator.
+
+Sales executive expanding enterprise accounts in competitive markets. Consistent quota overachievement track record. Skilled relationship builder.
+
+HR business partner driving talent strategy for high-growth organizations. Experience scaling teams through hypergrowth. Strong employer branding background.
+
+Strategy lead developing market entry plans for new geographies. Background in competitive intelligence and pricing. Strong analytical and communication skills.
+
+Supply chain specialist optimizing global logistics and procurement. Track record reducing lead times and costs. Deep vendor management expertise.
+
+Risk professional implementing governance frameworks for regulated industries. Strong compliance and audit background. Experienced in regulatory engagement.
+  `;
+
+  const userPrompt = `
+Generate a 3-sentence summary (each under 12 words) for:
+${JSON.stringify(extractedData, null, 2)}
+  `;
+
+  return [
+    { role: 'system', content: systemPrompt },
+    { role: 'user', content: userPrompt },
+  ];
+}
+
+/**
+ * Generates a 2-sentence short summary for candidate cards.
+ * @param {object} extractedData - The parsed candidate data
+ * @param {(call: object) => void} [onLlmCall] - Receives the model call record (see completeChat)
+ * @returns {Promise<string|null>} - Generated summary or null on failure
+ */
+async function generateShortSummary(extractedData, onLlmCall) {
+  const messages = createShortSummaryMessages(extractedData);
+
+  try {
+    const response = await completeChat('summary', {
+      model: OPENAI_MODEL_SUMMARY,
+      messages,
+      temperature: 0.6,
+      max_tokens: 80,
+    }, { purpose: 'summary', onCall: onLlmCall });
+    return response.choices[0]?.message?.content?.trim() || null;
+  } catch (error) {
+    logger.error('Short summary generation failed', { err: error });
+    return null;
+  }
+}
+
+/**
+ * Generates the profile bio and short summary and adds them to the extracted data.
+ * Both are optional — failures leave the fields unset.
+ * @param {object} extractedData - The parsed candidate data (mutated)
+ * @param {string} jobId - Job ID for logging
+ * @param {(stage: string) => void} [onStage] - Called when the bio and summary stages start
+ * @param {(call: object) => void} [onLlmCall] - Receives each model call record (see completeChat)
+ * @returns {Promise<object>} - The same extractedData object
+ */
+export async function addGeneratedSummaries(extractedData, jobId, onStage, onLlmCall) {
+  const log = createLogger({ jobId });
+
+  // Generate professional profile bio
+  onStage?.('bio');
+  log.info('Generating professional bio...');
+  const profileBio = await generateProfileBio(extractedData, onLlmCall);
+  if (profileBio) {
+    extractedData.profile_bio = profileBio;
+    log.info(`Bio generated (${profileBio.length} chars)`);
+  } else {
+    log.info('Bio generation skipped or failed');
+  }
+
+  // Generate short summary for card display
+  onStage?.('summary');
+  log.info('Generating short summary...');
+  const shortSummary = await generateShortSummary(extractedData, onLlmCall);
+  if (shortSummary) {
+    extractedData.short_summary = shortSummary;
+    log.info(`Short summary generated (${shortSummary.length} chars)`);
+  } else {
+    log.info('Short summary generation skipped or failed');
+  }
+  registerPersonalData(extractedData);
+
+  return extractedData;
+}
+
+// ==========================================
+// MAIN PARSING LOGIC WITH TWO-STAGE APPROACH
+// ==========================================
+
+/**
+ * Validate first-pass output against the extraction schema, asking the model to repair it when invalid.
+ * Throws once MAX_SCHEMA_REPAIR_ATTEMPTS are exhausted; the final issues are attached as error.validationIssues.
+ * @param {object} completion - First-pass chat completion
+ * @param {Array} messages - Messages that produced the completion (repair turns are appended to a copy)
+ * @param {string} jobId - Job ID for logging
+ * @param {string} [model] - Parsing model (the one that produced the completion)
+ * @param {(call: object) => void} [onLlmCall] - Receives each repair call record (see completeChat)
+ * @returns {Promise<object>} - Schema-valid extracted data
+ */
+async function validateWithRepair(completion, messages, jobId, model = OPENAI_MODEL_PARSING, onLlmCall) {
+  const log = createLogger({ jobId });
+  let content = completion.choices[0]?.message?.content;
+  let conversation = [...messages];
+  let issues = [];
+
+  for (let attempt = 0; attempt <= MAX_SCHEMA_REPAIR_ATTEMPTS; attempt++) {
+    const validation = validateExtractedData(content);
+    if (validation.success) {
+      if (attempt > 0) {
+        log.info(`Schema repair succeeded after ${attempt} attempt(s)`);
+      }
+      return validation.data;
+    }
+
+    issues = validation.issues;
+    log.warn(`Schema validation failed with ${issues.length} issue(s): ${issues.slice(0, 5).map(i => i.path).join(', ')}`);
+
+    if (attempt === MAX_SCHEMA_REPAIR_ATTEMPTS) break;
+
+    log.info(`Requesting schema repair (attempt ${attempt + 1}/${MAX_SCHEMA_REPAIR_ATTEMPTS})...`);
+    conversation = [
+      ...conversation,
+      { role: 'assistant', content: content || '' },
+      { role: 'user', content: createRepairPrompt(issues) },
+    ];
+    const repairCompletion = await completeChat('parsing', {
+      model,
+      response_format: { type: "json_object" },
+      messages: conversation,
+      temperature: OPENAI_TEMP_PARSING,
+    }, { purpose: 'schema_repair', onCall: onLlmCall });
+    content = repairCompletion.choices[0]?.message?.content;
+  }
+
+  const error = createCodedError(
+    'SCHEMA_VALIDATION_FAILED',
+    `Extracted data failed schema validation after ${MAX_SCHEMA_REPAIR_ATTEMPTS} repair attempt(s) (${issues.length} issue(s))`
+  );
+  error.validationIssues = issues;
+  throw error;
+}
+
+// Entry counts used in the extraction summary log and webhook payloads
+export function countExtractedEntries(extractedData) {
+  return {
+    education: extractedData.education_history?.length || 0,
+    experience: extractedData.professional_experience?.length || 0,
+    skills: (extractedData.technical_skills?.length || 0) + (extractedData.soft_skills?.length || 0),
+    certifications: extractedData.certifications?.length || 0,
+    expertise: extractedData.functional_expertise?.length || 0,
+  };
+}
+
+// ==========================================
+// CHUNKED EXTRACTION (LONG CVS)
+// ==========================================
+
+const MAX_CHUNK_SPLITS = 2; // Times a chunk whose output hit the token limit is halved again
+const MIN_CHUNK_TOKENS = 1000; // Chunks are not split below this size; truncated output is salvaged instead
+
+// The model stopped at its output token limit, so the JSON is cut off mid-way
+const isTruncated = (completion) => completion.choices[0]?.finish_reason === 'length';
+
+/**
+ * Validate one first-pass response (with schema repair) and normalize its field confidence.
+ * A response cut off at the output limit is closed after its last complete entry first, so the
+ * entries before the cut are kept instead of failing on invalid JSON.
+ * @returns {Promise<{data: object, confidence: object}>}
+ */
+async function validateFirstPass(completion, messages, { jobId, model, onLlmCall }) {
+  if (isTruncated(completion)) {
+    const recovered = recoverTruncatedExtraction(completion.choices[0].message?.content);
+    createLogger({ jobId }).warn(`First-pass output hit the model's token limit; ${recovered ? 'kept the entries before the cut' : 'nothing could be recovered'}`);
+    const [choice] = completion.choices;
+    completion = { ...completion, choices: [{ ...choice, message: { ...choice.message, content: recovered } }] };
+  }
+  const { field_confidence: rawConfidence, ...data } = await validateWithRepair(completion, messages, jobId, model, onLlmCall);
+  return { data, confidence: normalizeFieldConfidence(rawConfidence, data) };
+}
+
+// Extract one chunk; when its output hits the token limit it is split in half and retried
+async function extractChunk(chunk, format, part, context, splits = 0) {
+  const { jobId, model, instructions, onLlmCall } = context;
+  const messages = [{ role: 'user', content: createTextParsingPrompt(chunk, format, instructions, part) }];
+  const completion = await completeChat('parsing', {
+    model,
+    response_format: { type: "json_object" },
+    messages,
+    temperature: OPENAI_TEMP_PARSING,
+  }, { purpose: `first_pass:chunk_${part.number}`, onCall: onLlmCall });
+
+  const chunkTokens = estimateTokens(chunk);
+  if (isTruncated(completion) && splits < MAX_CHUNK_SPLITS && chunkTokens >= MIN_CHUNK_TOKENS * 2) {
+    const pieces = createChunks(chunk, format, Math.ceil(chunkTokens / 2));
+    if (pieces.length > 1) {
+      createLogger({ jobId }).warn(`Output of chunk ${part.number} hit the model's token limit, splitting it into ${pieces.length}`);
+      const results = [];
+      for (const [index, piece] of pieces.entries()) {
+        results.push(...await extractChunk(piece, format, { ...part, number: `${part.number}.${index + 1}` }, context, splits + 1));
+      }
+      return results;
+    }
+  }
+  return [await validateFirstPass(completion, messages, context)];
+}
+
+/**
+ * First pass over a CV too long for one request: split into section-aware chunks, extracted in
+ * parallel and merged in document order (see lib/chunking.js)
+ * @param {string} content - CV text or HTML
+ * @param {string} format - Prompt format (html, odt, text, ...)
+ * @param {number} tokenBudget - Estimated tokens per chunk
+ * @param {object} context - { jobId, model, instructions, onLlmCall }
+ * @returns {Promise<{data: object, confidence: object, chunkCount: number}>}
+ */
+async function extractInChunks(content, format, tokenBudget, context) {
+  const log = createLogger({ jobId: context.jobId });
+  const chunks = createChunks(content, format, tokenBudget);
+  log.info(`Long CV (~${estimateTokens(content)} tokens): extracting in ${chunks.length} chunks of up to ~${tokenBudget} tokens`);
+
+  const results = (await Promise.all(chunks.map((chunk, index) =>
+    extractChunk(chunk, format, { number: String(index + 1), total: chunks.length }, context)
+  ))).flat();
+  const { data, confidence, duplicates } = mergeChunkExtractions(results);
+  log.info(`Merged ${results.length} chunk extractions (${duplicates} duplicate entries dropped)`);
+  return { data, confidence, chunkCount: results.length };
+}
+
+/**
+ * Parse a prepared CV: first pass, schema repair, focused second pass, validation and inference
+ * @param {object} input - Parser input from prepareBufferForParsing()
+ * @param {string} jobId - Job ID for logging
+ * @param {object} [options]
+ * @param {(stage: string) => void} [options.onStage] - Called when a pipeline stage starts
+ *   (first_pass, second_pass, validation, inference)
+ * @param {string} [options.model] - Parsing model override (defaults to OPENAI_MODEL_PARSING)
+ * @param {string} [options.extractionProfile] - One of EXTRACTION_PROFILE_OPTIONS (defaults to 'auto');
+ *   'auto' uses the profile of the CV type (see lib/cvClassification.js)
+ * @param {string} [options.instructions] - Parsing instructions override (defaults to the profile's instructions)
+ * @param {(call: object) => void} [options.onLlmCall] - Receives each model call record (see completeChat)
+ * @returns {Promise<{extractedData: object, fieldConfidence: object, corrections: Array<string>, inferences: Array<string>,
+ *   parsePath: 'native_pdf'|'pdf_text_fallback'|'pdf_text_chunked'|'text'|'text_chunked', chunkCount: number,
+ *   extractionProfile: string, cvType: {type: string, confidence: number}, cvLanguage: string|null}>} -
+ *   parsePath: how the CV reached the model; chunkCount: first-pass requests the CV was split into (1 unless long);
+ *   extractionProfile: the profile used; cvType: the classified CV type, also stored as cv_type and cv_type_confidence;
+ *   cvLanguage: the detected source language (ISO 639-1, null when unknown), also stored as cv_language
+ */
+export async function parseCV(input, jobId, { onStage, model = OPENAI_MODEL_PARSING, extractionProfile: requestedProfile = AUTO_EXTRACTION_PROFILE, instructions: customInstructions, onLlmCall } = {}) {
+  if (!input || !input.type) {
+    throw new Error('Invalid input provided — expected { type, buffer } or { type, content, format }');
+  }
+  if (!jobId) {
+    throw new Error('Job ID is required');
+  }
+  if (!EXTRACTION_PROFILE_OPTIONS.includes(requestedProfile)) {
+    throw new Error(`Unknown extraction profile "${requestedProfile}" (expected ${EXTRACTION_PROFILE_OPTIONS.join(', ')})`);
+  }
+  const log = createLogger({ jobId });
+  onStage?.('first_pass');
+
+  // CV TYPE and LANGUAGE: detected from the text (PDFs: their text layer); the type chooses the
+  // profile in auto mode, a language other than English adds the original-wording fields
+  const pdfText = input.type === 'pdf' ? await extractPdfText(input.buffer) : null;
+  const [sourceText, sourceFormat] = input.type === 'pdf' ? [pdfText?.text, 'text'] : [input.content, input.format || 'html'];
+  const cvType = classifyCv(sourceText, sourceFormat);
+  const cvLanguage = detectLanguage(sourceText, sourceFormat);
+  const extractionProfile = requestedProfile === AUTO_EXTRACTION_PROFILE ? CV_TYPE_PROFILES[cvType.type] : requestedProfile;
+  const instructions = customInstructions ?? getParsingInstructions(extractionProfile, cvLanguage.language);
+  log.info(`CV type: ${cvType.type} (confidence ${cvType.confidence})`, { signals: cvType.signals });
+  log.info(`CV language: ${cvLanguage.language || 'unknown'} (confidence ${cvLanguage.confidence})`);
+  log.info(`Starting first-pass comprehensive extraction (${input.type} input, ${extractionProfile} profile)...`);
+
+  // FIRST PASS: Comprehensive extraction
+  // CVs longer than PARSING_TOKEN_BUDGET are extracted in chunks; PDFs are sized by their text layer
+  const context = { jobId, model, instructions, onLlmCall };
+  let cvTextForSecondPass; // plain text for focused second-pass prompts (PDF file is attached otherwise)
+  let pdfFilePart = null;
+  let parsePath = input.type === 'pdf' ? 'native_pdf' : 'text';
+  let firstPass; // { data, confidence }
+  let chunkCount = 1;
+
+  let longCv = null; // { content, format } of a CV over the budget
+  if (input.type === 'pdf') {
+    if (pdfText && estimateTokens(pdfText.text) > PARSING_TOKEN_BUDGET) {
+      longCv = { content: pdfText.text, format: 'text' };
+    }
+  } else if (estimateTokens(input.content) > PARSING_TOKEN_BUDGET) {
+    longCv = { content: input.content, format: input.format || 'html' };
+  }
+
+  if (longCv) {
+    parsePath = input.type === 'pdf' ? 'pdf_text_chunked' : 'text_chunked';
+    cvTextForSecondPass = longCv.content;
+    ({ chunkCount, ...firstPass } = await extractInChunks(longCv.content, longCv.format, PARSING_TOKEN_BUDGET, context));
+  } else {
+    let messages;
+    if (input.type === 'pdf') {
+      // Native PDF file input — model sees both extracted text and rendered page images
+      const base64 = input.buffer.toString('base64');
+      pdfFilePart = {
+        type: 'file',
+        file: {
+          filename: 'cv.pdf',
+          file_data: `data:application/pdf;base64,${base64}`
+        }
+      };
+      messages = [{
+        role: 'user',
+        content: [
+          pdfFilePart,
+          {
+            type: 'text',
+            text: instructions + PDF_PROMPT_SUFFIX
+          }
+        ]
+      }];
+    } else {
+      // Text-based path — HTML (DOCX/ODT) or plain text (DOC/RTF/TXT/Markdown)
+      messages = [{
+        role: 'user',
+        content: createTextParsingPrompt(input.content, input.format || 'html', instructions)
+      }];
+      cvTextForSecondPass = input.content;
+    }
+
+    let firstPassCompletion;
+    if (input.type === 'pdf') {
+      try {
+        // Try native PDF file input first (best quality — model sees visual layout)
+        firstPassCompletion = await completeChat('parsing', {
+          model,
+          response_format: { type: "json_object" },
+          messages,
+          temperature: OPENAI_TEMP_PARSING,
+        }, { purpose: 'first_pass', onCall: onLlmCall });
+      } catch (pdfInputError) {
+        // Fallback to text extraction if native PDF input fails
+        log.warn('Native PDF input failed, falling back to text extraction', { err: pdfInputError });
+        const pdfData = await pdf(input.buffer);
+        parsePath = 'pdf_text_fallback';
+        cvTextForSecondPass = pdfData.text;
+        messages = [{
+          role: 'user',
+          content: createTextParsingPrompt(pdfData.text, 'text', instructions)
+        }];
+        firstPassCompletion = await completeChat('parsing', {
+          model,
+          response_format: { type: "json_object" },
+          messages,
+          temperature: OPENAI_TEMP_PARSING,
+        }, { purpose: 'first_pass', onCall: onLlmCall });
+      }
+    } else {
+      firstPassCompletion = await completeChat('parsing', {
+        model,
+        response_format: { type: "json_object" },
+        messages,
+        temperature: OPENAI_TEMP_PARSING,
+      }, { purpose: 'first_pass', onCall: onLlmCall });
+    }
+
+    // Output cut off at the model's limit: the CV is denser than its size suggested, so extract it
+    // in chunks after all (at most half its size each) — or salvage the response if it is too short to split
+    const cvText = isTruncated(firstPassCompletion)
+      ? cvTextForSecondPass ?? (await extractPdfText(input.buffer))?.text
+      : null;
+    const cvTokens = estimateTokens(cvText);
+    if (cvText && cvTokens >= MIN_CHUNK_TOKENS * 2) {
+      log.warn(`First-pass output hit the model's token limit, switching to chunked extraction`);
+      if (parsePath === 'native_pdf') parsePath = 'pdf_text_chunked';
+      if (parsePath === 'text') parsePath = 'text_chunked';
+      cvTextForSecondPass = cvText;
+      pdfFilePart = null;
+      const format = input.type === 'pdf' ? 'text' : input.format || 'html';
+      ({ chunkCount, ...firstPass } = await extractInChunks(cvText, format, Math.min(PARSING_TOKEN_BUDGET, Math.ceil(cvTokens / 2)), context));
+    } else {
+      // SCHEMA VALIDATION with bounded repair round-trips
+      firstPass = await validateFirstPass(firstPassCompletion, messages, context);
+    }
+  }
+
+  let extractedData = firstPass.data;
+  const fieldConfidence = firstPass.confidence;
+  registerPersonalData(extractedData);
+  log.info(`First pass completed. Fields extracted: ${Object.keys(extractedData).length}`);
+  log.debug(`Model returned years_of_experience: "${extractedData.years_of_experience}" (type: ${typeof extractedData.years_of_experience})`);
+
+  // SECOND PASS: focused re-extraction of fields scored below CONFIDENCE_THRESHOLD
+  // Runs before validation so refined values are normalized like first-pass values.
+  // Note: years_of_experience is handled by inference logic, not two-pass parsing
+  if (ENABLE_TWO_PASS) {
+    const uncertainFields = findUncertainFields(extractedData, fieldConfidence);
+
+    if (uncertainFields.length > 0) {
+      onStage?.('second_pass');
+      log.info(`Second-pass parsing for uncertain fields: ${uncertainFields.map(f => `${f.field} (${f.targets.length || 1})`).join(', ')}`);
+
+      for (const { field, options, targets } of uncertainFields) {
+        const focusedPrompt = createFocusedPrompt(field, cvTextForSecondPass, options, targets);
+        if (focusedPrompt) {
+          try {
+            const refinedCompletion = await completeChat('parsing', {
+              model,
+              response_format: { type: "json_object" },
+              messages: [{
+                role: "user",
+                content: cvTextForSecondPass ? focusedPrompt : [pdfFilePart, { type: 'text', text: focusedPrompt }]
+              }],
+              temperature: OPENAI_TEMP_PARSING,
+            }, { purpose: `second_pass:${field}`, onCall: onLlmCall });
+
+            const refinedData = focusedRefinementSchema.parse(JSON.parse(refinedCompletion.choices[0].message.content));
+            const applied = applyFocusedRefinement(field, refinedData, targets, extractedData, fieldConfidence);
+            if (applied.length > 0) {
+              log.info(`Second-pass refined ${field}: ${applied.join(', ')}`);
+            }
+          } catch (error) {
+            log.error(`Second-pass failed for ${field}`, { err: error });
+          }
+        }
+      }
+    }
+  }
+
+  // VALIDATION & AUTO-CORRECTION
+  onStage?.('validation');
+  log.info('Applying validation and auto-correction...');
+  if (extractionProfile === 'career_starter') {
+    const movedInternships = separateInternships(extractedData, fieldConfidence);
+    if (movedInternships.length > 0) {
+      log.info(`Moved internships out of professional_experience: ${movedInternships.join(', ')}`);
+    }
+  }
+  const { corrected, corrections } = validateAndCorrectData(extractedData);
+  realignFieldConfidence(fieldConfidence, extractedData, corrected);
+  extractedData = corrected;
+
+  if (corrections.length > 0) {
+    log.info(`Auto-corrections applied: ${corrections.join(', ')}`);
+  }
+
+  // FIELD INFERENCE
+  onStage?.('inference');
+  log.info('Applying field inference logic...');
+  const { inferred, inferences } = applyInferenceLogic(extractedData);
+  extractedData = inferred;
+
+  if (inferences.length > 0) {
+    log.info(`Inferences made: ${inferences.join(', ')}`);
+  }
+
+  extractedData.cv_type = cvType.type;
+  extractedData.cv_type_confidence = cvType.confidence;
+  extractedData.cv_language = cvLanguage.language;
+
+  // Log final extraction summary
+  const counts = countExtractedEntries(extractedData);
+  log.info(`Extraction complete: ${counts.education} education, ${counts.experience} experience, ${counts.skills} skills, ${counts.certifications} certifications, ${counts.expertise} expertise areas`);
+  if (counts.expertise > 0) {
+    log.debug(`Functional expertise: ${JSON.stringify(extractedData.functional_expertise)}`);
+  }
+  log.info(`Fields below confidence threshold (${CONFIDENCE_THRESHOLD}): ${countLowConfidenceFields(fieldConfidence)}`);
+
+  return {
+    extractedData,
+    fieldConfidence,
+    corrections,
+    inferences,
+    parsePath,
+    chunkCount,
+    extractionProfile,
+    cvType: { type: cvType.type, confidence: cvType.confidence },
+    cvLanguage: cvLanguage.language,
+  };
+}
+
+// ==========================================
+// PROMPT VERSION
+// ==========================================
+
+let promptVersion = null;
+
+// Stands in for the CV text and data when rendering the prompt templates
+const PROMPT_PLACEHOLDER = '{{placeholder}}';
+
+// Every prompt the pipeline can send, rendered with placeholders — so only a change to the text the
+// model sees changes the version, not a refactor of the code that builds it
+function renderPromptTemplates() {
+  const part = { number: 1, total: 2 };
+  const targets = [{ section: PROMPT_PLACEHOLDER, index: 0, label: PROMPT_PLACEHOLDER }];
+
+  return [
+    ...EXTRACTION_PROFILES.map(profile => getParsingInstructions(profile)),
+    ...EXTRACTION_PROFILES.map(profile => getParsingInstructions(profile, 'de')), // With the original-wording fields
+    ...Object.keys(TEXT_PROMPT_PREAMBLES).flatMap(format => [
+      createTextParsingPrompt(PROMPT_PLACEHOLDER, format, PROMPT_PLACEHOLDER),
+      createTextParsingPrompt(PROMPT_PLACEHOLDER, format, PROMPT_PLACEHOLDER, part),
+    ]),
+    PDF_PROMPT_SUFFIX,
+    ...Object.keys(getFocusedPromptTemplates('', '')).flatMap(field => [
+      createFocusedPrompt(field, PROMPT_PLACEHOLDER, [PROMPT_PLACEHOLDER], targets),
+      createFocusedPrompt(field, null, [PROMPT_PLACEHOLDER], targets),
+    ]),
+    createRepairPrompt([{ path: PROMPT_PLACEHOLDER, message: PROMPT_PLACEHOLDER }]),
+    ...createProfileBioMessages(PROMPT_PLACEHOLDER).map(message => message.content),
+    ...createShortSummaryMessages(PROMPT_PLACEHOLDER).map(message => message.content),
+  ];
+}
+
+// Short hash of every prompt template the pipeline sends — changes whenever a prompt changes
+export function getPromptVersion() {
+  if (!promptVersion) {
+    promptVersion = createHash('sha256')
+      .update(renderPromptTemplates().join('\n'))
+      .digest('hex')
+      .slice(0, 12);
+  }
+  return promptVersion;
+}
@@ -0,0 +1,332 @@
+// Text and image extraction for the CV formats that mammoth and pdf-lib don't cover:
+// legacy Word (.doc), RTF, OpenDocument (.odt), plain text and Markdown.
+// Text output feeds createTextParsingPrompt(); image output feeds profile picture extraction.
+
+import WordExtractor from 'word-extractor';
+import JSZip from 'jszip';
+
+// ==========================================
+// LEGACY WORD (.doc)
+// ==========================================
+
+/**
+ * Extract plain text from a legacy Word 97-2003 (.doc) file
+ * @param {Buffer} buffer - DOC file buffer
+ * @returns {Promise<string>} - Body text followed by headers/footers (contact details often live there)
+ */
+export async function convertDocToText(buffer) {
+  const extractor = new WordExtractor();
+  const document = await extractor.extract(buffer);
+
+  const parts = [
+    document.getHeaders({ includeFooters: false }),
+    document.getBody(),
+    document.getFooters(),
+    document.getTextboxes({ includeHeadersAndFooters: false }),
+  ];
+
+  return parts
+    .map(part => (part || '').trim())
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+/**
+ * Find the end of the JPEG starting at offset by walking its segments. Length-prefixed segments
+ * are skipped whole, so an EXIF thumbnail (a complete JPEG inside APP1) never ends the outer image;
+ * after a start-of-scan the entropy-coded data runs to the next marker that is not a stuffed 0xFF00
+ * or a restart marker.
+ * @param {Buffer} buffer
+ * @param {number} offset - Position of the SOI marker (FF D8)
+ * @returns {number} - Position after the EOI marker (FF D9), or -1 when the data is not a complete JPEG
+ */
+function findJpegEnd(buffer, offset) {
+  let position = offset + 2;
+  while (position + 1 < buffer.length) {
+    if (buffer[position] !== 0xff) return -1;
+    const marker = buffer[position + 1];
+    if (marker === 0xff) { // Fill byte before a marker
+      position++;
+      continue;
+    }
+    if (marker === 0xd9) return position + 2; // EOI
+    if ((marker >= 0xd0 && marker <= 0xd7) || marker === 0x01) { // Markers without a length
+      position += 2;
+      continue;
+    }
+    if (position + 3 >= buffer.length) return -1;
+    position += 2 + buffer.readUInt16BE(position + 2);
+    if (marker === 0xda) { // SOS: skip the entropy-coded data
+      while (position + 1 < buffer.length) {
+        const next = buffer[position + 1];
+        if (buffer[position] === 0xff && next !== 0x00 && next !== 0xff && !(next >= 0xd0 && next <= 0xd7)) break;
+        position++;
+      }
+    }
+  }
+  return -1;
+}
+
+/**
+ * Find JPEG and PNG images embedded as raw byte streams in a binary container.
+ * Legacy Word stores pictures uncompressed in its Data stream, so scanning for
+ * image signatures is enough to recover them.
+ * @param {Buffer} buffer - Container file buffer
+ * @returns {Array<Buffer>} - Raw image buffers
+ */
+export function findEmbeddedImages(buffer) {
+  const images = [];
+  const JPEG_START = Buffer.from([0xff, 0xd8, 0xff]);
+  const PNG_START = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+  const PNG_END = Buffer.from('IEND');
+
+  let offset = 0;
+  while ((offset = buffer.indexOf(JPEG_START, offset)) !== -1) {
+    // Walk the segments rather than searching for FF D9 — nested EXIF thumbnails have their own end marker
+    const end = findJpegEnd(buffer, offset);
+    if (end !== -1) {
+      images.push(buffer.subarray(offset, end));
+      offset = end;
+    } else {
+      offset += JPEG_START.length;
+    }
+  }
+
+  offset = 0;
+  while ((offset = buffer.indexOf(PNG_START, offset)) !== -1) {
+    const end = buffer.indexOf(PNG_END, offset);
+    if (end === -1) break;
+    images.push(buffer.subarray(offset, end + PNG_END.length + 4)); // IEND is followed by a 4-byte CRC
+    offset = end + PNG_END.length;
+  }
+
+  return images;
+}
+
+// ==========================================
+// RTF
+// ==========================================
+
+// Destinations whose content is never body text
+const RTF_SKIPPED_DESTINATIONS = new Set([
+  'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object', 'listtable',
+  'listoverridetable', 'rsidtbl', 'generator', 'themedata', 'colorschememapping',
+  'latentstyles', 'datastore', 'xmlnstbl', 'mmathPr', 'filetbl', 'revtbl',
+]);
+
+// Control words that produce text
+const RTF_SPECIAL_CHARACTERS = {
+  par: '\n', line: '\n', sect: '\n\n', page: '\n\n', row: '\n', cell: '\t', tab: '\t',
+  emdash: '—', endash: '–', bullet: '•', lquote: '‘', rquote: '’', ldblquote: '“', rdblquote: '”',
+  emspace: ' ', enspace: ' ', qmspace: ' ',
+};
+
+/**
+ * Convert RTF to plain text
+ * Handles groups, skipped destinations, \'hh escapes (Windows-1252) and \uN unicode escapes.
+ * @param {Buffer|string} input - RTF file buffer or string
+ * @returns {string} - Plain text
+ */
+export function convertRtfToText(input) {
+  const rtf = Buffer.isBuffer(input) ? input.toString('latin1') : input;
+  const decoder = new TextDecoder('windows-1252');
+  const tokenPattern = /\\([a-z]{1,32})(-?\d{1,10})? ?|\\'([0-9a-f]{2})|\\([^a-z])|([{}])|\r?\n|[^\\{}\r\n]+/gi;
+
+  const stack = [];
+  let skip = false;
+  let unicodeSkip = 1; // \ucN — fallback characters to skip after a \u escape
+  let pendingSkip = 0;
+  let output = '';
+  let match;
+
+  while ((match = tokenPattern.exec(rtf)) !== null) {
+    const [token, word, param, hex, symbol, brace] = match;
+
+    if (brace === '{') {
+      stack.push({ skip, unicodeSkip });
+      continue;
+    }
+    if (brace === '}') {
+      const previous = stack.pop();
+      if (previous) ({ skip, unicodeSkip } = previous);
+      continue;
+    }
+    if (token === '\n' || token === '\r\n') continue; // Raw newlines are not significant in RTF
+
+    if (symbol !== undefined) {
+      if (symbol === '*') {
+        skip = true; // \* marks an optional destination the reader doesn't understand
+      } else if (!skip && pendingSkip === 0) {
+        if (symbol === '~') output += ' ';
+        else if (symbol === '_') output += '-';
+        else if (['\\', '{', '}'].includes(symbol)) output += symbol;
+      } else if (pendingSkip > 0) {
+        pendingSkip--;
+      }
+      continue;
+    }
+
+    if (hex !== undefined) {
+      if (pendingSkip > 0) {
+        pendingSkip--;
+      } else if (!skip) {
+        output += decoder.decode(Buffer.from(hex, 'hex'));
+      }
+      continue;
+    }
+
+    if (word !== undefined) {
+      if (RTF_SKIPPED_DESTINATIONS.has(word)) {
+        skip = true;
+      } else if (word === 'uc') {
+        unicodeSkip = Number(param) || 0;
+      } else if (word === 'u') {
+        if (!skip) {
+          let codePoint = Number(param);
+          if (codePoint < 0) codePoint += 65536;
+          output += String.fromCharCode(codePoint);
+        }
+        pendingSkip = unicodeSkip;
+      } else if (!skip && RTF_SPECIAL_CHARACTERS[word]) {
+        output += RTF_SPECIAL_CHARACTERS[word];
+      }
+      continue;
+    }
+
+    // Plain text run
+    if (skip) continue;
+    let text = token;
+    if (pendingSkip > 0) {
+      const skipped = Math.min(pendingSkip, text.length);
+      text = text.slice(skipped);
+      pendingSkip -= skipped;
+    }
+    output += text;
+  }
+
+  return output
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Extract JPEG and PNG pictures from RTF \pict groups (hex-encoded)
+ * @param {Buffer|string} input - RTF file buffer or string
+ * @returns {Array<Buffer>} - Raw image buffers
+ */
+export function extractImagesFromRtfContent(input) {
+  const rtf = Buffer.isBuffer(input) ? input.toString('latin1') : input;
+  const images = [];
+  let offset = 0;
+
+  while ((offset = rtf.indexOf('{\\pict', offset)) !== -1) {
+    // Find the matching closing brace of the \pict group
+    let depth = 0;
+    let end = offset;
+    for (; end < rtf.length; end++) {
+      if (rtf[end] === '\\') { end++; continue; }
+      if (rtf[end] === '{') depth++;
+      if (rtf[end] === '}' && --depth === 0) break;
+    }
+
+    // Drop nested groups (e.g. {\*\picprop ...}) so only control words and hex data remain
+    let group = rtf.slice(offset + 1, end);
+    let previous;
+    do {
+      previous = group;
+      group = group.replace(/\{[^{}]*\}/g, '');
+    } while (group !== previous);
+
+    const isDecodable = /\\(pngblip|jpegblip)\b/.test(group); // WMF/EMF previews can't be decoded by sharp
+    const hexData = group.match(/\\[a-z]+-?\d*\s?([0-9a-f\s]+)$/i)?.[1].replace(/\s+/g, '');
+    if (isDecodable && hexData && hexData.length % 2 === 0) {
+      images.push(Buffer.from(hexData, 'hex'));
+    }
+
+    offset = end + 1;
+  }
+
+  return images;
+}
+
+// ==========================================
+// OPENDOCUMENT TEXT (.odt)
+// ==========================================
+
+/**
+ * Convert an OpenDocument text file to simplified HTML (headings, paragraphs, lists, tables)
+ * @param {Buffer} buffer - ODT file buffer
+ * @returns {Promise<string>} - HTML content
+ */
+export async function convertOdtToHtml(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const contentFile = zip.file('content.xml');
+  if (!contentFile) {
+    throw new Error('Invalid ODT file: content.xml not found');
+  }
+
+  const xml = await contentFile.async('string');
+  const body = xml.match(/<office:body>([\s\S]*)<\/office:body>/)?.[1] || '';
+
+  return body
+    .replace(/<text:h(?=[\s/>])[^>]*?text:outline-level="(\d)"[^>]*>([\s\S]*?)<\/text:h>/g, (_, level, text) => `<h${Math.min(Number(level), 6)}>${text}</h${Math.min(Number(level), 6)}>`)
+    .replace(/<text:h(?=[\s/>])[^>]*>([\s\S]*?)<\/text:h>/g, '<h2>$1</h2>')
+    .replace(/<text:p(?=[\s/>])[^>]*\/>/g, '')
+    .replace(/<text:p(?=[\s/>])[^>]*>/g, '<p>')
+    .replace(/<\/text:p>/g, '</p>')
+    .replace(/<text:list(?=[\s/>])[^>]*>/g, '<ul>')
+    .replace(/<\/text:list>/g, '</ul>')
+    .replace(/<text:list-item(?=[\s/>])[^>]*>/g, '<li>')
+    .replace(/<\/text:list-item>/g, '</li>')
+    .replace(/<table:table(?=[\s/>])[^>]*>/g, '<table>')
+    .replace(/<\/table:table>/g, '</table>')
+    .replace(/<table:table-row(?=[\s/>])[^>]*>/g, '<tr>')
+    .replace(/<\/table:table-row>/g, '</tr>')
+    .replace(/<table:table-cell(?=[\s/>])[^>]*\/>/g, '<td></td>')
+    .replace(/<table:table-cell(?=[\s/>])[^>]*>/g, '<td>')
+    .replace(/<\/table:table-cell>/g, '</td>')
+    .replace(/<text:a(?=[\s/>])[^>]*xlink:href="([^"]*)"[^>]*>/g, '<a href="$1">')
+    .replace(/<\/text:a>/g, '</a>')
+    .replace(/<text:(tab|s)(?=[\s/>])[^>]*\/>/g, ' ')
+    .replace(/<text:line-break\s*\/>/g, '<br>')
+    .replace(/<\/?[a-z]+:[^>]*>/g, '') // Drop all remaining ODF elements (spans, frames, sequence decls)
+    .replace(/<p>\s*<\/p>/g, '')
+    .trim();
+}
+
+/**
+ * Extract pictures stored in an OpenDocument file's Pictures/ folder
+ * @param {Buffer} buffer - ODT file buffer
+ * @returns {Promise<Array<Buffer>>} - Raw image buffers
+ */
+export async function extractImagesFromOdtContent(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const pictureFiles = zip.file(/^Pictures\/.+\.(jpe?g|png|gif|bmp|tiff?|webp)$/i);
+  return Promise.all(pictureFiles.map(file => file.async('nodebuffer')));
+}
+
+// ==========================================
+// PLAIN TEXT & MARKDOWN
+// ==========================================
+
+/**
+ * Decode a plain-text CV. UTF-8 (with or without BOM) and UTF-16 LE/BE are detected;
+ * anything that isn't valid UTF-8 is treated as Windows-1252 (common for older applicant systems).
+ * @param {Buffer} buffer - Text file buffer
+ * @returns {string} - Decoded text
+ */
+export function decodeTextFile(buffer) {
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+    return new TextDecoder('utf-16le').decode(buffer.subarray(2));
+  }
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) {
+    return new TextDecoder('utf-16be').decode(buffer.subarray(2));
+  }
+
+  try {
+    return new TextDecoder('utf-8', { fatal: true, ignoreBOM: false }).decode(buffer);
+  } catch {
+    return new TextDecoder('windows-1252').decode(buffer);
+  }
+}
@@ -0,0 +1,193 @@
+// Field-level accuracy of extracted data against hand-corrected labels (scripts/evaluate.js).
+// Every field is scored with true positive / false positive / false negative counts, so results
+// can be summed over a labeled set and turned into precision and recall per field:
+//   - scalars (names, contact details): a predicted value equal to the label is a TP; a wrong value
+//     is an FP and, if the label has a value, also an FN; a missing value is an FN
+//   - entry attributes (experience, degree type, language proficiency): entries are paired with
+//     label entries by identity first, then scored like scalars; unpaired entries count in full
+//   - sets (skills by category, languages, functional expertise): TP = in both, FP = predicted
+//     only, FN = labeled only
+// Fields missing from a label file (undefined) are not scored for that CV; null means "labeled
+// as absent from the CV".
+
+const normalizeText = (value) => String(value).toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^\p{L}\p{N}+@./]+/gu, ' ').trim();
+const normalizeUrl = (value) => String(value).toLowerCase().replace(/^https?:\/\//, '').replace(/^www\./, '').replace(/\/+$/, '');
+const normalizePhone = (value) => String(value).replace(/[^\d+]/g, '');
+
+const isBlank = (value) => value === null || value === undefined || (typeof value === 'string' && !value.trim());
+
+// Scalar fields: [field, read value from extracted data, normalizer]
+const SCALAR_FIELDS = [
+  ['contact_first_name', (data) => data.contact_first_name, normalizeText],
+  ['contact_last_name', (data) => data.contact_last_name, normalizeText],
+  ['email', (data) => data.email, normalizeText],
+  ['country_code', (data) => data.country_code, normalizePhone],
+  ['phoneNumber', (data) => data.phoneNumber, normalizePhone],
+  ['contact_address.city', (data) => data.contact_address === null ? null : data.contact_address?.city, normalizeText],
+  ['contact_address.country', (data) => data.contact_address === null ? null : data.contact_address?.country, normalizeText],
+  ['linkedinUrl', (data) => data.linkedinUrl, normalizeUrl],
+  ['githubUrl', (data) => data.githubUrl, normalizeUrl],
+  ['portfolioUrl', (data) => data.portfolioUrl, normalizeUrl],
+];
+
+// Entry sections: label entries are paired with predicted entries by identity, then by fallback identity
+const ENTRY_SECTIONS = [
+  {
+    section: 'professional_experience',
+    identity: (entry) => `${normalizeText(entry.companyName ?? '')}|${normalizeText(entry.positionName ?? '')}`,
+    fallbackIdentity: (entry) => normalizeText(entry.companyName ?? ''),
+    attributes: ['positionName', 'companyName', 'positionType', 'startDate', 'endDate', 'isCurrent', 'city', 'country'],
+  },
+  {
+    section: 'education_history',
+    identity: (entry) => `${normalizeText(entry.universityName ?? '')}|${normalizeText(entry.degreeType ?? '')}`,
+    fallbackIdentity: (entry) => normalizeText(entry.universityName ?? ''),
+    attributes: ['degreeType'],
+  },
+  {
+    section: 'base_languages',
+    identity: (entry) => normalizeText(entry.language ?? ''),
+    fallbackIdentity: null,
+    attributes: ['proficiency'],
+  },
+];
+
+// Set-valued fields: [field, list of names]
+const SET_FIELDS = [
+  ['technical_skills', (data) => data.technical_skills?.map(skill => skill.name)],
+  ['soft_skills', (data) => data.soft_skills?.map(skill => skill.name)],
+  ['industry_specific_skills', (data) => data.industry_specific_skills?.map(skill => skill.name)],
+  ['base_languages', (data) => data.base_languages?.map(language => language.language)],
+  ['functional_expertise', (data) => data.functional_expertise],
+];
+
+/** Fields scored by scoreExtraction(), in report order */
+export const EVALUATED_FIELDS = [
+  ...SCALAR_FIELDS.map(([field]) => field),
+  ...ENTRY_SECTIONS.flatMap(({ section, attributes }) => attributes.map(attribute => `${section}.${attribute}`)),
+  ...SET_FIELDS.map(([field]) => field),
+];
+
+const emptyCounts = () => ({ tp: 0, fp: 0, fn: 0 });
+
+function scoreValue(counts, labelValue, predictedValue, normalize = normalizeText) {
+  const labeled = !isBlank(labelValue);
+  const predicted = !isBlank(predictedValue);
+  if (labeled && predicted && normalize(labelValue) === normalize(predictedValue)) {
+    counts.tp++;
+    return;
+  }
+  if (predicted) counts.fp++;
+  if (labeled) counts.fn++;
+}
+
+// Pair label entries with predicted entries: same identity first, then same fallback identity
+function pairEntries(labelEntries, predictedEntries, { identity, fallbackIdentity }) {
+  const pairs = [];
+  const unpairedPredicted = new Set(predictedEntries.keys());
+  const unpairedLabels = [];
+
+  for (const labelEntry of labelEntries) {
+    const key = identity(labelEntry);
+    const index = [...unpairedPredicted].find(i => identity(predictedEntries[i]) === key);
+    if (index === undefined) {
+      unpairedLabels.push(labelEntry);
+      continue;
+    }
+    unpairedPredicted.delete(index);
+    pairs.push([labelEntry, predictedEntries[index]]);
+  }
+
+  for (const labelEntry of unpairedLabels) {
+    const key = fallbackIdentity?.(labelEntry);
+    const index = key ? [...unpairedPredicted].find(i => fallbackIdentity(predictedEntries[i]) === key) : undefined;
+    if (index === undefined) {
+      pairs.push([labelEntry, null]);
+      continue;
+    }
+    unpairedPredicted.delete(index);
+    pairs.push([labelEntry, predictedEntries[index]]);
+  }
+
+  for (const index of unpairedPredicted) {
+    pairs.push([null, predictedEntries[index]]);
+  }
+  return pairs;
+}
+
+/**
+ * Score one extraction against its labels
+ * @param {object} labels - Hand-corrected extracted_data (partial: unlabeled fields are skipped)
+ * @param {object} predicted - extracted_data produced by the parser
+ * @returns {Object<string, {tp: number, fp: number, fn: number}>} - Counts per scored field
+ */
+export function scoreExtraction(labels, predicted) {
+  const scores = {};
+
+  for (const [field, read, normalize] of SCALAR_FIELDS) {
+    const labelValue = read(labels);
+    if (labelValue === undefined) continue;
+    scores[field] = emptyCounts();
+    scoreValue(scores[field], labelValue, read(predicted), normalize);
+  }
+
+  for (const entrySection of ENTRY_SECTIONS) {
+    const { section, attributes } = entrySection;
+    if (!Array.isArray(labels[section])) continue;
+    const predictedEntries = Array.isArray(predicted[section]) ? predicted[section] : [];
+    for (const attribute of attributes) {
+      scores[`${section}.${attribute}`] = emptyCounts();
+    }
+    for (const [labelEntry, predictedEntry] of pairEntries(labels[section], predictedEntries, entrySection)) {
+      for (const attribute of attributes) {
+        const labelValue = labelEntry?.[attribute];
+        const predictedValue = predictedEntry?.[attribute];
+        // Booleans and dates compare as normalized text, so 'Present' and 'present' are equal
+        scoreValue(scores[`${section}.${attribute}`], labelValue ?? null, predictedValue ?? null);
+      }
+    }
+  }
+
+  for (const [field, read] of SET_FIELDS) {
+    const labelValues = read(labels);
+    if (!Array.isArray(labelValues)) continue;
+    const expected = new Set(labelValues.filter(value => !isBlank(value)).map(normalizeText));
+    const actual = new Set((read(predicted) || []).filter(value => !isBlank(value)).map(normalizeText));
+    scores[field] = {
+      tp: [...actual].filter(value => expected.has(value)).length,
+      fp: [...actual].filter(value => !expected.has(value)).length,
+      fn: [...expected].filter(value => !actual.has(value)).length,
+    };
+  }
+
+  return scores;
+}
+
+/**
+ * Sum per-CV scores and compute precision, recall and F1 per field (null when undefined)
+ * @param {Array<Object<string, {tp: number, fp: number, fn: number}>>} scoresPerCv
+ * @returns {Object<string, {tp: number, fp: number, fn: number, precision: number|null, recall: number|null, f1: number|null}>}
+ */
+export function summarizeScores(scoresPerCv) {
+  const totals = {};
+  for (const scores of scoresPerCv) {
+    for (const [field, { tp, fp, fn }] of Object.entries(scores)) {
+      totals[field] ??= emptyCounts();
+      totals[field].tp += tp;
+      totals[field].fp += fp;
+      totals[field].fn += fn;
+    }
+  }
+
+  const ratio = (numerator, denominator) => (denominator > 0 ? numerator / denominator : null);
+  return Object.fromEntries(EVALUATED_FIELDS.filter(field => totals[field]).map(field => {
+    const { tp, fp, fn } = totals[field];
+    const precision = ratio(tp, tp + fp);
+    const recall = ratio(tp, tp + fn);
+    const f1 = precision !== null && recall !== null && precision + recall > 0
+      ? (2 * precision * recall) / (precision + recall)
+      : null;
+    return [field, { tp, fp, fn, precision, recall, f1 }];
+  }));
+}
@@ -0,0 +1,387 @@
+// Zod schema for the extracted-data object returned by the parsing model.
+// Mirrors the jsonStructure described in getParsingInstructions() — keep both in sync.
+// Value normalization (dates, dropdown options, URLs) happens later in
+// validateAndCorrectData(); this schema only enforces shape and types.
+
+import { z } from 'zod';
+
+// Scalar fields may be null or omitted; the model is told to use null for missing data
+const nullableString = z.string().nullish();
+const nullableNumber = z.number().nullish();
+const nullableBoolean = z.boolean().nullish();
+const stringArray = z.array(z.string());
+
+const contactAddressSchema = z.object({
+  street: nullableString,
+  city: nullableString,
+  state: nullableString,
+  country: nullableString,
+  zip: nullableString,
+}).strict();
+
+const educationEntrySchema = z.object({
+  universityName: z.string(),
+  degreeType: nullableString,
+  generalField: nullableString,
+  specificField: nullableString,
+  overallGrade: nullableString,
+  overallGradeValue: nullableString,
+  overallGradeMax: nullableString,
+  majorGradeValue: nullableString, // Career-starter profile only
+  majorGradeMax: nullableString, // Career-starter profile only
+  startDate: nullableString,
+  endDate: nullableString,
+  city: nullableString,
+  country: nullableString,
+  isCurrent: nullableBoolean,
+  thesisProjectName: nullableString,
+  thesisProjectDescription: nullableString,
+  degreeNameOriginal: nullableString, // Original-wording fields: CVs not in English only
+  specificFieldOriginal: nullableString,
+  thesisProjectNameOriginal: nullableString,
+  relevantCoursework: stringArray.nullish(),
+}).strict();
+
+const experienceEntrySchema = z.object({
+  positionName: z.string(),
+  position_short: nullableString,
+  companyName: z.string(),
+  company_type: nullableString,
+  positionType: nullableString,
+  experienceType: z.enum(['industrial', 'academic']).nullish(),
+  description: nullableString,
+  raw_bullet_points: stringArray.nullish(),
+  positionNameOriginal: nullableString, // Original-wording fields: CVs not in English only
+  descriptionOriginal: nullableString,
+  raw_bullet_points_original: stringArray.nullish(),
+  startDate: nullableString,
+  endDate: nullableString,
+  city: nullableString,
+  country: nullableString,
+  isCurrent: nullableBoolean,
+}).strict();
+
+const skillEntrySchema = z.object({
+  name: z.string(),
+  level: nullableString,
+}).strict();
+
+const industrySkillEntrySchema = z.object({
+  industry: nullableString,
+  name: z.string(),
+  level: nullableString,
+}).strict();
+
+const languageEntrySchema = z.object({
+  language: z.string(),
+  proficiency: nullableString,
+}).strict();
+
+const certificationEntrySchema = z.object({
+  name: z.string(),
+  issuer: nullableString,
+  dateObtained: nullableString,
+  expiryDate: nullableString,
+  credentialId: nullableString,
+  url: nullableString,
+}).strict();
+
+const extracurricularEntrySchema = z.object({
+  organization: z.string(),
+  role: nullableString,
+  achievement: nullableString,
+}).strict();
+
+const projectEntrySchema = z.object({
+  projectName: z.string(),
+  description: nullableString,
+  technologies: stringArray.nullish(),
+  link: nullableString,
+}).strict();
+
+// Academic profile (extraction profile "academic"): publications, teaching, grants, talks, service
+const publicationEntrySchema = z.object({
+  title: z.string(),
+  authors: stringArray.nullish(),
+  venue: nullableString,
+  year: z.union([z.number(), z.string()]).nullish(), // Normalized to a number in validateAndCorrectData()
+  doi: nullableString,
+  url: nullableString,
+  publicationType: nullableString,
+}).strict();
+
+const teachingEntrySchema = z.object({
+  courseName: z.string(),
+  institution: nullableString,
+  role: nullableString,
+  level: nullableString,
+  startDate: nullableString,
+  endDate: nullableString,
+  description: nullableString,
+}).strict();
+
+const grantEntrySchema = z.object({
+  title: z.string(),
+  fundingBody: nullableString,
+  role: nullableString,
+  amount: nullableNumber,
+  currency: nullableString,
+  startDate: nullableString,
+  endDate: nullableString,
+}).strict();
+
+const presentationEntrySchema = z.object({
+  title: z.string(),
+  event: nullableString,
+  location: nullableString,
+  date: nullableString,
+  presentationType: nullableString,
+}).strict();
+
+const academicServiceEntrySchema = z.object({
+  role: z.string(),
+  organization: nullableString,
+  startDate: nullableString,
+  endDate: nullableString,
+  description: nullableString,
+}).strict();
+
+const peerReviewEntrySchema = z.object({
+  venue: z.string(),
+  role: nullableString,
+  startDate: nullableString,
+  endDate: nullableString,
+}).strict();
+
+// Career-starter profile (extraction profile "career_starter"): internships, academic projects,
+// campus leadership, competitions and volunteering, kept apart from professional_experience
+const internshipEntrySchema = z.object({
+  positionName: z.string(),
+  companyName: z.string(),
+  company_type: nullableString,
+  description: nullableString,
+  raw_bullet_points: stringArray.nullish(),
+  positionNameOriginal: nullableString,
+  descriptionOriginal: nullableString,
+  raw_bullet_points_original: stringArray.nullish(),
+  startDate: nullableString,
+  endDate: nullableString,
+  city: nullableString,
+  country: nullableString,
+  isCurrent: nullableBoolean,
+}).strict();
+
+const academicProjectEntrySchema = z.object({
+  projectName: z.string(),
+  course: nullableString,
+  institution: nullableString,
+  role: nullableString,
+  description: nullableString,
+  technologies: stringArray.nullish(),
+  startDate: nullableString,
+  endDate: nullableString,
+  link: nullableString,
+}).strict();
+
+// Campus leadership and volunteering
+const organizationRoleEntrySchema = z.object({
+  role: z.string(),
+  organization: nullableString,
+  startDate: nullableString,
+  endDate: nullableString,
+  description: nullableString,
+}).strict();
+
+const competitionEntrySchema = z.object({
+  name: z.string(),
+  organizer: nullableString,
+  date: nullableString,
+  result: nullableString,
+  description: nullableString,
+}).strict();
+
+// Executive profile (extraction profile "executive"): board seats, kept apart from professional_experience
+const boardPositionEntrySchema = z.object({
+  organization: z.string(),
+  role: nullableString,
+  boardType: nullableString,
+  startDate: nullableString,
+  endDate: nullableString,
+  description: nullableString,
+}).strict();
+
+// Confidence scores are 0-100. Scalar fields and string arrays get a single score; arrays of
+// objects get one object per entry ("_entry" for the entry itself plus one score per field).
+const confidenceScore = z.number().min(0).max(100);
+const fieldConfidenceSchema = z.record(
+  z.string(),
+  z.union([confidenceScore, z.array(z.record(z.string(), confidenceScore.nullable()))]).nullable()
+);
+
+export const extractedDataSchema = z.object({
+  contact_first_name: nullableString,
+  contact_last_name: nullableString,
+  email: nullableString,
+  country_code: nullableString,
+  phoneNumber: nullableString,
+  contact_address: contactAddressSchema.nullish(),
+  linkedinUrl: nullableString,
+  githubUrl: nullableString,
+  portfolioUrl: nullableString,
+  years_of_experience: nullableNumber,
+  education_history: z.array(educationEntrySchema),
+  professional_experience: z.array(experienceEntrySchema),
+  technical_skills: z.array(skillEntrySchema),
+  soft_skills: z.array(skillEntrySchema),
+  industry_specific_skills: z.array(industrySkillEntrySchema),
+  base_languages: z.array(languageEntrySchema),
+  certifications: z.array(certificationEntrySchema),
+  professional_interests: stringArray,
+  extracurricular_activities: z.array(extracurricularEntrySchema),
+  base_projects: z.array(projectEntrySchema),
+  working_capacity_percent: z.number().min(0).max(100).nullish(),
+  available_from_date: nullableString,
+  desired_duration_months: nullableString,
+  desired_job_types: stringArray,
+  desired_locations: stringArray,
+  desired_industries: stringArray,
+  functional_expertise: stringArray,
+  // Academic profile only — absent from standard extractions
+  research_interests: stringArray.optional(),
+  h_index: nullableNumber,
+  total_citations: nullableNumber,
+  orcidId: nullableString,
+  googleScholarUrl: nullableString,
+  publications: z.array(publicationEntrySchema).optional(),
+  teaching_experience: z.array(teachingEntrySchema).optional(),
+  research_grants: z.array(grantEntrySchema).optional(),
+  conference_presentations: z.array(presentationEntrySchema).optional(),
+  academic_service: z.array(academicServiceEntrySchema).optional(),
+  peer_review: z.array(peerReviewEntrySchema).optional(),
+  // Career-starter profile only — absent from standard extractions
+  internships: z.array(internshipEntrySchema).optional(),
+  academic_projects: z.array(academicProjectEntrySchema).optional(),
+  campus_leadership: z.array(organizationRoleEntrySchema).optional(),
+  competitions: z.array(competitionEntrySchema).optional(),
+  volunteer_experience: z.array(organizationRoleEntrySchema).optional(),
+  // Executive profile only — absent from standard extractions
+  board_positions: z.array(boardPositionEntrySchema).optional(),
+  field_confidence: fieldConfidenceSchema.optional(),
+}).strict();
+
+// Response of a focused second-pass prompt (see createFocusedPrompt in index.js)
+export const focusedRefinementSchema = z.object({
+  items: z.array(z.object({
+    section: z.string(),
+    index: z.number().int().min(0),
+    confidence: confidenceScore.nullish(),
+  }).passthrough()).optional(),
+  functional_expertise: stringArray.optional(),
+  confidence: confidenceScore.nullish(),
+});
+
+/**
+ * Convert zod issues into plain objects that can be stored as JSONB and fed back to the model
+ * @param {Array<import('zod').ZodIssue>} issues - Issues from a failed safeParse
+ * @returns {Array<{path: string, code: string, message: string}>}
+ */
+export function formatValidationIssues(issues) {
+  return issues.map(issue => ({
+    path: issue.path.length > 0 ? issue.path.join('.') : '(root)',
+    code: issue.code,
+    message: issue.message,
+  }));
+}
+
+/**
+ * Parse and validate raw model output against the extracted-data schema
+ * @param {string|null|undefined} content - Raw message content from the parsing model
+ * @returns {{success: true, data: object} | {success: false, issues: Array<{path: string, code: string, message: string}>}}
+ */
+export function validateExtractedData(content) {
+  if (!content || typeof content !== 'string') {
+    return {
+      success: false,
+      issues: [{ path: '(root)', code: 'empty_response', message: 'Model returned an empty response' }],
+    };
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(content);
+  } catch (error) {
+    return {
+      success: false,
+      issues: [{ path: '(root)', code: 'invalid_json', message: `Response is not valid JSON: ${error.message}` }],
+    };
+  }
+
+  const result = extractedDataSchema.safeParse(parsed);
+  if (result.success) {
+    return { success: true, data: result.data };
+  }
+
+  return { success: false, issues: formatValidationIssues(result.error.issues) };
+}
+
+/**
+ * Salvage the extracted data from a response cut off at the model's output limit (finish_reason
+ * "length"): the JSON is cut after the last complete value, open arrays and objects are closed and
+ * the sections the model never reached are added as empty lists. Entries before the cut survive;
+ * the one being written when the limit hit is dropped.
+ * @param {string|null|undefined} content - Truncated message content from the parsing model
+ * @returns {string|null} - Closed JSON, or null when nothing can be recovered
+ */
+export function recoverTruncatedExtraction(content) {
+  const start = content?.indexOf('{') ?? -1;
+  if (start === -1) return null;
+
+  // Open arrays and objects; inEntry marks an array entry (and everything inside it), which is
+  // dropped as a whole unless it was closed — a half-written entry would fail validation
+  const open = [];
+  let cut = null; // { index, closing } — the last position where the JSON can be closed
+  let inString = false;
+  let escaped = false;
+  const markCut = (index) => {
+    if (!open.at(-1)?.inEntry) cut = { index, closing: open.map(({ closing }) => closing) };
+  };
+  for (let index = start; index < content.length; index++) {
+    const char = content[index];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+      continue;
+    }
+    if (char === '"') {
+      inString = true;
+    } else if (char === '{' || char === '[') {
+      const parent = open.at(-1);
+      open.push({
+        closing: char === '{' ? '}' : ']',
+        inEntry: Boolean(parent?.inEntry || (char === '{' && parent?.closing === ']')),
+      });
+      markCut(index + 1);
+    } else if (char === '}' || char === ']') {
+      open.pop();
+      markCut(index + 1);
+      if (open.length === 0) break;
+    } else if (char === ',') {
+      markCut(index);
+    }
+  }
+  if (!cut) return null;
+
+  let parsed;
+  try {
+    parsed = JSON.parse(content.slice(start, cut.index) + cut.closing.reverse().join(''));
+  } catch {
+    return null;
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) return null;
+
+  for (const [field, schema] of Object.entries(extractedDataSchema.shape)) {
+    if (parsed[field] === undefined && schema instanceof z.ZodArray) parsed[field] = [];
+  }
+  return JSON.stringify(parsed);
+}
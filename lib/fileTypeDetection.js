@@ -0,0 +1,109 @@
+// Content-based file type detection for uploaded CVs.
+// Storage paths and upload names are not trustworthy (DOCX saved as cv.pdf, files without
+// an extension), so the format is decided from magic bytes and ZIP/OLE container contents.
+
+import JSZip from 'jszip';
+
+const PDF_SIGNATURE = Buffer.from('%PDF-');
+const ZIP_SIGNATURE = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+const OLE_SIGNATURE = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+const RTF_SIGNATURE = Buffer.from('{\\rtf');
+
+const IMAGE_SIGNATURES = [
+  Buffer.from([0xff, 0xd8, 0xff]), // JPEG
+  Buffer.from([0x89, 0x50, 0x4e, 0x47]), // PNG
+  Buffer.from('GIF8'),
+  Buffer.from([0x49, 0x49, 0x2a, 0x00]), // TIFF (little endian)
+  Buffer.from([0x4d, 0x4d, 0x00, 0x2a]), // TIFF (big endian)
+];
+
+// OpenDocument mimetypes stored uncompressed as the first ZIP entry
+const OPENDOCUMENT_TYPES = {
+  'application/vnd.oasis.opendocument.text': 'odt',
+  'application/vnd.oasis.opendocument.spreadsheet': 'ods',
+  'application/vnd.oasis.opendocument.presentation': 'odp',
+};
+
+// OLE stream names (stored UTF-16LE in the directory) that identify the application
+const OLE_STREAMS = [
+  { name: 'EncryptedPackage', format: 'encrypted-office' }, // Password-protected DOCX/XLSX
+  { name: 'WordDocument', format: 'doc' },
+  { name: 'Workbook', format: 'xls' },
+  { name: 'PowerPoint Document', format: 'ppt' },
+];
+
+const TEXT_SAMPLE_BYTES = 8192;
+
+// Inspect a ZIP container to tell OOXML and OpenDocument formats apart
+async function detectZipFormat(buffer) {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(buffer);
+  } catch {
+    return 'zip'; // Corrupt or unreadable archive
+  }
+
+  const mimetypeFile = zip.file('mimetype');
+  if (mimetypeFile) {
+    const mimetype = (await mimetypeFile.async('string')).trim();
+    if (OPENDOCUMENT_TYPES[mimetype]) return OPENDOCUMENT_TYPES[mimetype];
+  }
+
+  if (zip.file('[Content_Types].xml')) {
+    if (zip.file('word/document.xml')) return 'docx';
+    if (zip.file('xl/workbook.xml')) return 'xlsx';
+    if (zip.file('ppt/presentation.xml')) return 'pptx';
+  }
+
+  return 'zip';
+}
+
+// Identify an OLE compound document (legacy Office) by the streams it contains
+function detectOleFormat(buffer) {
+  for (const { name, format } of OLE_STREAMS) {
+    if (buffer.includes(Buffer.from(name, 'utf16le'))) return format;
+  }
+  return 'ole';
+}
+
+// Heuristic check that a buffer holds human-readable text rather than binary data
+function looksLikeText(buffer) {
+  const sample = buffer.subarray(0, TEXT_SAMPLE_BYTES);
+  const hasUtf16Bom = (sample[0] === 0xff && sample[1] === 0xfe) || (sample[0] === 0xfe && sample[1] === 0xff);
+  if (hasUtf16Bom) return true;
+
+  let controlBytes = 0;
+  for (const byte of sample) {
+    if (byte === 0x00) return false;
+    if (byte < 0x09 || (byte > 0x0d && byte < 0x20)) controlBytes++;
+  }
+  return controlBytes / sample.length < 0.02;
+}
+
+/**
+ * Detect a file's real format from its content
+ * @param {Buffer} buffer - File contents
+ * @param {object} [options]
+ * @param {string|null} [options.claimedFormat] - Format implied by the file name, used only to tell Markdown from plain text
+ * @returns {Promise<string>} - One of: pdf, docx, doc, rtf, odt, txt, markdown, html,
+ *   xlsx, pptx, xls, ppt, ods, odp, encrypted-office, ole, zip, image, empty, unknown
+ */
+export async function detectFileType(buffer, { claimedFormat = null } = {}) {
+  if (!buffer || buffer.length === 0) return 'empty';
+
+  // Some generators prepend junk before the PDF header; readers accept it within the first 1 KB
+  if (buffer.subarray(0, 1024).includes(PDF_SIGNATURE)) return 'pdf';
+  if (buffer.subarray(0, ZIP_SIGNATURE.length).equals(ZIP_SIGNATURE)) return detectZipFormat(buffer);
+  if (buffer.subarray(0, OLE_SIGNATURE.length).equals(OLE_SIGNATURE)) return detectOleFormat(buffer);
+  if (buffer.subarray(0, RTF_SIGNATURE.length).equals(RTF_SIGNATURE)) return 'rtf';
+  if (IMAGE_SIGNATURES.some(signature => buffer.subarray(0, signature.length).equals(signature))) return 'image';
+  if (buffer.subarray(0, 4).toString('latin1') === 'RIFF' && buffer.subarray(8, 12).toString('latin1') === 'WEBP') return 'image';
+
+  if (looksLikeText(buffer)) {
+    const head = buffer.subarray(0, 512).toString('utf8').trimStart().toLowerCase();
+    if (head.startsWith('<!doctype html') || head.startsWith('<html')) return 'html';
+    return claimedFormat === 'markdown' ? 'markdown' : 'txt';
+  }
+
+  return 'unknown';
+}
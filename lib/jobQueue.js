@@ -0,0 +1,220 @@
+// Durable parse job queue backed by the cv_parsing_jobs table.
+// POST /api/v1/parse only enqueues; workers claim jobs atomically through the
+// claim_cv_parsing_job() function (FOR UPDATE SKIP LOCKED, see database/add_job_queue.sql),
+// hold a lease (locked_until) that is extended while the job runs, and retry
+// retryable failures with exponential backoff. A job whose lease expires — the worker
+// crashed or the container was replaced mid-job — becomes claimable again; on its last attempt
+// it is failed by the periodic stale job reclaim instead.
+
+import { hostname } from 'node:os';
+import { randomUUID } from 'node:crypto';
+import { logger, runWithLogContext, runWithoutLogContext } from './logger.js';
+
+const BACKOFF_MAX_MS = 30 * 60 * 1000; // Never wait more than 30 minutes between attempts
+
+// Exponential backoff with ±20% jitter so retries of a burst of jobs don't line up
+function getBackoffDelay(attempt, baseDelayMs) {
+  const delay = Math.min(baseDelayMs * 2 ** (attempt - 1), BACKOFF_MAX_MS);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+/**
+ * Create a job queue worker pool
+ * @param {object} options
+ * @param {import('@supabase/supabase-js').SupabaseClient} options.supabase - Service-role Supabase client
+ * @param {(job: object, workerId: string) => Promise<boolean>} options.handler - Processes a claimed job row and writes its
+ *   completed status (guarded by locked_by = workerId); resolves to false when that write matched no row (lease lost)
+ * @param {(error: Error) => boolean} options.isRetryable - Whether a failed attempt should be retried
+ * @param {(error: Error) => object} [options.getFailureDetails] - Extra columns to store on a failed attempt
+ * @param {(job: {id: string}, error: Error) => void} [options.onFailed] - Called once a job has failed for good
+ * @param {(outcome: 'completed'|'retrying'|'failed', error?: Error) => void} [options.onOutcome] - Called when an
+ *   attempt ends: the handler completed the job, the job goes back to the queue for a retry, or it has failed for good
+ * @param {number} [options.concurrency] - Jobs processed in parallel by this instance
+ * @param {number} [options.pollIntervalMs] - Delay between claim attempts when the queue is empty
+ * @param {number} [options.visibilityTimeoutMs] - Lease length; the lease is extended while the job runs
+ * @param {number} [options.retryBaseDelayMs] - Backoff before the first retry (doubles per attempt)
+ * @returns {{workerId: string, start: () => Promise<void>, notify: () => void, stop: () => Promise<void>,
+ *   inFlightCount: () => number}}
+ */
+export function createJobQueue({
+  supabase,
+  handler,
+  isRetryable,
+  getFailureDetails = () => ({}),
+  onFailed,
+  onOutcome,
+  concurrency = 2,
+  pollIntervalMs = 5000,
+  visibilityTimeoutMs = 5 * 60 * 1000,
+  retryBaseDelayMs = 30 * 1000,
+}) {
+  const workerId = `${hostname()}-${process.pid}-${randomUUID().slice(0, 8)}`;
+  const inFlight = new Map(); // jobId -> { job, heartbeat }
+  let running = false;
+  let pollTimer = null;
+  let claiming = false;
+  let lastReclaimAt = 0;
+
+  const leaseUntil = () => new Date(Date.now() + visibilityTimeoutMs).toISOString();
+
+  // Atomically claim the next runnable job (pending and due, or processing with an expired lease)
+  async function claimJob() {
+    const { data, error } = await supabase.rpc('claim_cv_parsing_job', {
+      p_worker_id: workerId,
+      p_visibility_timeout_seconds: Math.ceil(visibilityTimeoutMs / 1000),
+    });
+    if (error) {
+      throw new Error(`Failed to claim job: ${error.message}`);
+    }
+    return Array.isArray(data) ? data[0] || null : data;
+  }
+
+  // Keep the lease alive while a long job (OCR, slow model responses) is running
+  function startHeartbeat(jobId) {
+    return setInterval(async () => {
+      const { error } = await supabase
+        .from('cv_parsing_jobs')
+        .update({ locked_until: leaseUntil() })
+        .eq('id', jobId)
+        .eq('locked_by', workerId);
+      if (error) {
+        logger.error('Failed to extend job lease', { err: error });
+      }
+    }, Math.max(Math.floor(visibilityTimeoutMs / 3), 1000));
+  }
+
+  async function recordFailure(job, error) {
+    const retry = job.attempts < job.max_attempts && isRetryable(error);
+    const update = {
+      error_message: error.message,
+      error_code: error.code || null,
+      locked_by: null,
+      locked_until: null,
+      ...getFailureDetails(error),
+    };
+
+    if (retry) {
+      const delay = getBackoffDelay(job.attempts, retryBaseDelayMs);
+      update.status = 'pending';
+      update.next_attempt_at = new Date(Date.now() + delay).toISOString();
+      logger.warn(`Attempt ${job.attempts}/${job.max_attempts} failed — retrying in ${Math.round(delay / 1000)}s`, { err: error });
+    } else {
+      update.status = 'failed';
+      update.completed_at = new Date().toISOString();
+      logger.error(`CV parsing failed after ${job.attempts} attempt(s)`, { err: error });
+    }
+    onOutcome?.(retry ? 'retrying' : 'failed', error);
+
+    const { error: updateError } = await supabase
+      .from('cv_parsing_jobs')
+      .update(update)
+      .eq('id', job.id)
+      .eq('locked_by', workerId);
+    if (updateError) {
+      logger.error('Failed to record failure', { err: updateError });
+    } else if (!retry) {
+      onFailed?.(job, error);
+    }
+  }
+
+  // Every log line of the job — handler, heartbeat, failure — carries its job and profile id
+  function runJob(job) {
+    return runWithLogContext({ jobId: job.id, profileId: job.profile_id ?? null }, async () => {
+      inFlight.set(job.id, { job, heartbeat: startHeartbeat(job.id) });
+      logger.info(`Claimed by ${workerId} (attempt ${job.attempts}/${job.max_attempts})`);
+
+      try {
+        const completed = await handler(job, workerId);
+        // A lost lease means another worker owns the job now and reports its outcome
+        if (completed !== false) onOutcome?.('completed');
+      } catch (error) {
+        await recordFailure(job, error);
+      } finally {
+        clearInterval(inFlight.get(job.id)?.heartbeat);
+        inFlight.delete(job.id);
+        notify(); // A slot is free — look for more work right away
+      }
+    });
+  }
+
+  // Fill free worker slots, then schedule the next poll
+  async function poll() {
+    if (!running || claiming) return;
+    claiming = true;
+    clearTimeout(pollTimer);
+
+    try {
+      // The claim skips jobs without attempts left, so an expired lease on a job's last attempt is
+      // only resolved here — once per lease length, as that's how long a lease can be stale unnoticed
+      if (Date.now() - lastReclaimAt >= visibilityTimeoutMs) await reclaimStaleJobs();
+      while (running && inFlight.size < concurrency) {
+        const job = await claimJob();
+        if (!job) break;
+        runJob(job); // Not awaited — runs in its own slot
+      }
+    } catch (error) {
+      logger.error('Queue poll failed', { err: error });
+    } finally {
+      claiming = false;
+      if (running) pollTimer = setTimeout(poll, pollIntervalMs);
+    }
+  }
+
+  // Wake the poller, e.g. after a job was enqueued
+  function notify() {
+    if (running) setImmediate(() => runWithoutLogContext(poll));
+  }
+
+  // Jobs stuck in 'processing' without a live lease belong to a dead worker: put them back in
+  // the queue, or fail them if they've used up their attempts
+  async function reclaimStaleJobs() {
+    lastReclaimAt = Date.now();
+    const { data, error } = await supabase.rpc('reclaim_stale_cv_parsing_jobs');
+    if (error) {
+      logger.error('Failed to reclaim stale jobs', { err: error });
+      return;
+    }
+    const reclaimed = (data || []).filter(row => row.status === 'pending').length;
+    const failed = (data || []).filter(row => row.status === 'failed');
+    if (reclaimed > 0 || failed.length > 0) {
+      logger.info(`Reclaimed ${reclaimed} stale job(s), failed ${failed.length} with no attempts left`);
+    }
+    for (const row of failed) {
+      const error = new Error('Parser worker stopped while processing this job and no attempts are left.');
+      error.code = 'WORKER_LOST';
+      onOutcome?.('failed', error);
+      onFailed?.({ id: row.id }, error);
+    }
+  }
+
+  async function start() {
+    running = true;
+    await reclaimStaleJobs();
+    logger.info(`Queue worker ${workerId} started (concurrency ${concurrency})`);
+    poll();
+  }
+
+  // Stop claiming and hand in-flight jobs back to the queue so another instance picks them up
+  // immediately instead of waiting for the lease to expire. The interrupted attempt doesn't count.
+  async function stop() {
+    running = false;
+    clearTimeout(pollTimer);
+
+    await Promise.all([...inFlight.values()].map(async ({ job, heartbeat }) => {
+      clearInterval(heartbeat);
+      const { error } = await supabase
+        .from('cv_parsing_jobs')
+        .update({ status: 'pending', locked_by: null, locked_until: null, attempts: Math.max(job.attempts - 1, 0) })
+        .eq('id', job.id)
+        .eq('locked_by', workerId);
+      if (error) {
+        logger.error('Failed to release job on shutdown', { jobId: job.id, err: error });
+      } else {
+        logger.info('Released back to the queue on shutdown', { jobId: job.id });
+      }
+    }));
+    inFlight.clear();
+  }
+
+  return { workerId, start, notify, stop, inFlightCount: () => inFlight.size };
+}
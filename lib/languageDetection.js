@@ -0,0 +1,81 @@
+// Source language detection, run before the first pass. The parsing model translates every CV to
+// English; for CVs in another language the prompt also asks for the original wording of job titles,
+// descriptions, bullet points, fields of study, degree titles and thesis titles (see
+// getParsingInstructions() in lib/cvParser.js).
+// The language is the one whose common function words ("und", "der", "avec", "della", ...) occur most
+// often in the text — no model call, so the result is free, deterministic and the same for every
+// retry of a job. CVs with too few such words (lists of keywords, unsupported languages) get no language
+// and are treated like English ones.
+
+// ==========================================
+// CONFIGURATION
+// ==========================================
+
+// ISO 639-1 code -> name used in the parsing prompt
+export const LANGUAGE_NAMES = {
+  en: 'English',
+  de: 'German',
+  fr: 'French',
+  it: 'Italian',
+  es: 'Spanish',
+};
+
+// Words that are frequent in CVs of one language and rare in the others
+const LANGUAGE_WORDS = {
+  en: ['the', 'and', 'of', 'to', 'with', 'for', 'on', 'at', 'from', 'by', 'an', 'as', 'is', 'was', 'were',
+    'including', 'responsible', 'experience', 'education', 'skills', 'present'],
+  de: ['und', 'der', 'die', 'das', 'mit', 'für', 'bei', 'von', 'zur', 'zum', 'im', 'als', 'sowie',
+    'den', 'dem', 'eine', 'einer', 'auf', 'über', 'berufserfahrung', 'ausbildung', 'kenntnisse',
+    'sprachen', 'verantwortlich', 'heute'],
+  fr: ['et', 'les', 'du', 'avec', 'pour', 'dans', 'au', 'aux', 'une', 'sur', 'par', 'est', 'chez',
+    'expérience', 'formation', 'compétences', 'langues', 'gestion', 'actuel'],
+  it: ['e', 'di', 'il', 'della', 'delle', 'dei', 'degli', 'per', 'nel', 'nella', 'alla', 'sul', 'presso',
+    'esperienza', 'formazione', 'competenze', 'lingue', 'responsabile', 'gestione', 'attuale'],
+  es: ['y', 'el', 'los', 'las', 'del', 'para', 'por', 'al', 'desde', 'hasta', 'empresa', 'experiencia',
+    'formación', 'habilidades', 'idiomas', 'gestión', 'actualidad'],
+};
+
+const MIN_WORD_HITS = 10; // Fewer hits for the top language: no language
+
+// A word in two lists would only count for the last one, so that is rejected at load
+const LANGUAGE_BY_WORD = new Map();
+for (const [language, words] of Object.entries(LANGUAGE_WORDS)) {
+  for (const word of words) {
+    if (LANGUAGE_BY_WORD.has(word)) {
+      throw new Error(`Language word "${word}" is listed for both ${LANGUAGE_BY_WORD.get(word)} and ${language}`);
+    }
+    LANGUAGE_BY_WORD.set(word, language);
+  }
+}
+
+// ==========================================
+// DETECTION
+// ==========================================
+
+/**
+ * Detect the language a CV is written in
+ * @param {string|null} content - CV text, or HTML for the html and odt formats
+ * @param {string} [format] - Input format ('html', 'odt', 'text', ...)
+ * @returns {{language: string|null, confidence: number}} - language: a key of LANGUAGE_NAMES, null when
+ *   the text has too few common words of any of them; confidence: 0-100, the top language's share of
+ *   the two highest word counts
+ */
+export function detectLanguage(content, format = 'text') {
+  if (!content || typeof content !== 'string') return { language: null, confidence: 0 };
+
+  const text = format === 'html' || format === 'odt'
+    ? content.replace(/<[^>]*>/g, ' ').replace(/&nbsp;/g, ' ').replace(/&amp;/g, '&')
+    : content;
+  const counts = Object.fromEntries(Object.keys(LANGUAGE_WORDS).map(language => [language, 0]));
+  for (const word of text.normalize('NFC').toLowerCase().match(/\p{L}+/gu) || []) {
+    const language = LANGUAGE_BY_WORD.get(word);
+    if (language) counts[language]++;
+  }
+
+  const [top, second] = Object.entries(counts).sort((a, b) => b[1] - a[1]); // Stable: ties keep English first
+  if (top[1] < MIN_WORD_HITS) return { language: null, confidence: 0 };
+  return {
+    language: top[0],
+    confidence: Math.round((100 * top[1]) / (top[1] + second[1])),
+  };
+}
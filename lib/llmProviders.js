@@ -0,0 +1,307 @@
+// LLM providers for the parsing pipeline. Each role is served by one provider:
+//   parsing  first pass, schema repair and focused second pass
+//   vision   profile picture detection
+//   summary  profile bio and short summary
+//
+// Providers:
+//   openai   OpenAI API (OPENAI_API_KEY)
+//   azure    Azure OpenAI, one deployment per role (AZURE_OPENAI_*)
+//   local    Any OpenAI-compatible endpoint, e.g. a self-hosted model behind vLLM, Ollama or LM Studio
+//   fixture  Replays recorded responses from LLM_FIXTURES_DIR, keyed by prompt hash — no network
+//
+// All providers take OpenAI chat completion requests and return OpenAI chat completion objects,
+// so the pipeline does not care which one answers. With LLM_RECORD_FIXTURES=true every live
+// response is also written to LLM_FIXTURES_DIR, to be replayed later with LLM_PROVIDER=fixture.
+//
+// completeChat() is the entry point for the pipeline: it calls the provider of a role and reports
+// each call — model, deployment, token usage and estimated cost — to an optional callback.
+
+import { createHash } from 'node:crypto';
+import { mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import OpenAI, { AzureOpenAI } from 'openai';
+
+// ==========================================
+// CONFIGURATION
+// ==========================================
+export const LLM_ROLES = ['parsing', 'vision', 'summary'];
+
+const LLM_PROVIDER = process.env.LLM_PROVIDER || (process.env.AZURE_OPENAI_ENDPOINT ? 'azure' : 'openai'); // Default for all roles
+export const LLM_FIXTURES_DIR = process.env.LLM_FIXTURES_DIR || 'fixtures/llm'; // Recorded responses (fixture provider and recording)
+export const LLM_RECORD_FIXTURES = process.env.LLM_RECORD_FIXTURES === 'true'; // Default false — record live responses as fixtures
+
+// Azure deployments per role; vision and summary share the parsing deployment unless configured
+const AZURE_DEPLOYMENT_PARSING = process.env.AZURE_OPENAI_DEPLOYMENT_PARSING || process.env.OPENAI_MODEL_PARSING || 'gpt-4.1';
+const AZURE_DEPLOYMENTS = {
+  parsing: AZURE_DEPLOYMENT_PARSING,
+  vision: process.env.AZURE_OPENAI_DEPLOYMENT_VISION || AZURE_DEPLOYMENT_PARSING,
+  summary: process.env.AZURE_OPENAI_DEPLOYMENT_SUMMARY || AZURE_DEPLOYMENT_PARSING,
+};
+
+// Estimated list prices in USD per 1M tokens. LLM_PRICING (JSON) overrides or adds models, e.g.
+// {"llama3.1:70b": {"input": 0, "output": 0}}; calls to models without a price have no cost estimate.
+const DEFAULT_MODEL_PRICING = {
+  'gpt-4.1': { input: 2.00, output: 8.00 },
+  'gpt-4.1-mini': { input: 0.40, output: 1.60 },
+  'gpt-4.1-nano': { input: 0.10, output: 0.40 },
+  'gpt-4o': { input: 2.50, output: 10.00 },
+  'gpt-4o-mini': { input: 0.15, output: 0.60 },
+};
+const MODEL_PRICING = { ...DEFAULT_MODEL_PRICING, ...parsePricing(process.env.LLM_PRICING) };
+
+function parsePricing(json) {
+  if (!json) return {};
+  let pricing;
+  try {
+    pricing = JSON.parse(json);
+  } catch (error) {
+    throw new Error(`LLM_PRICING is not valid JSON: ${error.message}`);
+  }
+  for (const [model, price] of Object.entries(pricing)) {
+    if (typeof price?.input !== 'number' || typeof price?.output !== 'number') {
+      throw new Error(`LLM_PRICING["${model}"] must be {"input": <USD per 1M tokens>, "output": <USD per 1M tokens>}`);
+    }
+  }
+  return pricing;
+}
+
+function createCodedError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// ==========================================
+// PROMPT HASH
+// ==========================================
+
+// JSON with sorted object keys, so equal requests hash equally regardless of key order
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Hash identifying a chat completion request — model, messages (including attached files and
+ * images) and sampling parameters. Fixtures are stored and looked up under this hash.
+ * @param {object} request - OpenAI chat completion request
+ * @returns {string} - sha256 hex digest
+ */
+export function getPromptHash(request) {
+  return createHash('sha256').update(canonicalJson(request)).digest('hex');
+}
+
+// ==========================================
+// PROVIDERS
+// ==========================================
+
+// Clients are shared between roles with the same connection settings
+const clients = new Map();
+
+function getClient(key, create) {
+  if (!clients.has(key)) clients.set(key, create());
+  return clients.get(key);
+}
+
+function createOpenAIProvider(role) {
+  if (!process.env.OPENAI_API_KEY) {
+    throw new Error(`OPENAI_API_KEY is required for the openai LLM provider (${role} role)`);
+  }
+  const client = getClient('openai', () => new OpenAI({ apiKey: process.env.OPENAI_API_KEY }));
+  return {
+    name: 'openai',
+    complete: (request, options) => client.chat.completions.create(request, options),
+  };
+}
+
+function createAzureProvider(role) {
+  if (!process.env.AZURE_OPENAI_ENDPOINT) {
+    throw new Error(`AZURE_OPENAI_ENDPOINT is required for the azure LLM provider (${role} role)`);
+  }
+  const deployment = AZURE_DEPLOYMENTS[role];
+  const client = getClient(`azure:${deployment}`, () => new AzureOpenAI({
+    apiKey: process.env.AZURE_OPENAI_API_KEY,
+    endpoint: process.env.AZURE_OPENAI_ENDPOINT,
+    apiVersion: process.env.AZURE_OPENAI_API_VERSION || '2024-10-21',
+    deployment,
+  }));
+  return {
+    name: 'azure',
+    deployment,
+    complete: (request, options) => client.chat.completions.create(request, options),
+  };
+}
+
+function createLocalProvider(role) {
+  if (!process.env.LOCAL_LLM_BASE_URL) {
+    throw new Error(`LOCAL_LLM_BASE_URL is required for the local LLM provider (${role} role)`);
+  }
+  // Most self-hosted servers ignore the key, but the SDK refuses to send an empty one
+  const client = getClient('local', () => new OpenAI({
+    baseURL: process.env.LOCAL_LLM_BASE_URL,
+    apiKey: process.env.LOCAL_LLM_API_KEY || 'local',
+  }));
+  return {
+    name: 'local',
+    complete: (request, options) => client.chat.completions.create(request, options),
+  };
+}
+
+function createFixtureProvider(role) {
+  const loadFixture = (request) => {
+    const promptHash = getPromptHash(request);
+    const path = join(LLM_FIXTURES_DIR, `${promptHash}.json`);
+    try {
+      return JSON.parse(readFileSync(path, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      throw createCodedError(
+        'LLM_FIXTURE_NOT_FOUND',
+        `No recorded ${role} response for prompt ${promptHash.slice(0, 12)} in ${LLM_FIXTURES_DIR} — record it with LLM_RECORD_FIXTURES=true`
+      );
+    }
+  };
+  return {
+    name: 'fixture',
+    async complete(request) {
+      return loadFixture(request).response;
+    },
+    // Hand-written fixtures ("synthetic": true) are not recordings of a model
+    isSynthetic: (request) => loadFixture(request).synthetic === true,
+  };
+}
+
+// Wrap a live provider so every response is also written as a fixture
+function withFixtureRecording(provider, role) {
+  return {
+    ...provider,
+    recording: true,
+    async complete(request, options) {
+      const response = await provider.complete(request, options);
+      const promptHash = getPromptHash(request);
+      mkdirSync(LLM_FIXTURES_DIR, { recursive: true });
+      writeFileSync(join(LLM_FIXTURES_DIR, `${promptHash}.json`), `${JSON.stringify({
+        role,
+        provider: provider.name,
+        model: request.model,
+        promptHash,
+        recordedAt: new Date().toISOString(),
+        response,
+      }, null, 2)}\n`);
+      return response;
+    },
+  };
+}
+
+const PROVIDER_FACTORIES = {
+  openai: createOpenAIProvider,
+  azure: createAzureProvider,
+  local: createLocalProvider,
+  fixture: createFixtureProvider,
+};
+
+function createProvider(role) {
+  const name = process.env[`LLM_PROVIDER_${role.toUpperCase()}`] || LLM_PROVIDER;
+  if (!PROVIDER_FACTORIES[name]) {
+    throw new Error(`Unknown LLM provider "${name}" for the ${role} role (expected ${Object.keys(PROVIDER_FACTORIES).join(', ')})`);
+  }
+  const provider = PROVIDER_FACTORIES[name](role);
+  return LLM_RECORD_FIXTURES && name !== 'fixture' ? withFixtureRecording(provider, role) : provider;
+}
+
+// Created on load so configuration errors surface at startup rather than on the first CV
+const providers = Object.fromEntries(LLM_ROLES.map(role => [role, createProvider(role)]));
+
+/**
+ * Provider serving a role
+ * @param {'parsing'|'vision'|'summary'} role
+ * @returns {{name: string, complete: (request: object, options?: object) => Promise<object>}} -
+ *   complete() takes an OpenAI chat completion request (and request options such as { signal })
+ *   and resolves to an OpenAI chat completion object
+ */
+export function getLlmProvider(role) {
+  const provider = providers[role];
+  if (!provider) {
+    throw new Error(`Unknown LLM role "${role}"`);
+  }
+  return provider;
+}
+
+// Provider name per role, e.g. { parsing: 'openai', vision: 'openai', summary: 'local' }
+export function describeLlmProviders() {
+  return Object.fromEntries(LLM_ROLES.map(role => [role, providers[role].name]));
+}
+
+// ==========================================
+// USAGE & COST
+// ==========================================
+
+/**
+ * Estimated cost of a call in USD; dated snapshots (gpt-4.1-2025-04-14) use the price of their model
+ * @param {string} model - Model name
+ * @param {number} promptTokens
+ * @param {number} completionTokens
+ * @returns {number|null} - null when the model has no price
+ */
+export function estimateCostUsd(model, promptTokens, completionTokens) {
+  const name = String(model || '');
+  const priced = Object.keys(MODEL_PRICING)
+    .filter(key => name === key || name.startsWith(`${key}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  if (!priced) return null;
+  const { input, output } = MODEL_PRICING[priced];
+  return Math.round((promptTokens || 0) * input + (completionTokens || 0) * output) / 1e6; // Whole micro-dollars
+}
+
+/**
+ * Send a chat completion request to the provider of a role and report the call
+ * @param {'parsing'|'vision'|'summary'} role
+ * @param {object} request - OpenAI chat completion request
+ * @param {object} [options]
+ * @param {string} [options.purpose] - What the call is for (first_pass, schema_repair, bio, ...)
+ * @param {(call: object) => void} [options.onCall] - Receives { role, purpose, provider, model, deployment?,
+ *   promptTokens, completionTokens, costUsd, durationMs, at, error?, synthetic? } — also for failed calls;
+ *   synthetic: the fixture provider replayed a hand-written response
+ * @param {AbortSignal} [options.signal] - Aborts the request
+ * @returns {Promise<object>} - OpenAI chat completion object
+ */
+export async function completeChat(role, request, { purpose, onCall, signal } = {}) {
+  const provider = getLlmProvider(role);
+  const startedAt = new Date();
+  const report = (fields) => onCall?.({
+    role,
+    purpose: purpose || role,
+    provider: provider.name,
+    model: request.model,
+    ...(provider.deployment && { deployment: provider.deployment }),
+    ...fields,
+    durationMs: Date.now() - startedAt.getTime(),
+    at: startedAt.toISOString(),
+  });
+
+  let response;
+  try {
+    response = await provider.complete(request, signal ? { signal } : undefined);
+  } catch (error) {
+    report({ promptTokens: null, completionTokens: null, costUsd: null, error: error.message });
+    throw error;
+  }
+
+  const promptTokens = response.usage?.prompt_tokens ?? null;
+  const completionTokens = response.usage?.completion_tokens ?? null;
+  report({
+    promptTokens,
+    completionTokens,
+    costUsd: promptTokens === null ? null : estimateCostUsd(response.model || request.model, promptTokens, completionTokens),
+    ...(provider.isSynthetic?.(request) && { synthetic: true }),
+  });
+  return response;
+}
@@ -0,0 +1,218 @@
+// Structured logging for the parser service.
+// Every line is one JSON object (LOG_FORMAT=pretty for a readable single line) carrying the
+// job id, profile id, pipeline stage and the time since the job started (durationMs), taken from
+// the log context of the code that logs — runWithLogContext() around a job, setLogContext() when
+// its stage changes. Lines below LOG_LEVEL are dropped.
+//
+// Redaction runs on every line before it is written:
+//   - fields named like personal data (first and last name, email, phone, address, bio, summary) are replaced
+//   - email addresses and phone numbers in any text are replaced
+//   - personal data of the job's parse result (registerPersonalData) is replaced wherever it appears
+// Output goes through console.log / console.warn / console.error, so CLI scripts and the golden
+// suite can still redirect or silence it.
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+// ==========================================
+// CONFIGURATION
+// ==========================================
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+export const LOG_LEVEL = LOG_LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info'; // debug, info, warn or error
+const LOG_FORMAT = process.env.LOG_FORMAT === 'pretty' ? 'pretty' : 'json'; // json (one object per line) or pretty
+
+const REDACTED = '[REDACTED]';
+
+// Field names (lowercase, without _ and -) whose values are never logged. A bare "name" is left out:
+// it mostly names things (checks, files, models); candidate names are registered personal data.
+const PERSONAL_DATA_KEYS = new Set([
+  'fullname', 'firstname', 'lastname', 'contactfirstname', 'contactlastname',
+  'email', 'emailaddress',
+  'phone', 'phonenumber', 'mobile',
+  'address', 'contactaddress', 'street', 'zip', 'postalcode', 'zipcode',
+  'bio', 'profilebio', 'summary', 'shortsummary',
+]);
+
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g;
+// Digit runs of phone length with common separators; dates, year ranges, decimals, UUIDs and bare
+// runs of 12+ digits (ids, hashes — a phone number that long is written with + or separators) are kept
+const PHONE_PATTERN = /(?<![\w.-])\+?\(?\d[\d\s().\/-]{5,}\d(?![\w-])/g;
+const NOT_A_PHONE = [
+  /^\d{4}[-/.]\d{1,2}[-/.]\d{1,2}$/,
+  /^\d{4}\s*-\s*\d{4}$/,
+  /^\d+\.\d+$/,
+  /^\d{8}-\d{4}-\d{4}-\d{4}-\d{12}$/,
+  /^\d{12,}$/,
+];
+
+// ==========================================
+// LOG CONTEXT
+// ==========================================
+
+const contextStorage = new AsyncLocalStorage();
+
+/**
+ * Run fn in a log context; lines logged inside (including async work it starts) carry its fields.
+ * A context with a jobId starts afresh (start time, registered personal data); other contexts —
+ * e.g. { stage } for work running alongside the main pipeline — extend the current one.
+ * @param {{jobId?: string, profileId?: string, stage?: string}} fields
+ * @param {() => *} fn
+ * @returns {*} - Result of fn
+ */
+export function runWithLogContext(fields, fn) {
+  const parent = 'jobId' in fields ? undefined : contextStorage.getStore();
+  return contextStorage.run({
+    ...parent,
+    ...fields,
+    startedAt: parent?.startedAt ?? Date.now(),
+    personalData: parent?.personalData ?? new Set(),
+  }, fn);
+}
+
+// Run fn outside any log context, e.g. a worker loop woken up from inside a job
+export function runWithoutLogContext(fn) {
+  return contextStorage.exit(fn);
+}
+
+// Update the current log context (e.g. the stage of the job being processed); no-op outside one
+export function setLogContext(fields) {
+  const context = contextStorage.getStore();
+  if (context) Object.assign(context, fields);
+}
+
+/**
+ * Redact the personal data of a parse result in every later line of the current log context —
+ * candidate name, email, phone, address, generated bio and summary — also where it shows up in
+ * free text such as error messages
+ * @param {object} extractedData
+ */
+export function registerPersonalData(extractedData) {
+  const context = contextStorage.getStore();
+  if (!context || !extractedData) return;
+
+  // The city only together with the street or zip: on its own it also names employers' locations
+  const address = extractedData.contact_address || {};
+  const zipAndCity = address.zip ? [address.zip, address.city].filter(Boolean).join(' ') : null;
+  const values = [
+    extractedData.contact_first_name,
+    extractedData.contact_last_name,
+    [extractedData.contact_first_name, extractedData.contact_last_name].filter(Boolean).join(' '),
+    extractedData.email,
+    extractedData.phoneNumber,
+    address.street,
+    address.zip,
+    zipAndCity,
+    address.street ? [address.street, zipAndCity || address.city].filter(Boolean).join(', ') : null,
+    ...[extractedData.profile_bio, extractedData.short_summary]
+      .filter(text => typeof text === 'string')
+      .flatMap(text => [text, ...text.split(/(?<=[.!?])\s+/)]),
+  ];
+  for (const value of values) {
+    if (typeof value === 'string' && value.trim().length >= 2) {
+      context.personalData.add(value.trim());
+    }
+  }
+  context.personalDataPattern = null; // Rebuilt on the next line
+}
+
+// ==========================================
+// REDACTION
+// ==========================================
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+function getPersonalDataPattern(context) {
+  if (!context?.personalData.size) return null;
+  if (!context.personalDataPattern) {
+    // Longest first, so a full name is replaced before its parts
+    const values = [...context.personalData].sort((a, b) => b.length - a.length).map(escapeRegExp);
+    context.personalDataPattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${values.join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+  }
+  return context.personalDataPattern;
+}
+
+function redactText(text, context) {
+  const pattern = getPersonalDataPattern(context);
+  return (pattern ? text.replace(pattern, REDACTED) : text)
+    .replace(EMAIL_PATTERN, REDACTED)
+    .replace(PHONE_PATTERN, (match) => {
+      // Neighbouring numbers can run together into one match, so there is no upper digit limit
+      const digits = match.replace(/\D/g, '').length;
+      return digits < 7 || NOT_A_PHONE.some(pattern => pattern.test(match.trim())) ? match : REDACTED;
+    });
+}
+
+const isPersonalDataKey = (key) => PERSONAL_DATA_KEYS.has(key.toLowerCase().replace(/[_-]/g, ''));
+
+/**
+ * Copy of a log value with personal data replaced
+ * @param {*} value - String, number, Error, array or plain object
+ * @param {object} [context] - Log context with registered personal data
+ */
+export function redact(value, context = contextStorage.getStore()) {
+  if (typeof value === 'string') return redactText(value, context);
+  if (value instanceof Error) {
+    return {
+      message: redactText(value.message, context),
+      ...(value.code && { code: value.code }),
+      ...(LOG_LEVELS[LOG_LEVEL] <= LOG_LEVELS.debug && value.stack && { stack: redactText(value.stack, context) }),
+    };
+  }
+  if (Array.isArray(value)) return value.map(item => redact(item, context));
+  if (value && typeof value === 'object') {
+    // Nested values are redacted field by field, e.g. the street of an address but not its country
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+      key,
+      isPersonalDataKey(key) && item !== null && typeof item !== 'object' ? REDACTED : redact(item, context),
+    ]));
+  }
+  return value;
+}
+
+// ==========================================
+// LOGGER
+// ==========================================
+
+const CONSOLE_METHODS = { debug: 'log', info: 'log', warn: 'warn', error: 'error' };
+
+function formatPretty(entry) {
+  const { time, level, msg, jobId, profileId, stage, durationMs, ...fields } = entry;
+  const scope = [jobId && `job ${jobId}`, profileId && `profile ${profileId}`, stage, durationMs !== null && `+${durationMs}ms`]
+    .filter(Boolean).join(' ');
+  const extra = Object.keys(fields).length > 0 ? ` ${JSON.stringify(fields)}` : '';
+  return `${time} ${level.toUpperCase().padEnd(5)} ${scope ? `[${scope}] ` : ''}${msg}${extra}`;
+}
+
+function write(level, bindings, message, fields) {
+  if (LOG_LEVELS[level] < LOG_LEVELS[LOG_LEVEL]) return;
+  const context = contextStorage.getStore();
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: redact(message, context),
+    jobId: context?.jobId ?? null,
+    profileId: context?.profileId ?? null,
+    stage: context?.stage ?? null,
+    durationMs: context ? Date.now() - context.startedAt : null,
+    ...redact({ ...bindings, ...fields }, context),
+  };
+  console[CONSOLE_METHODS[level]](LOG_FORMAT === 'pretty' ? formatPretty(entry) : JSON.stringify(entry));
+}
+
+/**
+ * Logger whose lines carry the given fields in addition to the log context
+ * (e.g. { jobId } for code that is also run outside a job context, like the CLI scripts)
+ * @param {object} [bindings]
+ * @returns {{debug: Function, info: Function, warn: Function, error: Function, child: Function}} -
+ *   each level takes (message, fields?); errors go in fields as { err }
+ */
+export function createLogger(bindings = {}) {
+  return {
+    debug: (message, fields) => write('debug', bindings, message, fields),
+    info: (message, fields) => write('info', bindings, message, fields),
+    warn: (message, fields) => write('warn', bindings, message, fields),
+    error: (message, fields) => write('error', bindings, message, fields),
+    child: (childBindings) => createLogger({ ...bindings, ...childBindings }),
+  };
+}
+
+export const logger = createLogger();
@@ -0,0 +1,189 @@
+// Prometheus metrics for the parser service, served by GET /metrics in the text exposition format.
+// Counters and histograms live in this process: they start at zero on every deploy (Prometheus
+// handles counter resets), and with several instances each one is scraped on its own.
+//
+//   cv_parser_jobs_total                  Parse jobs finished for good, by outcome and error code
+//   cv_parser_job_retries_total           Failed attempts that were retried, by error code
+//   cv_parser_jobs_in_flight              Jobs this instance is processing right now
+//   cv_parser_stage_duration_seconds      Duration of completed pipeline stages
+//   cv_parser_llm_calls_total             Model calls by role, provider, model and status
+//   cv_parser_llm_tokens_total            Prompt and completion tokens by model
+//   cv_parser_llm_cost_usd_total          Estimated model cost by model (priced models only)
+//   cv_parser_parse_path_total            How CVs reached the model: native_pdf, pdf_text_fallback, text, *_chunked
+//   cv_parser_profile_pictures_total      Profile picture searches by result: found, not_found, failed
+
+// ==========================================
+// METRIC TYPES
+// ==========================================
+
+const metrics = []; // In registration order, which is also the output order
+
+const escapeHelp = (text) => text.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+const escapeLabelValue = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+// Label values in labelNames order, as a map key; missing labels are empty strings
+const seriesKey = (labelNames, labels = {}) => JSON.stringify(labelNames.map(name => labels[name] ?? ''));
+
+function formatLabels(labelNames, key, extra = '') {
+  const values = JSON.parse(key);
+  const pairs = labelNames.map((name, index) => `${name}="${escapeLabelValue(values[index])}"`);
+  if (extra) pairs.push(extra);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function register(metric) {
+  metrics.push(metric);
+  return metric;
+}
+
+function createCounter(name, help, labelNames = []) {
+  const series = new Map(); // seriesKey -> value
+  return register({
+    inc(labels, value = 1) {
+      const key = seriesKey(labelNames, labels);
+      series.set(key, (series.get(key) || 0) + value);
+    },
+    render: () => [
+      `# HELP ${name} ${escapeHelp(help)}`,
+      `# TYPE ${name} counter`,
+      ...[...series].map(([key, value]) => `${name}${formatLabels(labelNames, key)} ${value}`),
+    ],
+  });
+}
+
+// Gauge read at scrape time
+function createGauge(name, help, collect) {
+  return register({
+    render: () => [
+      `# HELP ${name} ${escapeHelp(help)}`,
+      `# TYPE ${name} gauge`,
+      `${name} ${collect()}`,
+    ],
+  });
+}
+
+function createHistogram(name, help, labelNames, buckets) {
+  const series = new Map(); // seriesKey -> { counts per bucket, sum, count }
+  return register({
+    observe(labels, value) {
+      const key = seriesKey(labelNames, labels);
+      if (!series.has(key)) series.set(key, { counts: buckets.map(() => 0), sum: 0, count: 0 });
+      const entry = series.get(key);
+      buckets.forEach((bound, index) => {
+        if (value <= bound) entry.counts[index]++;
+      });
+      entry.sum += value;
+      entry.count++;
+    },
+    render: () => [
+      `# HELP ${name} ${escapeHelp(help)}`,
+      `# TYPE ${name} histogram`,
+      ...[...series].flatMap(([key, { counts, sum, count }]) => [
+        ...buckets.map((bound, index) => `${name}_bucket${formatLabels(labelNames, key, `le="${bound}"`)} ${counts[index]}`),
+        `${name}_bucket${formatLabels(labelNames, key, 'le="+Inf"')} ${count}`,
+        `${name}_sum${formatLabels(labelNames, key)} ${sum}`,
+        `${name}_count${formatLabels(labelNames, key)} ${count}`,
+      ]),
+    ],
+  });
+}
+
+// ==========================================
+// PARSER METRICS
+// ==========================================
+
+// Seconds; the first pass of a long CV takes up to a minute or two
+const STAGE_DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60, 120, 300];
+
+const jobsTotal = createCounter(
+  'cv_parser_jobs_total',
+  'Parse jobs finished for good, by outcome (completed, failed) and error code of failed jobs',
+  ['outcome', 'error_code']
+);
+const jobRetriesTotal = createCounter(
+  'cv_parser_job_retries_total',
+  'Failed parse job attempts that were scheduled for a retry, by error code',
+  ['error_code']
+);
+let getInFlightJobs = () => 0;
+createGauge('cv_parser_jobs_in_flight', 'Parse jobs this instance is processing', () => getInFlightJobs());
+const stageDuration = createHistogram(
+  'cv_parser_stage_duration_seconds',
+  'Duration of completed parse job stages (downloading, picture_extraction, first_pass, second_pass, validation, inference, bio, summary, syncing)',
+  ['stage'],
+  STAGE_DURATION_BUCKETS
+);
+const llmCallsTotal = createCounter(
+  'cv_parser_llm_calls_total',
+  'Model calls by role, provider, model and status (ok, error)',
+  ['role', 'provider', 'model', 'status']
+);
+const llmTokensTotal = createCounter(
+  'cv_parser_llm_tokens_total',
+  'Model tokens by model and type (prompt, completion)',
+  ['model', 'type']
+);
+const llmCostTotal = createCounter(
+  'cv_parser_llm_cost_usd_total',
+  'Estimated model cost in USD by model, from list prices (LLM_PRICING)',
+  ['model']
+);
+const parsePathTotal = createCounter(
+  'cv_parser_parse_path_total',
+  'Parsed CVs by how they reached the model (native_pdf, pdf_text_fallback, pdf_text_chunked, text, text_chunked)',
+  ['path']
+);
+const profilePicturesTotal = createCounter(
+  'cv_parser_profile_pictures_total',
+  'Profile picture searches in parse jobs by result (found, not_found, failed)',
+  ['result']
+);
+
+/**
+ * Count a parse job outcome
+ * @param {'completed'|'retrying'|'failed'} outcome - retrying: the attempt failed and the job goes back to the queue
+ * @param {string|null} [errorCode] - Error code of a failed attempt
+ */
+export function recordJobOutcome(outcome, errorCode = null) {
+  if (outcome === 'retrying') {
+    jobRetriesTotal.inc({ error_code: errorCode || 'UNKNOWN' });
+  } else {
+    jobsTotal.inc({ outcome, error_code: outcome === 'failed' ? errorCode || 'UNKNOWN' : '' });
+  }
+}
+
+// Source of the in-flight jobs gauge, e.g. the job queue of this instance
+export function setInFlightJobsSource(source) {
+  getInFlightJobs = source;
+}
+
+export function observeStageDuration(stage, durationMs) {
+  stageDuration.observe({ stage }, durationMs / 1000);
+}
+
+// Count a model call reported by completeChat() (see lib/llmProviders.js)
+export function recordLlmCall({ role, provider, model, promptTokens, completionTokens, costUsd, error }) {
+  llmCallsTotal.inc({ role, provider, model, status: error ? 'error' : 'ok' });
+  if (promptTokens) llmTokensTotal.inc({ model, type: 'prompt' }, promptTokens);
+  if (completionTokens) llmTokensTotal.inc({ model, type: 'completion' }, completionTokens);
+  if (costUsd) llmCostTotal.inc({ model }, costUsd);
+}
+
+export function recordParsePath(path) {
+  if (path) parsePathTotal.inc({ path });
+}
+
+export function recordProfilePicture(result) {
+  profilePicturesTotal.inc({ result });
+}
+
+// ==========================================
+// EXPOSITION
+// ==========================================
+
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// All metrics in the Prometheus text exposition format
+export function renderMetrics() {
+  return `${metrics.flatMap(metric => metric.render()).join('\n')}\n`;
+}
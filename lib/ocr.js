@@ -0,0 +1,160 @@
+// Local OCR for scanned or image-only PDFs.
+// Pages are rendered with MuPDF (WASM) and recognized with Tesseract (WASM) using the
+// traineddata bundled in the @tesseract.js-data packages — no cloud service and no
+// network download at runtime. Both engines are loaded lazily on the first PDF.
+
+import { createRequire } from 'node:module';
+import { copyFile, mkdir } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { logger } from './logger.js';
+
+const require = createRequire(import.meta.url);
+
+const MIN_TEXT_CHARS_PER_PAGE = 50; // Below this average the PDF is treated as scanned
+const RENDER_DPI = 200; // Tesseract accuracy drops noticeably below ~150 DPI
+const LANGUAGE_DATA_DIR = path.join(tmpdir(), 'setselect-ocr-langdata');
+
+const stagedLanguages = new Set();
+
+/**
+ * Check whether a PDF has a usable text layer
+ * PDFs that can't be opened are reported as having text so they stay on the native PDF path.
+ * @param {Buffer} buffer - PDF file buffer
+ * @returns {Promise<{hasText: boolean, charCount: number, pageCount: number}>}
+ */
+export async function inspectPdfTextLayer(buffer) {
+  const mupdf = await import('mupdf');
+  let document;
+  try {
+    document = mupdf.Document.openDocument(buffer, 'application/pdf');
+    const pageCount = document.countPages();
+    let charCount = 0;
+    for (let pageIndex = 0; pageIndex < pageCount; pageIndex++) {
+      const page = document.loadPage(pageIndex);
+      charCount += page.toStructuredText().asText().replace(/\s+/g, '').length;
+      page.destroy();
+    }
+    return { hasText: charCount / Math.max(pageCount, 1) >= MIN_TEXT_CHARS_PER_PAGE, charCount, pageCount };
+  } catch (error) {
+    logger.warn('Could not inspect PDF text layer', { err: error });
+    return { hasText: true, charCount: 0, pageCount: 0 };
+  } finally {
+    document?.destroy();
+  }
+}
+
+/**
+ * Extract the text layer of a PDF, page by page
+ * Used to size long CVs and to split them into chunks; null when the PDF can't be opened.
+ * @param {Buffer} buffer - PDF file buffer
+ * @returns {Promise<{text: string, pageCount: number}|null>}
+ */
+export async function extractPdfText(buffer) {
+  const mupdf = await import('mupdf');
+  let document;
+  try {
+    document = mupdf.Document.openDocument(buffer, 'application/pdf');
+    const pageCount = document.countPages();
+    const pageTexts = [];
+    for (let pageIndex = 0; pageIndex < pageCount; pageIndex++) {
+      const page = document.loadPage(pageIndex);
+      pageTexts.push(page.toStructuredText().asText().trim());
+      page.destroy();
+    }
+    return { text: pageTexts.filter(Boolean).join('\n\n'), pageCount };
+  } catch (error) {
+    logger.warn('Could not extract PDF text', { err: error });
+    return null;
+  } finally {
+    document?.destroy();
+  }
+}
+
+// Tesseract reads every language from a single directory, but each @tesseract.js-data package
+// ships its own. Stage the (gzipped) traineddata files in one directory used as the worker cache.
+async function stageLanguageData(languages) {
+  await mkdir(LANGUAGE_DATA_DIR, { recursive: true });
+
+  for (const code of languages) {
+    if (stagedLanguages.has(code)) continue;
+
+    let packageDir;
+    try {
+      packageDir = path.dirname(require.resolve(`@tesseract.js-data/${code}/package.json`));
+    } catch {
+      throw new Error(`OCR language "${code}" is not installed (add @tesseract.js-data/${code})`);
+    }
+
+    // Tesseract detects and inflates gzipped data itself, so the file is copied as-is
+    await copyFile(path.join(packageDir, '4.0.0', `${code}.traineddata.gz`), path.join(LANGUAGE_DATA_DIR, `${code}.traineddata`));
+    stagedLanguages.add(code);
+  }
+}
+
+/**
+ * Render PDF pages to grayscale PNGs
+ * @param {Buffer} buffer - PDF file buffer
+ * @param {number} maxPages - Maximum number of pages to render
+ * @returns {Promise<Array<Buffer>>} - One PNG per page
+ */
+async function renderPdfPages(buffer, maxPages) {
+  const mupdf = await import('mupdf');
+  const document = mupdf.Document.openDocument(buffer, 'application/pdf');
+  const scale = RENDER_DPI / 72;
+  const images = [];
+
+  try {
+    const pageCount = Math.min(document.countPages(), maxPages);
+    for (let pageIndex = 0; pageIndex < pageCount; pageIndex++) {
+      const page = document.loadPage(pageIndex);
+      const pixmap = page.toPixmap(mupdf.Matrix.scale(scale, scale), mupdf.ColorSpace.DeviceGray, false, true);
+      images.push(Buffer.from(pixmap.asPNG()));
+      pixmap.destroy();
+      page.destroy();
+    }
+  } finally {
+    document.destroy();
+  }
+
+  return images;
+}
+
+/**
+ * Run OCR on a scanned PDF
+ * @param {Buffer} buffer - PDF file buffer
+ * @param {object} [options]
+ * @param {Array<string>} [options.languages] - Tesseract language codes (must be installed)
+ * @param {number} [options.maxPages] - Maximum number of pages to recognize
+ * @returns {Promise<{text: string, pages: number, meanConfidence: number|null}>}
+ */
+export async function ocrPdf(buffer, { languages = ['eng'], maxPages = 5 } = {}) {
+  const pageImages = await renderPdfPages(buffer, maxPages);
+  if (pageImages.length === 0) {
+    return { text: '', pages: 0, meanConfidence: null };
+  }
+
+  const { createWorker } = await import('tesseract.js');
+  await stageLanguageData(languages);
+  const worker = await createWorker(languages, undefined, { cachePath: LANGUAGE_DATA_DIR, cacheMethod: 'readOnly' });
+
+  const pageTexts = [];
+  const confidences = [];
+  try {
+    for (const image of pageImages) {
+      const { data } = await worker.recognize(image);
+      pageTexts.push(data.text.trim());
+      if (data.text.trim()) confidences.push(data.confidence);
+    }
+  } finally {
+    await worker.terminate();
+  }
+
+  return {
+    text: pageTexts.filter(Boolean).join('\n\n'),
+    pages: pageImages.length,
+    meanConfidence: confidences.length > 0
+      ? Math.round(confidences.reduce((sum, value) => sum + value, 0) / confidences.length)
+      : null,
+  };
+}
@@ -0,0 +1,184 @@
+// Readiness checks: everything the parser needs before it can process a job.
+//   env        Required environment variables (per configured LLM provider, webhooks)
+//   table:*    cv_parsing_jobs, user_profiles and talent_profiles have every column the parser reads or writes
+//   bucket:*   The storage buckets CVs are read from and profile pictures written to exist
+//   model:*    Every configured model / deployment answers a one-token request
+// Run once at startup (self-check, logged) and on GET /ready. Model checks cost a few tokens, so
+// their results are reused for a while instead of calling the models on every probe — failing ones
+// too, for a shorter time, as /ready needs no API key and would otherwise ping every model per probe
+// while a provider is down.
+
+import { getLlmProvider, LLM_ROLES } from './llmProviders.js';
+
+// ==========================================
+// CONFIGURATION
+// ==========================================
+
+// Columns written or read by index.js, lib/jobQueue.js and lib/backfill.js — extend when a new
+// column is used, so a deploy ahead of its migration shows up here instead of in failed jobs
+export const REQUIRED_COLUMNS = {
+  cv_parsing_jobs: [
+    'id', 'profile_id', 'status', 'storage_path', 'callback_url', 'created_at', 'started_at', 'completed_at',
+    'attempts', 'max_attempts', 'next_attempt_at', 'locked_by', 'locked_until',
+    'error_message', 'error_code', 'validation_issues',
+    'extracted_data', 'field_confidence', 'current_stage', 'stage_timestamps',
+    'claimed_file_type', 'detected_file_type', 'ocr_derived', 'ocr_confidence',
+    'content_hash', 'cache_key', 'cache_hit', 'cached_from_job_id',
+    'reparse_of_job_id', 'parse_overrides', 'backfill_id', 'extraction_profile', 'cv_type', 'cv_type_confidence', 'cv_language',
+    'prompt_version', 'parse_path', 'llm_calls', 'prompt_tokens', 'completion_tokens', 'estimated_cost_usd',
+  ],
+  user_profiles: [
+    'id', 'profile_bio', 'short_summary', 'functional_expertise',
+    'education_history', 'professional_experience', 'technical_skills',
+  ],
+  talent_profiles: [
+    'profile_id', 'profile_bio', 'short_summary', 'functional_expertise',
+    'education_history', 'professional_experience', 'technical_skills',
+  ],
+};
+
+export const REQUIRED_BUCKETS = ['talent-pool-cvs', 'profile-pictures'];
+
+// Environment variables each LLM provider needs
+const PROVIDER_ENV = {
+  openai: ['OPENAI_API_KEY'],
+  azure: ['AZURE_OPENAI_ENDPOINT', 'AZURE_OPENAI_API_KEY'],
+  local: ['LOCAL_LLM_BASE_URL'],
+  fixture: [],
+};
+
+const MODEL_CHECK_TIMEOUT_MS = 15000;
+const UNDEFINED_COLUMN = '42703'; // PostgreSQL error code
+
+// ==========================================
+// CHECKS
+// ==========================================
+
+function checkEnvironment(models) {
+  const required = new Set(['INTERNAL_API_KEY', 'SUPABASE_URL', 'SUPABASE_SERVICE_ROLE_KEY']);
+  for (const { role } of models) {
+    for (const name of PROVIDER_ENV[getLlmProvider(role).name] || []) required.add(name);
+  }
+  if (process.env.WEBHOOK_URL) required.add('WEBHOOK_SECRET');
+
+  const missing = [...required].filter(name => !process.env[name]);
+  return { name: 'env', ok: missing.length === 0, ...(missing.length > 0 && { missing }) };
+}
+
+// One request for all columns; only when it fails, one per column to name every missing one
+async function checkTableColumns(supabase, table, columns) {
+  const { error } = await supabase.from(table).select(columns.join(',')).limit(1);
+  if (!error) return { name: `table:${table}`, ok: true };
+  if (error.code !== UNDEFINED_COLUMN) {
+    return { name: `table:${table}`, ok: false, error: error.message };
+  }
+
+  const results = await Promise.all(columns.map(async (column) => {
+    const { error: columnError } = await supabase.from(table).select(column).limit(1);
+    return columnError?.code === UNDEFINED_COLUMN ? column : null;
+  }));
+  const missingColumns = results.filter(Boolean);
+  return { name: `table:${table}`, ok: false, missingColumns, error: error.message };
+}
+
+async function checkBucket(supabase, bucket) {
+  const { error } = await supabase.storage.getBucket(bucket);
+  return { name: `bucket:${bucket}`, ok: !error, ...(error && { error: error.message }) };
+}
+
+// A one-token request per distinct provider / deployment / model; roles sharing one share the result
+async function checkModels(models) {
+  const checks = new Map();
+  for (const { role, model } of models) {
+    const provider = getLlmProvider(role);
+    const key = JSON.stringify([provider.name, provider.deployment, model]);
+    if (!checks.has(key)) checks.set(key, pingModel(provider, model));
+  }
+
+  return Promise.all(models.map(async ({ role, model }) => {
+    const provider = getLlmProvider(role);
+    const result = await checks.get(JSON.stringify([provider.name, provider.deployment, model]));
+    return {
+      name: `model:${role}`,
+      ok: result.ok,
+      provider: provider.name,
+      model,
+      ...(provider.deployment && { deployment: provider.deployment }),
+      ...result,
+    };
+  }));
+}
+
+async function pingModel(provider, model) {
+  if (provider.name === 'fixture') {
+    return { ok: true, skipped: 'fixture provider replays recorded responses' };
+  }
+  const startedAt = Date.now();
+  try {
+    await provider.complete(
+      { model, messages: [{ role: 'user', content: 'Reply with OK.' }], max_tokens: 1 },
+      { signal: AbortSignal.timeout(MODEL_CHECK_TIMEOUT_MS) }
+    );
+    return { ok: true, durationMs: Date.now() - startedAt };
+  } catch (error) {
+    return { ok: false, durationMs: Date.now() - startedAt, error: error.message };
+  }
+}
+
+// ==========================================
+// READINESS REPORT
+// ==========================================
+
+/**
+ * Create the readiness check of this instance
+ * @param {object} options
+ * @param {import('@supabase/supabase-js').SupabaseClient} options.supabase - Service-role Supabase client
+ * @param {Record<string, string>} options.models - Model per LLM role, e.g. { parsing: 'gpt-4.1', ... }
+ * @param {number} [options.modelCheckIntervalMs] - How long passing model check results are reused
+ * @param {number} [options.modelRetryIntervalMs] - How long failing model check results are reused
+ * @returns {{run: () => Promise<object>}} - run() resolves to { status: 'ready'|'not_ready', checkedAt,
+ *   durationMs, failed: [check names], checks: [{ name, ok, ...details }] }; it never throws
+ */
+export function createReadinessCheck({ supabase, models, modelCheckIntervalMs = 5 * 60 * 1000, modelRetryIntervalMs = 30 * 1000 }) {
+  const roleModels = LLM_ROLES.map(role => ({ role, model: models[role] }));
+  let modelChecks = null; // { promise, at, failed }
+
+  // Passing model checks are reused for modelCheckIntervalMs, failing ones for modelRetryIntervalMs
+  // after they finished; concurrent runs share the checks in progress
+  function getModelChecks() {
+    const maxAge = modelChecks?.failed ? modelRetryIntervalMs : modelCheckIntervalMs;
+    if (!modelChecks || Date.now() - modelChecks.at > maxAge) {
+      const entry = { promise: checkModels(roleModels), at: Date.now(), failed: false };
+      const markFailed = () => {
+        entry.failed = true;
+        entry.at = Date.now();
+      };
+      entry.promise.then((results) => {
+        if (results.some(check => !check.ok)) markFailed();
+      }, markFailed);
+      modelChecks = entry;
+    }
+    return modelChecks.promise;
+  }
+
+  async function run() {
+    const startedAt = Date.now();
+    const [tables, buckets, modelResults] = await Promise.all([
+      Promise.all(Object.entries(REQUIRED_COLUMNS).map(([table, columns]) => checkTableColumns(supabase, table, columns))),
+      Promise.all(REQUIRED_BUCKETS.map(bucket => checkBucket(supabase, bucket))),
+      getModelChecks(),
+    ].map(promise => promise.catch(error => [{ name: 'unexpected', ok: false, error: error.message }])));
+
+    const checks = [checkEnvironment(roleModels), ...tables, ...buckets, ...modelResults];
+    const failed = checks.filter(check => !check.ok).map(check => check.name);
+    return {
+      status: failed.length === 0 ? 'ready' : 'not_ready',
+      checkedAt: new Date(startedAt).toISOString(),
+      durationMs: Date.now() - startedAt,
+      failed,
+      checks,
+    };
+  }
+
+  return { run };
+}
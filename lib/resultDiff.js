@@ -0,0 +1,101 @@
+// Field-level diff between two extracted_data results (re-parse endpoint).
+// Entries of experience, education and skills are matched by identity (company + position,
+// university + degree, skill name) rather than by index, so reordering is not reported as a change.
+// Matched entries whose fields differ are reported as changed, with the differing fields.
+
+const normalize = (value) => String(value ?? '').trim().toLowerCase();
+
+const SECTIONS = {
+  experience: {
+    fields: ['professional_experience'],
+    identity: (entry) => `${normalize(entry.companyName)}|${normalize(entry.positionName)}`,
+  },
+  education: {
+    fields: ['education_history'],
+    identity: (entry) => `${normalize(entry.universityName)}|${normalize(entry.degreeType)}`,
+  },
+  skills: {
+    fields: ['technical_skills', 'soft_skills', 'industry_specific_skills'],
+    identity: (entry) => `${normalize(entry.industry)}|${normalize(entry.name)}`,
+  },
+};
+
+const isEqual = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Fields that differ between two matched entries
+function diffEntry(before, after) {
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  return [...keys]
+    .filter(key => !isEqual(before[key], after[key]))
+    .map(key => ({ field: key, before: before[key] ?? null, after: after[key] ?? null }));
+}
+
+// Diff one array field; entries with the same identity are paired in order of appearance
+function diffEntries(field, beforeEntries, afterEntries, identity) {
+  const result = { added: [], removed: [], changed: [], unchanged: 0 };
+  const unmatched = new Map();
+
+  for (const entry of beforeEntries) {
+    const key = identity(entry);
+    if (!unmatched.has(key)) unmatched.set(key, []);
+    unmatched.get(key).push(entry);
+  }
+
+  for (const entry of afterEntries) {
+    const previous = unmatched.get(identity(entry))?.shift();
+    if (!previous) {
+      result.added.push({ field, entry });
+      continue;
+    }
+    const changes = diffEntry(previous, entry);
+    if (changes.length > 0) {
+      result.changed.push({ field, entry, changes });
+    } else {
+      result.unchanged++;
+    }
+  }
+
+  for (const entries of unmatched.values()) {
+    result.removed.push(...entries.map(entry => ({ field, entry })));
+  }
+
+  return result;
+}
+
+/**
+ * Diff the experience, education and skills sections of two extracted_data objects
+ * @param {object|null} before - Previous extracted_data
+ * @param {object} after - New extracted_data
+ * @returns {{experience: object, education: object, skills: object}} - Per section:
+ *   { added: [{field, entry}], removed: [{field, entry}], changed: [{field, entry, changes: [{field, before, after}]}], unchanged }
+ */
+export function diffExtractedData(before, after) {
+  const diff = {};
+
+  for (const [section, { fields, identity }] of Object.entries(SECTIONS)) {
+    const sectionDiff = { added: [], removed: [], changed: [], unchanged: 0 };
+    for (const field of fields) {
+      const fieldDiff = diffEntries(
+        field,
+        Array.isArray(before?.[field]) ? before[field] : [],
+        Array.isArray(after?.[field]) ? after[field] : [],
+        identity
+      );
+      sectionDiff.added.push(...fieldDiff.added);
+      sectionDiff.removed.push(...fieldDiff.removed);
+      sectionDiff.changed.push(...fieldDiff.changed);
+      sectionDiff.unchanged += fieldDiff.unchanged;
+    }
+    diff[section] = sectionDiff;
+  }
+
+  return diff;
+}
+
+// Counts per section, e.g. { experience: { added: 1, removed: 0, changed: 2, unchanged: 3 }, ... }
+export function summarizeDiff(diff) {
+  return Object.fromEntries(Object.entries(diff).map(([section, { added, removed, changed, unchanged }]) => [
+    section,
+    { added: added.length, removed: removed.length, changed: changed.length, unchanged },
+  ]));
+}
@@ -0,0 +1,115 @@
+// Signed webhook delivery for parse job outcomes.
+// Each attempt is signed with HMAC-SHA256 over "<timestamp>.<body>" and sent in the
+// X-SetSelect-Signature header as "t=<unix seconds>,v1=<hex digest>", so receivers can
+// verify the sender and reject replays. Failed deliveries are retried with exponential backoff.
+
+import { createHmac, randomUUID, timingSafeEqual } from 'node:crypto';
+
+export const SIGNATURE_HEADER = 'X-SetSelect-Signature';
+const SIGNATURE_TOLERANCE_SECONDS = 300; // Receivers should reject older signatures
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Sign a webhook body
+ * @param {string} body - Raw JSON body
+ * @param {string} secret - Shared webhook secret
+ * @param {number} [timestamp] - Unix seconds (defaults to now)
+ * @returns {string} - Signature header value
+ */
+export function signWebhookBody(body, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  const digest = createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+}
+
+/**
+ * Verify a signature header against the raw body (for receivers and the local stand-in)
+ * @param {string} body - Raw request body
+ * @param {string|undefined} header - X-SetSelect-Signature header value
+ * @param {string} secret - Shared webhook secret
+ * @returns {boolean}
+ */
+export function verifyWebhookSignature(body, header, secret) {
+  const parts = Object.fromEntries((header || '').split(',').map(part => part.trim().split('=')));
+  const timestamp = Number(parts.t);
+  if (!timestamp || !parts.v1) return false;
+  if (Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) return false;
+
+  const expected = Buffer.from(signWebhookBody(body, secret, timestamp).split('v1=')[1], 'hex');
+  const received = Buffer.from(parts.v1, 'hex');
+  return expected.length === received.length && timingSafeEqual(expected, received);
+}
+
+// Network errors, timeouts, rate limits and server errors are worth retrying; other 4xx are not
+function isRetryableStatus(statusCode) {
+  return statusCode === null || statusCode === 408 || statusCode === 429 || statusCode >= 500;
+}
+
+/**
+ * POST a signed event to a webhook URL, retrying with exponential backoff
+ * @param {object} options
+ * @param {string} options.url - Receiver URL (http or https)
+ * @param {string} options.event - Event name, e.g. "parse.completed"
+ * @param {object} options.data - Event payload
+ * @param {string} options.secret - Shared webhook secret
+ * @param {number} [options.maxAttempts] - Attempts including the first
+ * @param {number} [options.retryBaseDelayMs] - Delay before the first retry (doubles per retry)
+ * @param {number} [options.timeoutMs] - Per-attempt timeout
+ * @param {(attempt: {deliveryId: string, attempt: number, statusCode: number|null, success: boolean, error: string|null, durationMs: number}) => Promise<void>|void} [options.onAttempt]
+ *   - Called after every attempt (delivery log)
+ * @returns {Promise<{deliveryId: string, delivered: boolean, attempts: number}>}
+ */
+export async function deliverWebhook({
+  url,
+  event,
+  data,
+  secret,
+  maxAttempts = 5,
+  retryBaseDelayMs = 2000,
+  timeoutMs = 10000,
+  onAttempt,
+}) {
+  const deliveryId = randomUUID();
+  // The body (and its delivery id) stays the same across retries so receivers can deduplicate
+  const body = JSON.stringify({ id: deliveryId, event, createdAt: new Date().toISOString(), data });
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const startTime = Date.now();
+    let statusCode = null;
+    let error = null;
+
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'setselect-parser-webhooks',
+          'X-SetSelect-Event': event,
+          'X-SetSelect-Delivery': deliveryId,
+          [SIGNATURE_HEADER]: signWebhookBody(body, secret),
+        },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      statusCode = response.status;
+      await response.body?.cancel(); // The response body is never used
+      if (!response.ok) error = `HTTP ${statusCode}`;
+    } catch (requestError) {
+      error = requestError.name === 'TimeoutError' ? `Timed out after ${timeoutMs}ms` : requestError.message;
+    }
+
+    const success = error === null;
+    await onAttempt?.({ deliveryId, attempt, statusCode, success, error, durationMs: Date.now() - startTime });
+    if (success) {
+      return { deliveryId, delivered: true, attempts: attempt };
+    }
+    if (!isRetryableStatus(statusCode) || attempt === maxAttempts) {
+      return { deliveryId, delivered: false, attempts: attempt };
+    }
+
+    await sleep(retryBaseDelayMs * 2 ** (attempt - 1));
+  }
+
+  return { deliveryId, delivered: false, attempts: 0 }; // maxAttempts < 1
+}
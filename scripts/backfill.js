@@ -0,0 +1,127 @@
+// Bulk re-parse (backfill) from the command line.
+// Selects profiles by filter and feeds them to the parser's job queue with a concurrency cap
+// and a rate limit; the deployed parser workers do the parsing. Progress is kept in the database,
+// so an interrupted run (Ctrl+C, lost connection) continues with --resume.
+//
+// Usage:
+//   node --env-file=.env scripts/backfill.js [filters] [--concurrency 4] [--rate 20] [--dry-run] [--report file.json]
+//   node --env-file=.env scripts/backfill.js --resume <backfillId> [--report file.json]
+//
+// Filters (combined with AND, at least one required):
+//   --created-before 2025-06-01   Latest parse job created before this date
+//   --missing-field position_short  Field missing from the latest result (top level or in entries)
+//   --status failed               Latest parse job failed (or completed)
+//
+//   --concurrency  Backfill jobs in flight at once (default BACKFILL_CONCURRENCY or 4)
+//   --rate         Jobs enqueued per minute (default BACKFILL_RATE_PER_MINUTE or 20)
+//   --dry-run      List matching profiles without enqueueing anything
+//   --report       Where to write the final report (default backfill-<id>.json)
+//
+// Requires SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY.
+
+import { writeFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { createClient } from '@supabase/supabase-js';
+import {
+  parseBackfillFilters,
+  findBackfillCandidates,
+  createBackfill,
+  getBackfillProgress,
+  runBackfill,
+} from '../lib/backfill.js';
+
+const { values } = parseArgs({
+  options: {
+    'created-before': { type: 'string' },
+    'missing-field': { type: 'string' },
+    status: { type: 'string' },
+    concurrency: { type: 'string', default: process.env.BACKFILL_CONCURRENCY || '4' },
+    rate: { type: 'string', default: process.env.BACKFILL_RATE_PER_MINUTE || '20' },
+    'dry-run': { type: 'boolean', default: false },
+    resume: { type: 'string' },
+    report: { type: 'string' },
+  },
+});
+
+function fail(message) {
+  console.error(message);
+  process.exit(1);
+}
+
+if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY) {
+  fail('SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are required');
+}
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+
+let backfillId = values.resume;
+
+if (!backfillId) {
+  let filters;
+  try {
+    filters = parseBackfillFilters({
+      createdBefore: values['created-before'],
+      missingField: values['missing-field'],
+      status: values.status,
+    });
+  } catch (error) {
+    fail(error.message);
+  }
+  const concurrency = parseInt(values.concurrency);
+  const ratePerMinute = parseInt(values.rate);
+  if (!(concurrency > 0) || !(ratePerMinute > 0)) {
+    fail('--concurrency and --rate must be positive integers');
+  }
+
+  if (values['dry-run']) {
+    const candidates = await findBackfillCandidates(supabase, filters);
+    for (const job of candidates) {
+      console.log(`${job.profile_id}  job ${job.id}  ${job.status}  ${job.created_at}`);
+    }
+    console.log(`${candidates.length} profile(s) match ${JSON.stringify(filters)}`);
+    process.exit(0);
+  }
+
+  const backfill = await createBackfill(supabase, { filters, concurrency, ratePerMinute });
+  backfillId = backfill.id;
+  console.log(`Backfill ${backfillId}: ${backfill.total} profile(s), concurrency ${concurrency}, ${ratePerMinute}/min`);
+} else {
+  console.log(`Resuming backfill ${backfillId}`);
+}
+
+// Ctrl+C stops enqueueing; jobs already enqueued still run in the parser
+const abort = new AbortController();
+process.on('SIGINT', () => {
+  console.log(`\nStopping — resume with: node scripts/backfill.js --resume ${backfillId}`);
+  abort.abort();
+});
+
+const startTime = Date.now();
+let report;
+try {
+  report = await runBackfill(supabase, backfillId, {
+    maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS) || 3,
+    signal: abort.signal,
+    onProgress: (progress) => {
+      const done = progress.completed + progress.failed;
+      const percent = progress.total ? Math.floor((done / progress.total) * 100) : 100;
+      const minutes = ((Date.now() - startTime) / 60000).toFixed(1);
+      console.log(`[${minutes} min] ${done}/${progress.total} (${percent}%) — ${progress.completed} ok, ${progress.failed} failed, ${progress.enqueued} in flight, ${progress.pending} waiting`);
+    },
+  });
+} catch (error) {
+  fail(`Backfill ${backfillId}: ${error.message}`);
+}
+
+if (!report) {
+  process.exit(130); // Interrupted — progress is saved
+}
+
+const reportPath = values.report || `backfill-${backfillId}.json`;
+const progress = await getBackfillProgress(supabase, backfillId);
+writeFileSync(reportPath, JSON.stringify({ backfillId, filters: progress?.filters, ...report }, null, 2));
+
+console.log(`\nBackfill ${backfillId} finished: ${report.succeeded} succeeded, ${report.failed} failed of ${report.total}`);
+for (const failure of report.failures) {
+  console.log(`  ${failure.profileId}  ${failure.errorCode || '-'}  ${failure.errorMessage || ''}`);
+}
+console.log(`Report written to ${reportPath}`);
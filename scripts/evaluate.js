@@ -0,0 +1,197 @@
+// Field-level accuracy evaluation against a labeled set of CVs.
+// Runs the parser configuration (models, prompts, pipeline switches) on every labeled CV and
+// reports precision and recall per field — names, contact details, each experience attribute,
+// degree type, skills by category, languages and functional expertise (see lib/evaluation.js).
+// Reports carry the prompt version, models and providers, so runs can be compared, e.g. before
+// switching the parsing model.
+//
+// Usage:
+//   node scripts/evaluate.js [--set dir] [--output report.json] [--compare baseline.json]
+//   node --env-file=.env scripts/evaluate.js --live [--model gpt-4.1-mini] [...]
+//   npm run evaluate -- [options]        npm run evaluate:live -- [options]
+//
+//   --set       Labeled set: one directory per CV with cv.<ext> and labels.json, the hand-corrected
+//               extracted_data (default tests/golden/cases)
+//   --live      Call the configured LLM providers; without it, recorded responses are replayed
+//               from --fixtures (default tests/golden/fixtures) and nothing leaves the machine
+//   --model     Parsing model for this run (first pass, schema repair, second pass)
+//   --output    Write the report as JSON
+//   --compare   Earlier JSON report; adds precision and recall deltas per field
+//   --verbose   Show pipeline logs
+//
+// Record responses for later replays by adding LLM_RECORD_FIXTURES=true and LLM_FIXTURES_DIR to
+// a live run.
+
+import { readdir, readFile, writeFile } from 'node:fs/promises';
+import { join, resolve } from 'node:path';
+import { parseArgs } from 'node:util';
+
+const { values } = parseArgs({
+  options: {
+    set: { type: 'string', default: 'tests/golden/cases' },
+    live: { type: 'boolean', default: false },
+    fixtures: { type: 'string', default: 'tests/golden/fixtures' },
+    model: { type: 'string' },
+    output: { type: 'string' },
+    compare: { type: 'string' },
+    verbose: { type: 'boolean', default: false },
+  },
+});
+
+function fail(message, code = 1) {
+  process.stderr.write(`${message}\n`);
+  process.exit(code);
+}
+
+if (!values.live) {
+  process.env.LLM_PROVIDER = 'fixture';
+  for (const role of ['PARSING', 'VISION', 'SUMMARY']) delete process.env[`LLM_PROVIDER_${role}`];
+  process.env.LLM_FIXTURES_DIR = resolve(values.fixtures);
+}
+
+process.env.LOG_FORMAT ??= 'pretty'; // Readable --verbose pipeline logs
+if (!values.verbose) {
+  console.log = () => {};
+  console.warn = () => {};
+  console.error = () => {};
+}
+const print = (line = '') => process.stdout.write(`${line}\n`);
+
+let baseline = null;
+if (values.compare) {
+  try {
+    baseline = JSON.parse(await readFile(values.compare, 'utf8'));
+  } catch (error) {
+    fail(`Cannot read ${values.compare}: ${error.message}`);
+  }
+}
+
+// Imported dynamically: the LLM providers are created on load from the environment set above
+let cvParser;
+let llmProviders;
+try {
+  cvParser = await import('../lib/cvParser.js');
+  llmProviders = await import('../lib/llmProviders.js');
+} catch (error) {
+  fail(error.message);
+}
+const { scoreExtraction, summarizeScores } = await import('../lib/evaluation.js');
+const { identifyFileType, prepareBufferForParsing, parseCV, getPromptVersion, AUTO_EXTRACTION_PROFILE } = cvParser;
+
+// ==========================================
+// RUN THE LABELED SET
+// ==========================================
+
+async function loadLabeledCvs(setDir) {
+  const entries = await readdir(setDir, { withFileTypes: true });
+  const cvs = [];
+  for (const entry of entries.filter(e => e.isDirectory()).sort((a, b) => a.name.localeCompare(b.name))) {
+    const dir = join(setDir, entry.name);
+    const files = await readdir(dir);
+    const cvFile = files.find(file => file.startsWith('cv.'));
+    if (!cvFile || !files.includes('labels.json')) continue;
+    cvs.push({
+      name: entry.name,
+      cvFile,
+      buffer: await readFile(join(dir, cvFile)),
+      labels: JSON.parse(await readFile(join(dir, 'labels.json'), 'utf8')),
+    });
+  }
+  return cvs;
+}
+
+let labeledCvs;
+try {
+  labeledCvs = await loadLabeledCvs(values.set);
+} catch (error) {
+  fail(`Cannot read labeled set ${values.set}: ${error.message}`);
+}
+if (labeledCvs.length === 0) {
+  fail(`No labeled CVs in ${values.set} (expected <name>/cv.<ext> and <name>/labels.json)`);
+}
+
+const models = {
+  parsing: values.model || cvParser.OPENAI_MODEL_PARSING,
+  vision: cvParser.OPENAI_MODEL_VISION,
+  summary: cvParser.OPENAI_MODEL_SUMMARY,
+};
+const providers = llmProviders.describeLlmProviders();
+
+print(`Evaluating ${labeledCvs.length} labeled CV(s) from ${values.set}`);
+print(`Prompt version ${getPromptVersion()}, parsing model ${models.parsing} (${providers.parsing}), ${values.live ? 'live' : 'recorded responses'}`);
+print();
+
+const cases = [];
+const failures = [];
+for (const { name, cvFile, buffer, labels } of labeledCvs) {
+  try {
+    const fileType = await identifyFileType(buffer, cvFile);
+    const input = await prepareBufferForParsing(buffer, fileType.detected);
+    const { extractedData } = await parseCV(input, `eval-${name}`, { extractionProfile: AUTO_EXTRACTION_PROFILE, ...(values.model && { model: values.model }) });
+    cases.push({ name, scores: scoreExtraction(labels, extractedData) });
+  } catch (error) {
+    failures.push({ name, errorCode: error.code || null, errorMessage: error.message });
+    print(`✗ ${name} — ${error.code ? `${error.code}: ` : ''}${error.message}`);
+  }
+}
+if (failures.length > 0) print();
+
+const fields = summarizeScores(cases.map(({ scores }) => scores));
+
+// ==========================================
+// REPORT
+// ==========================================
+
+const percent = (value) => (value === null || value === undefined ? '—' : `${(value * 100).toFixed(1)}%`);
+const delta = (value, previous) => {
+  if (value === null || previous === null || previous === undefined) return '';
+  const points = (value - previous) * 100;
+  return `${points >= 0 ? '+' : ''}${points.toFixed(1)}`;
+};
+
+const fieldWidth = Math.max(5, ...Object.keys(fields).map(field => field.length));
+const header = ['Field'.padEnd(fieldWidth), 'Precision'.padStart(9), 'Recall'.padStart(7), 'F1'.padStart(7), 'TP'.padStart(4), 'FP'.padStart(4), 'FN'.padStart(4)];
+if (baseline) header.push('ΔP'.padStart(6), 'ΔR'.padStart(6));
+print(header.join('  '));
+
+for (const [field, { tp, fp, fn, precision, recall, f1 }] of Object.entries(fields)) {
+  const row = [
+    field.padEnd(fieldWidth),
+    percent(precision).padStart(9),
+    percent(recall).padStart(7),
+    percent(f1).padStart(7),
+    String(tp).padStart(4),
+    String(fp).padStart(4),
+    String(fn).padStart(4),
+  ];
+  if (baseline) {
+    const previous = baseline.fields?.[field];
+    row.push(delta(precision, previous?.precision).padStart(6), delta(recall, previous?.recall).padStart(6));
+  }
+  print(row.join('  '));
+}
+
+print();
+print(`${cases.length}/${labeledCvs.length} CV(s) evaluated`);
+if (baseline) {
+  print(`Compared with ${values.compare}: prompt version ${baseline.promptVersion}, parsing model ${baseline.models?.parsing} (${baseline.providers?.parsing}), ${baseline.generatedAt}`);
+}
+
+if (values.output) {
+  const report = {
+    generatedAt: new Date().toISOString(),
+    mode: values.live ? 'live' : 'recorded',
+    promptVersion: getPromptVersion(),
+    models,
+    providers,
+    set: values.set,
+    evaluated: cases.length,
+    failures,
+    fields,
+    cases,
+  };
+  await writeFile(values.output, `${JSON.stringify(report, null, 2)}\n`);
+  print(`Report written to ${values.output}`);
+}
+
+if (cases.length === 0) process.exit(1);
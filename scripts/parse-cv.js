@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+// Parse a local CV file with the production pipeline — no Express, no Supabase, no storage buckets.
+// Useful for debugging how an individual CV is parsed. Only the configured LLM providers are called —
+// none at all with LLM_PROVIDER=fixture, which replays recorded responses from LLM_FIXTURES_DIR.
+//
+// Usage:
+//   node --env-file=.env scripts/parse-cv.js <file> [--profile <profile>] [--report] [--summaries] [--picture <path>] [--quiet]
+//   npm run parse-cv -- <file> [options]
+//
+//   --profile    Extraction profile: auto (default — from the classified CV type, like queued jobs),
+//                standard, academic (publications, grants, teaching, ...), career_starter (GPAs,
+//                internships, academic projects, leadership, ...) or executive (board positions)
+//   --report     Print { fileType, ocr, cvType, cvLanguage, extractionProfile, extractedData, fieldConfidence,
+//                corrections, inferences } instead of the extracted data alone
+//   --summaries  Also generate the profile bio and short summary
+//   --picture    Write the detected profile picture (JPEG) to this path
+//   --quiet      Hide pipeline logs (they go to stderr, so stdout is always just the JSON)
+//
+// Uses the service's environment variables (LLM_PROVIDER, OPENAI_API_KEY, OPENAI_MODEL_*, ENABLE_TWO_PASS, ...).
+// Logs are human-readable unless LOG_FORMAT=json is set; LOG_LEVEL=debug shows more detail.
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { basename } from 'node:path';
+import { parseArgs } from 'node:util';
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    profile: { type: 'string', default: 'auto' },
+    report: { type: 'boolean', default: false },
+    summaries: { type: 'boolean', default: false },
+    picture: { type: 'string' },
+    quiet: { type: 'boolean', default: false },
+  },
+});
+
+function fail(message, code = 1) {
+  process.stderr.write(`${message}\n`);
+  process.exit(code);
+}
+
+const [filePath] = positionals;
+if (!filePath || positionals.length > 1) {
+  fail('Usage: parse-cv <file> [--profile auto|standard|academic|career_starter|executive] [--report] [--summaries] [--picture <path>] [--quiet]', 2);
+}
+
+// Keep stdout for the JSON result — pipeline logs go to stderr (or nowhere with --quiet)
+process.env.LOG_FORMAT ??= 'pretty';
+const log = values.quiet ? () => {} : console.error;
+console.log = log;
+console.warn = log;
+if (values.quiet) console.error = () => {};
+
+// Imported dynamically: the LLM providers are created on load and fail on missing configuration
+let cvParser;
+try {
+  cvParser = await import('../lib/cvParser.js');
+} catch (error) {
+  fail(error.message);
+}
+const { identifyFileType, prepareBufferForParsing, findProfilePicture, parseCV, addGeneratedSummaries, EXTRACTION_PROFILE_OPTIONS } = cvParser;
+if (!EXTRACTION_PROFILE_OPTIONS.includes(values.profile)) {
+  fail(`Unknown --profile ${values.profile} (expected ${EXTRACTION_PROFILE_OPTIONS.join(', ')})`, 2);
+}
+const { logger, runWithLogContext } = await import('../lib/logger.js');
+
+let buffer;
+try {
+  buffer = await readFile(filePath);
+} catch (error) {
+  fail(`Cannot read ${filePath}: ${error.message}`);
+}
+
+const runId = `cli-${basename(filePath)}`;
+
+// One log context for the run, so the personal data of the result is redacted from the logs
+await runWithLogContext({ jobId: runId }, async () => {
+  try {
+    const fileType = await identifyFileType(buffer, filePath);
+    const [cvInput, picture] = await Promise.all([
+      prepareBufferForParsing(buffer, fileType.detected),
+      values.picture ? findProfilePicture(buffer, fileType.detected) : null,
+    ]);
+
+    const { extractedData, fieldConfidence, corrections, inferences, cvType, cvLanguage, extractionProfile } = await parseCV(cvInput, runId, { extractionProfile: values.profile });
+    if (values.summaries) {
+      await addGeneratedSummaries(extractedData, runId);
+    }
+
+    if (values.picture) {
+      if (picture) {
+        await writeFile(values.picture, picture.buffer);
+        logger.info(`Profile picture (confidence ${picture.confidence}%) written to ${values.picture}`);
+      } else {
+        logger.info('No profile picture found');
+      }
+    }
+
+    const output = values.report
+      ? { fileType, ocr: cvInput.ocr || null, cvType, cvLanguage, extractionProfile, extractedData, fieldConfidence, corrections, inferences }
+      : extractedData;
+    process.stdout.write(`${JSON.stringify(output, null, 2)}\n`);
+  } catch (error) {
+    process.stderr.write(`${error.code ? `${error.code}: ` : ''}${error.message}\n`);
+    if (error.validationIssues) {
+      process.stderr.write(`${JSON.stringify(error.validationIssues, null, 2)}\n`);
+    }
+    process.exit(1);
+  }
+});
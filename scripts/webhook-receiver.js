@@ -0,0 +1,61 @@
+// Local webhook receiver for testing job callbacks.
+// Verifies the X-SetSelect-Signature header with WEBHOOK_SECRET and prints each delivery.
+//
+// Usage:
+//   WEBHOOK_SECRET=dev-secret node scripts/webhook-receiver.js [--port 4500] [--fail 2]
+//
+//   --port  Port to listen on (default 4500; 0 picks a free one, printed on startup)
+//   --fail  Answer the first N deliveries with 500 to exercise retries (default 0)
+//
+// Then enqueue a job with "callbackUrl": "http://localhost:4500/webhook" (or set WEBHOOK_URL).
+
+import http from 'node:http';
+import { parseArgs } from 'node:util';
+import { verifyWebhookSignature, SIGNATURE_HEADER } from '../lib/webhooks.js';
+
+const { values } = parseArgs({
+  options: {
+    port: { type: 'string', default: '4500' },
+    fail: { type: 'string', default: '0' },
+  },
+});
+
+const secret = process.env.WEBHOOK_SECRET;
+if (!secret) {
+  console.error('WEBHOOK_SECRET is required to verify signatures');
+  process.exit(1);
+}
+
+let failuresLeft = parseInt(values.fail) || 0;
+
+const server = http.createServer((req, res) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => {
+    const body = Buffer.concat(chunks).toString('utf8');
+    const signature = req.headers[SIGNATURE_HEADER.toLowerCase()];
+    const validSignature = verifyWebhookSignature(body, signature, secret);
+
+    console.log(`\n${new Date().toISOString()} ${req.method} ${req.url}`);
+    console.log(`  event:     ${req.headers['x-setselect-event']}`);
+    console.log(`  delivery:  ${req.headers['x-setselect-delivery']}`);
+    console.log(`  signature: ${validSignature ? 'valid' : 'INVALID'} (${signature || 'missing'})`);
+    console.log(`  body:      ${body}`);
+
+    if (!validSignature) {
+      res.writeHead(401).end();
+      return;
+    }
+    if (failuresLeft > 0) {
+      failuresLeft--;
+      console.log(`  -> responding 500 (${failuresLeft} forced failure(s) left)`);
+      res.writeHead(500).end();
+      return;
+    }
+    res.writeHead(204).end();
+  });
+});
+
+server.listen(parseInt(values.port), () => {
+  console.log(`Webhook receiver listening on http://localhost:${server.address().port}`);
+});
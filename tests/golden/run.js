@@ -0,0 +1,220 @@
+// Golden-file regression suite for the parsing pipeline.
+// Each case in tests/golden/cases/<name>/ holds an anonymized CV (cv.<ext>) and the expected
+// post-validation, post-inference result (expected.json: extractedData and fieldConfidence).
+// labels.json, the hand-corrected profile, is used by the accuracy evaluation (scripts/evaluate.js).
+// Model responses are replayed from tests/golden/fixtures/ (fixture LLM provider, keyed by prompt
+// hash), so the suite runs offline and deterministically; any drift is reported field by field.
+// Fixtures marked "synthetic": true are hand-written responses, not recordings — they test the
+// pipeline's handling of a response, not the model's answer to the prompt. Cases replaying them are
+// marked in the output; --require-recorded fails them.
+//
+// Usage:
+//   npm test [-- <case> ...]                 Compare against expected.json
+//   npm test -- --update [<case> ...]        Rewrite expected.json from the current output
+//   npm run test:record [-- <case> ...]      Re-record fixtures with the live provider (.env), then compare
+//   --require-recorded                       Fail cases that replay synthetic responses
+//   --verbose                                Show pipeline logs
+//
+// A prompt change (getParsingInstructions, focused or repair prompts) changes the prompt hash, so
+// affected cases fail with LLM_FIXTURE_NOT_FOUND until they are re-recorded. A change to
+// validation or inference (fuzzyMatchToOptions, date handling, ...) replays the same responses
+// and shows up as field differences.
+
+import { readdir, readFile, writeFile } from 'node:fs/promises';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+
+const GOLDEN_DIR = dirname(fileURLToPath(import.meta.url));
+const CASES_DIR = join(GOLDEN_DIR, 'cases');
+const FIXTURES_DIR = join(GOLDEN_DIR, 'fixtures');
+
+// "Today" for the pipeline — current positions count up to this date in years_of_experience
+const GOLDEN_NOW = '2026-01-15T00:00:00.000Z';
+
+// Pipeline settings that change results; the suite always runs with the defaults
+const PIPELINE_ENV = [
+  'ENABLE_TWO_PASS',
+  'ENABLE_INFERENCE',
+  'ENABLE_OCR',
+  'CONFIDENCE_THRESHOLD',
+  'MAX_SCHEMA_REPAIR_ATTEMPTS',
+  'OCR_LANGUAGES',
+  'OCR_MAX_PAGES',
+  'OPENAI_MODEL_PARSING',
+  'OPENAI_MODEL_VISION',
+  'OPENAI_MODEL_SUMMARY',
+];
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    update: { type: 'boolean', default: false },
+    record: { type: 'boolean', default: false },
+    'require-recorded': { type: 'boolean', default: false },
+    verbose: { type: 'boolean', default: false },
+  },
+});
+
+for (const name of PIPELINE_ENV) delete process.env[name];
+process.env.LLM_FIXTURES_DIR = FIXTURES_DIR;
+if (values.record) {
+  process.env.LLM_RECORD_FIXTURES = 'true';
+} else {
+  process.env.LLM_PROVIDER = 'fixture';
+  for (const role of ['PARSING', 'VISION', 'SUMMARY']) delete process.env[`LLM_PROVIDER_${role}`];
+  delete process.env.LLM_RECORD_FIXTURES;
+}
+
+// Pin new Date() without arguments; dates parsed from the CV are unaffected
+const RealDate = Date;
+globalThis.Date = class extends RealDate {
+  constructor(...args) {
+    super(...(args.length > 0 ? args : [GOLDEN_NOW]));
+  }
+};
+
+// Pipeline logs only with --verbose, one readable line each
+process.env.LOG_FORMAT ??= 'pretty';
+if (!values.verbose) {
+  console.log = () => {};
+  console.warn = () => {};
+  console.error = () => {};
+}
+const print = (line = '') => process.stdout.write(`${line}\n`);
+
+const { identifyFileType, prepareBufferForParsing, parseCV, AUTO_EXTRACTION_PROFILE } = await import('../../lib/cvParser.js');
+
+// ==========================================
+// DIFF
+// ==========================================
+
+// Flatten to { 'education_history[0].degreeType': 'MSc', ... }; empty arrays and objects are kept as leaves
+function flatten(value, path = '', out = {}) {
+  if (Array.isArray(value) && value.length > 0) {
+    value.forEach((item, index) => flatten(item, `${path}[${index}]`, out));
+  } else if (value && typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length > 0) {
+    for (const [key, item] of Object.entries(value)) {
+      flatten(item, path ? `${path}.${key}` : key, out);
+    }
+  } else {
+    out[path] = value;
+  }
+  return out;
+}
+
+const formatValue = (value) => (value === undefined ? '(missing)' : JSON.stringify(value));
+
+/**
+ * Per-field differences between the expected and actual result
+ * @returns {Array<{path: string, expected: *, actual: *}>}
+ */
+function diffResults(expected, actual) {
+  const expectedFields = flatten(expected);
+  const actualFields = flatten(actual);
+  const paths = new Set([...Object.keys(expectedFields), ...Object.keys(actualFields)]);
+  return [...paths]
+    .filter(path => JSON.stringify(expectedFields[path]) !== JSON.stringify(actualFields[path]))
+    .map(path => ({ path, expected: expectedFields[path], actual: actualFields[path] }));
+}
+
+// ==========================================
+// RUN
+// ==========================================
+
+async function loadCase(name) {
+  const dir = join(CASES_DIR, name);
+  const cvFile = (await readdir(dir)).find(file => file.startsWith('cv.'));
+  if (!cvFile) {
+    throw new Error(`No cv.<ext> file in ${dir}`);
+  }
+  let expected = null;
+  try {
+    expected = JSON.parse(await readFile(join(dir, 'expected.json'), 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+  return { name, dir, cvFile, buffer: await readFile(join(dir, cvFile)), expected };
+}
+
+// Parse a case; synthetic: how many of the model responses were hand-written fixtures
+async function runCase({ name, cvFile, buffer }) {
+  const fileType = await identifyFileType(buffer, cvFile);
+  const input = await prepareBufferForParsing(buffer, fileType.detected);
+  let synthetic = 0;
+  const { extractedData, fieldConfidence } = await parseCV(input, `golden-${name}`, {
+    extractionProfile: AUTO_EXTRACTION_PROFILE, // As the API does
+    onLlmCall: (call) => { if (call.synthetic) synthetic++; },
+  });
+  return { actual: { extractedData, fieldConfidence }, synthetic };
+}
+
+const allCases = (await readdir(CASES_DIR, { withFileTypes: true }))
+  .filter(entry => entry.isDirectory())
+  .map(entry => entry.name)
+  .sort();
+const unknown = positionals.filter(name => !allCases.includes(name));
+if (unknown.length > 0) {
+  print(`Unknown case(s): ${unknown.join(', ')} (available: ${allCases.join(', ')})`);
+  process.exit(2);
+}
+const caseNames = positionals.length > 0 ? positionals : allCases;
+
+let failed = 0;
+let replayingSynthetic = 0;
+let unrecorded = 0; // Failed by --require-recorded only
+for (const name of caseNames) {
+  const goldenCase = await loadCase(name);
+  let actual;
+  let synthetic;
+  try {
+    ({ actual, synthetic } = await runCase(goldenCase));
+  } catch (error) {
+    failed++;
+    print(`✗ ${name} — ${error.code ? `${error.code}: ` : ''}${error.message}`);
+    continue;
+  }
+
+  if (values.update || (values.record && !goldenCase.expected)) {
+    await writeFile(join(goldenCase.dir, 'expected.json'), `${JSON.stringify(actual, null, 2)}\n`);
+    print(`↻ ${name} — expected.json ${goldenCase.expected ? 'updated' : 'created'}`);
+    continue;
+  }
+
+  // A missing expected.json must not pass silently (e.g. deleted by accident)
+  if (!goldenCase.expected) {
+    failed++;
+    print(`✗ ${name} — no expected.json (create it with --update after reviewing the output)`);
+    continue;
+  }
+
+  const syntheticNote = synthetic > 0 ? ` (${synthetic} synthetic response(s))` : '';
+  if (synthetic > 0) replayingSynthetic++;
+  if (synthetic > 0 && values['require-recorded']) {
+    failed++;
+    unrecorded++;
+    print(`✗ ${name} — replays ${synthetic} synthetic response(s) (record them with npm run test:record -- ${name})`);
+    continue;
+  }
+
+  const differences = diffResults(goldenCase.expected, actual);
+  if (differences.length === 0) {
+    print(`✓ ${name}${syntheticNote}`);
+    continue;
+  }
+  failed++;
+  print(`✗ ${name} — ${differences.length} field(s) differ${syntheticNote}`);
+  for (const { path, expected, actual: value } of differences) {
+    print(`    ${path}: ${formatValue(expected)} → ${formatValue(value)}`);
+  }
+}
+
+print();
+print(`${caseNames.length - failed}/${caseNames.length} golden case(s) passed`);
+if (replayingSynthetic > 0) {
+  print(`${replayingSynthetic} case(s) replay hand-written responses, not recordings of the current prompt`);
+}
+if (failed > 0) {
+  if (failed > unrecorded) print('Intended change? Review the differences and run with --update.');
+  process.exit(1);
+}
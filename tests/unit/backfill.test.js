@@ -0,0 +1,138 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseBackfillFilters, findBackfillCandidates, createBackfill, runBackfill } from '../../lib/backfill.js';
+import { createFakeSupabase } from './fakeSupabase.js';
+
+const job = (id, profileId, createdAt, fields = {}) => ({
+  id, profile_id: profileId, status: 'completed', storage_path: `${profileId}/cv.pdf`,
+  created_at: createdAt, extracted_data: { full_name: 'Jane Doe' }, ...fields,
+});
+
+test('parseBackfillFilters normalizes valid filters', () => {
+  assert.deepEqual(parseBackfillFilters({ createdBefore: '2025-06-01', missingField: 'position_short', status: 'failed' }), {
+    createdBefore: '2025-06-01T00:00:00.000Z',
+    missingField: 'position_short',
+    status: 'failed',
+  });
+});
+
+test('parseBackfillFilters rejects invalid filters and an empty filter set', () => {
+  assert.throws(() => parseBackfillFilters({ createdBefore: 'last week' }), /createdBefore must be an ISO date/);
+  assert.throws(() => parseBackfillFilters({ createdBefore: 20250601 }), /createdBefore must be an ISO date/);
+  assert.throws(() => parseBackfillFilters({ missingField: 'position short' }), /missingField must be a field name/);
+  assert.throws(() => parseBackfillFilters({ status: 'pending' }), /status must be one of: completed, failed/);
+  assert.throws(() => parseBackfillFilters({}), /At least one filter is required/);
+  assert.throws(() => parseBackfillFilters(), /At least one filter is required/);
+});
+
+test('findBackfillCandidates picks the latest job per profile and applies the filters', async () => {
+  const supabase = createFakeSupabase({
+    cv_parsing_jobs: [
+      job('old-a', 'a', '2025-01-01T00:00:00Z', { status: 'failed' }),
+      job('new-a', 'a', '2025-03-01T00:00:00Z'),
+      job('b', 'b', '2025-02-01T00:00:00Z', { status: 'failed', extracted_data: null }),
+      job('c', 'c', '2025-02-01T00:00:00Z', { status: 'processing' }), // Already being parsed
+      job('d', 'd', '2025-02-01T00:00:00Z', { storage_path: null }), // Nothing to re-parse
+      job('e', 'e', '2025-08-01T00:00:00Z'),
+    ],
+  });
+  const ids = async filters => (await findBackfillCandidates(supabase, parseBackfillFilters(filters))).map(({ id }) => id).sort();
+
+  assert.deepEqual(await ids({ createdBefore: '2025-06-01' }), ['b', 'new-a']);
+  assert.deepEqual(await ids({ status: 'failed' }), ['b']); // old-a is not the latest job of a
+  assert.deepEqual(await ids({ createdBefore: '2025-06-01', status: 'completed' }), ['new-a']);
+});
+
+test('findBackfillCandidates with missingField looks at top-level fields and entries of object arrays', async () => {
+  const supabase = createFakeSupabase({
+    cv_parsing_jobs: [
+      job('top-level', 'a', '2025-01-01T00:00:00Z', { extracted_data: { position_short: 'CCO' } }),
+      job('in-entry', 'b', '2025-01-01T00:00:00Z', {
+        extracted_data: { professional_experience: [{ company: 'Axpo' }, { company: 'UBS', position_short: 'Analyst' }] },
+      }),
+      job('missing', 'c', '2025-01-01T00:00:00Z', { extracted_data: { professional_experience: [{ company: 'Axpo' }] } }),
+      job('failed', 'd', '2025-01-01T00:00:00Z', { status: 'failed', extracted_data: null }),
+    ],
+  });
+  const candidates = await findBackfillCandidates(supabase, parseBackfillFilters({ missingField: 'position_short' }));
+  assert.deepEqual(candidates.map(({ id }) => id).sort(), ['failed', 'missing']);
+  assert.ok(candidates.every(candidate => !('extracted_data' in candidate)));
+});
+
+test('runBackfill reuses a job left by an interrupted enqueue and reports when all jobs finished', async () => {
+  const supabase = createFakeSupabase({
+    cv_parsing_jobs: [
+      job('a', 'a', '2025-01-01T00:00:00Z'),
+      job('b', 'b', '2025-01-01T00:00:00Z'),
+      job('c', 'c', '2025-01-01T00:00:00Z'),
+    ],
+  });
+  const { id: backfillId, total } = await createBackfill(supabase, {
+    filters: parseBackfillFilters({ createdBefore: '2025-06-01' }),
+    concurrency: 2,
+    ratePerMinute: 60,
+  });
+  assert.equal(total, 3);
+
+  // Inserted for profile a, but the runner stopped before the item was marked enqueued
+  supabase.db.cv_parsing_jobs.push({
+    id: 'left-over', profile_id: 'a', status: 'pending', storage_path: 'a/cv.pdf', backfill_id: backfillId,
+  });
+
+  const maxInFlight = [];
+  const report = await runBackfill(supabase, backfillId, {
+    pollIntervalMs: 1,
+    onProgress: (progress) => {
+      maxInFlight.push(progress.enqueued);
+      // The queue finishes every enqueued job before the next check; b's fails
+      for (const row of supabase.db.cv_parsing_jobs.filter(row => row.backfill_id === backfillId)) {
+        Object.assign(row, row.profile_id === 'b'
+          ? { status: 'failed', error_code: 'PARSE_FAILED', error_message: 'Broken' }
+          : { status: 'completed' });
+      }
+    },
+  });
+
+  const backfillJobs = supabase.db.cv_parsing_jobs.filter(row => row.backfill_id === backfillId);
+  assert.deepEqual(backfillJobs.map(row => row.profile_id).sort(), ['a', 'b', 'c']);
+  assert.equal(supabase.db.cv_parsing_backfill_items.find(item => item.profile_id === 'a').job_id, 'left-over');
+  assert.ok(Math.max(...maxInFlight) <= 2);
+
+  assert.equal(report.total, 3);
+  assert.equal(report.succeeded, 2);
+  assert.deepEqual(report.failures.map(({ profileId, errorCode }) => [profileId, errorCode]), [['b', 'PARSE_FAILED']]);
+  const backfill = supabase.db.cv_parsing_backfills[0];
+  assert.equal(backfill.status, 'completed');
+  assert.equal(backfill.locked_by, null);
+});
+
+test('runBackfill refuses a run another runner holds the lease of', async () => {
+  const supabase = createFakeSupabase({
+    cv_parsing_backfills: [{
+      id: 'backfill-1', status: 'running', concurrency: 1, rate_per_minute: 10, total: 1,
+      locked_by: 'other-runner', locked_until: new Date(Date.now() + 60 * 1000).toISOString(),
+    }],
+  });
+  await assert.rejects(runBackfill(supabase, 'backfill-1'), { code: 'BACKFILL_LOCKED' });
+  await assert.rejects(runBackfill(supabase, 'missing'), { code: 'BACKFILL_NOT_FOUND' });
+});
+
+test('runBackfill stops on abort and releases its lease so the run can be resumed', async () => {
+  const supabase = createFakeSupabase({ cv_parsing_jobs: [job('a', 'a', '2025-01-01T00:00:00Z')] });
+  const { id: backfillId } = await createBackfill(supabase, {
+    filters: parseBackfillFilters({ status: 'completed' }),
+    concurrency: 1,
+    ratePerMinute: 10,
+  });
+
+  const controller = new AbortController();
+  const report = await runBackfill(supabase, backfillId, {
+    pollIntervalMs: 60 * 1000,
+    signal: controller.signal,
+    onEnqueued: () => controller.abort(),
+  });
+  assert.equal(report, null);
+  assert.equal(supabase.db.cv_parsing_backfills[0].status, 'running');
+  assert.equal(supabase.db.cv_parsing_backfills[0].locked_until, null);
+  assert.equal(supabase.db.cv_parsing_backfill_items[0].status, 'enqueued');
+});
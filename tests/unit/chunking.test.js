@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { estimateTokens, createChunks, mergeChunkExtractions } from '../../lib/chunking.js';
+
+const lines = (prefix, count) => Array.from({ length: count }, (_, index) => `${prefix} line ${index + 1} with some more words`);
+
+test('estimateTokens counts ~4 characters per token and one per CJK character', () => {
+  assert.equal(estimateTokens(''), 0);
+  assert.equal(estimateTokens('abcdefgh'), 2);
+  assert.equal(estimateTokens('abcde'), 2);
+  assert.equal(estimateTokens('履歴書'), 3);
+});
+
+test('content within the budget stays a single chunk', () => {
+  const content = ['Jane Doe', 'Experience', ...lines('job', 3)].join('\n');
+  assert.deepEqual(createChunks(content, 'txt', 1000), [content]);
+});
+
+test('chunks end at section headings and stay within the budget', () => {
+  const content = [
+    'Jane Doe', 'Zürich',
+    'Experience', ...lines('job', 10),
+    'Education', ...lines('degree', 10),
+    'PUBLICATIONS', ...lines('paper', 10),
+  ].join('\n');
+  const chunks = createChunks(content, 'txt', 150);
+
+  assert.ok(chunks.length > 1);
+  for (const chunk of chunks) assert.ok(estimateTokens(chunk) <= 150, `${estimateTokens(chunk)} tokens`);
+  assert.ok(chunks.some(chunk => chunk.startsWith('Education\n')));
+  assert.ok(chunks.some(chunk => chunk.startsWith('PUBLICATIONS\n')));
+  // Nothing is lost or duplicated
+  assert.equal(chunks.join('\n'), content);
+});
+
+test('an oversized section is split between lines, repeating its heading', () => {
+  const content = ['Publications', ...lines('paper', 40)].join('\n');
+  const chunks = createChunks(content, 'txt', 100);
+
+  assert.ok(chunks.length > 2);
+  for (const chunk of chunks) {
+    assert.ok(chunk.startsWith('Publications\n'));
+    assert.ok(estimateTokens(chunk) <= 100);
+  }
+  const paperLines = chunks.flatMap(chunk => chunk.split('\n').slice(1));
+  assert.deepEqual(paperLines, lines('paper', 40));
+});
+
+test('HTML is split at block elements', () => {
+  const paragraphs = (prefix) => lines(prefix, 8).map(line => `<p>${line}</p>`);
+  const content = ['<h1>Jane Doe</h1>', '<h2>Experience</h2>', ...paragraphs('job'), '<h2>Education</h2>', ...paragraphs('degree')].join('');
+  const chunks = createChunks(content, 'html', 150);
+
+  assert.ok(chunks.length > 1);
+  assert.ok(chunks.some(chunk => chunk.startsWith('<h2>Education</h2>')));
+  assert.equal(chunks.join(''), content);
+});
+
+test('merging keeps scalars from the first chunk that has them', () => {
+  const { data, confidence } = mergeChunkExtractions([
+    { data: { contact_first_name: 'Jane', email: null, years_of_experience: null }, confidence: { contact_first_name: 95 } },
+    { data: { contact_first_name: 'J.', email: 'jane@example.com', years_of_experience: 7 }, confidence: { email: 80, years_of_experience: 60 } },
+  ]);
+  assert.deepEqual(data, { contact_first_name: 'Jane', email: 'jane@example.com', years_of_experience: 7 });
+  assert.deepEqual(confidence, { contact_first_name: 95, email: 80, years_of_experience: 60 });
+});
+
+test('merging unites string lists case-insensitively with the lowest score', () => {
+  const { data, confidence } = mergeChunkExtractions([
+    { data: { professional_interests: ['Energy markets', 'Risk'] }, confidence: { professional_interests: 90 } },
+    { data: { professional_interests: ['risk', 'Regulation'] }, confidence: { professional_interests: 70 } },
+    { data: { professional_interests: [] }, confidence: { professional_interests: 10 } },
+  ]);
+  assert.deepEqual(data.professional_interests, ['Energy markets', 'Risk', 'Regulation']);
+  assert.equal(confidence.professional_interests, 70);
+});
+
+test('merging drops duplicate entries and fills their empty fields from the duplicate', () => {
+  const { data, confidence, duplicates } = mergeChunkExtractions([
+    {
+      data: { professional_experience: [{ positionName: 'Risk Analyst', companyName: 'UBS', startDate: '2019-01', endDate: null }] },
+      confidence: { professional_experience: [{ positionName: 90 }] },
+    },
+    {
+      data: {
+        professional_experience: [
+          { positionName: 'Risk analyst', companyName: 'UBS ', startDate: '2019-01', endDate: '2021-02' },
+          { positionName: 'Trader', companyName: 'Axpo', startDate: '2021-03', endDate: null },
+        ],
+      },
+      confidence: { professional_experience: [{ endDate: 75 }, { positionName: 85 }] },
+    },
+  ]);
+  assert.equal(duplicates, 1);
+  assert.deepEqual(data.professional_experience, [
+    { positionName: 'Risk Analyst', companyName: 'UBS', startDate: '2019-01', endDate: '2021-02' },
+    { positionName: 'Trader', companyName: 'Axpo', startDate: '2021-03', endDate: null },
+  ]);
+  assert.deepEqual(confidence.professional_experience, [{ positionName: 90, endDate: 75 }, { positionName: 85 }]);
+});
+
+test('merging takes the first non-empty value per key of objects', () => {
+  const { data } = mergeChunkExtractions([
+    { data: { contact_address: { street: null, city: 'Zürich', zip: '' } }, confidence: {} },
+    { data: { contact_address: { street: 'Bahnhofstrasse 1', city: 'Basel', zip: '8001' } }, confidence: {} },
+  ]);
+  assert.deepEqual(data.contact_address, { street: 'Bahnhofstrasse 1', city: 'Zürich', zip: '8001' });
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { recoverTruncatedExtraction, validateExtractedData } from '../../lib/extractionSchema.js';
+
+const COMPLETE = JSON.stringify({
+  contact_first_name: 'Jane',
+  contact_last_name: 'Doe',
+  email: 'jane@example.com',
+  contact_address: { street: 'Bahnhofstrasse 1', city: 'Zürich', state: null, country: 'Switzerland', zip: '8001' },
+  professional_experience: [
+    { positionName: 'Risk Analyst', companyName: 'UBS', startDate: '2019-01', raw_bullet_points: ['VaR models', 'Stress "tests"'] },
+    { positionName: 'Trader', companyName: 'Axpo', startDate: '2021-03', raw_bullet_points: ['Power, gas'] },
+  ],
+  education_history: [{ universityName: 'ETH Zürich', startDate: '2014', endDate: '2018' }],
+});
+
+const recover = (content) => JSON.parse(recoverTruncatedExtraction(content));
+
+test('a response cut inside an entry keeps the entries before it and drops the half-written one', () => {
+  const cutAt = COMPLETE.indexOf('Axpo') + 2;
+  const recovered = recover(COMPLETE.slice(0, cutAt));
+
+  assert.equal(recovered.contact_first_name, 'Jane');
+  assert.equal(recovered.contact_address.zip, '8001');
+  assert.deepEqual(recovered.professional_experience.map(entry => entry.companyName), ['UBS']);
+  assert.deepEqual(recovered.professional_experience[0].raw_bullet_points, ['VaR models', 'Stress "tests"']);
+  // Sections the model never reached are empty lists, so the result passes the schema
+  assert.deepEqual(recovered.education_history, []);
+  assert.deepEqual(recovered.technical_skills, []);
+  assert.equal(recovered.publications, undefined); // Profile-specific lists stay absent
+  assert.equal(validateExtractedData(JSON.stringify(recovered)).success, true);
+});
+
+test('a cut at any position yields valid JSON with only complete entries', () => {
+  let recoveries = 0;
+  for (let cutAt = 2; cutAt < COMPLETE.length; cutAt += 7) {
+    const recovered = recoverTruncatedExtraction(COMPLETE.slice(0, cutAt));
+    if (recovered === null) continue;
+    recoveries++;
+    const data = JSON.parse(recovered);
+    for (const entry of data.professional_experience) {
+      assert.ok(entry.positionName && entry.companyName && entry.startDate, `cut at ${cutAt}: ${JSON.stringify(entry)}`);
+    }
+  }
+  assert.ok(recoveries > 0);
+});
+
+test('escaped quotes and brackets inside strings do not confuse the recovery', () => {
+  const content = '{"contact_first_name": "Ja\\"ne {[", "professional_interests": ["a]b", "c}d", "e';
+  const recovered = recover(content);
+  assert.equal(recovered.contact_first_name, 'Ja"ne {[');
+  assert.deepEqual(recovered.professional_interests, ['a]b', 'c}d']);
+});
+
+test('text before the JSON is skipped', () => {
+  const recovered = recover(`Here is the extraction:\n${COMPLETE}`);
+  assert.equal(recovered.education_history[0].universityName, 'ETH Zürich');
+  assert.equal(recovered.professional_experience.length, 2);
+});
+
+test('nothing is recovered without an opening object', () => {
+  assert.equal(recoverTruncatedExtraction(''), null);
+  assert.equal(recoverTruncatedExtraction(null), null);
+  assert.equal(recoverTruncatedExtraction('I cannot parse this CV.'), null);
+});
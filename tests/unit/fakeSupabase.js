@@ -0,0 +1,145 @@
+// In-memory stand-in for the parts of the Supabase client the queue and backfill code use:
+// from(table) with select / insert / update, the filters eq, in, gt, lt and or (is.null / lt),
+// order, range, limit, single and maybeSingle, plus rpc() answered by the given handlers.
+// Rows are plain objects in db[table]; inserted rows without an id get one.
+
+const COMPARE = {
+  eq: (value, expected) => value === expected,
+  gt: (value, expected) => value !== null && value !== undefined && value > expected,
+  lt: (value, expected) => value !== null && value !== undefined && value < expected,
+  is: (value, expected) => (expected === 'null' ? value === null || value === undefined : String(value) === expected),
+};
+
+// PostgREST "or" filter: "column.op.value,column.op.value"
+function parseOrFilter(expression) {
+  const conditions = expression.split(',').map((condition) => {
+    const [column, op, ...rest] = condition.split('.');
+    return { column, op, value: rest.join('.') };
+  });
+  return row => conditions.some(({ column, op, value }) => COMPARE[op](row[column], value));
+}
+
+function project(row, columns) {
+  if (!columns || columns.trim() === '*') return { ...row };
+  return Object.fromEntries(columns.split(',').map(column => column.trim()).map(column => [column, row[column] ?? null]));
+}
+
+/**
+ * @param {Record<string, Array<object>>} [tables] - Initial rows per table (copied)
+ * @param {object} [options]
+ * @param {Record<string, (args: object, db: object) => *>} [options.rpc] - Return value (data) per function name
+ * @returns {{db: Record<string, Array<object>>, from: Function, rpc: Function}}
+ */
+export function createFakeSupabase(tables = {}, { rpc = {} } = {}) {
+  const db = Object.fromEntries(Object.entries(tables).map(([table, rows]) => [table, rows.map(row => ({ ...row }))]));
+  let nextId = 1;
+
+  function from(table) {
+    db[table] ??= [];
+    const filters = [];
+    const sorts = [];
+    let mutation = null; // { type: 'insert', rows } | { type: 'update', patch }
+    let columns = null;
+    let returning = false;
+    let count = false;
+    let head = false;
+    let window = null; // [from, to]
+    let single = null; // 'single' | 'maybeSingle'
+
+    function execute() {
+      const matched = db[table].filter(row => filters.every(filter => filter(row)));
+      let rows;
+      if (mutation?.type === 'insert') {
+        rows = mutation.rows.map(row => ({ id: `${table}-${nextId++}`, ...row }));
+        db[table].push(...rows);
+      } else if (mutation?.type === 'update') {
+        matched.forEach(row => Object.assign(row, mutation.patch));
+        rows = matched;
+      } else {
+        rows = [...matched];
+        for (const { column, ascending } of [...sorts].reverse()) {
+          rows.sort((a, b) => (a[column] < b[column] ? -1 : a[column] > b[column] ? 1 : 0) * (ascending ? 1 : -1));
+        }
+        if (window) rows = rows.slice(window[0], window[1] + 1);
+      }
+
+      const result = { error: null, count: count ? rows.length : null };
+      if (head || (mutation && !returning)) return { ...result, data: null };
+      const data = rows.map(row => project(row, columns));
+      if (!single) return { ...result, data };
+      if (data.length > 1 || (single === 'single' && data.length === 0)) {
+        return { ...result, data: null, error: { message: `Expected one row, got ${data.length}` } };
+      }
+      return { ...result, data: data[0] ?? null };
+    }
+
+    const builder = {
+      select(selected = '*', options = {}) {
+        columns = selected;
+        returning = true;
+        count = Boolean(options.count);
+        head = Boolean(options.head);
+        return builder;
+      },
+      insert(rows) {
+        mutation = { type: 'insert', rows: Array.isArray(rows) ? rows : [rows] };
+        return builder;
+      },
+      update(patch) {
+        mutation = { type: 'update', patch };
+        return builder;
+      },
+      eq(column, value) {
+        filters.push(row => COMPARE.eq(row[column], value));
+        return builder;
+      },
+      in(column, values) {
+        filters.push(row => values.includes(row[column]));
+        return builder;
+      },
+      gt(column, value) {
+        filters.push(row => COMPARE.gt(row[column], value));
+        return builder;
+      },
+      lt(column, value) {
+        filters.push(row => COMPARE.lt(row[column], value));
+        return builder;
+      },
+      or(expression) {
+        filters.push(parseOrFilter(expression));
+        return builder;
+      },
+      order(column, { ascending = true } = {}) {
+        sorts.push({ column, ascending });
+        return builder;
+      },
+      range(fromIndex, toIndex) {
+        window = [fromIndex, toIndex];
+        return builder;
+      },
+      limit(limit) {
+        window = [0, limit - 1];
+        return builder;
+      },
+      single() {
+        single = 'single';
+        return builder;
+      },
+      maybeSingle() {
+        single = 'maybeSingle';
+        return builder;
+      },
+      then(resolve, reject) {
+        return Promise.resolve().then(execute).then(resolve, reject);
+      },
+    };
+    return builder;
+  }
+
+  async function callRpc(name, args) {
+    if (!rpc[name]) return { data: null, error: { message: `Unknown function ${name}` } };
+    return { data: await rpc[name](args, db), error: null };
+  }
+
+  return { db, from, rpc: callRpc };
+}
@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import JSZip from 'jszip';
+import { detectFileType } from '../../lib/fileTypeDetection.js';
+
+const OLE_HEADER = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+
+async function zipOf(files) {
+  const zip = new JSZip();
+  for (const [name, content] of Object.entries(files)) zip.file(name, content);
+  return zip.generateAsync({ type: 'nodebuffer' });
+}
+
+// An OLE header followed by a directory naming the given stream (UTF-16LE, as in real files)
+const oleWith = (stream) => Buffer.concat([OLE_HEADER, Buffer.alloc(504), Buffer.from(stream, 'utf16le'), Buffer.alloc(64)]);
+
+test('PDFs are recognized by their header, also after leading junk', async () => {
+  assert.equal(await detectFileType(Buffer.from('%PDF-1.7\n%âãÏÓ\n')), 'pdf');
+  assert.equal(await detectFileType(Buffer.concat([Buffer.alloc(300, 0x20), Buffer.from('%PDF-1.4')])), 'pdf');
+  assert.equal(await detectFileType(Buffer.concat([Buffer.alloc(2000, 0x20), Buffer.from('%PDF-1.4')])), 'txt');
+});
+
+test('ZIP containers are told apart by their contents', async () => {
+  const contentTypes = { '[Content_Types].xml': '<Types/>' };
+  assert.equal(await detectFileType(await zipOf({ ...contentTypes, 'word/document.xml': '<w:document/>' })), 'docx');
+  assert.equal(await detectFileType(await zipOf({ ...contentTypes, 'xl/workbook.xml': '<workbook/>' })), 'xlsx');
+  assert.equal(await detectFileType(await zipOf({ ...contentTypes, 'ppt/presentation.xml': '<p:presentation/>' })), 'pptx');
+  assert.equal(await detectFileType(await zipOf({ mimetype: 'application/vnd.oasis.opendocument.text', 'content.xml': '' })), 'odt');
+  assert.equal(await detectFileType(await zipOf({ mimetype: 'application/vnd.oasis.opendocument.spreadsheet' })), 'ods');
+  assert.equal(await detectFileType(await zipOf({ 'cv.txt': 'Jane Doe' })), 'zip');
+});
+
+test('a DOCX saved under a .pdf name is still a DOCX', async () => {
+  const docx = await zipOf({ '[Content_Types].xml': '<Types/>', 'word/document.xml': '<w:document/>' });
+  assert.equal(await detectFileType(docx, { claimedFormat: 'pdf' }), 'docx');
+});
+
+test('a truncated ZIP is reported as a plain zip', async () => {
+  const docx = await zipOf({ '[Content_Types].xml': '<Types/>', 'word/document.xml': '<w:document/>' });
+  assert.equal(await detectFileType(docx.subarray(0, 40)), 'zip');
+});
+
+test('OLE documents are identified by their stream names', async () => {
+  assert.equal(await detectFileType(oleWith('WordDocument')), 'doc');
+  assert.equal(await detectFileType(oleWith('Workbook')), 'xls');
+  assert.equal(await detectFileType(oleWith('PowerPoint Document')), 'ppt');
+  assert.equal(await detectFileType(oleWith('EncryptedPackage')), 'encrypted-office');
+  assert.equal(await detectFileType(oleWith('Something Else')), 'ole');
+  // An ASCII stream name is not a directory entry
+  assert.equal(await detectFileType(Buffer.concat([OLE_HEADER, Buffer.from('WordDocument')])), 'ole');
+});
+
+test('RTF and image formats are recognized', async () => {
+  assert.equal(await detectFileType(Buffer.from('{\\rtf1\\ansi Jane Doe}')), 'rtf');
+  const images = [
+    [0xff, 0xd8, 0xff, 0xe0],
+    [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a],
+    [...Buffer.from('GIF89a')],
+    [0x49, 0x49, 0x2a, 0x00],
+    [0x4d, 0x4d, 0x00, 0x2a],
+    [...Buffer.from('RIFF'), 0, 0, 0, 0, ...Buffer.from('WEBPVP8 ')],
+  ];
+  for (const bytes of images) {
+    assert.equal(await detectFileType(Buffer.from([...bytes, 0, 0, 0, 0])), 'image', Buffer.from(bytes).toString('hex'));
+  }
+});
+
+test('text is HTML, Markdown when claimed so, or plain text', async () => {
+  assert.equal(await detectFileType(Buffer.from('  <!DOCTYPE html><html><body>CV</body></html>')), 'html');
+  assert.equal(await detectFileType(Buffer.from('<html lang="de"><body>CV</body></html>')), 'html');
+  assert.equal(await detectFileType(Buffer.from('# Jane Doe\n\n## Experience\n'), { claimedFormat: 'markdown' }), 'markdown');
+  assert.equal(await detectFileType(Buffer.from('# Jane Doe\n\n## Experience\n')), 'txt');
+  assert.equal(await detectFileType(Buffer.from('Jane Doe\r\nZürich\tSchweiz\n', 'utf8')), 'txt');
+  assert.equal(await detectFileType(Buffer.from('\uFEFFJane Doe', 'utf16le')), 'txt');
+});
+
+test('binary data and empty files are not mistaken for documents', async () => {
+  assert.equal(await detectFileType(Buffer.alloc(0)), 'empty');
+  assert.equal(await detectFileType(null), 'empty');
+  assert.equal(await detectFileType(Buffer.from([0x01, 0x02, 0x00, 0x03, 0x7f, 0x80])), 'unknown');
+});
@@ -0,0 +1,203 @@
+import { test, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createJobQueue } from '../../lib/jobQueue.js';
+import { createFakeSupabase } from './fakeSupabase.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// claim_cv_parsing_job() of database/add_job_queue.sql, on the fake's rows
+function claimJob({ p_worker_id: workerId, p_visibility_timeout_seconds: timeoutSeconds }, db) {
+  const now = new Date().toISOString();
+  const job = db.cv_parsing_jobs.find(row => row.attempts < row.max_attempts && (
+    (row.status === 'pending' && (!row.next_attempt_at || row.next_attempt_at <= now))
+    || (row.status === 'processing' && row.locked_until < now)
+  ));
+  if (!job) return [];
+  Object.assign(job, {
+    status: 'processing',
+    locked_by: workerId,
+    locked_until: new Date(Date.now() + timeoutSeconds * 1000).toISOString(),
+    attempts: job.attempts + 1,
+    next_attempt_at: null,
+  });
+  return [{ ...job }];
+}
+
+function createQueue(jobs, options = {}) {
+  const supabase = createFakeSupabase({ cv_parsing_jobs: jobs }, {
+    rpc: { claim_cv_parsing_job: claimJob, reclaim_stale_cv_parsing_jobs: options.reclaim || (() => []) },
+  });
+  const outcomes = [];
+  const failed = [];
+  const queue = createJobQueue({
+    supabase,
+    handler: async () => true,
+    isRetryable: error => error.retryable !== false,
+    onOutcome: (outcome, error) => outcomes.push([outcome, error?.code ?? null]),
+    onFailed: (job, error) => failed.push([job.id, error.code ?? null]),
+    pollIntervalMs: 20,
+    retryBaseDelayMs: 1000,
+    ...options,
+  });
+  return { queue, db: supabase.db, outcomes, failed };
+}
+
+async function waitFor(condition, timeoutMs = 3000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for the queue');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+const pendingJob = (fields = {}) => ({
+  id: 'job-1', profile_id: 'profile-1', status: 'pending', storage_path: 'profile-1/cv.pdf',
+  attempts: 0, max_attempts: 3, next_attempt_at: null, locked_by: null, locked_until: null, ...fields,
+});
+
+let queues = [];
+beforeEach(() => {
+  for (const method of ['log', 'warn', 'error']) mock.method(console, method, () => {});
+});
+afterEach(async () => {
+  await Promise.all(queues.map(queue => queue.stop()));
+  queues = [];
+  mock.restoreAll();
+});
+
+function start(setup) {
+  queues.push(setup.queue);
+  return setup.queue.start();
+}
+
+test('a completed job is reported once and keeps its lease owner', async () => {
+  const setup = createQueue([pendingJob()], {
+    handler: async (job, workerId) => {
+      Object.assign(setup.db.cv_parsing_jobs[0], { status: 'completed', locked_until: null });
+      assert.equal(setup.db.cv_parsing_jobs[0].locked_by, workerId);
+      return true;
+    },
+  });
+  await start(setup);
+  await waitFor(() => setup.outcomes.length > 0);
+  assert.deepEqual(setup.outcomes, [['completed', null]]);
+  assert.equal(setup.db.cv_parsing_jobs[0].attempts, 1);
+});
+
+test('a job whose lease was lost is not reported as completed', async () => {
+  let handled = false;
+  const setup = createQueue([pendingJob()], {
+    handler: async () => {
+      handled = true;
+      return false;
+    },
+  });
+  await start(setup);
+  await waitFor(() => handled && setup.queue.inFlightCount() === 0);
+  assert.deepEqual(setup.outcomes, []);
+});
+
+test('the lease is extended while the handler runs', async () => {
+  let leaseAtClaim = null;
+  let leaseAfterHeartbeat = null;
+  const setup = createQueue([pendingJob()], {
+    visibilityTimeoutMs: 3000, // Heartbeat every second
+    handler: async () => {
+      leaseAtClaim = setup.db.cv_parsing_jobs[0].locked_until;
+      await new Promise(resolve => setTimeout(resolve, 1200));
+      leaseAfterHeartbeat = setup.db.cv_parsing_jobs[0].locked_until;
+      return true;
+    },
+  });
+  await start(setup);
+  await waitFor(() => setup.outcomes.length > 0, 5000);
+  assert.ok(leaseAfterHeartbeat > leaseAtClaim, `${leaseAfterHeartbeat} should be later than ${leaseAtClaim}`);
+});
+
+test('a retryable failure goes back to the queue with exponential backoff', async () => {
+  const setup = createQueue([pendingJob({ attempts: 1 })], {
+    handler: async () => {
+      throw Object.assign(new Error('Rate limited'), { code: 'RATE_LIMITED' });
+    },
+  });
+  const startedAt = Date.now();
+  await start(setup);
+  await waitFor(() => setup.db.cv_parsing_jobs[0].status === 'pending' && setup.db.cv_parsing_jobs[0].next_attempt_at);
+
+  const job = setup.db.cv_parsing_jobs[0];
+  assert.deepEqual(setup.outcomes, [['retrying', 'RATE_LIMITED']]);
+  assert.equal(job.attempts, 2);
+  assert.equal(job.locked_by, null);
+  assert.equal(job.error_code, 'RATE_LIMITED');
+  // Second attempt failed: base delay doubled once, ±20% jitter
+  const delay = new Date(job.next_attempt_at).getTime() - startedAt;
+  assert.ok(delay >= 1600 && delay <= 2400 + 500, `delay ${delay}ms`);
+  assert.deepEqual(setup.failed, []);
+});
+
+test('the last attempt and non-retryable errors fail the job for good', async () => {
+  const setup = createQueue([
+    pendingJob({ id: 'last-attempt', attempts: 2 }),
+    pendingJob({ id: 'not-retryable' }),
+  ], {
+    concurrency: 2,
+    handler: async (job) => {
+      throw Object.assign(new Error('Broken'), { code: 'PARSE_FAILED', retryable: job.id !== 'not-retryable' });
+    },
+  });
+  await start(setup);
+  await waitFor(() => setup.failed.length === 2);
+
+  for (const job of setup.db.cv_parsing_jobs) {
+    assert.equal(job.status, 'failed');
+    assert.equal(job.error_code, 'PARSE_FAILED');
+    assert.ok(job.completed_at);
+  }
+  assert.deepEqual(setup.outcomes, [['failed', 'PARSE_FAILED'], ['failed', 'PARSE_FAILED']]);
+  assert.deepEqual(setup.failed.map(([id]) => id).sort(), ['last-attempt', 'not-retryable']);
+});
+
+test('an expired lease makes a job claimable again', async () => {
+  const setup = createQueue([pendingJob({
+    status: 'processing', attempts: 1, locked_by: 'dead-worker', locked_until: new Date(Date.now() - 1000).toISOString(),
+  })]);
+  await start(setup);
+  await waitFor(() => setup.outcomes.length > 0);
+  assert.equal(setup.db.cv_parsing_jobs[0].attempts, 2);
+  assert.notEqual(setup.db.cv_parsing_jobs[0].locked_by, 'dead-worker');
+});
+
+test('stale jobs without attempts left are failed at startup and while polling', async () => {
+  let reclaims = 0;
+  const setup = createQueue([], {
+    visibilityTimeoutMs: 100,
+    reclaim: () => (++reclaims === 2 ? [{ id: 'stale-job', status: 'failed' }, { id: 'other-job', status: 'pending' }] : []),
+  });
+  await start(setup);
+  await waitFor(() => setup.failed.length > 0);
+  assert.deepEqual(setup.failed, [['stale-job', 'WORKER_LOST']]);
+  assert.deepEqual(setup.outcomes, [['failed', 'WORKER_LOST']]);
+});
+
+test('stop() hands in-flight jobs back without counting the interrupted attempt', async () => {
+  let release;
+  const setup = createQueue([pendingJob({ attempts: 1 })], {
+    handler: () => new Promise(resolve => { release = resolve; }),
+  });
+  await setup.queue.start();
+  await waitFor(() => setup.queue.inFlightCount() === 1);
+  await setup.queue.stop();
+
+  assert.equal(setup.db.cv_parsing_jobs[0].status, 'pending');
+  assert.equal(setup.db.cv_parsing_jobs[0].attempts, 1);
+  assert.equal(setup.db.cv_parsing_jobs[0].locked_by, null);
+  release(true);
+});
+
+test('jobs due later are not claimed early', async () => {
+  const setup = createQueue([pendingJob({ next_attempt_at: new Date(Date.now() + HOUR_MS).toISOString() })]);
+  await start(setup);
+  await new Promise(resolve => setTimeout(resolve, 100));
+  assert.equal(setup.db.cv_parsing_jobs[0].status, 'pending');
+  assert.deepEqual(setup.outcomes, []);
+});
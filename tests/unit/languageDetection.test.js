@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectLanguage } from '../../lib/languageDetection.js';
+
+const GERMAN = `Berufserfahrung
+Leiter des Risikomanagements bei der Axpo AG, verantwortlich für die Bewertung des Portfolios und die
+Steuerung des Handels mit Strom und Gas. Ausbildung: Master of Science in Volkswirtschaft an der
+Universität Zürich. Kenntnisse: Python, SQL. Sprachen: Deutsch, Englisch.`;
+
+const FRENCH = `Expérience professionnelle
+Analyste des risques chez UBS, responsable du suivi des positions et des limites avec les équipes de
+trading. Formation : Master en finance à l'Université de Genève, avec une spécialisation dans la gestion
+des risques. Compétences : Python, VBA. Langues : français, anglais.`;
+
+test('German and French CVs are told apart', () => {
+  assert.equal(detectLanguage(GERMAN).language, 'de');
+  assert.equal(detectLanguage(FRENCH).language, 'fr');
+});
+
+test('"des" counts for neither language', () => {
+  // Genitive articles of a German text are not French words
+  const withoutDes = detectLanguage(GERMAN.replace(/\bdes\b/g, 'eines'));
+  assert.equal(detectLanguage(GERMAN).confidence, withoutDes.confidence);
+  assert.equal(detectLanguage('des des des des des des des des des des des des').language, null);
+});
+
+test('text with too few common words has no language', () => {
+  assert.deepEqual(detectLanguage('Python, SQL, VBA, Excel, Bloomberg'), { language: null, confidence: 0 });
+  assert.deepEqual(detectLanguage(''), { language: null, confidence: 0 });
+  assert.deepEqual(detectLanguage(null), { language: null, confidence: 0 });
+});
+
+test('HTML tags are ignored for the html and odt formats', () => {
+  const html = `<p>${GERMAN.split('\n').join('</p><p>')}</p>`;
+  assert.equal(detectLanguage(html, 'html').language, 'de');
+});
@@ -0,0 +1,77 @@
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.LOG_FORMAT = 'json';
+process.env.LOG_LEVEL = 'info';
+const { logger, runWithLogContext, registerPersonalData } = await import('../../lib/logger.js');
+
+const EXTRACTED = {
+  contact_first_name: 'Jane',
+  contact_last_name: 'Doe',
+  email: 'jane.doe@example.com',
+  phoneNumber: '+41 79 123 45 67',
+  contact_address: { street: 'Bahnhofstrasse 12', city: 'Zürich', state: 'ZH', country: 'Switzerland', zip: '8001' },
+};
+
+// Log lines written while fn runs, parsed
+function capture(fn) {
+  const lines = [];
+  mock.method(console, 'log', line => lines.push(JSON.parse(line)));
+  fn();
+  return lines;
+}
+
+afterEach(() => mock.restoreAll());
+
+test('every field of an extracted contact_address is redacted where it identifies the candidate', () => {
+  const [entry] = capture(() => runWithLogContext({ jobId: 'job-1' }, () => {
+    registerPersonalData(EXTRACTED);
+    logger.info('Parsed contact details', { contact_address: EXTRACTED.contact_address });
+  }));
+
+  assert.deepEqual(entry.contact_address, {
+    street: '[REDACTED]',
+    city: 'Zürich',
+    state: 'ZH',
+    country: 'Switzerland',
+    zip: '[REDACTED]',
+  });
+  assert.doesNotMatch(JSON.stringify(entry), /Bahnhofstrasse|8001/);
+});
+
+test('a registered address is redacted in free text, also with its city', () => {
+  const lines = capture(() => runWithLogContext({ jobId: 'job-1' }, () => {
+    registerPersonalData(EXTRACTED);
+    logger.info('Geocoding failed for Bahnhofstrasse 12, 8001 Zürich');
+    logger.info('Geocoding failed for 8001 Zürich');
+    logger.info('Geocoding failed for Bahnhofstrasse 12');
+    logger.info('Experience: Risk Analyst at UBS, Zürich');
+  }));
+
+  assert.deepEqual(lines.map(({ msg }) => msg), [
+    'Geocoding failed for [REDACTED]',
+    'Geocoding failed for [REDACTED]',
+    'Geocoding failed for [REDACTED]',
+    'Experience: Risk Analyst at UBS, Zürich', // The city alone is not personal data
+  ]);
+});
+
+test('a logged extraction keeps no contact details', () => {
+  const [entry] = capture(() => runWithLogContext({ jobId: 'job-1' }, () => {
+    registerPersonalData(EXTRACTED);
+    logger.info('Extraction result', { extractedData: EXTRACTED, note: 'Reach Jane Doe at jane.doe@example.com' });
+  }));
+
+  const logged = JSON.stringify(entry);
+  for (const value of ['Jane', 'Doe', 'jane.doe@example.com', '+41 79 123 45 67', 'Bahnhofstrasse', '8001']) {
+    assert.ok(!logged.includes(value), `${value} in ${logged}`);
+  }
+  assert.equal(entry.note, 'Reach [REDACTED] at [REDACTED]');
+});
+
+test('zip fields are redacted by name outside a job context too', () => {
+  const [entry] = capture(() => logger.info('Address update', { zip: '8001', postal_code: '8001', city: 'Zürich' }));
+  assert.equal(entry.zip, '[REDACTED]');
+  assert.equal(entry.postal_code, '[REDACTED]');
+  assert.equal(entry.city, 'Zürich');
+});
@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// cvParser creates its LLM clients on import; the fixture provider needs no API key
+process.env.LLM_PROVIDER = 'fixture';
+const { validateOrcidId, validateGoogleScholarUrl, validateDoi, validateGradePair } = await import('../../lib/cvParser.js');
+
+test('ORCID iDs are normalized and their check digit verified', () => {
+  assert.equal(validateOrcidId('0000-0002-1825-0097'), '0000-0002-1825-0097');
+  assert.equal(validateOrcidId('https://orcid.org/0000-0002-1825-0097'), '0000-0002-1825-0097');
+  assert.equal(validateOrcidId('orcid.org/0000 0001 5109 3700'), '0000-0001-5109-3700');
+  assert.equal(validateOrcidId('0000-0002-1694-233x'), '0000-0002-1694-233X'); // Check digit 10
+});
+
+test('ORCID iDs with a wrong check digit or shape are rejected', () => {
+  assert.equal(validateOrcidId('0000-0002-1825-0098'), null);
+  assert.equal(validateOrcidId('0000-0002-1694-2330'), null);
+  assert.equal(validateOrcidId('0000-0002-1825'), null);
+  assert.equal(validateOrcidId('https://example.com/0000-0002-1825-0097'), null);
+  assert.equal(validateOrcidId(''), null);
+  assert.equal(validateOrcidId(18250097), null);
+});
+
+test('Google Scholar profile URLs are normalized to scholar.google.com', () => {
+  const normalized = 'https://scholar.google.com/citations?user=AbCdEf_12-34';
+  assert.equal(validateGoogleScholarUrl('https://scholar.google.com/citations?user=AbCdEf_12-34&hl=en'), normalized);
+  assert.equal(validateGoogleScholarUrl('scholar.google.ch/citations?hl=de&user=AbCdEf_12-34'), normalized);
+  assert.equal(validateGoogleScholarUrl('http://scholar.google.co.uk/citations?user=AbCdEf_12-34'), normalized);
+});
+
+test('other URLs and malformed Scholar ids are rejected', () => {
+  assert.equal(validateGoogleScholarUrl('https://scholar.google.com/citations?user=short'), null);
+  assert.equal(validateGoogleScholarUrl('https://scholar.google.com/scholar?q=AbCdEf_12-34'), null);
+  assert.equal(validateGoogleScholarUrl('https://scholar.google.evil.com/citations?user=AbCdEf_12-34'), null);
+  assert.equal(validateGoogleScholarUrl('https://www.researchgate.net/profile/Jane-Doe'), null);
+  assert.equal(validateGoogleScholarUrl('not a url at all'), null);
+  assert.equal(validateGoogleScholarUrl(null), null);
+});
+
+test('DOIs lose doi.org and "doi:" prefixes and trailing punctuation', () => {
+  assert.equal(validateDoi('10.1016/j.eneco.2020.104567'), '10.1016/j.eneco.2020.104567');
+  assert.equal(validateDoi('https://doi.org/10.1016/j.eneco.2020.104567'), '10.1016/j.eneco.2020.104567');
+  assert.equal(validateDoi('http://dx.doi.org/10.1093/rfs/hhaa012'), '10.1093/rfs/hhaa012');
+  assert.equal(validateDoi('doi: 10.1093/rfs/hhaa012.'), '10.1093/rfs/hhaa012');
+  assert.equal(validateDoi('DOI:10.1093/rfs/hhaa012;'), '10.1093/rfs/hhaa012');
+});
+
+test('strings that are not DOIs are rejected', () => {
+  assert.equal(validateDoi('10.12/too-short-registrant'), null);
+  assert.equal(validateDoi('11.1016/j.eneco.2020.104567'), null);
+  assert.equal(validateDoi('10.1016/'), null);
+  assert.equal(validateDoi('Journal of Finance, 2020'), null);
+  assert.equal(validateDoi(undefined), null);
+});
+
+test('grade pairs are validated, with decimal commas accepted', () => {
+  assert.deepEqual(validateGradePair('3.8', '4.0'), { value: '3.8', max: '4.0', dropped: false });
+  assert.deepEqual(validateGradePair(5.4, 6), { value: '5.4', max: '6', dropped: false });
+  assert.deepEqual(validateGradePair('5,25', null), { value: '5.25', max: null, dropped: false });
+  assert.deepEqual(validateGradePair('very good', 'n/a'), { value: null, max: null, dropped: false });
+});
+
+test('grade pairs missing both numbers are read from the grade as written', () => {
+  assert.deepEqual(validateGradePair(null, null, 'GPA 3.7/4.0'), { value: '3.7', max: '4.0', dropped: false });
+  assert.deepEqual(validateGradePair(null, null, '5.2 out of 6'), { value: '5.2', max: '6', dropped: false });
+  assert.deepEqual(validateGradePair(null, null, 'Note 5,5 of 6'), { value: '5.5', max: '6', dropped: false });
+  assert.deepEqual(validateGradePair(null, null, 'magna cum laude'), { value: null, max: null, dropped: false });
+  // An extracted value wins over the text
+  assert.deepEqual(validateGradePair('3.9', null, 'GPA 3.7/4.0'), { value: '3.9', max: null, dropped: false });
+});
+
+test('a grade above its scale is dropped as misread', () => {
+  assert.deepEqual(validateGradePair('5.5', '4.0'), { value: null, max: null, dropped: true });
+  assert.deepEqual(validateGradePair(null, null, '6/4'), { value: null, max: null, dropped: true });
+  assert.deepEqual(validateGradePair('4.0', '4.0'), { value: '4.0', max: '4.0', dropped: false });
+});
@@ -0,0 +1,113 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { deliverWebhook, verifyWebhookSignature } from '../../lib/webhooks.js';
+
+// deliverWebhook() against the local stand-in (scripts/webhook-receiver.js) on a free port
+const RECEIVER = fileURLToPath(new URL('../../scripts/webhook-receiver.js', import.meta.url));
+const SECRET = 'whsec_test';
+const RETRY_BASE_DELAY_MS = 100;
+
+const receivers = [];
+after(() => receivers.forEach(receiver => receiver.kill()));
+
+async function startReceiver(args = []) {
+  const receiver = spawn(process.execPath, [RECEIVER, '--port', '0', ...args], {
+    env: { ...process.env, WEBHOOK_SECRET: SECRET },
+    stdio: ['ignore', 'pipe', 'inherit'],
+  });
+  receivers.push(receiver);
+  let output = '';
+  const port = await new Promise((resolve, reject) => {
+    receiver.stdout.on('data', (chunk) => {
+      output += chunk;
+      const match = output.match(/listening on http:\/\/localhost:(\d+)/);
+      if (match) resolve(Number(match[1]));
+    });
+    receiver.on('exit', code => reject(new Error(`Webhook receiver exited with code ${code}`)));
+  });
+
+  return {
+    url: `http://127.0.0.1:${port}/webhook`,
+    // Deliveries the receiver printed: delivery id, signature header and raw body
+    async requests(count) {
+      const deadline = Date.now() + 2000;
+      const parse = () => [...output.matchAll(/ {2}delivery: {2}(.*)\n {2}signature: \w+ \((.*)\)\n {2}body: {6}(.*)\n/g)]
+        .map(([, deliveryId, signature, body]) => ({ deliveryId, signature, body }));
+      while (parse().length < count && Date.now() < deadline) await new Promise(resolve => setTimeout(resolve, 10));
+      return parse();
+    },
+  };
+}
+
+// deliverWebhook() recording each attempt and when it started
+async function deliver(url, options = {}) {
+  const attempts = [];
+  const result = await deliverWebhook({
+    url,
+    event: 'parse.completed',
+    data: { jobId: 'job-1', status: 'completed' },
+    secret: SECRET,
+    maxAttempts: 4,
+    retryBaseDelayMs: RETRY_BASE_DELAY_MS,
+    timeoutMs: 2000,
+    onAttempt: attempt => attempts.push({ ...attempt, startedAt: Date.now() - attempt.durationMs }),
+    ...options,
+  });
+  return { result, attempts };
+}
+
+test('deliveries carry a signature the receiver verifies', async () => {
+  const receiver = await startReceiver();
+  const { result, attempts } = await deliver(receiver.url);
+
+  assert.equal(result.delivered, true);
+  assert.deepEqual(attempts.map(({ statusCode }) => statusCode), [204]);
+  const [request] = await receiver.requests(1);
+  assert.equal(verifyWebhookSignature(request.body, request.signature, SECRET), true);
+  const { createdAt, ...payload } = JSON.parse(request.body);
+  assert.deepEqual(payload, { id: result.deliveryId, event: 'parse.completed', data: { jobId: 'job-1', status: 'completed' } });
+  assert.ok(!Number.isNaN(Date.parse(createdAt)));
+});
+
+test('server errors are retried with doubling delays under one delivery id', async () => {
+  const receiver = await startReceiver(['--fail', '2']);
+  const { result, attempts } = await deliver(receiver.url);
+
+  assert.deepEqual(result, { deliveryId: result.deliveryId, delivered: true, attempts: 3 });
+  assert.deepEqual(attempts.map(({ statusCode, success }) => [statusCode, success]), [[500, false], [500, false], [204, true]]);
+  // Each retry waits at least base · 2^(retry - 1) after the previous attempt started
+  for (const [index, expectedDelay] of [[1, RETRY_BASE_DELAY_MS], [2, RETRY_BASE_DELAY_MS * 2]]) {
+    const gap = attempts[index].startedAt - attempts[index - 1].startedAt;
+    assert.ok(gap >= expectedDelay && gap < expectedDelay + 1000, `retry ${index} after ${gap}ms, expected ${expectedDelay}ms`);
+  }
+
+  const requests = await receiver.requests(3);
+  assert.equal(requests.length, 3);
+  assert.ok(requests.every(({ deliveryId }) => deliveryId === result.deliveryId));
+  assert.ok(attempts.every(({ deliveryId }) => deliveryId === result.deliveryId));
+  // The same body is re-signed per attempt, and every signature verifies
+  assert.equal(new Set(requests.map(({ body }) => body)).size, 1);
+  assert.ok(requests.every(({ body, signature }) => verifyWebhookSignature(body, signature, SECRET)));
+});
+
+test('delivery gives up after maxAttempts server errors', async () => {
+  const receiver = await startReceiver(['--fail', '5']);
+  const { result, attempts } = await deliver(receiver.url, { maxAttempts: 2 });
+
+  assert.equal(result.delivered, false);
+  assert.equal(result.attempts, 2);
+  assert.deepEqual(attempts.map(({ statusCode }) => statusCode), [500, 500]);
+});
+
+test('client errors are not retried', async () => {
+  const receiver = await startReceiver();
+  // Signed with another secret: the receiver answers 401
+  const { result, attempts } = await deliver(receiver.url, { secret: 'another-secret' });
+
+  assert.equal(result.delivered, false);
+  assert.equal(result.attempts, 1);
+  assert.deepEqual(attempts.map(({ statusCode, error }) => [statusCode, error]), [[401, 'HTTP 401']]);
+  assert.equal((await receiver.requests(1)).length, 1);
+});
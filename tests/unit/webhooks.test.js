@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+import { signWebhookBody, verifyWebhookSignature } from '../../lib/webhooks.js';
+
+const SECRET = 'whsec_test';
+const BODY = JSON.stringify({ id: 'delivery-1', event: 'parse.completed', data: { jobId: 'job-1' } });
+const now = () => Math.floor(Date.now() / 1000);
+
+test('the signature is an HMAC-SHA256 over "<timestamp>.<body>"', () => {
+  const digest = createHmac('sha256', SECRET).update(`1767225600.${BODY}`).digest('hex');
+  assert.equal(signWebhookBody(BODY, SECRET, 1767225600), `t=1767225600,v1=${digest}`);
+});
+
+test('a fresh signature over the same body and secret verifies', () => {
+  assert.equal(verifyWebhookSignature(BODY, signWebhookBody(BODY, SECRET), SECRET), true);
+  // Receivers may see spaces after the comma
+  assert.equal(verifyWebhookSignature(BODY, signWebhookBody(BODY, SECRET).replace(',', ', '), SECRET), true);
+});
+
+test('a changed body, another secret or a tampered digest is rejected', () => {
+  const header = signWebhookBody(BODY, SECRET);
+  assert.equal(verifyWebhookSignature(`${BODY} `, header, SECRET), false);
+  assert.equal(verifyWebhookSignature(BODY, header, 'another-secret'), false);
+  assert.equal(verifyWebhookSignature(BODY, header.replace(/v1=./, 'v1=0'), SECRET), false);
+  assert.equal(verifyWebhookSignature(BODY, header.slice(0, -2), SECRET), false);
+});
+
+test('signatures outside the five-minute tolerance are rejected as replays', () => {
+  assert.equal(verifyWebhookSignature(BODY, signWebhookBody(BODY, SECRET, now() - 290), SECRET), true);
+  assert.equal(verifyWebhookSignature(BODY, signWebhookBody(BODY, SECRET, now() - 310), SECRET), false);
+  assert.equal(verifyWebhookSignature(BODY, signWebhookBody(BODY, SECRET, now() + 310), SECRET), false);
+});
+
+test('missing or malformed headers are rejected', () => {
+  for (const header of [undefined, '', 'garbage', `t=${now()}`, 'v1=abcd', `t=abc,v1=abcd`]) {
+    assert.equal(verifyWebhookSignature(BODY, header, SECRET), false, String(header));
+  }
+});